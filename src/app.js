@@ -39,14 +39,22 @@ app.use((req, res, next) => {
                 res.header('Access-Control-Allow-Origin', req.headers.origin || '*');
                 res.header('Access-Control-Allow-Credentials', 'true');
                 res.header('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,PATCH,OPTIONS');
-                res.header('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-Requested-With,Accept,Origin,Cache-Control,Pragma,Expires');
+                res.header('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-Requested-With,Accept,Origin,Cache-Control,Pragma,Expires,X-API-Key,X-Device-Id,X-Device-Type,X-Device-Name');
                 return res.status(200).end();
         }
         next();
 });
 
 // Request parsing middleware
-app.use(express.json({ limit: '10mb' })); // Limit JSON payload size
+app.use(express.json({
+        limit: '10mb', // Limit JSON payload size
+        // Payment webhooks are verified against the exact bytes the provider signed
+        verify: (req, res, buf) => {
+                if (req.originalUrl.startsWith('/api/v1/subscriptions/webhook')) {
+                        req.rawBody = buf;
+                }
+        }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 
@@ -106,6 +114,10 @@ app.use(cors({
                 "Cache-Control",
                 "Pragma",
                 "Expires",
+                "X-API-Key",
+                "X-Device-Id",
+                "X-Device-Type",
+                "X-Device-Name",
                 "Access-Control-Request-Method",
                 "Access-Control-Request-Headers"
         ],
@@ -216,6 +228,14 @@ import adminRouter from "./routes/admin.routes.js";
 import feedbackRouter from "./routes/feedback.routes.js";
 import qrRouter from "./routes/qr.routes.js";
 import streamRouter from "./routes/stream.routes.js";
+import draftRouter from "./routes/draft.routes.js";
+import advertisementRouter from "./routes/advertisement.routes.js";
+import apiKeyRouter from "./routes/apiKey.routes.js";
+import badgeRouter from "./routes/badge.routes.js";
+import eventRouter from "./routes/event.routes.js";
+import insightsRouter from "./routes/insights.routes.js";
+import hashtagRouter from "./routes/hashtag.routes.js";
+import subscriptionRouter from "./routes/subscription.routes.js";
 
 // Handle all preflight requests
 app.options('*', cors());
@@ -238,6 +258,14 @@ app.use("/api/v1/admin", adminRouter);
 app.use("/api/v1/feedback", feedbackRouter);
 app.use("/api/v1/qr", qrRouter);
 app.use("/api/v1/stream", streamRouter);
+app.use("/api/v1/drafts", draftRouter);
+app.use("/api/v1/ads", advertisementRouter);
+app.use("/api/v1/api-keys", apiKeyRouter);
+app.use("/api/v1/badges", badgeRouter);
+app.use("/api/v1/events", eventRouter);
+app.use("/api/v1/insights", insightsRouter);
+app.use("/api/v1/hashtags", hashtagRouter);
+app.use("/api/v1/subscriptions", subscriptionRouter);
 
 app.use(errorHandler);
 
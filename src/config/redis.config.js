@@ -152,6 +152,7 @@ export const RedisKeys = {
     postDetails: (postId) => `fn:post:${postId}:details`,
     postStats: (postId) => `fn:post:${postId}:stats`,
     trendingPosts: (location = 'global') => `fn:posts:trending:${location}`,
+    trendingHashtags: (limit = 20) => `fn:hashtags:trending:l${limit}`,
     
     // Search and exploration
     searchResults: (query, page = 1) => {
@@ -185,6 +186,7 @@ export const RedisTTL = {
     NOTIFICATIONS: 2 * 60,          // 2 minutes  
     CHAT_MESSAGES: 1 * 60,          // 1 minute
     TRENDING_POSTS: 5 * 60,         // 5 minutes
+    TRENDING_HASHTAGS: 10 * 60,     // 10 minutes
     
     // Semi-static data (medium TTL)
     USER_PROFILE: 1 * 60 * 60,      // 1 hour
@@ -3,6 +3,7 @@ import { createAdapter } from '@socket.io/redis-adapter';
 import jwt from 'jsonwebtoken';
 import { User } from '../models/user.models.js';
 import { redisPubSub, redisPublisher, redisClient } from './redis.config.js';
+import { SessionCacheManager } from '../utlis/cache.utils.js';
 import mongoose from 'mongoose';
 
 class SocketManager {
@@ -95,6 +96,10 @@ class SocketManager {
                     }
 
                     const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+                    if (decoded.sid && await SessionCacheManager.isTokenBlacklisted(decoded.sid)) {
+                        return next(new Error('Authentication error: Session revoked'));
+                    }
+
                     const user = await User.findById(decoded._id).select('-password');
 
                     if (!user) {
@@ -103,6 +108,7 @@ class SocketManager {
 
                     socket.userId = user._id.toString();
                     socket.user = user;
+                    socket.data.sessionId = decoded.sid || null; // Used to drop sockets of revoked sessions
                     next();
                 } catch (error) {
                     next(new Error('Authentication error: Invalid token'));
@@ -274,6 +280,75 @@ class SocketManager {
                 });
             });
 
+            // Reaction sent over the socket - saved and broadcast exactly like the REST reaction endpoints
+            socket.on('message_reaction', async (data, ack) => {
+                const { chatId, messageId, action, emoji } = data || {};
+                const reply = typeof ack === 'function' ? ack : () => {};
+
+                try {
+                    const { applyMessageReaction } = await import('../controllers/chat.controllers.js');
+                    const result = await applyMessageReaction(chatId, messageId, socket.user, { action, emoji });
+                    reply({ success: true, ...result });
+                } catch (error) {
+                    // ApiErrors are the same validation / access errors the REST endpoints return
+                    if (error.statusCode) {
+                        return reply({ success: false, error: error.message });
+                    }
+                    console.error('Error updating message reaction:', error);
+                    reply({ success: false, error: 'Failed to update reaction' });
+                }
+            });
+
+            // Voice note played by a recipient - persist the receipt once, then tell the chat
+            socket.on('voice_note_played', async (data, ack) => {
+                const { chatId, messageId } = data || {};
+                const reply = typeof ack === 'function' ? ack : () => {};
+
+                try {
+                    if (!mongoose.Types.ObjectId.isValid(chatId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+                        return reply({ success: false, error: 'Invalid chat or message ID' });
+                    }
+
+                    const Chat = (await import('../models/chat.models.js')).default;
+                    const Message = (await import('../models/message.models.js')).default;
+
+                    const isParticipant = await Chat.exists({ _id: chatId, participants: socket.userId });
+                    if (!isParticipant) {
+                        return reply({ success: false, error: 'Chat not found or access denied' });
+                    }
+
+                    const listenedAt = new Date();
+                    const result = await Message.updateOne(
+                        {
+                            _id: messageId,
+                            chatId,
+                            messageType: { $in: ['voice', 'audio'] },
+                            sender: { $ne: socket.userId },
+                            'listenedBy.user': { $ne: socket.userId }
+                        },
+                        { $push: { listenedBy: { user: socket.userId, listenedAt } } }
+                    );
+
+                    if (result.modifiedCount > 0) {
+                        this.io.to(`chat:${chatId}`).emit('voice_note_listened', {
+                            chatId,
+                            messageId,
+                            listenedBy: {
+                                _id: socket.userId,
+                                username: socket.user.username,
+                                fullName: socket.user.fullName
+                            },
+                            listenedAt
+                        });
+                    }
+
+                    reply({ success: true });
+                } catch (error) {
+                    console.error('Error recording voice note receipt:', error);
+                    reply({ success: false, error: 'Failed to record receipt' });
+                }
+            });
+
             // Handle online status
             socket.on('set_online_status', (status) => {
                 socket.to(`user_${socket.userId}`).emit('user_status_changed', {
@@ -422,6 +497,7 @@ class SocketManager {
 
                 try {
                     const Call = (await import('../models/call.models.js')).default;
+                    const { recordCallOutcome } = await import('../controllers/call.controllers.js');
 
                     // Find all active calls where this user is a participant
                     const activeCalls = await Call.find({
@@ -435,6 +511,7 @@ class SocketManager {
                         for (const call of activeCalls) {
                             const callId = call._id;
                             const session = await mongoose.startSession();
+                            let endedHere = false;
 
                             try {
                                 await session.withTransaction(async () => {
@@ -452,8 +529,9 @@ class SocketManager {
                                         return;
                                     }
 
-                                    // Update call status - following same pattern as endCall controller
-                                    callToUpdate.status = 'ended';
+                                    // Update call status - following same pattern as endCall controller,
+                                    // dropping out before the media connected is a failed call
+                                    callToUpdate.status = callToUpdate.status === 'active' ? 'ended' : 'failed';
                                     callToUpdate.endedAt = new Date();
                                     callToUpdate.endReason = 'network_error';
                                     callToUpdate.endedBy = userId;
@@ -465,9 +543,11 @@ class SocketManager {
                                     }
 
                                     await callToUpdate.save({ session });
+                                    endedHere = true;
                                     console.log(`✅ Ended call ${callId} due to user ${userId} disconnection`);
                                 });
                             } catch (callError) {
+                                endedHere = false;
                                 console.error(`❌ Error ending call ${callId} on disconnect:`, callError);
                                 // Continue with other calls even if one fails
                             } finally {
@@ -488,12 +568,14 @@ class SocketManager {
                                     continue;
                                 }
 
-                                // Skip notification if call is not in ended state (might have been ended by another process)
-                                if (populatedCall.status !== 'ended') {
+                                // Skip notification if the call was ended by another process
+                                if (!endedHere) {
                                     console.log(`Call ${callId} status is ${populatedCall.status}, skipping notification`);
                                     continue;
                                 }
 
+                                recordCallOutcome(await Call.findById(callId).lean(), populatedCall.status);
+
                                 // Get other participants (excluding the disconnected user)
                                 const participantIds = populatedCall.participants.map(p => p._id.toString());
                                 const otherParticipants = participantIds.filter(id => id !== userId);
@@ -603,6 +685,21 @@ class SocketManager {
         }
     }
 
+    // Add/remove users' sockets (on every PM2 process) to a chat room, e.g. when group membership changes
+    joinUsersToChat(userIds, chatId) {
+        if (!this.io) return;
+        userIds.forEach(userId => {
+            this.io.in(`user_${userId}`).socketsJoin(`chat:${chatId}`);
+        });
+    }
+
+    removeUsersFromChat(userIds, chatId) {
+        if (!this.io) return;
+        userIds.forEach(userId => {
+            this.io.in(`user_${userId}`).socketsLeave(`chat:${chatId}`);
+        });
+    }
+
     emitToUsers(userIds, event, data) {
         if (!this.io) {
             console.warn('Socket.IO not initialized, skipping emitToUsers');
@@ -257,6 +257,33 @@ class StreamService {
         }
     }
 
+    /**
+     * Add members to an existing call (late joiners in group calls)
+     * @param {string} callType - Type of call
+     * @param {string} callId - Call identifier
+     * @param {Array} members - User IDs to add
+     * @returns {Object} Update members response
+     */
+    async addCallMembers(callType, callId, members = []) {
+        if (!this.isConfigured()) {
+            throw new Error('Stream.io service not configured. Check your environment variables.');
+        }
+
+        try {
+            const call = this.client.video.call(callType, callId);
+            const response = await call.updateCallMembers({
+                update_members: members.map(userId => ({ user_id: userId }))
+            });
+
+            console.log(`👥 Added ${members.length} member(s) to Stream.io call: ${callType}:${callId}`);
+
+            return response;
+        } catch (error) {
+            console.error('❌ Error adding Stream.io call members:', error);
+            throw new Error(`Failed to add Stream.io call members: ${error.message}`);
+        }
+    }
+
     /**
      * End a call in Stream.io
      * @param {string} callType - Type of call
@@ -5,6 +5,11 @@ import Report from "../models/report.models.js";
 import Post from "../models/userPost.models.js";
 import Story from "../models/story.models.js";
 import Comment from "../models/comment.models.js";
+import Advertisement from "../models/advertisment.models.js";
+import Badge from "../models/badge.models.js";
+import UserBadge from "../models/userBadge.models.js";
+import Call from "../models/call.models.js";
+import { awardBadge } from "./badge.controllers.js";
 import { ApiError } from "../utlis/ApiError.js";
 import { ApiResponse } from "../utlis/ApiResponse.js";
 import { asyncHandler } from "../utlis/asyncHandler.js";
@@ -975,6 +980,323 @@ export const getBusinessVerificationHistory = asyncHandler(async (req, res) => {
     );
 });
 
+// ===============================
+// AD CAMPAIGN MANAGEMENT
+// ===============================
+
+// GET /api/v1/admin/ads
+export const getAdCampaigns = asyncHandler(async (req, res) => {
+    if (!req.admin.permissions.manageBusiness) {
+        throw new ApiError(403, "Insufficient permissions to manage ad campaigns");
+    }
+
+    const { page = 1, limit = 20, status = 'pending' } = req.query;
+
+    const campaignStatuses = Advertisement.schema.path('status').enumValues;
+    if (status !== 'all' && !campaignStatuses.includes(status)) {
+        throw new ApiError(400, `status must be 'all' or one of: ${campaignStatuses.join(', ')}`);
+    }
+
+    const filter = status === 'all' ? {} : { status };
+
+    const campaigns = await Advertisement.find(filter)
+        .populate('userId', 'username fullName email businessProfileId')
+        .sort({ createdAt: 1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+    const totalCampaigns = await Advertisement.countDocuments(filter);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            campaigns,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(totalCampaigns / limit),
+                totalCampaigns,
+                hasNext: page < Math.ceil(totalCampaigns / limit),
+                hasPrev: page > 1
+            }
+        }, "Ad campaigns fetched successfully")
+    );
+});
+
+// POST /api/v1/admin/ads/:adId/review
+export const reviewAdCampaign = asyncHandler(async (req, res) => {
+    if (!req.admin.permissions.manageBusiness) {
+        throw new ApiError(403, "Insufficient permissions to manage ad campaigns");
+    }
+
+    const { adId } = req.params;
+    const { status, remarks } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(adId)) {
+        throw new ApiError(400, "Invalid campaign ID format");
+    }
+
+    if (!['approved', 'rejected'].includes(status)) {
+        throw new ApiError(400, "Status must be either 'approved' or 'rejected'");
+    }
+
+    if (status === 'rejected' && !remarks) {
+        throw new ApiError(400, "Remarks are required when rejecting a campaign");
+    }
+
+    const now = new Date();
+    const update = {
+        status,
+        isActive: status === 'approved',
+        reviewedBy: req.admin._id,
+        reviewedAt: now
+    };
+    if (status === 'rejected') {
+        update.rejectionReason = { $literal: remarks };
+    } else {
+        // Campaigns whose start date has passed go live right away; the rest are started by the lifecycle job
+        update.status = {
+            $cond: [
+                {
+                    $and: [
+                        { $lte: ['$startDate', now] },
+                        { $or: [{ $eq: [{ $ifNull: ['$endDate', null] }, null] }, { $gt: ['$endDate', now] }] }
+                    ]
+                },
+                'running',
+                'approved'
+            ]
+        };
+    }
+
+    // Conditional update so two admins can't review the same campaign
+    const campaign = await Advertisement.findOneAndUpdate(
+        { _id: adId, status: 'pending' },
+        [{ $set: update }],
+        { new: true }
+    ).populate('userId', 'username fullName email');
+
+    if (!campaign) {
+        const exists = await Advertisement.exists({ _id: adId });
+        if (!exists) {
+            throw new ApiError(404, "Campaign not found");
+        }
+        throw new ApiError(400, "Campaign has already been reviewed");
+    }
+
+    // Log admin activity
+    await req.admin.logActivity(
+        `ad_campaign_${status}`,
+        'advertisement',
+        adId,
+        `Ad campaign ${status} for: ${campaign.userId?.username}${remarks ? `. Remarks: ${remarks}` : ''}`
+    );
+
+    return res.status(200).json(
+        new ApiResponse(200, { campaign }, `Campaign ${status} successfully`)
+    );
+});
+
+// ===============================
+// BADGE MANAGEMENT
+// ===============================
+
+const BADGE_RULE_METRICS = ['followersCount', 'postsCount', 'verifiedBusiness', 'accountAgeDays'];
+
+// Validate a badge rule from the request body (custom badges have no rule)
+const parseBadgeRule = (rule, type) => {
+    if (rule === undefined || rule === null) return rule;
+
+    if (type === 'custom') {
+        throw new ApiError(400, "Custom badges are granted manually and can't have a rule");
+    }
+
+    if (!BADGE_RULE_METRICS.includes(rule.metric)) {
+        throw new ApiError(400, `rule.metric must be one of: ${BADGE_RULE_METRICS.join(', ')}`);
+    }
+
+    const threshold = rule.metric === 'verifiedBusiness' ? 0 : Number(rule.threshold);
+    if (!Number.isFinite(threshold) || threshold < 0) {
+        throw new ApiError(400, "rule.threshold must be a non-negative number");
+    }
+
+    return { metric: rule.metric, threshold };
+};
+
+// GET /api/v1/admin/badges
+export const getAllBadges = asyncHandler(async (req, res) => {
+    if (!req.admin.permissions.manageUsers) {
+        throw new ApiError(403, "Insufficient permissions to manage badges");
+    }
+
+    const badges = await Badge.find({}).sort({ createdAt: -1 }).lean();
+
+    // Number of users currently holding each badge
+    const holderCounts = await UserBadge.aggregate([
+        { $match: { revokedAt: null } },
+        { $group: { _id: '$badgeId', count: { $sum: 1 } } }
+    ]);
+    const countByBadge = new Map(holderCounts.map(item => [item._id.toString(), item.count]));
+
+    return res.status(200).json(
+        new ApiResponse(200, badges.map(badge => ({
+            ...badge,
+            holdersCount: countByBadge.get(badge._id.toString()) || 0
+        })), "Badges fetched successfully")
+    );
+});
+
+// POST /api/v1/admin/badges
+export const createBadge = asyncHandler(async (req, res) => {
+    if (!req.admin.permissions.manageUsers) {
+        throw new ApiError(403, "Insufficient permissions to manage badges");
+    }
+
+    const { name, iconUrl, description, criteria, type = 'earned', rule } = req.body;
+
+    if (!name || !iconUrl) {
+        throw new ApiError(400, "name and iconUrl are required");
+    }
+
+    if (!['system', 'earned', 'custom'].includes(type)) {
+        throw new ApiError(400, "type must be one of 'system', 'earned', or 'custom'");
+    }
+
+    const existingBadge = await Badge.findOne({ name: name.trim() });
+    if (existingBadge) {
+        throw new ApiError(409, "A badge with this name already exists");
+    }
+
+    const badge = await Badge.create({
+        name,
+        iconUrl,
+        description,
+        criteria,
+        type,
+        rule: parseBadgeRule(rule, type)
+    });
+
+    // Log admin activity
+    await req.admin.logActivity(
+        'badge_created',
+        'badge',
+        badge._id.toString(),
+        `Created badge: ${badge.name}`
+    );
+
+    return res.status(201).json(
+        new ApiResponse(201, badge, "Badge created successfully")
+    );
+});
+
+// PUT /api/v1/admin/badges/:badgeId
+export const updateBadge = asyncHandler(async (req, res) => {
+    if (!req.admin.permissions.manageUsers) {
+        throw new ApiError(403, "Insufficient permissions to manage badges");
+    }
+
+    const { badgeId } = req.params;
+    const badge = await Badge.findById(badgeId);
+    if (!badge) {
+        throw new ApiError(404, "Badge not found");
+    }
+
+    const { name, iconUrl, description, criteria, isActive, rule } = req.body;
+
+    if (name !== undefined) badge.name = name;
+    if (iconUrl !== undefined) badge.iconUrl = iconUrl;
+    if (description !== undefined) badge.description = description;
+    if (criteria !== undefined) badge.criteria = criteria;
+    if (typeof isActive === 'boolean') badge.isActive = isActive;
+    if (rule !== undefined) badge.rule = parseBadgeRule(rule, badge.type);
+
+    await badge.save();
+
+    // Log admin activity
+    await req.admin.logActivity(
+        'badge_updated',
+        'badge',
+        badgeId,
+        `Updated badge: ${badge.name}`
+    );
+
+    return res.status(200).json(
+        new ApiResponse(200, badge, "Badge updated successfully")
+    );
+});
+
+// POST /api/v1/admin/users/:userId/badges/:badgeId
+export const grantBadge = asyncHandler(async (req, res) => {
+    if (!req.admin.permissions.manageUsers) {
+        throw new ApiError(403, "Insufficient permissions to manage badges");
+    }
+
+    const { userId, badgeId } = req.params;
+
+    const [user, badge] = await Promise.all([
+        User.findById(userId).select('username'),
+        Badge.findById(badgeId).lean()
+    ]);
+
+    if (!user) {
+        throw new ApiError(404, "User not found");
+    }
+    if (!badge) {
+        throw new ApiError(404, "Badge not found");
+    }
+    if (!badge.isActive) {
+        throw new ApiError(400, "Badge is not active");
+    }
+
+    const awarded = await awardBadge(user._id, badge, { adminId: req.admin._id });
+    if (!awarded) {
+        throw new ApiError(409, "User already has this badge");
+    }
+
+    // Log admin activity
+    await req.admin.logActivity(
+        'badge_granted',
+        'user',
+        userId,
+        `Granted badge "${badge.name}" to ${user.username}`
+    );
+
+    return res.status(200).json(
+        new ApiResponse(200, { userId: user._id, badgeId: badge._id }, "Badge granted successfully")
+    );
+});
+
+// DELETE /api/v1/admin/users/:userId/badges/:badgeId
+export const revokeBadge = asyncHandler(async (req, res) => {
+    if (!req.admin.permissions.manageUsers) {
+        throw new ApiError(403, "Insufficient permissions to manage badges");
+    }
+
+    const { userId, badgeId } = req.params;
+    const { reason } = req.body || {};
+
+    // Kept with revokedAt set so the evaluator doesn't award it again
+    const userBadge = await UserBadge.findOneAndUpdate(
+        { userId, badgeId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedBy: req.admin._id } },
+        { new: true }
+    );
+
+    if (!userBadge) {
+        throw new ApiError(404, "User does not have this badge");
+    }
+
+    // Log admin activity
+    await req.admin.logActivity(
+        'badge_revoked',
+        'user',
+        userId,
+        `Revoked badge ${badgeId}. Reason: ${reason || 'none'}`
+    );
+
+    return res.status(200).json(
+        new ApiResponse(200, userBadge, "Badge revoked successfully")
+    );
+});
+
 // ===============================
 // ANALYTICS & DASHBOARD
 // ===============================
@@ -1048,6 +1370,141 @@ export const getDashboardStats = asyncHandler(async (req, res) => {
     );
 });
 
+// GET /api/v1/admin/calls/quality-report?days=30
+export const getCallQualityReport = asyncHandler(async (req, res) => {
+    if (!req.admin.permissions.viewAnalytics) {
+        throw new ApiError(403, "Insufficient permissions to view analytics");
+    }
+
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    // Calls that connected or failed; failures come from the call itself, not telemetry
+    const isFailed = {
+        $or: [
+            { $eq: ["$status", "failed"] },
+            { $in: ["$endReason", ["failed", "network_error"]] }
+        ]
+    };
+
+    // Per-participant rows, since device and network differ between the people on a call.
+    // Calls without telemetry (most failures) fall back to the devices and network recorded on the call
+    const participantRows = {
+        $cond: [
+            { $gt: [{ $size: { $ifNull: ["$qualitySummary.participants", []] } }, 0] },
+            "$qualitySummary.participants",
+            [
+                { deviceType: "$metadata.initiatorDevice", connectionType: "$metadata.connectionType" },
+                { deviceType: "$metadata.receiverDevice", connectionType: "$metadata.connectionType" }
+            ]
+        ]
+    };
+
+    const breakdownBy = (field) => [
+        { $project: { isFailed: 1, participant: participantRows } },
+        { $unwind: "$participant" },
+        {
+            $group: {
+                _id: { $ifNull: [`$participant.${field}`, "unknown"] },
+                participants: { $sum: 1 },
+                failed: { $sum: { $cond: ["$isFailed", 1, 0] } },
+                poorQuality: { $sum: { $cond: [{ $eq: ["$participant.rating", "poor"] }, 1, 0] } },
+                avgPacketLoss: { $avg: "$participant.avgPacketLoss" },
+                avgJitter: { $avg: "$participant.avgJitter" },
+                avgRtt: { $avg: "$participant.avgRtt" }
+            }
+        },
+        { $sort: { participants: -1 } }
+    ];
+
+    const [report] = await Call.aggregate([
+        {
+            $match: {
+                initiatedAt: { $gte: since },
+                status: { $in: ["ended", "failed"] }
+            }
+        },
+        { $addFields: { isFailed } },
+        {
+            $facet: {
+                overview: [
+                    {
+                        $group: {
+                            _id: null,
+                            totalCalls: { $sum: 1 },
+                            failedCalls: { $sum: { $cond: ["$isFailed", 1, 0] } },
+                            callsWithTelemetry: { $sum: { $cond: [{ $gt: ["$qualitySummary.sampleCount", 0] }, 1, 0] } },
+                            avgDuration: { $avg: "$duration" },
+                            avgPacketLoss: { $avg: "$qualitySummary.avgPacketLoss" },
+                            avgJitter: { $avg: "$qualitySummary.avgJitter" },
+                            avgRtt: { $avg: "$qualitySummary.avgRtt" },
+                            avgBitrate: { $avg: "$qualitySummary.avgBitrate" }
+                        }
+                    }
+                ],
+                ratings: [
+                    { $group: { _id: { $ifNull: ["$qualitySummary.rating", "unrated"] }, count: { $sum: 1 } } },
+                    { $sort: { count: -1 } }
+                ],
+                byCallType: [
+                    {
+                        $group: {
+                            _id: { callType: "$callType", isGroupCall: { $ifNull: ["$isGroupCall", false] } },
+                            calls: { $sum: 1 },
+                            failed: { $sum: { $cond: ["$isFailed", 1, 0] } }
+                        }
+                    },
+                    { $sort: { calls: -1 } }
+                ],
+                byDevice: breakdownBy("deviceType"),
+                byNetwork: breakdownBy("connectionType")
+            }
+        }
+    ]);
+
+    const rate = (part, total) => total ? Math.round((part / total) * 10000) / 100 : 0;
+    const round = (value) => value == null ? null : Math.round(value * 100) / 100;
+
+    const overview = report.overview[0] || { totalCalls: 0, failedCalls: 0, callsWithTelemetry: 0 };
+    const formatBreakdown = (rows, keyName) => rows.map(row => ({
+        [keyName]: row._id,
+        participants: row.participants,
+        failed: row.failed,
+        failureRate: rate(row.failed, row.participants),
+        poorQualityRate: rate(row.poorQuality, row.participants),
+        avgPacketLoss: round(row.avgPacketLoss),
+        avgJitter: round(row.avgJitter),
+        avgRtt: round(row.avgRtt)
+    }));
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            period: { days, since },
+            overview: {
+                totalCalls: overview.totalCalls,
+                failedCalls: overview.failedCalls,
+                failureRate: rate(overview.failedCalls, overview.totalCalls),
+                callsWithTelemetry: overview.callsWithTelemetry,
+                avgDuration: round(overview.avgDuration),
+                avgPacketLoss: round(overview.avgPacketLoss),
+                avgJitter: round(overview.avgJitter),
+                avgRtt: round(overview.avgRtt),
+                avgBitrate: round(overview.avgBitrate)
+            },
+            ratings: report.ratings.map(row => ({ rating: row._id, count: row.count })),
+            byCallType: report.byCallType.map(row => ({
+                callType: row._id.callType,
+                isGroupCall: row._id.isGroupCall,
+                calls: row.calls,
+                failed: row.failed,
+                failureRate: rate(row.failed, row.calls)
+            })),
+            byDevice: formatBreakdown(report.byDevice, "deviceType"),
+            byNetwork: formatBreakdown(report.byNetwork, "connectionType")
+        }, "Call quality report fetched successfully")
+    );
+});
+
 // GET /api/v1/admin/activity-log
 export const getAdminActivityLog = asyncHandler(async (req, res) => {
     const { page = 1, limit = 50 } = req.query;
@@ -0,0 +1,460 @@
+import mongoose from "mongoose";
+import Advertisement from "../models/advertisment.models.js";
+import Business from "../models/business.models.js";
+import { asyncHandler } from "../utlis/asyncHandler.js";
+import { ApiError } from "../utlis/ApiError.js";
+import { ApiResponse } from "../utlis/ApiResponse.js";
+import { uploadBufferToBunny } from "../utlis/bunny.js";
+import { redisClient } from "../config/redis.config.js";
+
+const AD_LIFECYCLE_CHECK_INTERVAL_SECONDS = 60; // Start/complete campaigns every minute
+const AD_SLOT_INTERVAL = 5; // One ad after every 5 organic items
+const AD_CANDIDATE_SAMPLE_SIZE = 20;
+const AD_CLICK_DEDUPE_SECONDS = 24 * 60 * 60; // A viewer is charged once per ad per day
+const MIN_AD_BUDGET = 100;
+
+// ===============================
+// HELPERS
+// ===============================
+
+// Multipart requests send objects/arrays as JSON strings
+const parseJSONField = (value, fieldName) => {
+    if (typeof value !== "string") return value;
+    try {
+        return JSON.parse(value);
+    } catch {
+        throw new ApiError(400, `${fieldName} must be valid JSON`);
+    }
+};
+
+const parseOptionalDate = (value, fieldName) => {
+    if (value === undefined || value === null || value === "") return undefined;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new ApiError(400, `Invalid ${fieldName} format`);
+    }
+    return date;
+};
+
+// Validate and normalise targetAudience from the request body
+const parseTargetAudience = (raw) => {
+    const targetAudience = parseJSONField(raw, "targetAudience") || {};
+    const result = {};
+
+    if (targetAudience.gender !== undefined) {
+        if (!["male", "female", "any"].includes(targetAudience.gender)) {
+            throw new ApiError(400, "targetAudience.gender must be one of 'male', 'female', or 'any'");
+        }
+        result.gender = targetAudience.gender;
+    }
+
+    if (targetAudience.ageRange !== undefined) {
+        const [minAge, maxAge] = Array.isArray(targetAudience.ageRange)
+            ? targetAudience.ageRange.map(Number)
+            : [];
+        if (!Number.isInteger(minAge) || !Number.isInteger(maxAge) || minAge < 13 || minAge > maxAge) {
+            throw new ApiError(400, "targetAudience.ageRange must be [minAge, maxAge] with 13 <= minAge <= maxAge");
+        }
+        result.ageRange = [minAge, maxAge];
+    }
+
+    if (targetAudience.locations !== undefined) {
+        if (!Array.isArray(targetAudience.locations)) {
+            throw new ApiError(400, "targetAudience.locations must be an array");
+        }
+        result.locations = targetAudience.locations
+            .map(location => String(location).trim())
+            .filter(Boolean);
+    }
+
+    return result;
+};
+
+// Only business accounts can run campaigns
+const requireBusinessAccount = async (user) => {
+    if (!user?.isBusinessProfile) {
+        throw new ApiError(403, "Only business accounts can manage ad campaigns");
+    }
+
+    const business = await Business.findOne({ userId: user._id }).select("_id businessName logoUrl").lean();
+    if (!business) {
+        throw new ApiError(404, "Business profile not found");
+    }
+
+    return business;
+};
+
+// Load a campaign and make sure the current user owns it
+const findOwnedCampaign = async (adId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(adId)) {
+        throw new ApiError(400, "Invalid campaign ID format");
+    }
+
+    const ad = await Advertisement.findOne({ _id: adId, userId });
+    if (!ad) throw new ApiError(404, "Campaign not found");
+
+    return ad;
+};
+
+const getViewerAge = (dateOfBirth) => {
+    if (!dateOfBirth) return null;
+    const dob = new Date(dateOfBirth);
+    if (isNaN(dob.getTime())) return null;
+
+    const now = new Date();
+    let age = now.getFullYear() - dob.getFullYear();
+    const monthDiff = now.getMonth() - dob.getMonth();
+    if (monthDiff < 0 || (monthDiff === 0 && now.getDate() < dob.getDate())) age--;
+    return age;
+};
+
+// Location targeting: no locations means everywhere, otherwise the viewer's location must mention one
+const matchesLocationTargeting = (ad, viewerLocation) => {
+    const locations = ad.targetAudience?.locations || [];
+    if (locations.length === 0) return true;
+    if (!viewerLocation) return false;
+
+    const normalised = viewerLocation.toLowerCase();
+    return locations.some(location => normalised.includes(location.toLowerCase()));
+};
+
+// Atomically record an impression/click, debit the budget and complete the campaign when it runs out
+const recordAdEvent = async (adId, event) => {
+    const counterField = event === "click" ? "clicks" : "impressions";
+    const costField = event === "click" ? "$costPerClick" : "$costPerImpression";
+    const newSpent = { $add: [{ $ifNull: ["$spent", 0] }, costField] };
+    const now = new Date();
+
+    return Advertisement.findOneAndUpdate(
+        { _id: adId, status: "running" },
+        [{
+            $set: {
+                [counterField]: { $add: [{ $ifNull: [`$${counterField}`, 0] }, 1] },
+                spent: newSpent,
+                status: { $cond: [{ $gte: [newSpent, "$budget"] }, "completed", "$status"] },
+                isActive: { $cond: [{ $gte: [newSpent, "$budget"] }, false, "$isActive"] },
+                completedAt: { $cond: [{ $gte: [newSpent, "$budget"] }, now, "$completedAt"] }
+            }
+        }],
+        { new: true }
+    );
+};
+
+// Public shape of an ad inside a feed
+const formatAdSlot = (ad) => ({
+    isAd: true,
+    ad: {
+        _id: ad._id,
+        mediaUrl: ad.mediaUrl,
+        mediaType: ad.mediaType || "image",
+        thumbnailUrl: ad.thumbnailUrl,
+        caption: ad.caption,
+        link: ad.link,
+        advertiser: ad.advertiser
+    }
+});
+
+// Pick running campaigns that target this viewer
+export const selectTargetedAds = async (viewer, count, blockedUsers = []) => {
+    if (count <= 0) return [];
+
+    const now = new Date();
+    const age = getViewerAge(viewer?.dateOfBirth);
+
+    const match = {
+        status: "running",
+        startDate: { $lte: now },
+        $and: [
+            { $or: [{ endDate: null }, { endDate: { $gt: now } }] },
+            { $expr: { $lt: [{ $ifNull: ["$spent", 0] }, "$budget"] } }
+        ],
+        userId: {
+            $nin: blockedUsers.map(id => typeof id === "string" ? new mongoose.Types.ObjectId(id) : id)
+        },
+        "targetAudience.gender": viewer?.gender && viewer.gender !== "other"
+            ? { $in: ["any", viewer.gender] }
+            : "any"
+    };
+
+    // Viewers without a date of birth are not excluded by age targeting
+    if (age !== null) {
+        match["targetAudience.ageRange.0"] = { $lte: age };
+        match["targetAudience.ageRange.1"] = { $gte: age };
+    }
+
+    const candidates = await Advertisement.aggregate([
+        { $match: match },
+        { $sample: { size: AD_CANDIDATE_SAMPLE_SIZE } },
+        {
+            $lookup: {
+                from: "users",
+                localField: "userId",
+                foreignField: "_id",
+                as: "advertiser",
+                pipeline: [
+                    { $project: { username: 1, fullName: 1, profileImageUrl: 1, isVerified: 1 } }
+                ]
+            }
+        },
+        { $unwind: "$advertiser" }
+    ]);
+
+    return candidates
+        .filter(ad => matchesLocationTargeting(ad, viewer?.location))
+        .slice(0, count);
+};
+
+// Interleave ad slots into a list of feed items and record their impressions.
+// Never throws - a feed without ads is better than a failed feed.
+export const injectAdSlots = async (items, viewer, blockedUsers = []) => {
+    try {
+        if (!Array.isArray(items) || items.length === 0) return items;
+
+        const slotCount = Math.floor(items.length / AD_SLOT_INTERVAL);
+        const ads = await selectTargetedAds(viewer, slotCount, blockedUsers);
+        if (ads.length === 0) return items;
+
+        const served = [];
+        for (const ad of ads) {
+            const updated = await recordAdEvent(ad._id, "impression");
+            if (updated) served.push(ad);
+        }
+
+        const result = [];
+        let adIndex = 0;
+        items.forEach((item, index) => {
+            result.push(item);
+            if ((index + 1) % AD_SLOT_INTERVAL === 0 && adIndex < served.length) {
+                result.push(formatAdSlot(served[adIndex++]));
+            }
+        });
+
+        return result;
+    } catch (error) {
+        console.error("Error injecting ad slots:", error);
+        return items;
+    }
+};
+
+// Background job: start approved campaigns and complete finished ones
+const updateCampaignLifecycle = async () => {
+    try {
+        const now = new Date();
+
+        // Approved campaigns whose start date has arrived go live
+        const started = await Advertisement.updateMany(
+            {
+                status: "approved",
+                startDate: { $lte: now },
+                $or: [{ endDate: null }, { endDate: { $gt: now } }]
+            },
+            { $set: { status: "running", isActive: true } }
+        );
+
+        // Campaigns past their end date or out of budget are completed
+        const completed = await Advertisement.updateMany(
+            {
+                status: { $in: ["approved", "running", "paused"] },
+                $or: [
+                    { endDate: { $lte: now } },
+                    { $expr: { $gte: [{ $ifNull: ["$spent", 0] }, "$budget"] } }
+                ]
+            },
+            { $set: { status: "completed", isActive: false, completedAt: now } }
+        );
+
+        if (started.modifiedCount > 0 || completed.modifiedCount > 0) {
+            console.log(`📢 Ad campaigns: ${started.modifiedCount} started, ${completed.modifiedCount} completed`);
+        }
+    } catch (error) {
+        console.error("❌ Error updating ad campaign lifecycle:", error);
+    }
+};
+
+// Start campaign lifecycle job
+setInterval(updateCampaignLifecycle, AD_LIFECYCLE_CHECK_INTERVAL_SECONDS * 1000);
+
+// ===============================
+// BUSINESS CAMPAIGN ROUTES
+// ===============================
+
+// POST /api/v1/ads
+export const createCampaign = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    await requireBusinessAccount(req.user);
+
+    const { caption, link } = req.body;
+    const budget = Number(req.body.budget);
+
+    if (!req.file) throw new ApiError(400, "Ad media file is required");
+    if (!link) throw new ApiError(400, "link is required");
+    if (!Number.isFinite(budget) || budget < MIN_AD_BUDGET) {
+        throw new ApiError(400, `budget must be a number of at least ${MIN_AD_BUDGET}`);
+    }
+
+    const startDate = parseOptionalDate(req.body.startDate, "startDate") || new Date();
+    const endDate = parseOptionalDate(req.body.endDate, "endDate");
+    if (endDate && endDate <= startDate) {
+        throw new ApiError(400, "endDate must be after startDate");
+    }
+    if (endDate && endDate <= new Date()) {
+        throw new ApiError(400, "endDate must be in the future");
+    }
+
+    const targetAudience = parseTargetAudience(req.body.targetAudience);
+
+    let uploadResult;
+    try {
+        uploadResult = await uploadBufferToBunny(req.file.buffer, "ads", req.file.originalname);
+    } catch (error) {
+        console.error("Bunny.net ad media upload error:", error);
+        throw new ApiError(500, "Bunny.net upload failed");
+    }
+
+    const ad = await Advertisement.create({
+        userId,
+        mediaUrl: uploadResult.secure_url,
+        mediaType: uploadResult.resource_type === "video" ? "video" : "image",
+        thumbnailUrl: uploadResult.thumbnailUrl,
+        caption,
+        link,
+        budget,
+        targetAudience,
+        startDate,
+        endDate,
+        status: "pending"
+    });
+
+    return res.status(201).json(new ApiResponse(201, ad, "Campaign submitted for review"));
+});
+
+// GET /api/v1/ads
+export const getMyCampaigns = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    const { status } = req.query;
+    const page = parseInt(req.query.page) > 0 ? parseInt(req.query.page) : 1;
+    const limit = parseInt(req.query.limit) > 0 ? Math.min(parseInt(req.query.limit), 50) : 20;
+
+    const filter = { userId };
+    if (status) filter.status = status;
+
+    const [campaigns, total] = await Promise.all([
+        Advertisement.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .select("-reviewedBy")
+            .lean(),
+        Advertisement.countDocuments(filter)
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            campaigns: campaigns.map(campaign => ({
+                ...campaign,
+                remainingBudget: Math.max(campaign.budget - (campaign.spent || 0), 0),
+                clickThroughRate: campaign.impressions > 0
+                    ? Number(((campaign.clicks / campaign.impressions) * 100).toFixed(2))
+                    : 0
+            })),
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalCampaigns: total,
+                hasNextPage: page * limit < total,
+                hasPrevPage: page > 1,
+                limit
+            }
+        }, "Campaigns fetched successfully")
+    );
+});
+
+// GET /api/v1/ads/:adId
+export const getCampaignById = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    const ad = await findOwnedCampaign(req.params.adId, userId);
+
+    return res.status(200).json(new ApiResponse(200, ad, "Campaign fetched successfully"));
+});
+
+// PATCH /api/v1/ads/:adId/pause
+export const pauseCampaign = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    await findOwnedCampaign(req.params.adId, userId);
+
+    const ad = await Advertisement.findOneAndUpdate(
+        { _id: req.params.adId, userId, status: { $in: ["approved", "running"] } },
+        { $set: { status: "paused", isActive: false } },
+        { new: true }
+    );
+
+    if (!ad) throw new ApiError(409, "Only approved or running campaigns can be paused");
+
+    return res.status(200).json(new ApiResponse(200, ad, "Campaign paused successfully"));
+});
+
+// PATCH /api/v1/ads/:adId/resume
+export const resumeCampaign = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    const existing = await findOwnedCampaign(req.params.adId, userId);
+
+    if (existing.status !== "paused") {
+        throw new ApiError(409, "Only paused campaigns can be resumed");
+    }
+    if (existing.endDate && existing.endDate <= new Date()) {
+        throw new ApiError(409, "Campaign has already ended");
+    }
+    if ((existing.spent || 0) >= existing.budget) {
+        throw new ApiError(409, "Campaign budget is exhausted");
+    }
+
+    // Campaigns that have not started yet go back to approved and are started by the lifecycle job
+    const nextStatus = existing.startDate <= new Date() ? "running" : "approved";
+
+    const ad = await Advertisement.findOneAndUpdate(
+        { _id: existing._id, userId, status: "paused" },
+        { $set: { status: nextStatus, isActive: true } },
+        { new: true }
+    );
+
+    if (!ad) throw new ApiError(409, "Only paused campaigns can be resumed");
+
+    return res.status(200).json(new ApiResponse(200, ad, "Campaign resumed successfully"));
+});
+
+// POST /api/v1/ads/:adId/click
+export const trackAdClick = asyncHandler(async (req, res) => {
+    const { adId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(adId)) {
+        throw new ApiError(400, "Invalid campaign ID format");
+    }
+
+    const ad = await Advertisement.findById(adId).select("link status").lean();
+    if (!ad) throw new ApiError(404, "Campaign not found");
+
+    // Only charge the first click per viewer per day
+    const viewerKey = req.user?._id?.toString() || req.ip;
+    let isFirstClick = true;
+    try {
+        const result = await redisClient.set(`ad:click:${adId}:${viewerKey}`, "1", "EX", AD_CLICK_DEDUPE_SECONDS, "NX");
+        isFirstClick = result === "OK";
+    } catch (error) {
+        console.error("Ad click dedupe error:", error);
+    }
+
+    if (isFirstClick && ad.status === "running") {
+        await recordAdEvent(ad._id, "click");
+    }
+
+    return res.status(200).json(new ApiResponse(200, { link: ad.link }, "Click recorded"));
+});
@@ -0,0 +1,164 @@
+import mongoose from "mongoose";
+import ApiKey, { API_KEY_SCOPES } from "../models/apikey.models.js";
+import { asyncHandler } from "../utlis/asyncHandler.js";
+import { ApiError } from "../utlis/ApiError.js";
+import { ApiResponse } from "../utlis/ApiResponse.js";
+import { generateApiKey } from "../utlis/apiKey.utils.js";
+
+const MAX_ACTIVE_KEYS_PER_USER = 10;
+const MAX_KEY_LIFETIME_DAYS = 365;
+
+// Never send the key hash back to the client
+const API_KEY_PUBLIC_FIELDS = "-key";
+
+const toPublicKey = (apiKey) => {
+    const { key, ...rest } = apiKey.toObject ? apiKey.toObject() : apiKey;
+    return rest;
+};
+
+const validatePermissions = (permissions) => {
+    if (permissions === undefined) return undefined;
+
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+        throw new ApiError(400, "permissions must be a non-empty array");
+    }
+
+    const invalid = permissions.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (invalid.length > 0) {
+        throw new ApiError(400, `Invalid permissions: ${invalid.join(", ")}. Allowed: ${API_KEY_SCOPES.join(", ")}`);
+    }
+
+    return [...new Set(permissions)];
+};
+
+const resolveExpiry = (expiresInDays) => {
+    if (expiresInDays === undefined || expiresInDays === null) return undefined;
+
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_KEY_LIFETIME_DAYS) {
+        throw new ApiError(400, `expiresInDays must be a whole number between 1 and ${MAX_KEY_LIFETIME_DAYS}`);
+    }
+
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// Load an active key and make sure the current user owns it
+const findOwnedActiveKey = async (keyId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(keyId)) {
+        throw new ApiError(400, "Invalid API key ID format");
+    }
+
+    const apiKey = await ApiKey.findOne({ _id: keyId, userId });
+    if (!apiKey) throw new ApiError(404, "API key not found");
+    if (!apiKey.isActive) throw new ApiError(409, "API key has been revoked");
+
+    return apiKey;
+};
+
+// POST /api/v1/api-keys
+export const createApiKey = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    const { label, expiresInDays } = req.body;
+    const permissions = validatePermissions(req.body.permissions);
+    const expiresAt = resolveExpiry(expiresInDays);
+
+    const activeKeys = await ApiKey.countDocuments({ userId, isActive: true });
+    if (activeKeys >= MAX_ACTIVE_KEYS_PER_USER) {
+        throw new ApiError(400, `You can have at most ${MAX_ACTIVE_KEYS_PER_USER} active API keys`);
+    }
+
+    const { rawKey, hashedKey, prefix } = generateApiKey();
+
+    const apiKey = await ApiKey.create({
+        key: hashedKey,
+        prefix,
+        userId,
+        label,
+        ...(permissions ? { permissions } : {}),
+        expiresAt
+    });
+
+    return res.status(201).json(
+        new ApiResponse(201, {
+            apiKey: toPublicKey(apiKey),
+            key: rawKey
+        }, "API key created successfully. Store it now - it will not be shown again")
+    );
+});
+
+// GET /api/v1/api-keys
+export const getApiKeys = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    const includeRevoked = req.query.includeRevoked === "true";
+    const filter = includeRevoked ? { userId } : { userId, isActive: true };
+
+    const apiKeys = await ApiKey.find(filter)
+        .select(API_KEY_PUBLIC_FIELDS)
+        .sort({ createdAt: -1 })
+        .lean();
+
+    const now = new Date();
+    return res.status(200).json(
+        new ApiResponse(200, {
+            apiKeys: apiKeys.map(apiKey => ({
+                ...apiKey,
+                isExpired: !!apiKey.expiresAt && apiKey.expiresAt <= now
+            })),
+            total: apiKeys.length
+        }, "API keys fetched successfully")
+    );
+});
+
+// POST /api/v1/api-keys/:keyId/rotate
+export const rotateApiKey = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    const existing = await findOwnedActiveKey(req.params.keyId, userId);
+    const { rawKey, hashedKey, prefix } = generateApiKey();
+
+    // Keep the same id, label and permissions - only the secret changes
+    const apiKey = await ApiKey.findOneAndUpdate(
+        { _id: existing._id, userId, isActive: true },
+        {
+            $set: {
+                key: hashedKey,
+                prefix,
+                rotatedAt: new Date(),
+                ...(req.body?.expiresInDays !== undefined ? { expiresAt: resolveExpiry(req.body.expiresInDays) } : {})
+            }
+        },
+        { new: true }
+    );
+
+    if (!apiKey) throw new ApiError(409, "API key has been revoked");
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            apiKey: toPublicKey(apiKey),
+            key: rawKey
+        }, "API key rotated successfully. Store it now - it will not be shown again")
+    );
+});
+
+// DELETE /api/v1/api-keys/:keyId
+export const revokeApiKey = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    const existing = await findOwnedActiveKey(req.params.keyId, userId);
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+        { _id: existing._id, userId, isActive: true },
+        { $set: { isActive: false, revokedAt: new Date() } },
+        { new: true }
+    ).select(API_KEY_PUBLIC_FIELDS);
+
+    if (!apiKey) throw new ApiError(409, "API key has already been revoked");
+
+    return res.status(200).json(new ApiResponse(200, apiKey, "API key revoked successfully"));
+});
@@ -0,0 +1,188 @@
+import Badge from "../models/badge.models.js";
+import UserBadge from "../models/userBadge.models.js";
+import Follower from "../models/follower.models.js";
+import Post from "../models/userPost.models.js";
+import Business from "../models/business.models.js";
+import { User } from "../models/user.models.js";
+import { asyncHandler } from "../utlis/asyncHandler.js";
+import { ApiResponse } from "../utlis/ApiResponse.js";
+import { createBadgeNotification } from "./notification.controllers.js";
+
+const BADGE_EVALUATION_INTERVAL_MINUTES = 30;
+const BADGE_AWARD_BATCH_SIZE = 500; // Max users awarded per badge per run
+
+// Pipeline stages that drop users who already hold (or had revoked) the badge
+const excludeExistingHolders = (badgeId) => [
+    {
+        $lookup: {
+            from: "userbadges",
+            let: { uid: "$_id" },
+            pipeline: [
+                {
+                    $match: {
+                        $expr: {
+                            $and: [
+                                { $eq: ["$userId", "$$uid"] },
+                                { $eq: ["$badgeId", badgeId] }
+                            ]
+                        }
+                    }
+                },
+                { $limit: 1 }
+            ],
+            as: "existingBadge"
+        }
+    },
+    { $match: { existingBadge: { $size: 0 } } },
+    { $limit: BADGE_AWARD_BATCH_SIZE },
+    { $project: { _id: 1 } }
+];
+
+// Find user IDs that meet a badge rule but don't hold the badge yet
+const findEligibleUserIds = async (badge) => {
+    const { metric, threshold = 0 } = badge.rule || {};
+    const tail = excludeExistingHolders(badge._id);
+    let results = [];
+
+    switch (metric) {
+        case "followersCount":
+            results = await Follower.aggregate([
+                { $group: { _id: "$userId", count: { $sum: 1 } } },
+                { $match: { count: { $gte: threshold } } },
+                ...tail
+            ]);
+            break;
+        case "postsCount":
+            results = await Post.aggregate([
+                { $match: { status: { $nin: ["scheduled", "draft"] } } },
+                { $group: { _id: "$userId", count: { $sum: 1 } } },
+                { $match: { count: { $gte: threshold } } },
+                ...tail
+            ]);
+            break;
+        case "verifiedBusiness":
+            results = await Business.aggregate([
+                { $match: { isVerified: true } },
+                { $group: { _id: "$userId" } },
+                ...tail
+            ]);
+            break;
+        case "accountAgeDays": {
+            const cutoff = new Date(Date.now() - threshold * 24 * 60 * 60 * 1000);
+            results = await User.aggregate([
+                { $match: { createdAt: { $lte: cutoff } } },
+                ...tail
+            ]);
+            break;
+        }
+        default:
+            return [];
+    }
+
+    return results.map(result => result._id).filter(Boolean);
+};
+
+/**
+ * Award a badge to a user and notify them
+ * Automatic awards never override an existing (or revoked) award; manual grants reinstate revoked ones
+ * @returns {Promise<boolean>} true if the user received the badge now
+ */
+export const awardBadge = async (userId, badge, { adminId = null } = {}) => {
+    const now = new Date();
+    let awarded = false;
+
+    if (adminId) {
+        const result = await UserBadge.updateOne(
+            { userId, badgeId: badge._id, revokedAt: { $ne: null } },
+            { $set: { revokedAt: null, revokedBy: null, source: "manual", awardedAt: now, awardedBy: adminId } }
+        );
+        awarded = result.modifiedCount > 0;
+    }
+
+    if (!awarded) {
+        // Upsert so two PM2 instances can't award the same badge twice
+        const result = await UserBadge.updateOne(
+            { userId, badgeId: badge._id },
+            {
+                $setOnInsert: {
+                    userId,
+                    badgeId: badge._id,
+                    source: adminId ? "manual" : "automatic",
+                    awardedAt: now,
+                    awardedBy: adminId
+                }
+            },
+            { upsert: true }
+        );
+        awarded = result.upsertedCount > 0;
+    }
+
+    if (awarded) {
+        try {
+            await createBadgeNotification({ recipientId: userId, badge });
+        } catch (error) {
+            // Don't fail the award if the notification fails
+            console.error(`Error sending badge notification to ${userId}:`, error);
+        }
+    }
+
+    return awarded;
+};
+
+// Active, non-revoked badges for profile responses
+export const getUserBadges = async (userId) => {
+    const userBadges = await UserBadge.find({ userId, revokedAt: null })
+        .populate("badgeId", "name iconUrl description type isActive")
+        .sort({ awardedAt: -1 })
+        .lean();
+
+    return userBadges
+        .filter(userBadge => userBadge.badgeId?.isActive)
+        .map(userBadge => ({
+            _id: userBadge.badgeId._id,
+            name: userBadge.badgeId.name,
+            iconUrl: userBadge.badgeId.iconUrl,
+            description: userBadge.badgeId.description,
+            type: userBadge.badgeId.type,
+            awardedAt: userBadge.awardedAt
+        }));
+};
+
+// Background job: award badges whose rules users now meet
+const evaluateBadgeRules = async () => {
+    try {
+        const badges = await Badge.find({
+            isActive: true,
+            type: { $ne: "custom" },
+            "rule.metric": { $exists: true, $ne: null }
+        }).lean();
+
+        let awardedCount = 0;
+
+        for (const badge of badges) {
+            const userIds = await findEligibleUserIds(badge);
+            for (const userId of userIds) {
+                if (await awardBadge(userId, badge)) awardedCount++;
+            }
+        }
+
+        if (awardedCount > 0) {
+            console.log(`🏅 Awarded ${awardedCount} badge(s)`);
+        }
+    } catch (error) {
+        console.error("❌ Error evaluating badge rules:", error);
+    }
+};
+
+// Start badge evaluator
+setInterval(evaluateBadgeRules, BADGE_EVALUATION_INTERVAL_MINUTES * 60 * 1000);
+
+// GET /api/v1/badges - catalog of active badges
+export const getBadges = asyncHandler(async (req, res) => {
+    const badges = await Badge.find({ isActive: true })
+        .select("name iconUrl description criteria type")
+        .sort({ createdAt: 1 })
+        .lean();
+
+    return res.status(200).json(new ApiResponse(200, badges, "Badges fetched successfully"));
+});
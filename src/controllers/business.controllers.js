@@ -7,6 +7,9 @@ import { ApiResponse } from "../utlis/ApiResponse.js";
 import { asyncHandler } from "../utlis/asyncHandler.js";
 import { getCoordinates } from "../utlis/getCoordinates.js";
 import mongoose from "mongoose";
+import Subscription from "../models/subscription.models.js";
+import { startPlanCheckout } from "./subscription.controllers.js";
+import { getEffectivePlan, getPlanLimits } from "../utlis/subscriptionPlans.js";
 
 // Predefined business categories
 const BUSINESS_CATEGORIES = [
@@ -210,7 +213,8 @@ export const createBusinessProfile = asyncHandler(async (req, res) => {
                         type: "Point",
                         coordinates: [coords.longitude, coords.latitude]
                     };
-                    resolvedLocation.isLiveLocationEnabled = true;
+                    // Live location is a paid-plan feature
+                    resolvedLocation.isLiveLocationEnabled = getPlanLimits(getEffectivePlan(existingBusiness)).liveLocation;
                     resolvedLocation.lastLocationUpdate = new Date();
                 }
             } catch (error) {
@@ -320,6 +324,21 @@ export const deleteBusinessProfile = asyncHandler(async (req, res) => {
         contentType: 'business'
     });
 
+    // Stop billing for the business being deleted
+    await Subscription.updateOne(
+        { userId, status: { $in: ['pending', 'active', 'past_due'] } },
+        {
+            $set: {
+                status: 'cancelled',
+                autoRenew: false,
+                cancelledAt: new Date(),
+                expiredAt: new Date(),
+                nextRenewalAttemptAt: null,
+                checkout: { checkoutId: null, plan: null, startedAt: null }
+            }
+        }
+    );
+
     // Delete the business profile
     await Business.deleteOne({ userId });
 
@@ -410,27 +429,8 @@ export const selectBusinessPlan = asyncHandler(async (req, res) => {
         throw new ApiError(400, errorMessage);
     }
 
-    // Set subscriptionStatus: 'active' for all plans
-    let subscriptionStatus = 'active';
-
-    // Store the old plan before updating
-    const previousPlan = currentPlan;
-
-    business.plan = plan;
-    business.subscriptionStatus = subscriptionStatus;
-    await business.save();
-
-    // Calculate allowed upgrades from the NEW plan
-    let newAllowedUpgrades = [];
-    if (plan === 'plan1') {
-        newAllowedUpgrades = ['plan2', 'plan3', 'plan4'];
-    } else if (plan === 'plan2') {
-        newAllowedUpgrades = ['plan3', 'plan4'];
-    } else if (plan === 'plan3') {
-        newAllowedUpgrades = ['plan4'];
-    } else if (plan === 'plan4') {
-        newAllowedUpgrades = [];
-    }
+    // Paid plans activate only after the payment provider confirms the checkout
+    const checkout = await startPlanCheckout(user, business, plan);
 
     // Remove 'rating' from the business object in the response
     const businessObj = business.toObject();
@@ -441,9 +441,10 @@ export const selectBusinessPlan = asyncHandler(async (req, res) => {
             business: businessObj,
             plan: business.plan,
             subscriptionStatus: business.subscriptionStatus,
-            allowedUpgrades: newAllowedUpgrades,
-            previousPlan: previousPlan
-        }, 'Plan selected successfully')
+            allowedUpgrades,
+            previousPlan: currentPlan,
+            checkout
+        }, 'Checkout started. Your plan will be activated once payment is confirmed')
     );
 });
 
@@ -631,7 +632,8 @@ export const updateBusinessProfile = asyncHandler(async (req, res) => {
                             type: "Point",
                             coordinates: [coords.longitude, coords.latitude]
                         };
-                        resolvedLocation.isLiveLocationEnabled = true;
+                        // Live location is a paid-plan feature
+                        resolvedLocation.isLiveLocationEnabled = getPlanLimits(getEffectivePlan(business)).liveLocation;
                         resolvedLocation.lastLocationUpdate = new Date();
                     }
                 } catch (error) {
@@ -810,6 +812,10 @@ export const toggleLiveLocation = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Business profile not found");
     }
 
+    if (enabled && !getPlanLimits(getEffectivePlan(business)).liveLocation) {
+        throw new ApiError(403, "Live location is not included in your plan. Upgrade your plan to use it.");
+    }
+
     // Initialize location if it doesn't exist
     if (!business.location) {
         business.location = {};
@@ -1,6 +1,7 @@
 import Call from '../models/call.models.js';
 import Chat from '../models/chat.models.js';
-import Message from '../models/message.models.js';
+import CallQualitySample from '../models/callQuality.models.js';
+import ScheduledCall from '../models/scheduledCall.models.js';
 import { User } from '../models/user.models.js';
 import { ApiError } from '../utlis/ApiError.js';
 import { ApiResponse } from '../utlis/ApiResponse.js';
@@ -8,10 +9,15 @@ import { asyncHandler } from '../utlis/asyncHandler.js';
 import socketManager from '../config/socket.js';
 import mongoose from 'mongoose';
 import { sendNotification } from '../config/firebase-admin.config.js';
+import { postCallSummaryMessage } from './chat.controllers.js';
+import { createMissedCallNotifications } from './notification.controllers.js';
+import { sendPushAndFCMNotification } from './pushNotification.controllers.js';
+import { getDeviceInfo } from '../utlis/session.utils.js';
 
 // Constants for call management
 const CALL_TIMEOUT_MINUTES = 2; // Calls timeout after 2 minutes if not answered
 const CLEANUP_INTERVAL_MINUTES = 5; // Run cleanup every 5 minutes
+const FAILURE_END_REASONS = ['failed', 'network_error'];
 
 // Helper function to safely emit socket events
 const safeEmitToUser = (userId, event, data) => {
@@ -27,6 +33,98 @@ const isValidObjectId = (id) => {
     return mongoose.Types.ObjectId.isValid(id);
 };
 
+// ========================================
+// 📋 CALL SUMMARIES & MISSED CALLS
+// ========================================
+
+const describeCall = (call) => {
+    const label = `${call.isGroupCall ? 'group ' : ''}${call.callType} call`;
+    return label.charAt(0).toUpperCase() + label.slice(1);
+};
+
+const formatCallDuration = (seconds = 0) => {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds % 60).toString().padStart(2, '0')}`;
+};
+
+// Missed-call notification + web push / FCM for users who didn't pick up
+const notifyMissedCall = async (call, missedUserIds) => {
+    if (missedUserIds.length === 0) return;
+
+    const caller = await User.findById(call.initiator).select('username fullName').lean();
+    const callerName = caller?.fullName || caller?.username || 'Someone';
+
+    await createMissedCallNotifications({
+        recipientIds: missedUserIds,
+        sourceUserId: call.initiator,
+        callId: call._id,
+        callType: call.callType
+    });
+
+    await sendPushAndFCMNotification(missedUserIds, {
+        title: 'Missed call',
+        body: `${callerName} tried to ${call.callType === 'video' ? 'video call' : 'call'} you`,
+        url: `/chats?chatId=${call.chatId}`,
+        tag: 'missed-call',
+        data: {
+            type: 'missed_call',
+            callId: call._id.toString(),
+            chatId: call.chatId.toString(),
+            callerId: call.initiator.toString(),
+            callType: call.callType,
+            isGroupCall: String(!!call.isGroupCall)
+        }
+    });
+};
+
+// Store the call's quality summary from its samples; failed / network_error endings rate as failed
+const summarizeCallQuality = async (call) => {
+    const summary = await CallQualitySample.summarize(call._id);
+    const failed = call.status === 'failed' || FAILURE_END_REASONS.includes(call.endReason);
+    const rating = failed ? 'failed' : summary.rating;
+
+    await Call.updateOne({ _id: call._id }, {
+        $set: {
+            qualitySummary: { ...summary, rating, failed, computedAt: new Date() },
+            ...(rating && { 'metadata.quality': rating })
+        }
+    });
+};
+
+/**
+ * Post the call summary into the chat and notify whoever missed the call
+ * Calls that connected or failed also get their quality summary computed
+ * Fire-and-forget: errors are logged, never thrown
+ * @param {Object} call - the finished call
+ * @param {string} outcome - ended | missed | declined | failed
+ * @param {Array} missedUserIds - users who get a missed-call notification and push
+ */
+export const recordCallOutcome = async (call, outcome, missedUserIds = []) => {
+    try {
+        const icon = call.callType === 'video' ? '📹' : '📞';
+        const summaries = {
+            ended: `${icon} ${describeCall(call)} · ${formatCallDuration(call.duration)}`,
+            missed: `${icon} Missed ${describeCall(call).toLowerCase()}`,
+            declined: `${icon} ${describeCall(call)} declined`,
+            failed: `${icon} ${describeCall(call)} failed`
+        };
+
+        if (outcome === 'ended' || outcome === 'failed') {
+            await summarizeCallQuality(call);
+        }
+
+        await postCallSummaryMessage(call, summaries[outcome], outcome);
+        await notifyMissedCall(call, missedUserIds);
+    } catch (error) {
+        console.error('❌ Error recording call outcome:', error);
+    }
+};
+
+// Everyone in a 1:1 call except the caller
+const otherThanInitiator = (call) => call.participants
+    .map(p => (p?._id || p).toString())
+    .filter(id => id !== (call.initiator?._id || call.initiator).toString());
+
 // Helper function to cleanup stale calls
 const cleanupStaleCalls = async () => {
     try {
@@ -36,16 +134,43 @@ const cleanupStaleCalls = async () => {
         const staleCalls = await Call.find({
             status: { $in: ['initiated', 'ringing'] },
             initiatedAt: { $lt: timeoutDate }
-        });
+        }).select('_id isGroupCall');
+
+        let cleanedUp = 0;
+        for (const stale of staleCalls) {
+            const endedAt = new Date();
+            const update = { status: 'missed', endedAt, endReason: 'timeout' };
+
+            // Unanswered group call: the caller leaves, everyone still ringing missed it
+            const options = { new: true };
+            if (stale.isGroupCall) {
+                Object.assign(update, {
+                    'participantStates.$[ringing].state': 'missed',
+                    'participantStates.$[ringing].respondedAt': endedAt,
+                    'participantStates.$[joined].state': 'left',
+                    'participantStates.$[joined].leftAt': endedAt
+                });
+                options.arrayFilters = [{ 'ringing.state': 'ringing' }, { 'joined.state': 'joined' }];
+            }
+
+            // Claim the call - with several app instances only the one that flips the status
+            // posts the summary and sends the missed-call notifications
+            const call = await Call.findOneAndUpdate(
+                { _id: stale._id, status: { $in: ['initiated', 'ringing'] } },
+                { $set: update },
+                options
+            );
+            if (!call) continue;
 
-        for (const call of staleCalls) {
             console.log(`🧹 Cleaning up stale call: ${call._id}`);
+            cleanedUp++;
 
-            // Update call status
-            call.status = 'missed';
-            call.endedAt = new Date();
-            call.endReason = 'timeout';
-            await call.save();
+            // Nobody had answered, so every member marked missed by the claim was still ringing
+            const missedUserIds = call.isGroupCall
+                ? call.participantStates.filter(p => p.state === 'missed').map(p => p.user.toString())
+                : otherThanInitiator(call);
+
+            recordCallOutcome(call, 'missed', missedUserIds);
 
             // Notify participants
             const participantIds = call.participants.map(p => p.toString());
@@ -57,8 +182,41 @@ const cleanupStaleCalls = async () => {
             });
         }
 
-        if (staleCalls.length > 0) {
-            console.log(`🧹 Cleaned up ${staleCalls.length} stale calls`);
+        if (cleanedUp > 0) {
+            console.log(`🧹 Cleaned up ${cleanedUp} stale calls`);
+        }
+
+        // Answered group calls keep going - stop ringing members who never picked up
+        const ringingGroupCalls = await Call.find({
+            isGroupCall: true,
+            status: { $in: ['connecting', 'active'] },
+            initiatedAt: { $lt: timeoutDate },
+            'participantStates.state': 'ringing'
+        }).select('_id');
+
+        for (const { _id } of ringingGroupCalls) {
+            // Atomic claim: the pre-update document says exactly who this run stopped ringing
+            const call = await Call.findOneAndUpdate(
+                { _id, status: { $in: ['connecting', 'active'] }, 'participantStates.state': 'ringing' },
+                { $set: { 'participantStates.$[ringing].state': 'missed', 'participantStates.$[ringing].respondedAt': new Date() } },
+                { arrayFilters: [{ 'ringing.state': 'ringing' }], new: false }
+            ).select('participantStates initiator chatId callType isGroupCall');
+            if (!call) continue;
+
+            const ringingIds = call.participantStates
+                .filter(p => p.state === 'ringing')
+                .map(p => p.user.toString());
+
+            ringingIds.forEach(participantId => {
+                safeEmitToUser(participantId, 'call_timeout', {
+                    callId: call._id,
+                    timestamp: new Date()
+                });
+            });
+
+            // The call itself is still going, so no chat summary yet - just the missed-call notices
+            notifyMissedCall(call, ringingIds)
+                .catch(error => console.error('❌ Error sending missed call notifications:', error));
         }
     } catch (error) {
         console.error('❌ Error during call cleanup:', error);
@@ -70,10 +228,8 @@ setInterval(cleanupStaleCalls, CLEANUP_INTERVAL_MINUTES * 60 * 1000);
 
 // Helper function to check if user has active call
 const hasActiveCall = async (userId, session = null) => {
-    const query = {
-        participants: userId,
-        status: { $in: ['initiated', 'ringing', 'connecting', 'active'] }
-    };
+    // Ringing, declined or departed group call members aren't busy
+    const query = Call.activeCallFilter(userId);
 
     const baseQuery = session ?
         Call.findOne(query).session(session) :
@@ -98,24 +254,518 @@ const validateChatPermissions = async (chatId, currentUserId, receiverId) => {
     return chat;
 };
 
-// Initiate a call
-export const initiateCall = asyncHandler(async (req, res) => {
+// ========================================
+// 👥 GROUP CALLS
+// ========================================
+
+const ONGOING_CALL_STATUSES = ['initiated', 'ringing', 'connecting', 'active'];
+const CALL_USER_FIELDS = 'username fullName profileImageUrl';
+
+// Works for both populated users and raw ObjectIds
+const idOf = (user) => (user?._id || user).toString();
+
+const populateGroupCall = (callId) => Call.findById(callId)
+    .populate('participants', CALL_USER_FIELDS)
+    .populate('participantStates.user', CALL_USER_FIELDS)
+    .populate('initiator', CALL_USER_FIELDS);
+
+const userSummary = (user) => ({
+    _id: user._id,
+    username: user.username,
+    fullName: user.fullName,
+    profileImageUrl: user.profileImageUrl
+});
+
+// Stream.io connection details for one user joining a call
+const getStreamJoinData = async (userId, callId) => {
+    try {
+        const streamService = (await import('../config/stream.config.js')).default;
+        if (!streamService.isConfigured()) return null;
+
+        const userToken = streamService.generateUserToken(userId.toString());
+        return {
+            apiKey: streamService.getApiKey(),
+            callId: callId.toString(),
+            streamCallType: 'default',
+            token: userToken.token,
+            expiresAt: userToken.expiresAt
+        };
+    } catch (streamError) {
+        console.error('❌ Error generating Stream.io token:', streamError);
+        return null;
+    }
+};
+
+// Push an incoming call to a user's device, dropping the token if FCM rejects it
+const sendCallPush = async (user, notification, data) => {
+    if (!user.fcmToken) return;
+
+    try {
+        const fcmResult = await sendNotification(user.fcmToken, notification, data);
+        if (!fcmResult.success && fcmResult.invalidToken) {
+            await User.findByIdAndUpdate(user._id, {
+                fcmToken: null,
+                fcmTokenUpdatedAt: null
+            });
+        }
+    } catch (fcmError) {
+        console.error('❌ Group call FCM notification failed:', fcmError.message);
+    }
+};
+
+// Tell everyone invited to a group call that someone's state changed
+const emitParticipantUpdate = (call, user, state) => {
+    call.participants.forEach(participant => {
+        safeEmitToUser(idOf(participant), 'call_participant_updated', {
+            callId: call._id,
+            user: userSummary(user),
+            state,
+            status: call.status,
+            participantStates: call.participantStates,
+            timestamp: new Date()
+        });
+    });
+};
+
+/**
+ * End a group call if `condition` still holds when the update runs
+ * Joined members are marked left and anyone still ringing is marked missed
+ * @returns {Promise<Object|null>} the populated call, or null if it didn't end
+ */
+const endGroupCall = async (callId, condition, { status = 'ended', endReason = 'normal', endedBy }) => {
+    const now = new Date();
+
+    const ended = await Call.findOneAndUpdate(
+        { _id: callId, status: { $in: ONGOING_CALL_STATUSES }, ...condition },
+        {
+            $set: {
+                status,
+                endReason,
+                endedBy,
+                endedAt: now,
+                'participantStates.$[joined].state': 'left',
+                'participantStates.$[joined].leftAt': now,
+                'participantStates.$[ringing].state': 'missed',
+                'participantStates.$[ringing].respondedAt': now
+            }
+        },
+        { new: true, arrayFilters: [{ 'joined.state': 'joined' }, { 'ringing.state': 'ringing' }] }
+    );
+
+    if (!ended) return null;
+
+    const wasAnswered = !!ended.startedAt;
+
+    // Same as 1:1 calls: an ended call that never started gets a zero duration
+    const startedAt = ended.startedAt || (status === 'ended' ? now : null);
+    if (startedAt) {
+        await Call.updateOne(
+            { _id: callId },
+            { $set: { startedAt, duration: Math.floor((now - startedAt) / 1000) } }
+        );
+    }
+
+    const populatedCall = await populateGroupCall(callId);
+
+    // Members still ringing when it ended missed it; earlier timeouts were already notified
+    const missedUserIds = ended.participantStates
+        .filter(p => p.state === 'missed' && p.respondedAt?.getTime() === now.getTime())
+        .map(p => p.user.toString());
+    const outcome = status === 'declined' ? 'declined' : (wasAnswered ? 'ended' : 'missed');
+    recordCallOutcome(await Call.findById(callId).lean(), outcome, missedUserIds);
+
+    populatedCall.participants.forEach(participant => {
+        safeEmitToUser(idOf(participant), 'call_ended', {
+            callId: populatedCall._id,
+            endedBy,
+            endReason,
+            duration: populatedCall.duration,
+            call: {
+                _id: populatedCall._id,
+                status: populatedCall.status,
+                callType: populatedCall.callType,
+                isGroupCall: true,
+                endedAt: populatedCall.endedAt,
+                duration: populatedCall.duration,
+                endReason: populatedCall.endReason
+            },
+            action: 'dismiss',
+            shouldDismiss: true,
+            timestamp: new Date()
+        });
+    });
+
+    console.log(`📵 Group call ended: ${callId} (${status})`);
+    return populatedCall;
+};
+
+// Start a call in a group chat: the caller joins and every other member rings
+// (members in excludeUserIds, e.g. declined scheduled-call invitees, are marked declined instead)
+const startGroupCall = async (user, chat, callType, excludeUserIds = []) => {
+    const currentUserId = user._id;
+    const participantIds = chat.participants.map(p => p.toString());
+    const excluded = new Set(excludeUserIds.map(id => id.toString()));
+
+    if (!participantIds.includes(currentUserId.toString())) {
+        throw new ApiError(403, 'You are not a participant in this group');
+    }
+
+    const otherMemberIds = participantIds.filter(id => id !== currentUserId.toString());
+    const inviteeIds = otherMemberIds.filter(id => !excluded.has(id));
+    const skippedIds = otherMemberIds.filter(id => excluded.has(id));
+    if (inviteeIds.length === 0) {
+        throw new ApiError(400, 'There is no one else in this group to call');
+    }
+
+    const session = await mongoose.startSession();
+    let newCall;
+
+    try {
+        await session.withTransaction(async () => {
+            // One call per group at a time - others join the ongoing one instead
+            const ongoingGroupCall = await Call.findOne({
+                chatId: chat._id,
+                isGroupCall: true,
+                status: { $in: ONGOING_CALL_STATUSES }
+            }).session(session);
+
+            if (ongoingGroupCall) {
+                const error = new ApiError(409, 'A call is already in progress in this group');
+                error.data = { existingCallId: ongoingGroupCall._id, canJoin: true };
+                throw error;
+            }
+
+            const currentUserActiveCall = await hasActiveCall(currentUserId, session);
+            if (currentUserActiveCall) {
+                const error = new ApiError(409, 'You are already in a call');
+                error.data = { existingCallId: currentUserActiveCall._id };
+                throw error;
+            }
+
+            newCall = new Call({
+                participants: participantIds,
+                initiator: currentUserId,
+                chatId: chat._id,
+                callType,
+                isGroupCall: true,
+                status: 'ringing',
+                participantStates: [
+                    { user: currentUserId, state: 'joined', joinedAt: new Date() },
+                    ...inviteeIds.map(memberId => ({ user: memberId, state: 'ringing' })),
+                    ...skippedIds.map(memberId => ({ user: memberId, state: 'declined', respondedAt: new Date() }))
+                ]
+            });
+
+            await newCall.save({ session });
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    const callId = newCall._id.toString();
+    const members = await User.find({ _id: { $in: participantIds } })
+        .select('username fullName profileImageUrl fcmToken')
+        .lean();
+
+    // Create the Stream.io call with every group member
+    try {
+        const streamService = (await import('../config/stream.config.js')).default;
+        if (streamService.isConfigured()) {
+            await streamService.upsertUsers(members.map(member => ({
+                id: member._id.toString(),
+                name: member.fullName || member.username || 'User',
+                image: member.profileImageUrl || undefined
+            })));
+            await streamService.createCall('default', callId, currentUserId.toString(), participantIds, callType === 'video');
+        } else {
+            console.warn('⚠️ Stream.io not configured - calls will not work properly');
+        }
+    } catch (streamError) {
+        console.error('❌ Stream.io group call creation error:', streamError);
+    }
+
+    const populatedCall = await populateGroupCall(callId).lean();
+    const callerName = user.fullName || user.username;
+    const caller = userSummary(user);
+
+    for (const member of members) {
+        const memberId = member._id.toString();
+        if (memberId === currentUserId.toString() || excluded.has(memberId)) continue;
+
+        const stream = await getStreamJoinData(memberId, callId);
+        safeEmitToUser(memberId, 'incoming_call', {
+            callId,
+            chatId: chat._id,
+            callType,
+            status: 'ringing',
+            isGroupCall: true,
+            group: {
+                _id: chat._id,
+                groupName: chat.groupName,
+                groupImage: chat.groupImage
+            },
+            caller,
+            participantStates: populatedCall.participantStates,
+            stream,
+            timestamp: new Date()
+        });
+
+        // Fire-and-forget, like 1:1 call pushes
+        sendCallPush(member, {
+            title: `Incoming group ${callType} call`,
+            body: `${callerName} is calling ${chat.groupName || 'your group'}...`
+        }, {
+            type: 'incoming_call',
+            callId,
+            callerId: currentUserId.toString(),
+            callerName,
+            callerImage: user.profileImageUrl || '',
+            chatId: chat._id.toString(),
+            callType,
+            status: 'ringing',
+            isGroupCall: 'true',
+            groupName: chat.groupName || ''
+        });
+    }
+
+    console.log('🎉 Group call started:', { callId, invited: inviteeIds.length });
+    return {
+        call: {
+            ...populatedCall,
+            stream: await getStreamJoinData(currentUserId, callId)
+        },
+        message: 'Group call started successfully'
+    };
+};
+
+// Join (or rejoin) an ongoing group call - ringing members, members who declined or left, and late joiners
+const joinGroupCall = async (req, res, callId) => {
     const currentUserId = req.user._id;
-    const { receiverId, chatId, callType } = req.body;
 
-    console.log('🚀 Call initiation request:', { currentUserId, receiverId, chatId, callType });
+    const call = await Call.findById(callId).select('chatId isGroupCall status participantStates');
+    if (!call) {
+        throw new ApiError(404, 'Call not found');
+    }
+    if (!call.isGroupCall) {
+        throw new ApiError(400, 'Only group calls can be joined');
+    }
+    if (!ONGOING_CALL_STATUSES.includes(call.status)) {
+        throw new ApiError(400, 'The call has already ended');
+    }
 
-    // Validate input
-    if (!receiverId || !chatId || !callType) {
-        console.error('❌ Missing required fields:', { receiverId: !!receiverId, chatId: !!chatId, callType: !!callType });
-        throw new ApiError(400, 'Receiver ID, chat ID, and call type are required');
+    // Current group members only - someone removed from the group can't rejoin
+    const isMember = await Chat.exists({ _id: call.chatId, participants: currentUserId });
+    if (!isMember) {
+        throw new ApiError(403, 'You are not a participant in this group');
+    }
+
+    const activeCall = await hasActiveCall(currentUserId);
+    if (activeCall && activeCall._id.toString() !== callId.toString()) {
+        const error = new ApiError(409, 'You are already in another call');
+        error.data = { existingCallId: activeCall._id };
+        throw error;
+    }
+
+    const now = new Date();
+    const wasInvited = call.participantStates.some(p => p.user.toString() === currentUserId.toString());
+
+    const joined = wasInvited
+        ? await Call.findOneAndUpdate(
+            { _id: callId, status: { $in: ONGOING_CALL_STATUSES }, 'participantStates.user': currentUserId },
+            { $set: { 'participantStates.$.state': 'joined', 'participantStates.$.joinedAt': now } },
+            { new: true }
+        )
+        : await Call.findOneAndUpdate(
+            { _id: callId, status: { $in: ONGOING_CALL_STATUSES }, 'participantStates.user': { $ne: currentUserId } },
+            {
+                $addToSet: { participants: currentUserId },
+                $push: { participantStates: { user: currentUserId, state: 'joined', joinedAt: now } }
+            },
+            { new: true }
+        );
+
+    if (!joined) {
+        throw new ApiError(409, 'Could not join the call, it may have just ended');
+    }
+
+    // The call starts once a second person is in it
+    const joinedCount = joined.participantStates.filter(p => p.state === 'joined').length;
+    if (joinedCount >= 2) {
+        await Call.updateOne(
+            { _id: callId, status: { $in: ['initiated', 'ringing', 'connecting'] } },
+            { $set: { status: 'active', startedAt: now } }
+        );
+    }
+
+    // Late joiners weren't members of the Stream.io call yet
+    if (!wasInvited) {
+        try {
+            const streamService = (await import('../config/stream.config.js')).default;
+            if (streamService.isConfigured()) {
+                await streamService.upsertUsers([{
+                    id: currentUserId.toString(),
+                    name: req.user.fullName || req.user.username || 'User',
+                    image: req.user.profileImageUrl || undefined
+                }]);
+                await streamService.addCallMembers('default', callId.toString(), [currentUserId.toString()]);
+            }
+        } catch (streamError) {
+            console.error('❌ Error adding late joiner to Stream.io call:', streamError);
+        }
+    }
+
+    const populatedCall = await populateGroupCall(callId);
+    const stream = await getStreamJoinData(currentUserId, callId);
+
+    emitParticipantUpdate(populatedCall, req.user, 'joined');
+
+    // Lets the joiner's other devices stop ringing and connect this one
+    safeEmitToUser(currentUserId.toString(), 'call_accepted', {
+        callId,
+        acceptedBy: userSummary(req.user),
+        call: {
+            _id: populatedCall._id,
+            status: populatedCall.status,
+            callType: populatedCall.callType,
+            isGroupCall: true,
+            startedAt: populatedCall.startedAt,
+            participantStates: populatedCall.participantStates,
+            initiator: populatedCall.initiator
+        },
+        isReceiver: true,
+        stream,
+        action: 'connect',
+        timestamp: new Date()
+    });
+
+    console.log('🎉 Joined group call:', { callId, userId: currentUserId });
+    return res.status(200).json(
+        new ApiResponse(200, { ...populatedCall.toObject(), stream }, 'Joined call successfully')
+    );
+};
+
+// Decline a ringing group call; the call only ends if nobody is left to answer the caller
+const declineGroupCall = async (req, res, callId) => {
+    const currentUserId = req.user._id;
+
+    const declined = await Call.findOneAndUpdate(
+        {
+            _id: callId,
+            status: { $in: ONGOING_CALL_STATUSES },
+            participantStates: { $elemMatch: { user: currentUserId, state: 'ringing' } }
+        },
+        { $set: { 'participantStates.$.state': 'declined', 'participantStates.$.respondedAt': new Date() } },
+        { new: true }
+    );
+
+    if (!declined) {
+        const call = await Call.findById(callId).select('participants status');
+        if (!call) {
+            throw new ApiError(404, 'Call not found');
+        }
+        if (!call.participants.some(p => p.toString() === currentUserId.toString())) {
+            throw new ApiError(403, 'You are not a participant in this call');
+        }
+        throw new ApiError(400, `Call cannot be declined in current status: ${call.status}`);
+    }
+
+    // Still ringing with no one else left to pick up: the caller is alone, end it as declined
+    const ended = await endGroupCall(
+        callId,
+        { status: { $in: ['initiated', 'ringing'] }, 'participantStates.state': { $ne: 'ringing' } },
+        { status: 'declined', endReason: 'declined', endedBy: currentUserId }
+    );
+
+    const populatedCall = ended || await populateGroupCall(callId);
+    if (!ended) {
+        emitParticipantUpdate(populatedCall, req.user, 'declined');
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, populatedCall, 'Call declined successfully')
+    );
+};
+
+// Leave a group call; the call ends when the last participant leaves
+const leaveGroupCall = async (req, res, callId, endReason = 'normal') => {
+    const currentUserId = req.user._id;
+
+    const call = await Call.findById(callId).select('participants status participantStates');
+    if (!call) {
+        throw new ApiError(404, 'Call not found');
+    }
+    if (!call.participants.some(p => p.toString() === currentUserId.toString())) {
+        throw new ApiError(403, 'You are not a participant in this call');
+    }
+
+    const myState = call.participantStates.find(p => p.user.toString() === currentUserId.toString())?.state;
+
+    // Hanging up while it's still ringing is a decline
+    if (ONGOING_CALL_STATUSES.includes(call.status) && myState === 'ringing') {
+        return declineGroupCall(req, res, callId);
+    }
+
+    // Already ended or not in the call (idempotent, like endCall)
+    if (!ONGOING_CALL_STATUSES.includes(call.status) || myState !== 'joined') {
+        return res.status(200).json(
+            new ApiResponse(200, await populateGroupCall(callId), 'You are not in this call')
+        );
     }
 
+    await Call.updateOne(
+        { _id: callId, participantStates: { $elemMatch: { user: currentUserId, state: 'joined' } } },
+        { $set: { 'participantStates.$.state': 'left', 'participantStates.$.leftAt': new Date() } }
+    );
+
+    const ended = await endGroupCall(
+        callId,
+        { 'participantStates.state': { $ne: 'joined' } },
+        { endReason, endedBy: currentUserId }
+    );
+
+    const populatedCall = ended || await populateGroupCall(callId);
+    if (!ended) {
+        emitParticipantUpdate(populatedCall, req.user, 'left');
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, populatedCall, ended ? 'Call ended successfully' : 'Left call successfully')
+    );
+};
+
+// Group calls take the per-participant paths in accept / decline / end
+const isGroupCallId = (callId) => Call.exists({ _id: callId, isGroupCall: true });
+
+/**
+ * Start a call as `user` - 1:1 with receiverId, or the whole group when chatId is a group chat
+ * Shared by the initiate / call-back endpoints and the scheduled call job
+ * @param {Object} options - excludeUserIds: group members not to ring
+ * @returns {Promise<{call, message}>} populated call with the caller's Stream join data
+ */
+export const createCall = async (user, { receiverId, chatId, callType } = {}, { excludeUserIds = [] } = {}) => {
+    const currentUserId = user._id;
+
+    console.log('🚀 Call initiation request:', { currentUserId, receiverId, chatId, callType });
+
     if (!['voice', 'video'].includes(callType)) {
         console.error('❌ Invalid call type:', callType);
         throw new ApiError(400, 'Call type must be voice or video');
     }
 
+    // Calls from a group chat ring the whole group, no receiver needed
+    if (chatId && isValidObjectId(chatId)) {
+        const groupChat = await Chat.findOne({ _id: chatId, chatType: 'group' });
+        if (groupChat) {
+            return startGroupCall(user, groupChat, callType, excludeUserIds);
+        }
+    }
+
+    // Validate input
+    if (!receiverId || !chatId || !callType) {
+        console.error('❌ Missing required fields:', { receiverId: !!receiverId, chatId: !!chatId, callType: !!callType });
+        throw new ApiError(400, 'Receiver ID, chat ID, and call type are required');
+    }
+
     try {
         // Validate chat permissions and fetch receiver in parallel (optimize)
         console.log('🔍 Validating chat and fetching receiver (parallel)...');
@@ -211,8 +861,8 @@ export const initiateCall = asyncHandler(async (req, res) => {
                 await streamService.upsertUsers([
                     {
                         id: currentUserId.toString(),
-                        name: req.user.fullName || req.user.username || 'User',
-                        image: req.user.profileImageUrl || undefined
+                        name: user.fullName || user.username || 'User',
+                        image: user.profileImageUrl || undefined
                     },
                     {
                         id: receiver._id.toString(),
@@ -273,15 +923,15 @@ export const initiateCall = asyncHandler(async (req, res) => {
 
                     const notification = {
                         title: `Incoming ${callType} call`,
-                        body: `${req.user.fullName || req.user.username} is calling you...`
+                        body: `${user.fullName || user.username} is calling you...`
                     };
 
                     const data = {
                         type: 'incoming_call',
                         callId: newCall._id.toString(),
                         callerId: currentUserId.toString(),
-                        callerName: req.user.fullName || req.user.username,
-                        callerImage: req.user.profileImageUrl || '',
+                        callerName: user.fullName || user.username,
+                        callerImage: user.profileImageUrl || '',
                         chatId: chatId.toString(),
                         callType: callType,
                         status: 'ringing' // Include status so receiver knows call is ringing
@@ -349,9 +999,9 @@ export const initiateCall = asyncHandler(async (req, res) => {
                 status: 'ringing', // Include status so receiver knows call is ringing
                 caller: {
                     _id: currentUserId,
-                    username: req.user.username,
-                    fullName: req.user.fullName,
-                    profileImageUrl: req.user.profileImageUrl
+                    username: user.username,
+                    fullName: user.fullName,
+                    profileImageUrl: user.profileImageUrl
                 },
                 stream: streamData ? {
                     apiKey: streamData.apiKey,
@@ -379,41 +1029,42 @@ export const initiateCall = asyncHandler(async (req, res) => {
             }
         }
 
-        // Create a call message in the chat (non-blocking, fire-and-forget)
-        (async () => {
-            try {
-                console.log('💬 Creating call message...');
-                const callMessage = new Message({
-                    chatId,
-                    sender: currentUserId,
-                    message: `${callType} call ${callType === 'voice' ? '📞' : '📹'}`,
-                    messageType: 'text'
-                });
-                await callMessage.save();
-                console.log('✅ Call message created');
-            } catch (messageError) {
-                console.warn('⚠️ Failed to create call message (non-critical):', messageError.message);
-            }
-        })();
-
         console.log('🎉 Call initiated successfully:', { callId: newCall._id });
-        res.status(201).json(
-            new ApiResponse(201, {
+        return {
+            call: {
                 ...populatedCall,
                 stream: streamData
-            }, 'Call initiated successfully')
-        );
+            },
+            message: 'Call initiated successfully'
+        };
 
     } catch (error) {
-        console.error('❌ Error in initiateCall:', {
+        console.error('❌ Error in createCall:', {
             message: error.message,
             stack: error.stack,
             data: error.data
         });
 
-        // Re-throw the error to be handled by asyncHandler
+        // Re-throw the error to be handled by the caller
         throw error;
     }
+};
+
+const validConnectionType = (type) => ['wifi', 'cellular', 'unknown'].includes(type) ? type : 'unknown';
+
+// Caller's device and network, so the quality report can group calls that never sent telemetry
+const recordInitiatorDevice = (req, callId) => Call.updateOne({ _id: callId }, {
+    $set: {
+        'metadata.initiatorDevice': getDeviceInfo(req).deviceType,
+        'metadata.connectionType': validConnectionType(req.body?.connectionType)
+    }
+});
+
+// Initiate a call
+export const initiateCall = asyncHandler(async (req, res) => {
+    const { call, message } = await createCall(req.user, req.body);
+    await recordInitiatorDevice(req, call._id);
+    res.status(201).json(new ApiResponse(201, call, message));
 });
 
 // Accept a call
@@ -429,6 +1080,10 @@ export const acceptCall = asyncHandler(async (req, res) => {
         throw new ApiError(400, 'Invalid call ID format');
     }
 
+    if (await isGroupCallId(callId)) {
+        return joinGroupCall(req, res, callId);
+    }
+
     // Update call status with transaction - fetch and update in same transaction
     const session = await mongoose.startSession();
     let updatedCall;
@@ -485,6 +1140,10 @@ export const acceptCall = asyncHandler(async (req, res) => {
             // Update call status
             call.status = 'connecting';
             call.startedAt = new Date();
+            call.metadata.receiverDevice = getDeviceInfo(req).deviceType;
+            if (call.metadata.connectionType === 'unknown') {
+                call.metadata.connectionType = validConnectionType(req.body?.connectionType);
+            }
             await call.save({ session });
 
             updatedCall = call;
@@ -589,6 +1248,10 @@ export const declineCall = asyncHandler(async (req, res) => {
         throw new ApiError(400, 'Invalid call ID format');
     }
 
+    if (await isGroupCallId(callId)) {
+        return declineGroupCall(req, res, callId);
+    }
+
     // Update call status with transaction - fetch and update in same transaction
     const session = await mongoose.startSession();
     let updatedCall;
@@ -641,6 +1304,8 @@ export const declineCall = asyncHandler(async (req, res) => {
         await session.endSession();
     }
 
+    recordCallOutcome(updatedCall, 'declined');
+
     // Fetch populated call data after transaction
     const populatedCall = await Call.findById(callId)
         .populate('participants', 'username fullName profileImageUrl')
@@ -691,9 +1356,17 @@ export const endCall = asyncHandler(async (req, res) => {
         throw new ApiError(400, `Invalid end reason. Must be one of: ${validReasons.join(', ')}`);
     }
 
+    // Ending a group call only takes the user out of it
+    if (await isGroupCallId(callId)) {
+        return leaveGroupCall(req, res, callId, endReason);
+    }
+
     // Update call status with transaction - fetch and update in same transaction
     const session = await mongoose.startSession();
     let updatedCall;
+    let justEnded = false;
+    let wasAnswered = false;
+    let failed = false;
 
     try {
         await session.withTransaction(async () => {
@@ -723,7 +1396,7 @@ export const endCall = asyncHandler(async (req, res) => {
             }
 
             // Check if call is already in a terminal state (idempotent behavior)
-            if (call.status === 'ended' || call.status === 'declined' || call.status === 'missed') {
+            if (['ended', 'declined', 'missed', 'failed'].includes(call.status)) {
                 console.warn('⚠️  Call already finished (idempotent request):', {
                     currentStatus: call.status,
                     endedAt: call.endedAt,
@@ -734,8 +1407,12 @@ export const endCall = asyncHandler(async (req, res) => {
                 return; // Exit transaction early, proceed to response
             }
 
+            wasAnswered = !!call.startedAt;
+            // Broke down before the media ever connected
+            failed = FAILURE_END_REASONS.includes(endReason) && call.status !== 'active';
+
             // Update call status
-            call.status = 'ended';
+            call.status = failed ? 'failed' : 'ended';
             call.endedAt = new Date();
             call.endReason = endReason;
             call.endedBy = currentUserId; // Track who ended the call
@@ -748,7 +1425,8 @@ export const endCall = asyncHandler(async (req, res) => {
 
             await call.save({ session });
             updatedCall = call;
-            console.log('✅ Call status updated to ended');
+            justEnded = true;
+            console.log(`✅ Call status updated to ${call.status}`);
         });
     } catch (error) {
         console.error('❌ Transaction failed:', error);
@@ -757,6 +1435,19 @@ export const endCall = asyncHandler(async (req, res) => {
         await session.endSession();
     }
 
+    // Hung up before it was answered: the caller cancelling means the callee missed it, otherwise the callee declined
+    if (justEnded) {
+        if (failed) {
+            recordCallOutcome(updatedCall, 'failed');
+        } else if (wasAnswered) {
+            recordCallOutcome(updatedCall, 'ended');
+        } else if (updatedCall.initiator.toString() === currentUserId.toString()) {
+            recordCallOutcome(updatedCall, 'missed', otherThanInitiator(updatedCall));
+        } else {
+            recordCallOutcome(updatedCall, 'declined');
+        }
+    }
+
     // Fetch populated call data after transaction
     const populatedCall = await Call.findById(callId)
         .populate('participants', 'username fullName profileImageUrl')
@@ -965,18 +1656,140 @@ export const updateCallStatus = asyncHandler(async (req, res) => {
     );
 });
 
+// Join an ongoing group call (late joiners and rejoining after leaving)
+export const joinCall = asyncHandler(async (req, res) => {
+    const { callId } = req.params;
+
+    if (!isValidObjectId(callId)) {
+        throw new ApiError(400, 'Invalid call ID format');
+    }
+
+    return joinGroupCall(req, res, callId);
+});
+
+// Leave a group call without ending it for everyone else
+export const leaveCall = asyncHandler(async (req, res) => {
+    const { callId } = req.params;
+
+    if (!isValidObjectId(callId)) {
+        throw new ApiError(400, 'Invalid call ID format');
+    }
+
+    if (!(await isGroupCallId(callId))) {
+        throw new ApiError(400, 'Only group calls can be left, use /end for 1:1 calls');
+    }
+
+    return leaveGroupCall(req, res, callId);
+});
+
+// ========================================
+// 📶 CALL QUALITY TELEMETRY
+// ========================================
+
+const MAX_QUALITY_SAMPLES_PER_REQUEST = 20;
+const QUALITY_FIELDS = ['bitrate', 'packetLoss', 'jitter', 'rtt'];
+
+// Periodic quality samples from a participant's client (bitrate kbps, packet loss %, jitter ms, RTT ms)
+// Body is one sample, or { samples: [...] } to send a batch; connectionType is wifi | cellular | unknown
+export const recordCallQuality = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { callId } = req.params;
+    const body = req.body || {};
+
+    if (!isValidObjectId(callId)) {
+        throw new ApiError(400, 'Invalid call ID format');
+    }
+
+    const batch = Array.isArray(body.samples) ? body.samples : [body];
+    if (batch.length === 0 || batch.length > MAX_QUALITY_SAMPLES_PER_REQUEST) {
+        throw new ApiError(400, `Send between 1 and ${MAX_QUALITY_SAMPLES_PER_REQUEST} samples`);
+    }
+
+    const connectionType = body.connectionType || 'unknown';
+    if (!['wifi', 'cellular', 'unknown'].includes(connectionType)) {
+        throw new ApiError(400, 'connectionType must be wifi, cellular or unknown');
+    }
+
+    const call = await Call.findById(callId).select('participants status').lean();
+    if (!call) {
+        throw new ApiError(404, 'Call not found');
+    }
+    if (!call.participants.some(p => p.toString() === currentUserId.toString())) {
+        throw new ApiError(403, 'You are not a participant in this call');
+    }
+    if (!['connecting', 'active'].includes(call.status)) {
+        throw new ApiError(409, 'Quality samples can only be sent while the call is connected');
+    }
+
+    const { deviceType } = getDeviceInfo(req);
+    const now = Date.now();
+
+    const samples = batch.map(sample => {
+        const values = {};
+        QUALITY_FIELDS.forEach(field => {
+            if (sample?.[field] === undefined || sample[field] === null) return;
+            const value = Number(sample[field]);
+            if (!Number.isFinite(value) || value < 0 || (field === 'packetLoss' && value > 100)) {
+                throw new ApiError(400, `Invalid ${field} value`);
+            }
+            values[field] = value;
+        });
+
+        if (Object.keys(values).length === 0) {
+            throw new ApiError(400, `Each sample needs at least one of: ${QUALITY_FIELDS.join(', ')}`);
+        }
+
+        // Client clocks drift - keep their sample time only if it's plausible
+        const sampledAt = new Date(sample.timestamp);
+        const plausible = !isNaN(sampledAt.getTime()) && Math.abs(now - sampledAt.getTime()) < 10 * 60 * 1000;
+
+        return {
+            callId,
+            userId: currentUserId,
+            ...values,
+            deviceType,
+            connectionType,
+            sampledAt: plausible ? sampledAt : new Date(now)
+        };
+    });
+
+    await CallQualitySample.insertMany(samples);
+
+    res.status(201).json(
+        new ApiResponse(201, { accepted: samples.length }, 'Call quality recorded successfully')
+    );
+});
+
 // Get call history for user
 export const getCallHistory = asyncHandler(async (req, res) => {
     const currentUserId = req.user._id;
-    const { page = 1, limit = 20 } = req.query;
+    const { page = 1, limit = 20, direction, type, status } = req.query;
+
+    if (direction && !['incoming', 'outgoing'].includes(direction)) {
+        throw new ApiError(400, 'direction must be incoming or outgoing');
+    }
+    if (type && !['voice', 'video'].includes(type)) {
+        throw new ApiError(400, 'type must be voice or video');
+    }
+    if (status && !['ended', 'declined', 'missed', 'failed'].includes(status)) {
+        throw new ApiError(400, 'status must be ended, declined, missed or failed');
+    }
 
-    const calls = await Call.getCallHistory(currentUserId, parseInt(limit), parseInt(page));
+    const filters = { direction, callType: type, status };
+    const calls = await Call.getCallHistory(currentUserId, parseInt(limit), parseInt(page), filters);
 
     // Calculate pagination info
-    const totalCalls = await Call.countDocuments({
-        participants: currentUserId,
-        status: { $in: ['ended', 'declined', 'missed'] }
-    });
+    const totalCalls = await Call.countDocuments(Call.historyFilter(currentUserId, filters));
+
+    // Booked calls that haven't started yet, shown above the log on the first page
+    const upcoming = parseInt(page) === 1 && !status
+        ? await ScheduledCall.find(ScheduledCall.upcomingFilter(currentUserId, filters))
+            .sort({ scheduledAt: 1 })
+            .limit(20)
+            .populate('organizer', 'username fullName profileImageUrl')
+            .populate('invitees.user', 'username fullName profileImageUrl')
+            .lean()
+        : [];
 
     const pagination = {
         currentPage: parseInt(page),
@@ -987,10 +1800,43 @@ export const getCallHistory = asyncHandler(async (req, res) => {
     };
 
     res.status(200).json(
-        new ApiResponse(200, { calls, pagination }, 'Call history fetched successfully')
+        new ApiResponse(200, { upcoming, calls, pagination }, 'Call history fetched successfully')
     );
 });
 
+// Call back from the call log: same person (or group) and call type unless callType is given
+export const callBack = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { callId } = req.params;
+
+    if (!isValidObjectId(callId)) {
+        throw new ApiError(400, 'Invalid call ID format');
+    }
+
+    const call = await Call.findById(callId).select('participants chatId callType isGroupCall status').lean();
+    if (!call) {
+        throw new ApiError(404, 'Call not found');
+    }
+
+    const participantIds = call.participants.map(p => p.toString());
+    if (!participantIds.includes(currentUserId.toString())) {
+        throw new ApiError(403, 'You are not a participant in this call');
+    }
+    if (ONGOING_CALL_STATUSES.includes(call.status)) {
+        throw new ApiError(400, 'This call is still in progress');
+    }
+
+    // Group calls ring the group again, 1:1 calls ring the other person
+    const { call: newCall, message } = await createCall(req.user, {
+        chatId: call.chatId.toString(),
+        callType: req.body?.callType || call.callType,
+        receiverId: call.isGroupCall ? undefined : participantIds.find(id => id !== currentUserId.toString())
+    });
+    await recordInitiatorDevice(req, newCall._id);
+
+    res.status(201).json(new ApiResponse(201, newCall, message));
+});
+
 // Get active call for user
 export const getActiveCall = asyncHandler(async (req, res) => {
     const currentUserId = req.user._id;
@@ -1021,10 +1867,7 @@ export const forceEndActiveCalls = asyncHandler(async (req, res) => {
     console.log('🧹 Force ending active calls for user:', currentUserId);
 
     // Find all active calls for this user
-    const activeCalls = await Call.find({
-        participants: currentUserId,
-        status: { $in: ['initiated', 'ringing', 'connecting', 'active'] }
-    });
+    const activeCalls = await Call.find(Call.activeCallFilter(currentUserId));
 
     if (activeCalls.length === 0) {
         return res.status(200).json(
@@ -1038,6 +1881,29 @@ export const forceEndActiveCalls = asyncHandler(async (req, res) => {
 
     for (const call of activeCalls) {
         try {
+            // Group calls: just take this user out, the call goes on for the others
+            if (call.isGroupCall) {
+                await Call.updateOne(
+                    { _id: call._id, participantStates: { $elemMatch: { user: currentUserId, state: 'joined' } } },
+                    { $set: { 'participantStates.$.state': 'left', 'participantStates.$.leftAt': new Date() } }
+                );
+                const ended = await endGroupCall(
+                    call._id,
+                    { 'participantStates.state': { $ne: 'joined' } },
+                    { endReason: 'force_cleanup', endedBy: currentUserId }
+                );
+                if (!ended) {
+                    emitParticipantUpdate(await populateGroupCall(call._id), req.user, 'left');
+                }
+
+                endedCalls.push({
+                    callId: call._id,
+                    status: ended ? ended.status : 'left',
+                    duration: ended ? ended.duration : 0
+                });
+                continue;
+            }
+
             // Calculate duration if call was active
             if (call.startedAt && !call.endedAt) {
                 call.endedAt = new Date();
@@ -1053,6 +1919,12 @@ export const forceEndActiveCalls = asyncHandler(async (req, res) => {
 
             await call.save();
 
+            if (call.status === 'ended') {
+                recordCallOutcome(call, 'ended');
+            } else {
+                recordCallOutcome(call, 'missed', otherThanInitiator(call));
+            }
+
             // Notify other participants
             const otherParticipants = call.participants
                 .filter(p => p.toString() !== currentUserId.toString());
@@ -1,10 +1,15 @@
 import Chat from '../models/chat.models.js';
 import Message from '../models/message.models.js';
 import Follower from '../models/follower.models.js';
+import Block from '../models/block.models.js';
+import Post from '../models/userPost.models.js';
+import Story from '../models/story.models.js';
+import Business from '../models/business.models.js';
+import PostInteraction from '../models/postInteraction.models.js';
 import { ApiError } from '../utlis/ApiError.js';
 import { ApiResponse } from '../utlis/ApiResponse.js';
 import { asyncHandler } from '../utlis/asyncHandler.js';
-import { uploadBufferToBunny } from '../utlis/bunny.js';
+import { uploadBufferToBunny, deleteMultipleFromBunny, isBunnyUrl } from '../utlis/bunny.js';
 import mongoose from 'mongoose';
 import socketManager from '../config/socket.js';
 import { sendPushNotification } from './pushNotification.controllers.js';
@@ -12,6 +17,10 @@ import { User } from '../models/user.models.js';
 import { ChatPubSub, NotificationPubSub, LiveFeaturesPubSub } from '../utlis/pubsub.utils.js';
 import notificationCache from '../utlis/notificationCache.utils.js';
 import { redisClient } from '../config/redis.config.js';
+import { canViewPost } from '../utlis/postPrivacy.js';
+import { analyzeAudio } from '../utlis/audio.utils.js';
+import { runWithJobLock } from '../utlis/jobLock.utils.js';
+import { encodeCursor, decodeCursor, olderThan, newerThan, NEWEST_FIRST, OLDEST_FIRST } from '../utlis/cursor.utils.js';
 
 // Helper function to safely emit socket events
 const safeEmitToChat = (chatId, event, data) => {
@@ -32,6 +41,52 @@ const checkFollowStatus = async (followerId, userId) => {
     return !!followRelation;
 };
 
+// Excludes disappearing messages past their expiry (until the purge job removes them)
+const notExpired = () => ({ expiresAt: { $not: { $lte: new Date() } } });
+
+// Expiry for a message sent now, if the chat has disappearing messages on
+const getMessageExpiry = (chat, sentAt = new Date()) => {
+    const duration = chat.disappearingMessages?.duration || 0;
+    return duration > 0 ? new Date(sentAt.getTime() + duration * 1000) : undefined;
+};
+
+// A mute entry is active until mutedUntil passes (null = muted forever)
+const isMuteActive = (mute, now = new Date()) =>
+    !!mute && (!mute.mutedUntil || new Date(mute.mutedUntil) > now);
+
+// Participants who should get a push for a new message in this chat (skips muted users)
+const filterUnmutedRecipients = (chat, userIds) => {
+    const now = new Date();
+    const mutedUserIds = new Set(
+        (chat.mutedBy || [])
+            .filter(mute => isMuteActive(mute, now))
+            .map(mute => mute.user.toString())
+    );
+    return userIds.filter(userId => !mutedUserIds.has(userId.toString()));
+};
+
+// Every status / archived combination getUserChats caches a list for
+const CHAT_LIST_CACHE_VARIANTS = ['active', 'requested', 'active:archived', 'requested:archived'];
+
+// Drop cached chat lists (active, requested and archived) so participants see membership / lastMessage changes
+const invalidateChatListCaches = async (participantIds) => {
+    try {
+        const cacheInvalidations = [];
+        for (const participantId of participantIds) {
+            for (let page = 1; page <= 3; page++) {
+                for (const listKey of CHAT_LIST_CACHE_VARIANTS) {
+                    cacheInvalidations.push(
+                        redisClient.del(`chats:user:${participantId}:status:${listKey}:page:${page}:limit:20`)
+                    );
+                }
+            }
+        }
+        await Promise.all(cacheInvalidations);
+    } catch (error) {
+        console.error('Error invalidating chat list caches:', error);
+    }
+};
+
 // Create a new chat (1-on-1 or group)
 export const createChat = asyncHandler(async (req, res) => {
     const currentUserId = req.user._id;
@@ -109,13 +164,15 @@ export const createChat = asyncHandler(async (req, res) => {
             // Get the latest non-deleted message
             const lastMessage = await Message.findOne({
                 chatId: existingChat._id,
-                isDeleted: { $ne: true }
+                isDeleted: { $ne: true },
+                ...notExpired()
             }).sort({ timestamp: -1 });
 
             // Get the correct message count first
             const messageCount = await Message.countDocuments({
                 chatId: existingChat._id,
-                isDeleted: { $ne: true }
+                isDeleted: { $ne: true },
+                ...notExpired()
             });
 
             if (lastMessage) {
@@ -152,6 +209,7 @@ export const createChat = asyncHandler(async (req, res) => {
             const unreadCount = await Message.countDocuments({
                 chatId: existingChat._id,
                 isDeleted: { $ne: true },
+                ...notExpired(),
                 readBy: { $ne: currentUserId }
             });
             populatedChat.unreadCount = unreadCount;
@@ -203,7 +261,7 @@ export const createChat = asyncHandler(async (req, res) => {
 // Get all chats for a user
 export const getUserChats = asyncHandler(async (req, res) => {
     const currentUserId = req.user._id;
-    const { page = 1, limit = 20, chatStatus = 'active' } = req.query;
+    const { page = 1, limit = 20, chatStatus = 'active', archived } = req.query;
 
     // Ensure currentUserId is properly formatted as ObjectId
     const userObjectId = new mongoose.Types.ObjectId(currentUserId);
@@ -212,8 +270,14 @@ export const getUserChats = asyncHandler(async (req, res) => {
     const pageLimit = Math.min(parseInt(limit) || 20, 50); // Max 50 chats per request
     const skip = (pageNum - 1) * pageLimit;
 
+    // ?archived=true lists only the chats this user archived, otherwise they're hidden
+    const showArchived = archived === 'true';
+
+    // Filter by chat status (active or requested)
+    const statusFilter = ['active', 'requested'].includes(chatStatus) ? chatStatus : 'active';
+
     // Check cache first
-    const cacheKey = `chats:user:${currentUserId}:status:${chatStatus}:page:${pageNum}:limit:${pageLimit}`;
+    const cacheKey = `chats:user:${currentUserId}:status:${statusFilter}${showArchived ? ':archived' : ''}:page:${pageNum}:limit:${pageLimit}`;
     try {
         const cachedData = await redisClient.get(cacheKey);
         if (cachedData) {
@@ -224,9 +288,6 @@ export const getUserChats = asyncHandler(async (req, res) => {
         // Continue without cache
     }
 
-    // Filter by chat status (active or requested)
-    const statusFilter = ['active', 'requested'].includes(chatStatus) ? chatStatus : 'active';
-
     // ✅ FIXED: Different filtering logic based on requested status
     let chatFilter;
 
@@ -250,6 +311,8 @@ export const getUserChats = asyncHandler(async (req, res) => {
         };
     }
 
+    chatFilter.archivedBy = showArchived ? userObjectId : { $ne: userObjectId };
+
     // Only log in development for debugging
     if (process.env.NODE_ENV === 'development' && process.env.DEBUG_CHAT === 'true') {
         console.log('💬 Chat Debug - User:', currentUserId);
@@ -339,7 +402,8 @@ export const getUserChats = asyncHandler(async (req, res) => {
     const lastMessagesPromises = chatIds.map(chatId =>
         Message.findOne({
             chatId,
-            isDeleted: { $ne: true }
+            isDeleted: { $ne: true },
+            ...notExpired()
         })
             .sort({ timestamp: -1 })
             .populate('sender', 'username fullName profileImageUrl')
@@ -367,7 +431,8 @@ export const getUserChats = asyncHandler(async (req, res) => {
         {
             $match: {
                 chatId: { $in: chatIds },
-                isDeleted: { $ne: true }
+                isDeleted: { $ne: true },
+                ...notExpired()
             }
         },
         {
@@ -459,6 +524,14 @@ export const getUserChats = asyncHandler(async (req, res) => {
         // Add unread count from aggregation
         chatWithUsers.unreadCount = unreadCountMap[chatId] || 0;
 
+        // Only expose the current user's own mute / archive state
+        const myMute = (chat.mutedBy || []).find(m => m.user?.toString() === currentUserId.toString());
+        chatWithUsers.isMuted = isMuteActive(myMute);
+        chatWithUsers.mutedUntil = chatWithUsers.isMuted ? myMute.mutedUntil : null;
+        chatWithUsers.isArchived = (chat.archivedBy || []).some(id => id.toString() === currentUserId.toString());
+        delete chatWithUsers.mutedBy;
+        delete chatWithUsers.archivedBy;
+
         return chatWithUsers;
     }));
 
@@ -490,6 +563,7 @@ export const getUserChats = asyncHandler(async (req, res) => {
         new ApiResponse(200, {
             chats: populatedChats,
             chatStatus: statusFilter,
+            archived: showArchived,
             pagination: {
                 currentPage: pageNum,
                 totalPages: Math.ceil(actualTotal / pageLimit),
@@ -592,6 +666,54 @@ export const declineChatRequest = asyncHandler(async (req, res) => {
     );
 });
 
+// ========================================
+// 📜 MESSAGE PAGINATION
+// ========================================
+
+const MESSAGE_LIST_FIELDS = 'sender message messageType systemEvent sharedContent callEvent storyReference isForwarded mediaUrl fileName fileSize duration waveform listenedBy timestamp editedAt expiresAt readBy replyTo reactions';
+const MAX_MESSAGE_PAGE = 100;
+
+// Visible messages of a chat, sorted and limited, with sender and reply preview
+const findChatMessages = (filter, sort, limit) => Message.find(filter)
+    .sort(sort)
+    .limit(limit)
+    .select(MESSAGE_LIST_FIELDS)
+    .populate('sender', 'username fullName profileImageUrl')
+    .populate({
+        path: 'replyTo',
+        select: 'message sender timestamp',
+        match: notExpired(), // Quoted message that has disappeared shows as unavailable
+        populate: {
+            path: 'sender',
+            select: 'username fullName'
+        }
+    })
+    .lean();
+
+// A cursor is a message ID in this chat or a timestamp (ISO string or epoch ms)
+const resolveMessageCursor = async (chatId, value, name) => {
+    if (mongoose.Types.ObjectId.isValid(value) && String(value).length === 24) {
+        const anchor = await Message.findOne({ _id: value, chatId }).select('timestamp').lean();
+        if (!anchor) {
+            throw new ApiError(404, `Message given as '${name}' not found in this chat`);
+        }
+        return { timestamp: anchor.timestamp, _id: anchor._id };
+    }
+
+    const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+    if (isNaN(date.getTime())) {
+        throw new ApiError(400, `'${name}' must be a message ID or a timestamp`);
+    }
+    return { timestamp: date };
+};
+
+// Reaction counts per emoji and whether the current user reacted
+const decorateMessage = (msg, viewerId) => {
+    msg.isEdited = !!msg.editedAt;
+    msg.myReaction = (msg.reactions || []).find(r => r.user?.toString() === viewerId.toString())?.emoji || null;
+    msg.reactionSummary = summarizeReactions(msg.reactions, viewerId);
+};
+
 // Get messages for a chat
 export const getChatMessages = asyncHandler(async (req, res) => {
     const currentUserId = req.user._id;
@@ -650,30 +772,92 @@ export const getChatMessages = asyncHandler(async (req, res) => {
         throw new ApiError(403, 'This chat request has been declined');
     }
 
+    const { before, after, around } = req.query;
+    const cursorParams = [before, after, around].filter(Boolean);
+    if (cursorParams.length > 1) {
+        throw new ApiError(400, 'Use only one of before, after or around');
+    }
+
+    const visibleFilter = {
+        chatId,
+        isDeleted: { $ne: true }, // Exclude deleted messages
+        ...notExpired()
+    };
+
+    // Cursor mode: stable pages relative to a message, unaffected by new arrivals
+    if (cursorParams.length === 1) {
+        const cursorLimit = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_MESSAGE_PAGE);
+        let messages;
+        let hasOlder;
+        let hasNewer;
+
+        if (around) {
+            // Jump to a message: load it with context on both sides
+            if (!mongoose.Types.ObjectId.isValid(around)) {
+                throw new ApiError(400, 'around must be a message ID');
+            }
+            const anchor = await Message.findOne({ _id: around, ...visibleFilter }).select('timestamp').lean();
+            if (!anchor) {
+                throw new ApiError(404, 'Message not found');
+            }
+
+            const olderCount = Math.floor((cursorLimit - 1) / 2);
+            const newerCount = cursorLimit - 1 - olderCount;
+
+            const [older, newer] = await Promise.all([
+                findChatMessages({ ...visibleFilter, ...olderThan(anchor) }, NEWEST_FIRST, olderCount + 1),
+                // Anchor itself plus the messages after it
+                findChatMessages(
+                    { ...visibleFilter, $or: [{ timestamp: { $gt: anchor.timestamp } }, { timestamp: anchor.timestamp, _id: { $gte: anchor._id } }] },
+                    OLDEST_FIRST,
+                    newerCount + 2
+                )
+            ]);
+
+            hasOlder = older.length > olderCount;
+            hasNewer = newer.length > newerCount + 1;
+            messages = [...older.slice(0, olderCount).reverse(), ...newer.slice(0, newerCount + 1)];
+        } else if (before) {
+            const position = await resolveMessageCursor(chatId, before, 'before');
+            const page = await findChatMessages({ ...visibleFilter, ...olderThan(position) }, NEWEST_FIRST, cursorLimit + 1);
+
+            hasOlder = page.length > cursorLimit;
+            messages = page.slice(0, cursorLimit).reverse();
+            hasNewer = !!(await Message.exists({ ...visibleFilter, ...newerThan(messages.length ? messages[messages.length - 1] : position) }));
+        } else {
+            const position = await resolveMessageCursor(chatId, after, 'after');
+            const page = await findChatMessages({ ...visibleFilter, ...newerThan(position) }, OLDEST_FIRST, cursorLimit + 1);
+
+            hasNewer = page.length > cursorLimit;
+            messages = page.slice(0, cursorLimit);
+            hasOlder = !!(await Message.exists({ ...visibleFilter, ...olderThan(messages.length ? messages[0] : position) }));
+        }
+
+        messages.forEach(msg => decorateMessage(msg, currentUserId));
+
+        return res.status(200).json(
+            new ApiResponse(200, {
+                messages, // Chronological order
+                disappearingMessages: {
+                    duration: chat.disappearingMessages?.duration || 0
+                },
+                anchorMessageId: around || null,
+                pagination: {
+                    limit: cursorLimit,
+                    hasOlder,
+                    hasNewer,
+                    // Pass back as ?before= / ?after= to keep scrolling
+                    before: messages[0]?._id || null,
+                    after: messages[messages.length - 1]?._id || null
+                }
+            }, 'Messages fetched successfully')
+        );
+    }
+
     // Get messages with pagination using Message model
     const [messages, totalMessages] = await Promise.all([
-        Message.find({
-            chatId,
-            isDeleted: { $ne: true } // Exclude deleted messages
-        })
-            .sort({ timestamp: -1 })
-            .skip(skip)
-            .limit(pageLimit)
-            .select('sender message messageType mediaUrl fileName fileSize duration timestamp readBy replyTo reactions')
-            .populate('sender', 'username fullName profileImageUrl')
-            .populate({
-                path: 'replyTo',
-                select: 'message sender timestamp',
-                populate: {
-                    path: 'sender',
-                    select: 'username fullName'
-                }
-            })
-            .lean(),
-        Message.countDocuments({
-            chatId,
-            isDeleted: { $ne: true } // Exclude deleted messages when counting
-        })
+        findChatMessages(visibleFilter, NEWEST_FIRST, pageLimit).skip(skip),
+        Message.countDocuments(visibleFilter)
     ]);
 
     // If this is the first page, update chat's last message if needed
@@ -694,15 +878,23 @@ export const getChatMessages = asyncHandler(async (req, res) => {
         }
     }
 
+    messages.forEach(msg => decorateMessage(msg, currentUserId));
+
     return res.status(200).json(
         new ApiResponse(200, {
             messages: messages.reverse(), // Reverse to get chronological order
+            disappearingMessages: {
+                duration: chat.disappearingMessages?.duration || 0
+            },
             pagination: {
                 currentPage: pageNum,
                 totalPages: Math.ceil(totalMessages / pageLimit),
                 totalMessages,
                 hasNextPage: pageNum < Math.ceil(totalMessages / pageLimit),
-                hasPrevPage: pageNum > 1
+                hasPrevPage: pageNum > 1,
+                // Cursors for switching to ?before= / ?after= paging
+                before: messages[0]?._id || null,
+                after: messages[messages.length - 1]?._id || null
             }
         }, 'Messages fetched successfully')
     );
@@ -720,6 +912,10 @@ export const addMessage = asyncHandler(async (req, res) => {
     const replyTo = body.replyTo;
     const mediaFile = req.file; // File uploaded via FormData
 
+    // System, share and call messages are only created by the server (group events, share endpoint, call summaries)
+    if (['system', 'share', 'call'].includes(messageType)) {
+        throw new ApiError(400, 'Invalid message type');
+    }
 
 
     // For media messages, allow empty message if file is present
@@ -731,7 +927,7 @@ export const addMessage = asyncHandler(async (req, res) => {
     const finalMessage = message && message.trim().length > 0
         ? message.trim()
         : mediaFile
-            ? `📎 ${mediaFile.originalname}`
+            ? messageType === 'voice' ? '🎤 Voice message' : `📎 ${mediaFile.originalname}`
             : '';
 
     // Verify user is participant in the chat
@@ -765,11 +961,20 @@ export const addMessage = asyncHandler(async (req, res) => {
         replyTo: replyTo || null
     };
 
+    const expiresAt = getMessageExpiry(chat, messageData.timestamp);
+    if (expiresAt) {
+        messageData.expiresAt = expiresAt;
+    }
+
+    if (messageType === 'voice' && !mediaFile?.mimetype.startsWith('audio/')) {
+        throw new ApiError(400, 'Voice messages require an audio file');
+    }
+
     // ✅ Handle file upload if present
     if (mediaFile) {
         try {
             // Upload file to Bunny.net
-            const uploadResult = await uploadBufferToBunny(mediaFile.buffer, 'chat_media');
+            const uploadResult = await uploadBufferToBunny(mediaFile.buffer, 'chat_media', mediaFile.originalname, mediaFile.mimetype);
 
             // Add media fields to message data
             messageData.mediaUrl = uploadResult.secure_url;
@@ -781,6 +986,13 @@ export const addMessage = asyncHandler(async (req, res) => {
                 messageData.duration = uploadResult.duration;
             }
 
+            // Audio / voice notes: duration and waveform from the file itself
+            if (mediaFile.mimetype.startsWith('audio/') || uploadResult.resource_type === 'audio') {
+                const { duration, waveform } = analyzeAudio(mediaFile.buffer);
+                if (duration) messageData.duration = duration;
+                if (waveform) messageData.waveform = waveform;
+            }
+
             // Auto-detect message type if not provided
             if (messageType === 'text') {
                 if (mediaFile.mimetype.startsWith('image/')) {
@@ -818,6 +1030,7 @@ export const addMessage = asyncHandler(async (req, res) => {
         .populate({
             path: 'replyTo',
             select: 'message sender timestamp',
+            match: notExpired(),
             populate: {
                 path: 'sender',
                 select: 'username fullName'
@@ -834,8 +1047,10 @@ export const addMessage = asyncHandler(async (req, res) => {
     // Send push notifications to other participants (fire-and-forget)
     (async () => {
         try {
-            const otherParticipants = chat.participants.filter(
-                participantId => participantId.toString() !== currentUserId.toString()
+            // Muted participants still get the message and unread count, just no push
+            const otherParticipants = filterUnmutedRecipients(
+                chat,
+                chat.participants.filter(participantId => participantId.toString() !== currentUserId.toString())
             );
 
             if (otherParticipants.length > 0) {
@@ -848,7 +1063,7 @@ export const addMessage = asyncHandler(async (req, res) => {
                     title: `New message from ${senderName}`,
                     body: messageType === 'text'
                         ? finalMessage.length > 50 ? finalMessage.substring(0, 50) + '...' : finalMessage
-                        : `Sent ${messageType === 'image' ? 'an image' : messageType === 'video' ? 'a video' : messageType === 'audio' ? 'an audio' : 'a file'}`,
+                        : `Sent ${messageType === 'image' ? 'an image' : messageType === 'video' ? 'a video' : messageType === 'audio' ? 'an audio' : messageType === 'voice' ? 'a voice message' : 'a file'}`,
                     chatId: chatId,
                     messageId: newMessage._id.toString(),
                     senderId: currentUserId.toString(),
@@ -872,20 +1087,7 @@ export const addMessage = asyncHandler(async (req, res) => {
             await notificationCache.invalidateMultipleUsersCache(participantIds, 'message');
 
             // Invalidate chat list cache for all participants (so they see updated lastMessage)
-            const cacheInvalidations = [];
-            for (const participantId of participantIds) {
-                // Invalidate both active and requested chat lists (multiple pages)
-                for (let page = 1; page <= 3; page++) {
-                    const activeKey = `chats:user:${participantId}:status:active:page:${page}:limit:20`;
-                    const requestedKey = `chats:user:${participantId}:status:requested:page:${page}:limit:20`;
-                    cacheInvalidations.push(
-                        redisClient.del(activeKey),
-                        redisClient.del(requestedKey)
-                    );
-                }
-            }
-
-            await Promise.all(cacheInvalidations);
+            await invalidateChatListCaches(participantIds);
             console.log(`✅ Invalidated caches for ${participantIds.length} participants`);
         } catch (cacheError) {
             console.error('Error invalidating caches:', cacheError);
@@ -953,16 +1155,7 @@ export const markMessagesRead = asyncHandler(async (req, res) => {
         await notificationCache.invalidateMessageCache(currentUserId.toString());
 
         // Invalidate chat list cache so unread counts update on refresh
-        const cacheInvalidations = [];
-        for (let page = 1; page <= 3; page++) {
-            const activeKey = `chats:user:${currentUserId}:status:active:page:${page}:limit:20`;
-            const requestedKey = `chats:user:${currentUserId}:status:requested:page:${page}:limit:20`;
-            cacheInvalidations.push(
-                redisClient.del(activeKey),
-                redisClient.del(requestedKey)
-            );
-        }
-        await Promise.all(cacheInvalidations);
+        await invalidateChatListCaches([currentUserId.toString()]);
     } catch (cacheError) {
         console.error('Error invalidating message cache:', cacheError);
         // Don't block response if cache invalidation fails
@@ -1015,16 +1208,7 @@ export const markChatAsRead = asyncHandler(async (req, res) => {
         await notificationCache.invalidateMessageCache(currentUserId.toString());
 
         // Invalidate chat list cache so unread counts update on refresh
-        const cacheInvalidations = [];
-        for (let page = 1; page <= 3; page++) {
-            const activeKey = `chats:user:${currentUserId}:status:active:page:${page}:limit:20`;
-            const requestedKey = `chats:user:${currentUserId}:status:requested:page:${page}:limit:20`;
-            cacheInvalidations.push(
-                redisClient.del(activeKey),
-                redisClient.del(requestedKey)
-            );
-        }
-        await Promise.all(cacheInvalidations);
+        await invalidateChatListCaches([currentUserId.toString()]);
     } catch (cacheError) {
         console.error('Error invalidating message cache:', cacheError);
         // Don't block response if cache invalidation fails
@@ -1076,11 +1260,18 @@ export const deleteMessage = asyncHandler(async (req, res) => {
 
     await message.save();
 
+    // Deleted messages can't stay pinned
+    const wasPinned = (chat.pinnedMessages || []).some(id => id.toString() === message._id.toString());
+    if (wasPinned) {
+        chat.pinnedMessages.pull(message._id);
+    }
+
     // Update chat metadata after any message deletion
     // Find the most recent non-deleted message
     const remainingLastMessage = await Message.findOne({
         chatId,
-        isDeleted: { $ne: true }
+        isDeleted: { $ne: true },
+        ...notExpired()
     }).sort({ timestamp: -1 });
 
     if (remainingLastMessage) {
@@ -1102,7 +1293,8 @@ export const deleteMessage = asyncHandler(async (req, res) => {
     // Update message count in stats
     const messageCount = await Message.countDocuments({
         chatId,
-        isDeleted: { $ne: true }
+        isDeleted: { $ne: true },
+        ...notExpired()
     });
 
     if (!chat.stats) {
@@ -1112,6 +1304,14 @@ export const deleteMessage = asyncHandler(async (req, res) => {
 
     await chat.save();
 
+    if (wasPinned) {
+        safeEmitToChat(chatId, 'message_unpinned', {
+            chatId,
+            messageId,
+            reason: 'deleted'
+        });
+    }
+
     // Emit real-time event for message deletion
     safeEmitToChat(chatId, 'message_deleted', {
         chatId,
@@ -1128,6 +1328,120 @@ export const deleteMessage = asyncHandler(async (req, res) => {
     );
 });
 
+// How long after sending a text message its sender can still edit it
+const MESSAGE_EDIT_WINDOW_MINUTES = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15;
+
+// Edit a text message (sender only, within the edit window)
+export const editMessage = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId, messageId } = req.params;
+    const newText = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+
+    if (!mongoose.Types.ObjectId.isValid(chatId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+        throw new ApiError(400, 'Invalid chat or message ID');
+    }
+    if (!newText) {
+        throw new ApiError(400, 'Message content is required');
+    }
+
+    // Verify user is participant in the chat
+    const chat = await Chat.findOne({
+        _id: chatId,
+        participants: currentUserId
+    }).select('status lastMessageId participants');
+
+    if (!chat) {
+        throw new ApiError(404, 'Chat not found or access denied');
+    }
+
+    if (chat.status === 'declined') {
+        throw new ApiError(403, 'This chat request has been declined');
+    }
+
+    const message = await Message.findOne({
+        _id: messageId,
+        chatId,
+        isDeleted: { $ne: true },
+        ...notExpired()
+    });
+
+    if (!message) {
+        throw new ApiError(404, 'Message not found');
+    }
+
+    if (message.sender.toString() !== currentUserId.toString()) {
+        throw new ApiError(403, 'You can only edit your own messages');
+    }
+
+    if (message.messageType !== 'text') {
+        throw new ApiError(400, 'Only text messages can be edited');
+    }
+
+    const editWindow = MESSAGE_EDIT_WINDOW_MINUTES * 60 * 1000;
+    if (Date.now() - message.timestamp.getTime() > editWindow) {
+        throw new ApiError(400, `Messages can only be edited within ${MESSAGE_EDIT_WINDOW_MINUTES} minutes of sending`);
+    }
+
+    if (message.message === newText) {
+        throw new ApiError(400, 'Message is unchanged');
+    }
+
+    const editedAt = new Date();
+
+    // Conditional on the text we read so concurrent edits can't drop a history entry,
+    // and on expiry so a message that disappears meanwhile isn't edited back into view
+    const editedMessage = await Message.findOneAndUpdate(
+        { _id: message._id, message: message.message, isDeleted: { $ne: true }, ...notExpired() },
+        {
+            $set: { message: newText, editedAt },
+            $push: { editHistory: { message: message.message, editedAt } }
+        },
+        { new: true }
+    )
+        .populate('sender', 'username fullName profileImageUrl')
+        .populate({
+            path: 'replyTo',
+            select: 'message sender timestamp',
+            match: notExpired(),
+            populate: {
+                path: 'sender',
+                select: 'username fullName'
+            }
+        })
+        .lean();
+
+    if (!editedMessage) {
+        throw new ApiError(409, 'Message was changed by another request, please retry');
+    }
+
+    editedMessage.isEdited = true;
+
+    // Keep the chat list preview in sync when the latest message is edited
+    if (chat.lastMessageId?.toString() === message._id.toString()) {
+        await Chat.updateOne(
+            { _id: chat._id, lastMessageId: message._id },
+            { $set: { 'lastMessage.message': newText } }
+        );
+        invalidateChatListCaches(chat.participants.map(p => p.toString()));
+    }
+
+    safeEmitToChat(chatId, 'message_edited', {
+        chatId,
+        messageId,
+        message: newText,
+        editedAt,
+        editedBy: {
+            _id: currentUserId,
+            username: req.user.username,
+            fullName: req.user.fullName
+        }
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, editedMessage, 'Message edited successfully')
+    );
+});
+
 // Restore a deleted message (admin or sender only)
 export const restoreMessage = asyncHandler(async (req, res) => {
     const currentUserId = req.user._id;
@@ -1180,6 +1494,7 @@ export const restoreMessage = asyncHandler(async (req, res) => {
         .populate({
             path: 'replyTo',
             select: 'message sender timestamp',
+            match: notExpired(),
             populate: {
                 path: 'sender',
                 select: 'username fullName'
@@ -1204,6 +1519,178 @@ export const restoreMessage = asyncHandler(async (req, res) => {
     );
 });
 
+// ========================================
+// 😀 MESSAGE REACTIONS
+// ========================================
+
+// One or more emoji (incl. skin tones / ZWJ sequences), nothing else
+const EMOJI_REGEX = /^(?:\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f|\u20e3)+$/u;
+const MAX_EMOJI_LENGTH = 32;
+
+export const normalizeEmoji = (emoji) => {
+    if (typeof emoji !== 'string') return null;
+    const trimmed = emoji.trim();
+    if (!trimmed || trimmed.length > MAX_EMOJI_LENGTH) return null;
+    if (!EMOJI_REGEX.test(trimmed) || !/\p{Extended_Pictographic}/u.test(trimmed)) return null;
+    return trimmed;
+};
+
+/**
+ * Counts per emoji, most used first; `reactedByMe` is set when a viewer is given
+ */
+const summarizeReactions = (reactions = [], viewerId = null) => {
+    const viewer = viewerId?.toString();
+    const byEmoji = new Map();
+
+    for (const reaction of reactions) {
+        if (!reaction?.emoji) continue;
+        const entry = byEmoji.get(reaction.emoji) || { emoji: reaction.emoji, count: 0, reactedByMe: false };
+        entry.count++;
+        if (viewer && reaction.user?.toString() === viewer) entry.reactedByMe = true;
+        byEmoji.set(reaction.emoji, entry);
+    }
+
+    return [...byEmoji.values()]
+        .sort((a, b) => b.count - a.count)
+        .map(entry => viewer ? entry : { emoji: entry.emoji, count: entry.count });
+};
+
+// Chat + message the current user may react to
+const findReactableMessage = async (chatId, messageId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(chatId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+        throw new ApiError(400, 'Invalid chat or message ID');
+    }
+
+    const chat = await Chat.findOne({ _id: chatId, participants: userId }).select('status createdBy').lean();
+    if (!chat) {
+        throw new ApiError(404, 'Chat not found or access denied');
+    }
+    if (chat.status === 'declined') {
+        throw new ApiError(403, 'This chat request has been declined');
+    }
+    if (chat.status === 'requested' && chat.createdBy.toString() !== userId.toString()) {
+        throw new ApiError(403, 'You must accept the chat request before reacting to messages');
+    }
+
+    const message = await Message.findOne({ _id: messageId, chatId, isDeleted: { $ne: true }, ...notExpired() })
+        .select('messageType')
+        .lean();
+    if (!message) {
+        throw new ApiError(404, 'Message not found');
+    }
+    if (message.messageType === 'system') {
+        throw new ApiError(400, 'You cannot react to this message');
+    }
+
+    return message;
+};
+
+/**
+ * Add, change or remove a user's reaction and broadcast the new state to the chat
+ * Shared by the reaction endpoints and the message_reaction socket event
+ * @param {string} action - add (replaces an existing reaction) | change | remove
+ * @returns {Promise<Object>} the applied action (added / changed / removed) and the reactions as `user` sees them
+ */
+export const applyMessageReaction = async (chatId, messageId, user, { action, emoji: requestedEmoji } = {}) => {
+    if (!['add', 'change', 'remove'].includes(action)) {
+        throw new ApiError(400, 'Reaction action must be add, change or remove');
+    }
+
+    const emoji = action === 'remove' ? null : normalizeEmoji(requestedEmoji);
+    if (action !== 'remove' && !emoji) {
+        throw new ApiError(400, 'A valid emoji is required');
+    }
+
+    await findReactableMessage(chatId, messageId, user._id);
+
+    const setMyEmoji = () => Message.updateOne(
+        { _id: messageId, 'reactions.user': user._id },
+        { $set: { 'reactions.$.emoji': emoji, 'reactions.$.timestamp': new Date() } }
+    );
+
+    let applied;
+    if (action === 'add') {
+        // Atomic: only pushes if this user hasn't reacted yet
+        const added = await Message.updateOne(
+            { _id: messageId, 'reactions.user': { $ne: user._id } },
+            { $push: { reactions: { user: user._id, emoji, timestamp: new Date() } } }
+        );
+        if (added.modifiedCount === 0) await setMyEmoji();
+        applied = added.modifiedCount > 0 ? 'added' : 'changed';
+    } else if (action === 'change') {
+        const changed = await setMyEmoji();
+        if (changed.matchedCount === 0) {
+            throw new ApiError(404, 'You have not reacted to this message');
+        }
+        applied = 'changed';
+    } else {
+        const removed = await Message.updateOne(
+            { _id: messageId },
+            { $pull: { reactions: { user: user._id } } }
+        );
+        if (removed.modifiedCount === 0) {
+            throw new ApiError(404, 'You have not reacted to this message');
+        }
+        applied = 'removed';
+    }
+
+    const updated = await Message.findById(messageId).select('reactions').lean();
+    const reactions = updated?.reactions || [];
+
+    safeEmitToChat(chatId, 'message_reaction_updated', {
+        chatId,
+        messageId,
+        action: applied,
+        emoji,
+        user: {
+            _id: user._id,
+            username: user.username,
+            fullName: user.fullName
+        },
+        reactions: summarizeReactions(reactions)
+    });
+
+    return {
+        messageId,
+        action: applied,
+        myReaction: reactions.find(r => r.user?.toString() === user._id.toString())?.emoji || null,
+        reactions: summarizeReactions(reactions, user._id)
+    };
+};
+
+// Respond with the viewer's reaction summary
+const respondWithReactions = (res, { messageId, myReaction, reactions }, statusCode, responseMessage) =>
+    res.status(statusCode).json(
+        new ApiResponse(statusCode, { messageId, myReaction, reactions }, responseMessage)
+    );
+
+// Add a reaction - one reaction per user, reacting again replaces the previous emoji
+export const addReaction = asyncHandler(async (req, res) => {
+    const { chatId, messageId } = req.params;
+
+    const result = await applyMessageReaction(chatId, messageId, req.user, { action: 'add', emoji: req.body.emoji });
+
+    return result.action === 'added'
+        ? respondWithReactions(res, result, 201, 'Reaction added successfully')
+        : respondWithReactions(res, result, 200, 'Reaction updated successfully');
+});
+
+// Change my existing reaction to another emoji
+export const changeReaction = asyncHandler(async (req, res) => {
+    const { chatId, messageId } = req.params;
+
+    const result = await applyMessageReaction(chatId, messageId, req.user, { action: 'change', emoji: req.body.emoji });
+    return respondWithReactions(res, result, 200, 'Reaction updated successfully');
+});
+
+// Remove my reaction
+export const removeReaction = asyncHandler(async (req, res) => {
+    const { chatId, messageId } = req.params;
+
+    const result = await applyMessageReaction(chatId, messageId, req.user, { action: 'remove' });
+    return respondWithReactions(res, result, 200, 'Reaction removed successfully');
+});
+
 // Start typing indicator
 export const startTyping = asyncHandler(async (req, res) => {
     const currentUserId = req.user._id;
@@ -1313,26 +1800,31 @@ export const searchMessages = asyncHandler(async (req, res) => {
         throw new ApiError(404, 'Chat not found or access denied');
     }
 
-    // Search messages using Message model
+    // Search the current text only (previous versions live in editHistory)
+    const escapedQuery = query.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const searchFilter = {
+        chatId,
+        message: { $regex: escapedQuery, $options: 'i' },
+        messageType: { $nin: ['system', 'call'] },
+        isDeleted: { $ne: true },
+        ...notExpired()
+    };
+
     const [searchResults, totalResults] = await Promise.all([
-        Message.find({
-            chatId,
-            message: { $regex: query, $options: 'i' },
-            isDeleted: { $ne: true }
-        })
+        Message.find(searchFilter)
             .sort({ timestamp: -1 })
             .skip(skip)
             .limit(pageLimit)
-            .select('sender message messageType timestamp')
+            .select('sender message messageType timestamp editedAt')
             .populate('sender', 'username fullName profileImageUrl')
             .lean(),
-        Message.countDocuments({
-            chatId,
-            message: { $regex: query, $options: 'i' },
-            isDeleted: { $ne: true }
-        })
+        Message.countDocuments(searchFilter)
     ]);
 
+    searchResults.forEach(msg => {
+        msg.isEdited = !!msg.editedAt;
+    });
+
     return res.status(200).json(
         new ApiResponse(200, {
             messages: searchResults,
@@ -1348,6 +1840,1608 @@ export const searchMessages = asyncHandler(async (req, res) => {
     );
 });
 
+// ========================================
+// 📤 SHARING & FORWARDING
+// ========================================
+
+const MAX_SHARE_TARGET_CHATS = 10;
+
+const LIVE_POST_FILTER = { status: { $nin: ['scheduled', 'draft'] } };
+
+// Chats the user can send to right now (same rules as addMessage)
+const findSendableChats = async (chatIds, userId) => {
+    if (!Array.isArray(chatIds) || chatIds.length === 0) {
+        throw new ApiError(400, 'chatIds must be a non-empty array');
+    }
+
+    const uniqueChatIds = [...new Set(chatIds.map(id => id?.toString()))];
+    if (uniqueChatIds.length > MAX_SHARE_TARGET_CHATS) {
+        throw new ApiError(400, `You can send to at most ${MAX_SHARE_TARGET_CHATS} chats at once`);
+    }
+    if (uniqueChatIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        throw new ApiError(400, 'Invalid chat IDs');
+    }
+
+    const chats = await Chat.find({ _id: { $in: uniqueChatIds }, participants: userId });
+    if (chats.length !== uniqueChatIds.length) {
+        throw new ApiError(404, 'One or more chats were not found');
+    }
+
+    for (const chat of chats) {
+        if (chat.status === 'declined' ||
+            (chat.status === 'requested' && chat.createdBy.toString() !== userId.toString())) {
+            throw new ApiError(403, 'You cannot send messages to one or more of these chats');
+        }
+    }
+
+    return chats;
+};
+
+/**
+ * Create a message in a chat and fan it out like addMessage does
+ * (lastMessage, new_message event, push for unmuted participants, cache invalidation)
+ */
+const deliverMessageToChat = async (chat, sender, messageData, pushBody) => {
+    const now = new Date();
+    const newMessage = await Message.create({
+        ...messageData,
+        chatId: chat._id,
+        sender: sender._id,
+        timestamp: now,
+        readBy: [sender._id],
+        expiresAt: getMessageExpiry(chat, now)
+    });
+
+    chat.lastMessageAt = now;
+    chat.lastMessage = {
+        sender: sender._id,
+        message: newMessage.message,
+        timestamp: now
+    };
+    chat.lastMessageId = newMessage._id;
+    await chat.save();
+
+    const populatedMessage = await Message.findById(newMessage._id)
+        .populate('sender', 'username fullName profileImageUrl')
+        .lean();
+
+    safeEmitToChat(chat._id.toString(), 'new_message', {
+        chatId: chat._id.toString(),
+        message: populatedMessage
+    });
+
+    (async () => {
+        try {
+            const participantIds = chat.participants.map(p => p.toString());
+            const recipients = filterUnmutedRecipients(
+                chat,
+                participantIds.filter(id => id !== sender._id.toString())
+            );
+
+            if (pushBody && recipients.length > 0) {
+                await sendPushNotification(recipients, {
+                    title: `New message from ${displayName(sender)}`,
+                    body: pushBody,
+                    chatId: chat._id.toString(),
+                    messageId: newMessage._id.toString(),
+                    senderId: sender._id.toString(),
+                    url: `/chats?chatId=${chat._id}`
+                });
+            }
+
+            await notificationCache.invalidateMultipleUsersCache(participantIds, 'message');
+            await invalidateChatListCaches(participantIds);
+        } catch (error) {
+            console.error('Error fanning out chat message:', error);
+        }
+    })();
+
+    return populatedMessage;
+};
+
+// Call summary posted to the chat when a call finishes (no chat push - missed calls get their own notification)
+export const postCallSummaryMessage = async (call, text, outcome) => {
+    const chat = await Chat.findById(call.chatId);
+    if (!chat) return null;
+
+    return deliverMessageToChat(chat, { _id: call.initiator }, {
+        message: text,
+        messageType: 'call',
+        callEvent: {
+            callId: call._id,
+            callType: call.callType,
+            outcome,
+            duration: outcome === 'ended' ? call.duration : undefined,
+            isGroupCall: !!call.isGroupCall
+        }
+    }, null);
+};
+
+/**
+ * Send a message to someone's direct chat from outside the chat endpoints (e.g. story replies)
+ * Opens the chat if needed with the same request rules as createChat: it is a request
+ * unless the recipient follows the sender
+ */
+export const sendDirectMessage = async (sender, recipientId, messageData, pushBody) => {
+    const participants = [sender._id, recipientId]
+        .map(id => new mongoose.Types.ObjectId(id.toString()))
+        .sort((a, b) => a.toString().localeCompare(b.toString()));
+
+    const recipientFollowsSender = await checkFollowStatus(recipientId, sender._id);
+
+    let chat = await Chat.findOne({
+        chatType: 'direct',
+        participants: { $all: participants, $size: 2 }
+    });
+
+    if (!chat) {
+        chat = await Chat.create({
+            participants,
+            chatType: 'direct',
+            createdBy: sender._id,
+            ...(!recipientFollowsSender && { status: 'requested' })
+        });
+    } else if (chat.status === 'declined') {
+        chat.status = 'requested';
+        chat.createdBy = sender._id;
+    } else if (chat.status === 'requested' && recipientFollowsSender) {
+        chat.status = 'active';
+    }
+
+    return deliverMessageToChat(chat, sender, messageData, pushBody);
+};
+
+// Whether a user follows / is followed by the owner, in the shape canViewPost expects
+const getRelationsWithOwner = async (userIds, ownerId) => {
+    const [following, followedBy] = await Promise.all([
+        Follower.find({ followerId: { $in: userIds }, userId: ownerId }).select('followerId').lean(),
+        Follower.find({ userId: { $in: userIds }, followerId: ownerId }).select('userId').lean()
+    ]);
+
+    const followsOwner = new Set(following.map(f => f.followerId.toString()));
+    const followedByOwner = new Set(followedBy.map(f => f.userId.toString()));
+
+    return (userId) => ({
+        viewerFollowing: followsOwner.has(userId.toString()) ? [ownerId.toString()] : [],
+        viewerFollowers: followedByOwner.has(userId.toString()) ? [ownerId.toString()] : []
+    });
+};
+
+/**
+ * Load shareable content and build its preview snapshot
+ * Stories use their owner's account privacy as the "post" privacy
+ */
+const loadShareableContent = async (contentType, contentId) => {
+    if (!mongoose.Types.ObjectId.isValid(contentId)) {
+        throw new ApiError(400, 'Invalid content ID');
+    }
+
+    const ownerFields = 'username fullName profileImageUrl privacy isFullPrivate';
+
+    if (contentType === 'post') {
+        const post = await Post.findOne({ _id: contentId, ...LIVE_POST_FILTER })
+            .select('userId postType caption media settings')
+            .populate('userId', ownerFields)
+            .lean();
+        if (!post || !post.userId) throw new ApiError(404, 'Post not found');
+
+        const media = post.media?.[0];
+        return {
+            owner: post.userId,
+            privacyTarget: post,
+            snapshot: {
+                caption: post.caption?.slice(0, 200),
+                postType: post.postType,
+                mediaType: media?.type,
+                thumbnailUrl: media?.thumbnailUrl || media?.url
+            }
+        };
+    }
+
+    if (contentType === 'story') {
+        const story = await Story.findOne({ _id: contentId, isArchived: false, expiresAt: { $gt: new Date() } })
+            .populate('userId', ownerFields)
+            .lean();
+        if (!story || !story.userId) throw new ApiError(404, 'Story not found or expired');
+
+        return {
+            owner: story.userId,
+            privacyTarget: { settings: { privacy: story.userId.privacy || 'public' } },
+            snapshot: {
+                caption: story.caption?.slice(0, 200),
+                mediaType: story.mediaType,
+                thumbnailUrl: story.mediaUrl,
+                expiresAt: story.expiresAt
+            }
+        };
+    }
+
+    if (contentType === 'business') {
+        const business = await Business.findById(contentId)
+            .select('userId businessName category logoUrl')
+            .populate('userId', ownerFields)
+            .lean();
+        if (!business || !business.userId) throw new ApiError(404, 'Business not found');
+
+        // Business profiles are public, only the owner's full-private mode restricts them
+        return {
+            owner: business.userId,
+            privacyTarget: { settings: { privacy: 'public' } },
+            snapshot: {
+                title: business.businessName,
+                caption: business.category,
+                thumbnailUrl: business.logoUrl
+            }
+        };
+    }
+
+    throw new ApiError(400, 'contentType must be one of: post, reel, story, business');
+};
+
+// Everyone who will see the share must be allowed to see the content
+const assertShareAllowed = async (content, sender, chats) => {
+    const ownerId = content.owner._id.toString();
+    const senderId = sender._id.toString();
+    const recipientIds = [...new Set(chats.flatMap(chat => chat.participants.map(p => p.toString())))]
+        .filter(id => id !== ownerId && id !== senderId);
+    const viewerIds = [senderId, ...recipientIds].filter(id => id !== ownerId);
+
+    if (viewerIds.length === 0) return;
+
+    const [blocks, relationsFor] = await Promise.all([
+        Block.find({
+            $or: [
+                { blockerId: ownerId, blockedId: { $in: viewerIds } },
+                { blockerId: { $in: viewerIds }, blockedId: ownerId }
+            ]
+        }).lean(),
+        getRelationsWithOwner(viewerIds, ownerId)
+    ]);
+
+    const blockedViewerIds = new Set(
+        blocks.flatMap(block => [block.blockerId.toString(), block.blockedId.toString()])
+    );
+
+    const canSee = (userId) => {
+        if (userId === ownerId) return true;
+        if (blockedViewerIds.has(userId)) return false;
+        const { viewerFollowing, viewerFollowers } = relationsFor(userId);
+        return canViewPost(content.privacyTarget, content.owner, { _id: userId }, viewerFollowing, viewerFollowers);
+    };
+
+    if (!canSee(senderId)) {
+        throw new ApiError(403, "You don't have permission to share this content");
+    }
+    if (recipientIds.some(id => !canSee(id))) {
+        throw new ApiError(403, "Some people in these chats can't see this content");
+    }
+};
+
+// Count shares on the post (engagement + interaction used by insights)
+const recordPostShares = async (postId, userId, count) => {
+    try {
+        await Post.updateOne({ _id: postId }, { $inc: { 'engagement.shares': count } });
+        await PostInteraction.findOneAndUpdate(
+            { userId, postId, interactionType: 'share' },
+            {
+                $set: { lastInteracted: new Date() },
+                $inc: { interactionCount: count, [`dailyCounts.${PostInteraction.dayKey()}`]: count }
+            },
+            { upsert: true }
+        );
+    } catch (error) {
+        console.error('Error recording post share:', error);
+    }
+};
+
+const describeShare = (contentType, snapshot) => {
+    if (contentType === 'business') return `🏢 Shared ${snapshot.title || 'a business'}`;
+    if (contentType === 'story') return `📸 Shared ${snapshot.username}'s story`;
+    return `🔗 Shared a ${snapshot.postType === 'reel' ? 'reel' : 'post'} by ${snapshot.username}`;
+};
+
+// Share a post, reel, story or business profile into one or more chats
+export const shareContent = asyncHandler(async (req, res) => {
+    const sender = req.user;
+    const { chatIds, contentId, message } = req.body;
+    // Reels are posts with postType 'reel'
+    const contentType = req.body.contentType === 'reel' ? 'post' : req.body.contentType;
+
+    const chats = await findSendableChats(chatIds, sender._id);
+    const content = await loadShareableContent(contentType, contentId);
+    await assertShareAllowed(content, sender, chats);
+
+    const snapshot = {
+        ...content.snapshot,
+        ownerId: content.owner._id,
+        username: content.owner.username,
+        fullName: content.owner.fullName,
+        profileImageUrl: content.owner.profileImageUrl
+    };
+    const caption = typeof message === 'string' && message.trim() ? message.trim() : null;
+    const text = caption || describeShare(contentType, snapshot);
+
+    const messages = [];
+    for (const chat of chats) {
+        messages.push(await deliverMessageToChat(chat, sender, {
+            message: text,
+            messageType: 'share',
+            sharedContent: { contentType, contentId, snapshot }
+        }, text));
+    }
+
+    if (contentType === 'post') {
+        await recordPostShares(contentId, sender._id, chats.length);
+    }
+
+    return res.status(201).json(
+        new ApiResponse(201, { messages }, 'Shared successfully')
+    );
+});
+
+// Forward an existing message to one or more chats
+export const forwardMessage = asyncHandler(async (req, res) => {
+    const sender = req.user;
+    const { chatId, messageId } = req.params;
+    const { chatIds } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(chatId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+        throw new ApiError(400, 'Invalid chat or message ID');
+    }
+
+    const sourceChat = await Chat.findOne({ _id: chatId, participants: sender._id }).select('_id').lean();
+    if (!sourceChat) {
+        throw new ApiError(404, 'Chat not found or access denied');
+    }
+
+    const original = await Message.findOne({ _id: messageId, chatId, isDeleted: { $ne: true }, ...notExpired() }).lean();
+    if (!original) {
+        throw new ApiError(404, 'Message not found');
+    }
+    if (['system', 'call'].includes(original.messageType)) {
+        throw new ApiError(400, 'This message cannot be forwarded');
+    }
+
+    const chats = await findSendableChats(chatIds, sender._id);
+
+    // Shares are re-checked against the new audience
+    const sharedContent = original.sharedContent;
+    if (original.messageType === 'share') {
+        const content = await loadShareableContent(sharedContent.contentType, sharedContent.contentId);
+        await assertShareAllowed(content, sender, chats);
+    }
+
+    const messageData = {
+        message: original.message,
+        messageType: original.messageType,
+        mediaUrl: original.mediaUrl,
+        fileName: original.fileName,
+        fileSize: original.fileSize,
+        duration: original.duration,
+        waveform: original.waveform,
+        location: original.location,
+        sharedContent,
+        isForwarded: true,
+        forwardedFrom: original._id
+    };
+
+    const pushBody = original.messageType === 'text' || original.messageType === 'share'
+        ? `Forwarded: ${original.message.length > 50 ? original.message.substring(0, 50) + '...' : original.message}`
+        : 'Forwarded a message';
+
+    const messages = [];
+    for (const chat of chats) {
+        messages.push(await deliverMessageToChat(chat, sender, messageData, pushBody));
+    }
+
+    if (original.messageType === 'share' && sharedContent.contentType === 'post') {
+        await recordPostShares(sharedContent.contentId, sender._id, chats.length);
+    }
+
+    return res.status(201).json(
+        new ApiResponse(201, { messages }, 'Message forwarded successfully')
+    );
+});
+
+// ========================================
+// 🔕 MUTE & ARCHIVE (per user)
+// ========================================
+
+// Mute durations in ms, null = until unmuted
+const MUTE_DURATIONS = {
+    '1h': 60 * 60 * 1000,
+    '8h': 8 * 60 * 60 * 1000,
+    '1w': 7 * 24 * 60 * 60 * 1000,
+    'forever': null
+};
+
+const findChatForParticipant = async (chatId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        throw new ApiError(400, 'Invalid chat ID');
+    }
+
+    const chat = await Chat.findOne({ _id: chatId, participants: userId }).select('_id').lean();
+    if (!chat) {
+        throw new ApiError(404, 'Chat not found or access denied');
+    }
+
+    return chat;
+};
+
+// Mute a chat for 1h, 8h, 1w or forever
+export const muteChat = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId } = req.params;
+    const { duration } = req.body;
+
+    if (!Object.prototype.hasOwnProperty.call(MUTE_DURATIONS, duration)) {
+        throw new ApiError(400, `duration must be one of: ${Object.keys(MUTE_DURATIONS).join(', ')}`);
+    }
+
+    await findChatForParticipant(chatId, currentUserId);
+
+    const now = new Date();
+    const mutedUntil = MUTE_DURATIONS[duration] === null ? null : new Date(now.getTime() + MUTE_DURATIONS[duration]);
+
+    // Update an existing mute, otherwise add one
+    const updated = await Chat.updateOne(
+        { _id: chatId, 'mutedBy.user': currentUserId },
+        { $set: { 'mutedBy.$.mutedUntil': mutedUntil, 'mutedBy.$.mutedAt': now } }
+    );
+
+    if (updated.matchedCount === 0) {
+        await Chat.updateOne(
+            { _id: chatId, 'mutedBy.user': { $ne: currentUserId } },
+            { $push: { mutedBy: { user: currentUserId, mutedUntil, mutedAt: now } } }
+        );
+    }
+
+    await invalidateChatListCaches([currentUserId.toString()]);
+
+    // Sync the user's other devices
+    socketManager.emitToUser(currentUserId.toString(), 'chat_mute_updated', { chatId, isMuted: true, mutedUntil });
+
+    return res.status(200).json(
+        new ApiResponse(200, { chatId, isMuted: true, mutedUntil }, 'Chat muted successfully')
+    );
+});
+
+// Unmute a chat
+export const unmuteChat = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId } = req.params;
+
+    await findChatForParticipant(chatId, currentUserId);
+
+    await Chat.updateOne(
+        { _id: chatId },
+        { $pull: { mutedBy: { user: currentUserId } } }
+    );
+
+    await invalidateChatListCaches([currentUserId.toString()]);
+
+    socketManager.emitToUser(currentUserId.toString(), 'chat_mute_updated', { chatId, isMuted: false, mutedUntil: null });
+
+    return res.status(200).json(
+        new ApiResponse(200, { chatId, isMuted: false, mutedUntil: null }, 'Chat unmuted successfully')
+    );
+});
+
+// Archive a chat (only for the current user)
+export const archiveChat = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId } = req.params;
+
+    await findChatForParticipant(chatId, currentUserId);
+
+    await Chat.updateOne(
+        { _id: chatId },
+        { $addToSet: { archivedBy: currentUserId } }
+    );
+
+    await invalidateChatListCaches([currentUserId.toString()]);
+
+    socketManager.emitToUser(currentUserId.toString(), 'chat_archive_updated', { chatId, isArchived: true });
+
+    return res.status(200).json(
+        new ApiResponse(200, { chatId, isArchived: true }, 'Chat archived successfully')
+    );
+});
+
+// Move a chat back to the main chat list
+export const unarchiveChat = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId } = req.params;
+
+    await findChatForParticipant(chatId, currentUserId);
+
+    await Chat.updateOne(
+        { _id: chatId },
+        { $pull: { archivedBy: currentUserId } }
+    );
+
+    await invalidateChatListCaches([currentUserId.toString()]);
+
+    socketManager.emitToUser(currentUserId.toString(), 'chat_archive_updated', { chatId, isArchived: false });
+
+    return res.status(200).json(
+        new ApiResponse(200, { chatId, isArchived: false }, 'Chat unarchived successfully')
+    );
+});
+
+// ========================================
+// ⏳ DISAPPEARING MESSAGES
+// ========================================
+
+// Timer options in seconds, 0 = off
+const DISAPPEARING_DURATIONS = {
+    'off': 0,
+    '24h': 24 * 60 * 60,
+    '7d': 7 * 24 * 60 * 60,
+    '90d': 90 * 24 * 60 * 60
+};
+
+const DISAPPEARING_LABELS = {
+    '24h': '24 hours',
+    '7d': '7 days',
+    '90d': '90 days'
+};
+
+const EXPIRED_MESSAGES_CHECK_INTERVAL_SECONDS = 60;
+const EXPIRED_MESSAGES_BATCH_SIZE = 500;
+const EXPIRED_MESSAGES_LOCK_KEY = 'chat:expired_messages:lock';
+const EXPIRED_MESSAGES_LOCK_TTL_SECONDS = 5 * 60; // Released when the run ends, this only covers a crashed instance
+
+// Turn disappearing messages on/off for a chat (any participant)
+export const setDisappearingMessages = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId } = req.params;
+    const { duration } = req.body;
+
+    if (!Object.prototype.hasOwnProperty.call(DISAPPEARING_DURATIONS, duration)) {
+        throw new ApiError(400, `duration must be one of: ${Object.keys(DISAPPEARING_DURATIONS).join(', ')}`);
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        throw new ApiError(400, 'Invalid chat ID');
+    }
+
+    const chat = await Chat.findOne({ _id: chatId, participants: currentUserId });
+    if (!chat) {
+        throw new ApiError(404, 'Chat not found or access denied');
+    }
+    if (chat.status !== 'active') {
+        throw new ApiError(403, 'Disappearing messages can only be changed in active chats');
+    }
+
+    const seconds = DISAPPEARING_DURATIONS[duration];
+    if ((chat.disappearingMessages?.duration || 0) === seconds) {
+        throw new ApiError(400, 'Disappearing messages already set to this duration');
+    }
+
+    chat.disappearingMessages = {
+        duration: seconds,
+        updatedBy: currentUserId,
+        updatedAt: new Date()
+    };
+
+    const systemMessage = await postSystemMessage(
+        chat,
+        currentUserId,
+        seconds > 0
+            ? `${displayName(req.user)} turned on disappearing messages. New messages will disappear ${DISAPPEARING_LABELS[duration]} after they're sent.`
+            : `${displayName(req.user)} turned off disappearing messages.`,
+        'disappearing_messages_updated'
+    );
+
+    await chat.save();
+
+    emitSystemMessage(chat._id, systemMessage);
+    safeEmitToChat(chatId, 'disappearing_messages_updated', {
+        chatId,
+        duration: seconds,
+        updatedBy: { _id: currentUserId, username: req.user.username, fullName: req.user.fullName }
+    });
+
+    invalidateChatListCaches(chat.participants.map(p => p.toString()));
+
+    return res.status(200).json(
+        new ApiResponse(200, { chatId, duration: seconds }, 'Disappearing messages updated successfully')
+    );
+});
+
+// Point lastMessage at the newest message that is still visible
+const refreshChatLastMessage = async (chatId) => {
+    const latest = await Message.findOne({
+        chatId,
+        isDeleted: { $ne: true },
+        ...notExpired()
+    })
+        .sort({ timestamp: -1 })
+        .select('sender message timestamp')
+        .lean();
+
+    if (latest) {
+        await Chat.updateOne({ _id: chatId }, {
+            $set: {
+                lastMessage: { sender: latest.sender, message: latest.message, timestamp: latest.timestamp },
+                lastMessageId: latest._id,
+                lastMessageAt: latest.timestamp
+            }
+        });
+    } else {
+        await Chat.updateOne({ _id: chatId }, {
+            $set: { lastMessage: {}, lastMessageId: null }
+        });
+    }
+};
+
+// Purge expired disappearing messages and their Bunny media
+/**
+ * Delete the messages matching `filter` along with the Bunny files only they use
+ * Forwarded copies in other chats share the same file, those files are kept
+ */
+const deleteMessagesWithMedia = async (filter) => {
+    const mediaUrls = await Message.distinct('mediaUrl', { ...filter, mediaUrl: { $nin: [null, ''] } });
+    if (mediaUrls.length > 0) {
+        const stillUsed = await Message.distinct('mediaUrl', {
+            mediaUrl: { $in: mediaUrls },
+            $nor: [filter]
+        });
+        const toDelete = mediaUrls.filter(url => !stillUsed.includes(url) && isBunnyUrl(url));
+        if (toDelete.length > 0) {
+            const { errors } = await deleteMultipleFromBunny(toDelete);
+            if (errors.length > 0) {
+                console.error(`⚠️ Failed to delete ${errors.length} chat media file(s)`);
+            }
+        }
+    }
+
+    await Message.deleteMany(filter);
+};
+
+const purgeExpiredMessages = async () => {
+    try {
+        // Only one PM2 instance purges at a time
+        await runWithJobLock(EXPIRED_MESSAGES_LOCK_KEY, EXPIRED_MESSAGES_LOCK_TTL_SECONDS, async () => {
+            const expired = await Message.find({ expiresAt: { $lte: new Date() } })
+                .select('_id chatId')
+                .limit(EXPIRED_MESSAGES_BATCH_SIZE)
+                .lean();
+
+            if (expired.length === 0) return;
+
+            const expiredIds = expired.map(message => message._id);
+            await deleteMessagesWithMedia({ _id: { $in: expiredIds } });
+
+            const idsByChat = new Map();
+            expired.forEach(message => {
+                const chatId = message.chatId.toString();
+                if (!idsByChat.has(chatId)) idsByChat.set(chatId, []);
+                idsByChat.get(chatId).push(message._id);
+            });
+
+            for (const [chatId, messageIds] of idsByChat) {
+                await Chat.updateOne({ _id: chatId }, { $pull: { pinnedMessages: { $in: messageIds } } });
+                await refreshChatLastMessage(chatId);
+
+                safeEmitToChat(chatId, 'messages_expired', {
+                    chatId,
+                    messageIds: messageIds.map(id => id.toString())
+                });
+
+                const chat = await Chat.findById(chatId).select('participants').lean();
+                if (chat) {
+                    const participantIds = chat.participants.map(p => p.toString());
+                    await invalidateChatListCaches(participantIds);
+                    await notificationCache.invalidateMultipleUsersCache(participantIds, 'message');
+                }
+            }
+
+            console.log(`⏳ Purged ${expired.length} expired message(s) from ${idsByChat.size} chat(s)`);
+        });
+    } catch (error) {
+        console.error('❌ Error purging expired messages:', error);
+    }
+};
+
+// Start expired messages purge job
+setInterval(purgeExpiredMessages, EXPIRED_MESSAGES_CHECK_INTERVAL_SECONDS * 1000);
+
+// ========================================
+// 👥 GROUP CHAT ADMINISTRATION
+// ========================================
+
+const MAX_GROUP_PARTICIPANTS = 256;
+const MAX_GROUP_NAME_LENGTH = 100;
+const MAX_GROUP_DESCRIPTION_LENGTH = 500;
+
+const GROUP_USER_FIELDS = 'username fullName profileImageUrl';
+
+const isGroupAdmin = (chat, userId) =>
+    (chat.admins || []).some(adminId => adminId.toString() === userId.toString());
+
+const isChatParticipant = (chat, userId) =>
+    chat.participants.some(participantId => participantId.toString() === userId.toString());
+
+const displayName = (user) => user?.fullName || user?.username || 'Someone';
+
+// Load a group chat the current user belongs to
+const findGroupChatForUser = async (chatId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        throw new ApiError(400, 'Invalid chat ID');
+    }
+
+    const chat = await Chat.findOne({ _id: chatId, participants: userId });
+    if (!chat) {
+        throw new ApiError(404, 'Chat not found or access denied');
+    }
+    if (chat.chatType !== 'group') {
+        throw new ApiError(400, 'This action is only available for group chats');
+    }
+
+    return chat;
+};
+
+const requireGroupAdmin = (chat, userId) => {
+    if (!isGroupAdmin(chat, userId)) {
+        throw new ApiError(403, 'Only group admins can perform this action');
+    }
+};
+
+/**
+ * Post a system message (e.g. "Alex added Sam") into a group and broadcast it like a normal message.
+ * Updates the chat's last message fields on the passed document, caller saves the chat.
+ */
+const postSystemMessage = async (chat, actorId, text, action, targets = []) => {
+    const now = new Date();
+    const systemMessage = await Message.create({
+        chatId: chat._id,
+        sender: actorId,
+        message: text,
+        messageType: 'system',
+        systemEvent: { action, targets },
+        timestamp: now,
+        readBy: [actorId]
+    });
+
+    chat.lastMessageAt = now;
+    chat.lastMessage = {
+        sender: actorId,
+        message: text,
+        timestamp: now
+    };
+    chat.lastMessageId = systemMessage._id;
+
+    const populatedMessage = await Message.findById(systemMessage._id)
+        .populate('sender', GROUP_USER_FIELDS)
+        .populate('systemEvent.targets', GROUP_USER_FIELDS)
+        .lean();
+
+    return populatedMessage;
+};
+
+const getPopulatedGroupChat = (chatId) => Chat.findById(chatId)
+    .populate('participants', GROUP_USER_FIELDS)
+    .populate('admins', GROUP_USER_FIELDS)
+    .populate('createdBy', GROUP_USER_FIELDS);
+
+const emitSystemMessage = (chatId, systemMessage) => {
+    if (!systemMessage) return;
+    safeEmitToChat(chatId, 'new_message', {
+        chatId: chatId.toString(),
+        message: systemMessage
+    });
+};
+
+// Add participants to a group (admins only)
+export const addGroupParticipants = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId } = req.params;
+    const { userIds } = req.body;
+
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+        throw new ApiError(400, 'userIds must be a non-empty array');
+    }
+    if (userIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        throw new ApiError(400, 'Invalid user IDs');
+    }
+
+    const chat = await findGroupChatForUser(chatId, currentUserId);
+    requireGroupAdmin(chat, currentUserId);
+
+    const newUserIds = [...new Set(userIds.map(id => id.toString()))]
+        .filter(id => !isChatParticipant(chat, id));
+
+    if (newUserIds.length === 0) {
+        throw new ApiError(400, 'All users are already in this group');
+    }
+    if (chat.participants.length + newUserIds.length > MAX_GROUP_PARTICIPANTS) {
+        throw new ApiError(400, `Groups can have at most ${MAX_GROUP_PARTICIPANTS} participants`);
+    }
+
+    const users = await User.find({
+        _id: { $in: newUserIds },
+        accountStatus: 'active'
+    }).select(GROUP_USER_FIELDS).lean();
+
+    if (users.length !== newUserIds.length) {
+        throw new ApiError(404, 'One or more users were not found');
+    }
+
+    // Can't add someone you've blocked or who has blocked you
+    const blockRelation = await Block.findOne({
+        $or: [
+            { blockerId: currentUserId, blockedId: { $in: newUserIds } },
+            { blockerId: { $in: newUserIds }, blockedId: currentUserId }
+        ]
+    }).lean();
+
+    if (blockRelation) {
+        throw new ApiError(403, 'You cannot add one or more of these users');
+    }
+
+    chat.participants.push(...users.map(user => user._id));
+    chat.blockedUsers = (chat.blockedUsers || []).filter(
+        blockedId => !newUserIds.includes(blockedId.toString())
+    );
+
+    const systemMessage = await postSystemMessage(
+        chat,
+        currentUserId,
+        `${displayName(req.user)} added ${users.map(displayName).join(', ')}`,
+        'participants_added',
+        users.map(user => user._id)
+    );
+
+    await chat.save();
+
+    // Put the new members' live sockets in the chat room before broadcasting
+    socketManager.joinUsersToChat(newUserIds, chat._id.toString());
+
+    const populatedChat = await getPopulatedGroupChat(chat._id);
+
+    emitSystemMessage(chat._id, systemMessage);
+    safeEmitToChat(chatId, 'group_participants_added', {
+        chatId,
+        addedBy: { _id: currentUserId, username: req.user.username, fullName: req.user.fullName },
+        participants: users
+    });
+    socketManager.emitToUsers(newUserIds, 'added_to_group', { chatId, chat: populatedChat });
+
+    invalidateChatListCaches(chat.participants.map(p => p.toString()));
+
+    return res.status(200).json(
+        new ApiResponse(200, populatedChat, 'Participants added successfully')
+    );
+});
+
+// Remove a participant from a group (admins only)
+export const removeGroupParticipant = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId, userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+        throw new ApiError(400, 'Invalid user ID');
+    }
+    if (userId === currentUserId.toString()) {
+        throw new ApiError(400, 'Use the leave endpoint to leave a group');
+    }
+
+    const chat = await findGroupChatForUser(chatId, currentUserId);
+    requireGroupAdmin(chat, currentUserId);
+
+    if (!isChatParticipant(chat, userId)) {
+        throw new ApiError(404, 'User is not a participant of this group');
+    }
+    // The creator can't be removed by other admins
+    if (chat.createdBy?.toString() === userId && isGroupAdmin(chat, userId)) {
+        throw new ApiError(403, 'The group creator cannot be removed');
+    }
+
+    const removedUser = await User.findById(userId).select(GROUP_USER_FIELDS).lean();
+    const previousParticipantIds = chat.participants.map(p => p.toString());
+
+    chat.participants = chat.participants.filter(p => p.toString() !== userId);
+    chat.admins = (chat.admins || []).filter(a => a.toString() !== userId);
+
+    const systemMessage = await postSystemMessage(
+        chat,
+        currentUserId,
+        `${displayName(req.user)} removed ${displayName(removedUser)}`,
+        'participant_removed',
+        [userId]
+    );
+
+    await chat.save();
+
+    // Broadcast while the removed user is still in the room, then drop their sockets
+    emitSystemMessage(chat._id, systemMessage);
+    safeEmitToChat(chatId, 'group_participant_removed', {
+        chatId,
+        removedBy: { _id: currentUserId, username: req.user.username, fullName: req.user.fullName },
+        userId
+    });
+    socketManager.removeUsersFromChat([userId], chat._id.toString());
+
+    invalidateChatListCaches(previousParticipantIds);
+
+    const populatedChat = await getPopulatedGroupChat(chat._id);
+
+    return res.status(200).json(
+        new ApiResponse(200, populatedChat, 'Participant removed successfully')
+    );
+});
+
+// Leave a group - if the last admin leaves, the longest-standing member becomes admin
+export const leaveGroup = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId } = req.params;
+
+    const chat = await findGroupChatForUser(chatId, currentUserId);
+    const previousParticipantIds = chat.participants.map(p => p.toString());
+
+    chat.participants = chat.participants.filter(p => p.toString() !== currentUserId.toString());
+    chat.admins = (chat.admins || []).filter(a => a.toString() !== currentUserId.toString());
+
+    // Nobody left - remove the group entirely
+    if (chat.participants.length === 0) {
+        await deleteMessagesWithMedia({ chatId: chat._id });
+        await Chat.deleteOne({ _id: chat._id });
+        socketManager.removeUsersFromChat([currentUserId.toString()], chat._id.toString());
+        invalidateChatListCaches(previousParticipantIds);
+
+        return res.status(200).json(
+            new ApiResponse(200, { chatId, deleted: true }, 'Left group successfully')
+        );
+    }
+
+    let promotedAdminId = null;
+    if (chat.admins.length === 0) {
+        // participants keep join order, so the first remaining one has been in the group longest
+        promotedAdminId = chat.participants[0];
+        chat.admins.push(promotedAdminId);
+    }
+
+    const leaveMessage = await postSystemMessage(
+        chat,
+        currentUserId,
+        `${displayName(req.user)} left the group`,
+        'participant_left',
+        [currentUserId]
+    );
+
+    let promoteMessage = null;
+    if (promotedAdminId) {
+        const promotedUser = await User.findById(promotedAdminId).select(GROUP_USER_FIELDS).lean();
+        promoteMessage = await postSystemMessage(
+            chat,
+            currentUserId,
+            `${displayName(promotedUser)} is now an admin`,
+            'admin_promoted',
+            [promotedAdminId]
+        );
+    }
+
+    await chat.save();
+
+    emitSystemMessage(chat._id, leaveMessage);
+    emitSystemMessage(chat._id, promoteMessage);
+    safeEmitToChat(chatId, 'group_participant_left', {
+        chatId,
+        userId: currentUserId.toString(),
+        promotedAdminId: promotedAdminId?.toString() || null
+    });
+    socketManager.removeUsersFromChat([currentUserId.toString()], chat._id.toString());
+
+    invalidateChatListCaches(previousParticipantIds);
+
+    return res.status(200).json(
+        new ApiResponse(200, { chatId, deleted: false }, 'Left group successfully')
+    );
+});
+
+// Make a participant an admin (admins only)
+export const promoteGroupAdmin = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId, userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+        throw new ApiError(400, 'Invalid user ID');
+    }
+
+    const chat = await findGroupChatForUser(chatId, currentUserId);
+    requireGroupAdmin(chat, currentUserId);
+
+    if (!isChatParticipant(chat, userId)) {
+        throw new ApiError(404, 'User is not a participant of this group');
+    }
+    if (isGroupAdmin(chat, userId)) {
+        throw new ApiError(400, 'User is already an admin');
+    }
+
+    const promotedUser = await User.findById(userId).select(GROUP_USER_FIELDS).lean();
+    chat.admins.push(userId);
+
+    const systemMessage = await postSystemMessage(
+        chat,
+        currentUserId,
+        `${displayName(req.user)} made ${displayName(promotedUser)} an admin`,
+        'admin_promoted',
+        [userId]
+    );
+
+    await chat.save();
+
+    emitSystemMessage(chat._id, systemMessage);
+    safeEmitToChat(chatId, 'group_admins_updated', {
+        chatId,
+        admins: chat.admins.map(a => a.toString()),
+        promoted: userId,
+        updatedBy: currentUserId.toString()
+    });
+
+    const populatedChat = await getPopulatedGroupChat(chat._id);
+
+    return res.status(200).json(
+        new ApiResponse(200, populatedChat, 'Admin added successfully')
+    );
+});
+
+// Remove admin rights from a participant (admins only, a group always keeps one admin)
+export const demoteGroupAdmin = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId, userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+        throw new ApiError(400, 'Invalid user ID');
+    }
+
+    const chat = await findGroupChatForUser(chatId, currentUserId);
+    requireGroupAdmin(chat, currentUserId);
+
+    if (!isGroupAdmin(chat, userId)) {
+        throw new ApiError(400, 'User is not an admin');
+    }
+    if (chat.admins.length === 1) {
+        throw new ApiError(400, 'A group must have at least one admin');
+    }
+    if (chat.createdBy?.toString() === userId && userId !== currentUserId.toString()) {
+        throw new ApiError(403, 'The group creator cannot be demoted by other admins');
+    }
+
+    const demotedUser = await User.findById(userId).select(GROUP_USER_FIELDS).lean();
+    chat.admins = chat.admins.filter(a => a.toString() !== userId);
+
+    const systemMessage = await postSystemMessage(
+        chat,
+        currentUserId,
+        userId === currentUserId.toString()
+            ? `${displayName(req.user)} is no longer an admin`
+            : `${displayName(req.user)} removed ${displayName(demotedUser)} as admin`,
+        'admin_demoted',
+        [userId]
+    );
+
+    await chat.save();
+
+    emitSystemMessage(chat._id, systemMessage);
+    safeEmitToChat(chatId, 'group_admins_updated', {
+        chatId,
+        admins: chat.admins.map(a => a.toString()),
+        demoted: userId,
+        updatedBy: currentUserId.toString()
+    });
+
+    const populatedChat = await getPopulatedGroupChat(chat._id);
+
+    return res.status(200).json(
+        new ApiResponse(200, populatedChat, 'Admin removed successfully')
+    );
+});
+
+// Rename a group (admins only)
+export const renameGroup = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId } = req.params;
+    const groupName = req.body.groupName?.trim();
+
+    if (!groupName) {
+        throw new ApiError(400, 'Group name is required');
+    }
+    if (groupName.length > MAX_GROUP_NAME_LENGTH) {
+        throw new ApiError(400, `Group name must be at most ${MAX_GROUP_NAME_LENGTH} characters`);
+    }
+
+    const chat = await findGroupChatForUser(chatId, currentUserId);
+    requireGroupAdmin(chat, currentUserId);
+
+    if (chat.groupName === groupName) {
+        throw new ApiError(400, 'Group already has this name');
+    }
+
+    chat.groupName = groupName;
+
+    const systemMessage = await postSystemMessage(
+        chat,
+        currentUserId,
+        `${displayName(req.user)} renamed the group to "${groupName}"`,
+        'group_renamed'
+    );
+
+    await chat.save();
+
+    emitSystemMessage(chat._id, systemMessage);
+    safeEmitToChat(chatId, 'group_updated', {
+        chatId,
+        groupName,
+        updatedBy: currentUserId.toString()
+    });
+
+    invalidateChatListCaches(chat.participants.map(p => p.toString()));
+
+    return res.status(200).json(
+        new ApiResponse(200, { chatId, groupName }, 'Group renamed successfully')
+    );
+});
+
+// Set or clear the group description (admins only)
+export const updateGroupDescription = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId } = req.params;
+
+    if (typeof req.body.groupDescription !== 'string') {
+        throw new ApiError(400, 'groupDescription is required');
+    }
+
+    const groupDescription = req.body.groupDescription.trim();
+    if (groupDescription.length > MAX_GROUP_DESCRIPTION_LENGTH) {
+        throw new ApiError(400, `Description must be at most ${MAX_GROUP_DESCRIPTION_LENGTH} characters`);
+    }
+
+    const chat = await findGroupChatForUser(chatId, currentUserId);
+    requireGroupAdmin(chat, currentUserId);
+
+    chat.groupDescription = groupDescription;
+
+    const systemMessage = await postSystemMessage(
+        chat,
+        currentUserId,
+        groupDescription
+            ? `${displayName(req.user)} changed the group description`
+            : `${displayName(req.user)} removed the group description`,
+        'description_updated'
+    );
+
+    await chat.save();
+
+    emitSystemMessage(chat._id, systemMessage);
+    safeEmitToChat(chatId, 'group_updated', {
+        chatId,
+        groupDescription,
+        updatedBy: currentUserId.toString()
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, { chatId, groupDescription }, 'Group description updated successfully')
+    );
+});
+
+// Change the group image (admins only)
+export const updateGroupImage = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId } = req.params;
+
+    if (!req.file) {
+        throw new ApiError(400, 'Group image is required');
+    }
+    if (!req.file.mimetype.startsWith('image/')) {
+        throw new ApiError(400, 'Group image must be an image file');
+    }
+
+    const chat = await findGroupChatForUser(chatId, currentUserId);
+    requireGroupAdmin(chat, currentUserId);
+
+    const uploadResult = await uploadBufferToBunny(req.file.buffer, 'chat_groups', req.file.originalname);
+    if (!uploadResult || !uploadResult.secure_url) {
+        throw new ApiError(500, 'Failed to upload image to Bunny.net');
+    }
+
+    chat.groupImage = uploadResult.secure_url;
+
+    const systemMessage = await postSystemMessage(
+        chat,
+        currentUserId,
+        `${displayName(req.user)} changed the group photo`,
+        'image_updated'
+    );
+
+    await chat.save();
+
+    emitSystemMessage(chat._id, systemMessage);
+    safeEmitToChat(chatId, 'group_updated', {
+        chatId,
+        groupImage: chat.groupImage,
+        updatedBy: currentUserId.toString()
+    });
+
+    invalidateChatListCaches(chat.participants.map(p => p.toString()));
+
+    return res.status(200).json(
+        new ApiResponse(200, { chatId, groupImage: chat.groupImage }, 'Group image updated successfully')
+    );
+});
+
+// ========================================
+// 📌 PINNED MESSAGES
+// ========================================
+
+const MAX_PINNED_MESSAGES = 5;
+
+// In groups only admins can pin, in direct chats either participant can
+const findChatForPinning = async (chatId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        throw new ApiError(400, 'Invalid chat ID');
+    }
+
+    const chat = await Chat.findOne({ _id: chatId, participants: userId })
+        .select('chatType status admins pinnedMessages')
+        .lean();
+
+    if (!chat) {
+        throw new ApiError(404, 'Chat not found or access denied');
+    }
+    if (chat.status !== 'active') {
+        throw new ApiError(403, 'Messages can only be pinned in active chats');
+    }
+    if (chat.chatType === 'group' && !isGroupAdmin(chat, userId)) {
+        throw new ApiError(403, 'Only group admins can pin messages');
+    }
+
+    return chat;
+};
+
+const pinnedByPayload = (user) => ({
+    _id: user._id,
+    username: user.username,
+    fullName: user.fullName
+});
+
+// Pin a message
+export const pinMessage = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId, messageId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        throw new ApiError(400, 'Invalid message ID');
+    }
+
+    const chat = await findChatForPinning(chatId, currentUserId);
+
+    const message = await Message.findOne({
+        _id: messageId,
+        chatId,
+        isDeleted: { $ne: true },
+        ...notExpired(),
+        messageType: { $nin: ['system', 'call'] }
+    }).select('_id').lean();
+
+    if (!message) {
+        throw new ApiError(404, 'Message not found');
+    }
+
+    if ((chat.pinnedMessages || []).some(id => id.toString() === messageId)) {
+        throw new ApiError(400, 'Message is already pinned');
+    }
+
+    // Atomic: only pins if not already pinned and the chat is under the limit
+    const pinned = await Chat.updateOne(
+        {
+            _id: chatId,
+            pinnedMessages: { $ne: message._id },
+            [`pinnedMessages.${MAX_PINNED_MESSAGES - 1}`]: { $exists: false }
+        },
+        { $push: { pinnedMessages: message._id } }
+    );
+
+    if (pinned.modifiedCount === 0) {
+        throw new ApiError(400, `A chat can have at most ${MAX_PINNED_MESSAGES} pinned messages`);
+    }
+
+    safeEmitToChat(chatId, 'message_pinned', {
+        chatId,
+        messageId,
+        pinnedBy: pinnedByPayload(req.user),
+        pinnedAt: new Date()
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, { chatId, messageId }, 'Message pinned successfully')
+    );
+});
+
+// Unpin a message
+export const unpinMessage = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId, messageId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        throw new ApiError(400, 'Invalid message ID');
+    }
+
+    await findChatForPinning(chatId, currentUserId);
+
+    const unpinned = await Chat.updateOne(
+        { _id: chatId },
+        { $pull: { pinnedMessages: new mongoose.Types.ObjectId(messageId) } }
+    );
+
+    if (unpinned.modifiedCount === 0) {
+        throw new ApiError(404, 'Message is not pinned');
+    }
+
+    safeEmitToChat(chatId, 'message_unpinned', {
+        chatId,
+        messageId,
+        unpinnedBy: pinnedByPayload(req.user)
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, { chatId, messageId }, 'Message unpinned successfully')
+    );
+});
+
+// List pinned messages, most recently pinned first
+export const getPinnedMessages = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        throw new ApiError(400, 'Invalid chat ID');
+    }
+
+    const chat = await Chat.findOne({ _id: chatId, participants: currentUserId })
+        .select('pinnedMessages')
+        .lean();
+
+    if (!chat) {
+        throw new ApiError(404, 'Chat not found or access denied');
+    }
+
+    const pinnedIds = chat.pinnedMessages || [];
+    if (pinnedIds.length === 0) {
+        return res.status(200).json(
+            new ApiResponse(200, { messages: [], maxPinned: MAX_PINNED_MESSAGES }, 'Pinned messages fetched successfully')
+        );
+    }
+
+    const messages = await Message.find({
+        _id: { $in: pinnedIds },
+        chatId,
+        isDeleted: { $ne: true },
+        ...notExpired()
+    })
+        .select('sender message messageType mediaUrl fileName fileSize duration timestamp editedAt replyTo')
+        .populate('sender', 'username fullName profileImageUrl')
+        .populate({
+            path: 'replyTo',
+            select: 'message sender timestamp',
+            match: notExpired(),
+            populate: {
+                path: 'sender',
+                select: 'username fullName'
+            }
+        })
+        .lean();
+
+    const pinOrder = new Map(pinnedIds.map((id, index) => [id.toString(), index]));
+    messages.sort((a, b) => pinOrder.get(b._id.toString()) - pinOrder.get(a._id.toString()));
+    messages.forEach(msg => {
+        msg.isEdited = !!msg.editedAt;
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, { messages, maxPinned: MAX_PINNED_MESSAGES }, 'Pinned messages fetched successfully')
+    );
+});
+
+// ========================================
+// 🔎 GLOBAL MESSAGE SEARCH
+// ========================================
+
+const SEARCHABLE_MESSAGE_TYPES = ['text', 'image', 'video', 'file', 'audio', 'voice', 'location', 'share'];
+const SEARCH_SNIPPET_RADIUS = 60;
+
+// Words and "quoted phrases" from a $text query, without negated terms
+const getSearchTerms = (query) => {
+    const terms = [];
+    const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+    let match;
+    while ((match = pattern.exec(query)) !== null) {
+        if (match[2] && !match[1]) terms.push(match[2]);
+        if (match[4] && !match[3]) terms.push(match[4]);
+    }
+    return [...new Set(terms.map(term => term.trim()).filter(Boolean))];
+};
+
+// Short excerpt around the first match, with [start, end) offsets of every match inside it
+const buildHighlight = (text = '', terms = []) => {
+    if (terms.length === 0) return { snippet: text.slice(0, SEARCH_SNIPPET_RADIUS * 2), highlights: [] };
+
+    const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const regex = new RegExp(escaped.sort((a, b) => b.length - a.length).join('|'), 'gi');
+
+    const first = regex.exec(text);
+    const start = first ? Math.max(0, first.index - SEARCH_SNIPPET_RADIUS) : 0;
+    const end = Math.min(text.length, (first ? first.index + first[0].length : 0) + SEARCH_SNIPPET_RADIUS * 2);
+
+    const prefix = start > 0 ? '…' : '';
+    const snippet = prefix + text.slice(start, end) + (end < text.length ? '…' : '');
+
+    const highlights = [];
+    regex.lastIndex = 0;
+    const window = text.slice(start, end);
+    let match;
+    while ((match = regex.exec(window)) !== null) {
+        if (match[0].length === 0) break;
+        highlights.push({ start: match.index + prefix.length, end: match.index + prefix.length + match[0].length });
+    }
+
+    return { snippet, highlights };
+};
+
+// Search messages across all the user's chats (MongoDB text index)
+export const searchAllMessages = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { q, sender, type, from, to, hasMedia, sort = 'relevance', cursor } = req.query;
+    const pageLimit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+    const query = typeof q === 'string' ? q.trim() : '';
+    if (!query) {
+        throw new ApiError(400, 'Search query is required');
+    }
+    if (!['relevance', 'recent'].includes(sort)) {
+        throw new ApiError(400, 'sort must be relevance or recent');
+    }
+
+    // Chats the user is still in and can read (not incoming requests or declined chats)
+    const chats = await Chat.find({
+        participants: currentUserId,
+        $or: [
+            { status: 'active' },
+            { status: 'requested', createdBy: currentUserId }
+        ]
+    }).select('_id').lean();
+
+    const emptyResult = () => res.status(200).json(
+        new ApiResponse(200, { results: [], query, nextCursor: null, hasMore: false }, 'Search completed successfully')
+    );
+
+    if (chats.length === 0) return emptyResult();
+
+    const match = {
+        $text: { $search: query },
+        chatId: { $in: chats.map(chat => chat._id) },
+        isDeleted: { $ne: true },
+        messageType: { $in: SEARCHABLE_MESSAGE_TYPES },
+        ...notExpired()
+    };
+
+    if (sender) {
+        if (!mongoose.Types.ObjectId.isValid(sender)) {
+            throw new ApiError(400, 'Invalid sender ID');
+        }
+        match.sender = new mongoose.Types.ObjectId(sender);
+    }
+
+    if (type) {
+        const types = String(type).split(',').map(t => t.trim()).filter(Boolean);
+        if (types.some(t => !SEARCHABLE_MESSAGE_TYPES.includes(t))) {
+            throw new ApiError(400, `type must be one of: ${SEARCHABLE_MESSAGE_TYPES.join(', ')}`);
+        }
+        match.messageType = { $in: types };
+    }
+
+    if (from || to) {
+        match.timestamp = {};
+        if (from) {
+            const fromDate = new Date(from);
+            if (isNaN(fromDate.getTime())) throw new ApiError(400, 'Invalid from date');
+            match.timestamp.$gte = fromDate;
+        }
+        if (to) {
+            const toDate = new Date(to);
+            if (isNaN(toDate.getTime())) throw new ApiError(400, 'Invalid to date');
+            match.timestamp.$lte = toDate;
+        }
+    }
+
+    if (hasMedia === 'true') {
+        match.mediaUrl = { $exists: true, $nin: [null, ''] };
+    } else if (hasMedia === 'false') {
+        match.mediaUrl = { $in: [null, ''] };
+    }
+
+    const pipeline = [
+        { $match: match },
+        { $addFields: { score: { $meta: 'textScore' } } }
+    ];
+
+    // Cursor = sort key of the last result: { s, id } for relevance, { t, id } for recent
+    if (cursor) {
+        const decoded = decodeCursor(cursor);
+        const lastTime = ['string', 'number'].includes(typeof decoded?.t) ? new Date(decoded.t) : null;
+        const validKey = sort === 'recent'
+            ? lastTime && !isNaN(lastTime.getTime())
+            : typeof decoded?.s === 'number' && Number.isFinite(decoded.s);
+        if (!decoded || !mongoose.Types.ObjectId.isValid(decoded.id) || !validKey) {
+            throw new ApiError(400, 'Invalid cursor');
+        }
+        const lastId = new mongoose.Types.ObjectId(decoded.id);
+        if (sort === 'recent') {
+            pipeline.push({ $match: { $or: [{ timestamp: { $lt: lastTime } }, { timestamp: lastTime, _id: { $lt: lastId } }] } });
+        } else {
+            pipeline.push({ $match: { $or: [{ score: { $lt: decoded.s } }, { score: decoded.s, _id: { $lt: lastId } }] } });
+        }
+    }
+
+    pipeline.push(
+        { $sort: sort === 'recent' ? NEWEST_FIRST : { score: -1, _id: -1 } },
+        { $limit: pageLimit + 1 },
+        {
+            $project: {
+                chatId: 1, sender: 1, message: 1, messageType: 1, mediaUrl: 1, fileName: 1,
+                sharedContent: 1, timestamp: 1, editedAt: 1, score: 1
+            }
+        }
+    );
+
+    const found = await Message.aggregate(pipeline);
+    const hasMore = found.length > pageLimit;
+    const page = hasMore ? found.slice(0, pageLimit) : found;
+
+    if (page.length === 0) return emptyResult();
+
+    await Message.populate(page, { path: 'sender', select: 'username fullName profileImageUrl' });
+
+    // Chat name / image for each hit (other participant for direct chats)
+    const resultChats = await Chat.find({ _id: { $in: [...new Set(page.map(m => m.chatId.toString()))] } })
+        .select('chatType groupName groupImage participants')
+        .populate('participants', 'username fullName profileImageUrl')
+        .lean();
+
+    const chatInfo = new Map(resultChats.map(chat => {
+        const other = chat.chatType === 'direct'
+            ? chat.participants.find(p => p._id.toString() !== currentUserId.toString())
+            : null;
+        return [chat._id.toString(), {
+            _id: chat._id,
+            chatType: chat.chatType,
+            name: chat.chatType === 'group' ? chat.groupName : (other?.fullName || other?.username),
+            image: chat.chatType === 'group' ? chat.groupImage : other?.profileImageUrl
+        }];
+    }));
+
+    const terms = getSearchTerms(query);
+    const results = page.map(message => ({
+        ...message,
+        chat: chatInfo.get(message.chatId.toString()) || { _id: message.chatId },
+        isEdited: !!message.editedAt,
+        ...buildHighlight(message.message, terms)
+    }));
+
+    const last = page[page.length - 1];
+    const nextCursor = hasMore
+        ? encodeCursor(sort === 'recent'
+            ? { t: last.timestamp.getTime(), id: last._id.toString() }
+            : { s: last.score, id: last._id.toString() })
+        : null;
+
+    return res.status(200).json(
+        new ApiResponse(200, { results, query, sort, nextCursor, hasMore }, 'Search completed successfully')
+    );
+});
+
 // Debug endpoint to help diagnose chat visibility issues
 export const debugUserChats = asyncHandler(async (req, res) => {
     const currentUserId = req.user._id;
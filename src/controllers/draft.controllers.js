@@ -0,0 +1,386 @@
+import mongoose from "mongoose";
+import Draft from "../models/draft.models.js";
+import Post from "../models/userPost.models.js";
+import { asyncHandler } from "../utlis/asyncHandler.js";
+import { ApiError } from "../utlis/ApiError.js";
+import { ApiResponse } from "../utlis/ApiResponse.js";
+import { deleteMultipleFromBunny } from "../utlis/bunny.js";
+import {
+    extractMediaFiles,
+    uploadPostMedia,
+    resolvePublishState,
+    validateContentDetails,
+    resolveLocationCoordinates
+} from "./post.controllers.js";
+import { syncPostHashtags } from "./hashtag.controllers.js";
+
+const DRAFT_TYPES = ["Post", "Reel", "Story"];
+const POST_TYPES = ["photo", "reel", "video", "story"];
+const CONTENT_TYPES = ["normal", "product", "service", "business"];
+const MAX_DRAFT_MEDIA = 10;
+
+// Multipart requests send objects/arrays as JSON strings
+const parseJSONField = (value, fieldName) => {
+    if (typeof value !== "string") return value;
+    try {
+        return JSON.parse(value);
+    } catch {
+        throw new ApiError(400, `${fieldName} must be valid JSON`);
+    }
+};
+
+// Pick the editable draft fields present in the request body
+const pickDraftFields = (body) => {
+    const fields = {};
+
+    if (body.type !== undefined) {
+        if (!DRAFT_TYPES.includes(body.type)) {
+            throw new ApiError(400, "type must be one of 'Post', 'Reel', or 'Story'");
+        }
+        fields.type = body.type;
+    }
+
+    if (body.postType !== undefined) {
+        if (!POST_TYPES.includes(body.postType)) {
+            throw new ApiError(400, "postType must be one of 'photo', 'reel', 'video', or 'story'");
+        }
+        fields.postType = body.postType;
+    }
+
+    if (body.contentType !== undefined) {
+        if (!CONTENT_TYPES.includes(body.contentType)) {
+            throw new ApiError(400, "contentType must be one of 'normal', 'product', 'service', or 'business'");
+        }
+        fields.contentType = body.contentType;
+    }
+
+    ["content", "description", "mood", "activity"].forEach((key) => {
+        if (body[key] !== undefined) fields[key] = body[key];
+    });
+
+    ["taggedUsers", "tags", "location", "details", "settings"].forEach((key) => {
+        if (body[key] !== undefined) fields[key] = parseJSONField(body[key], key);
+    });
+
+    return fields;
+};
+
+// Collect every Bunny.net URL a draft's media points at
+const collectDraftMediaUrls = (media = []) => {
+    const urls = [];
+    media.forEach((item) => {
+        if (item.url) urls.push(item.url);
+        if (item.thumbnailUrl) urls.push(item.thumbnailUrl);
+    });
+    return urls;
+};
+
+// Delete draft media from Bunny.net without failing the request
+const cleanupDraftMedia = async (media) => {
+    const mediaUrls = collectDraftMediaUrls(media);
+    if (mediaUrls.length === 0) {
+        return { totalDeleted: 0, totalSkipped: 0, errors: [], totalMediaFiles: 0 };
+    }
+
+    try {
+        const result = await deleteMultipleFromBunny(mediaUrls);
+        return { ...result, totalMediaFiles: mediaUrls.length };
+    } catch (error) {
+        console.error("Bunny.net draft media deletion error:", error);
+        return {
+            totalDeleted: 0,
+            totalSkipped: 0,
+            errors: [{ error: `Bunny.net deletion failed: ${error.message}` }],
+            totalMediaFiles: mediaUrls.length
+        };
+    }
+};
+
+// Upload any media attached to a draft request
+const uploadDraftMedia = async (req, existingCount = 0) => {
+    const files = extractMediaFiles(req.files);
+    if (!files.length) return [];
+
+    if (existingCount + files.length > MAX_DRAFT_MEDIA) {
+        throw new ApiError(400, `A draft can have at most ${MAX_DRAFT_MEDIA} media files`);
+    }
+
+    return uploadPostMedia(files, req.files?.thumbnail?.[0]);
+};
+
+// Load a draft and make sure the current user owns it
+const findOwnedDraft = async (draftId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(draftId)) {
+        throw new ApiError(400, "Invalid draft ID format");
+    }
+
+    const draft = await Draft.findOne({ _id: draftId, userId });
+    if (!draft) throw new ApiError(404, "Draft not found");
+
+    return draft;
+};
+
+// Create a draft
+export const createDraft = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    const fields = pickDraftFields(req.body);
+    const media = await uploadDraftMedia(req);
+
+    const draft = await Draft.create({
+        type: "Post",
+        ...fields,
+        userId,
+        media,
+        isAutoSaved: false,
+        updatedAt: new Date()
+    });
+
+    return res.status(201).json(new ApiResponse(201, draft, "Draft created successfully"));
+});
+
+// Autosave: update the given draft, or upsert the user's single autosave slot for that type
+export const autosaveDraft = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    const { draftId } = req.body;
+    const fields = pickDraftFields(req.body);
+
+    if (draftId) {
+        const draft = await findOwnedDraft(draftId, userId);
+        const media = await uploadDraftMedia(req, draft.media.length);
+
+        Object.assign(draft, fields);
+        draft.media.push(...media);
+        draft.updatedAt = new Date();
+        await draft.save();
+
+        return res.status(200).json(new ApiResponse(200, draft, "Draft autosaved successfully"));
+    }
+
+    const type = fields.type || "Post";
+    delete fields.type;
+
+    const existingDraft = await Draft.findOne({ userId, type, isAutoSaved: true }).select("media").lean();
+    const media = await uploadDraftMedia(req, existingDraft?.media?.length || 0);
+
+    const update = {
+        $set: { ...fields, updatedAt: new Date() },
+        $setOnInsert: { userId, type, isAutoSaved: true, createdAt: new Date() }
+    };
+    if (media.length > 0) {
+        update.$push = { media: { $each: media } };
+    }
+
+    const upsertAutosave = () => Draft.findOneAndUpdate(
+        { userId, type, isAutoSaved: true },
+        update,
+        { new: true, upsert: true, runValidators: true }
+    );
+
+    let draft;
+    try {
+        draft = await upsertAutosave();
+    } catch (error) {
+        // Two autosaves raced to create the slot - the loser updates the one that won
+        if (error.code !== 11000) throw error;
+        draft = await upsertAutosave();
+    }
+
+    return res.status(200).json(new ApiResponse(200, draft, "Draft autosaved successfully"));
+});
+
+// Get current user's drafts (most recently edited first)
+export const getDrafts = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    const { type } = req.query;
+    const page = parseInt(req.query.page) > 0 ? parseInt(req.query.page) : 1;
+    const limit = parseInt(req.query.limit) > 0 ? Math.min(parseInt(req.query.limit), 50) : 20;
+
+    const filter = { userId };
+    if (type) {
+        if (!DRAFT_TYPES.includes(type)) {
+            throw new ApiError(400, "type must be one of 'Post', 'Reel', or 'Story'");
+        }
+        filter.type = type;
+    }
+
+    const [drafts, total] = await Promise.all([
+        Draft.find(filter)
+            .sort({ updatedAt: -1, createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate("taggedUsers", "username fullName profileImageUrl")
+            .lean(),
+        Draft.countDocuments(filter)
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            drafts,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalDrafts: total,
+                hasNextPage: page * limit < total,
+                hasPrevPage: page > 1,
+                limit
+            }
+        }, "Drafts fetched successfully")
+    );
+});
+
+// Get a single draft
+export const getDraftById = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    const draft = await findOwnedDraft(req.params.draftId, userId);
+    await draft.populate("taggedUsers", "username fullName profileImageUrl");
+
+    return res.status(200).json(new ApiResponse(200, draft, "Draft fetched successfully"));
+});
+
+// Update a draft - new files are appended, removeMedia lists URLs to drop
+export const updateDraft = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    const draft = await findOwnedDraft(req.params.draftId, userId);
+    const fields = pickDraftFields(req.body);
+
+    // Remove media the user dropped and clean it up on Bunny.net
+    const removeMedia = parseJSONField(req.body.removeMedia, "removeMedia") || [];
+    let mediaCleanup = null;
+    if (Array.isArray(removeMedia) && removeMedia.length > 0) {
+        const removedMedia = draft.media.filter(item => removeMedia.includes(item.url));
+        draft.media = draft.media.filter(item => !removeMedia.includes(item.url));
+        mediaCleanup = await cleanupDraftMedia(removedMedia);
+    }
+
+    const media = await uploadDraftMedia(req, draft.media.length);
+
+    Object.assign(draft, fields);
+    draft.media.push(...media);
+    draft.isAutoSaved = false;
+    draft.updatedAt = new Date();
+    await draft.save();
+
+    return res.status(200).json(new ApiResponse(200, { draft, mediaCleanup }, "Draft updated successfully"));
+});
+
+// Delete a draft and its media
+export const deleteDraft = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    const draft = await findOwnedDraft(req.params.draftId, userId);
+
+    const mediaCleanup = await cleanupDraftMedia(draft.media);
+    await Draft.findByIdAndDelete(draft._id);
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                draftId: draft._id,
+                mediaCleanup: {
+                    filesDeleted: mediaCleanup.totalDeleted,
+                    filesSkipped: mediaCleanup.totalSkipped || 0,
+                    totalMediaFiles: mediaCleanup.totalMediaFiles,
+                    errors: mediaCleanup.errors
+                }
+            },
+            mediaCleanup.errors.length > 0
+                ? "Draft deleted successfully, but some media files could not be removed from cloud storage"
+                : "Draft and all associated media deleted successfully"
+        )
+    );
+});
+
+// Publish a draft as a normal, product, service or business post
+export const publishDraft = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    const draft = await findOwnedDraft(req.params.draftId, userId);
+    const { scheduledAt } = req.body;
+
+    const contentType = draft.contentType || "normal";
+    const defaultPostType = {
+        Reel: "reel",
+        Story: "story",
+        Post: draft.media[0]?.type === "video" ? "video" : "photo"
+    }[draft.type];
+    const postType = draft.postType || defaultPostType;
+
+    // Same checks as the /posts/create/* routes
+    if (!POST_TYPES.includes(postType)) {
+        throw new ApiError(400, "postType must be one of 'photo', 'reel', 'video', or 'story'");
+    }
+    const publishState = resolvePublishState(scheduledAt);
+
+    const details = contentType !== "normal"
+        ? await validateContentDetails(contentType, draft.details)
+        : undefined;
+
+    const resolvedLocation = await resolveLocationCoordinates(
+        draft.location ? { ...draft.toObject().location } : undefined
+    );
+
+    if (!draft.media.length) throw new ApiError(400, "Media file is required");
+
+    const settings = draft.settings || {};
+
+    const post = await Post.create({
+        userId,
+        postType,
+        contentType,
+        caption: draft.content,
+        description: draft.description,
+        mentions: draft.taggedUsers || [],
+        media: draft.toObject().media,
+        customization: {
+            ...(details ? { [contentType]: details } : {}),
+            normal: {
+                mood: draft.mood,
+                activity: draft.activity,
+                location: resolvedLocation,
+                tags: draft.tags || [],
+            },
+        },
+        settings: contentType === "normal"
+            ? {
+                ...settings,
+                privacy: settings.privacy || req.user?.privacy || 'public',
+                isPrivacyTouched: settings.privacy ? true : false
+            }
+            : settings,
+        ...publishState,
+        isPromoted: false,
+        isFeatured: false,
+        isReported: false,
+        reportCount: 0,
+        engagement: {},
+        analytics: {},
+    });
+
+    // Add post ID to user's posts array
+    await Post.db.model('User').findByIdAndUpdate(
+        userId,
+        { $push: { posts: post._id } }
+    );
+
+    await syncPostHashtags(null, post);
+
+    // Media now belongs to the post, so only the draft document is removed
+    await Draft.findByIdAndDelete(draft._id);
+
+    return res.status(201).json(new ApiResponse(201, post, publishState.status === "scheduled"
+        ? "Draft scheduled successfully"
+        : "Draft published successfully"));
+});
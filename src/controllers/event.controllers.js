@@ -0,0 +1,703 @@
+import mongoose from "mongoose";
+import Event from "../models/events.models.js";
+import Business from "../models/business.models.js";
+import { asyncHandler } from "../utlis/asyncHandler.js";
+import { ApiError } from "../utlis/ApiError.js";
+import { ApiResponse } from "../utlis/ApiResponse.js";
+import { uploadBufferToBunny, deleteMultipleFromBunny } from "../utlis/bunny.js";
+import { getCoordinates } from "../utlis/getCoordinates.js";
+import { sendPushAndFCMNotification } from "./pushNotification.controllers.js";
+
+const EVENT_REMINDER_CHECK_INTERVAL_MINUTES = 5;
+const EVENT_REMINDER_LEAD_MINUTES = 60; // Remind attendees an hour before the event starts
+const EVENT_REMINDER_BATCH_SIZE = 50;
+const MAX_EVENT_MEDIA = 5;
+
+// Matches events that still have a free seat (no capacity means unlimited)
+const HAS_FREE_SEAT = {
+    $or: [
+        { capacity: null },
+        { $expr: { $lt: [{ $size: { $ifNull: ["$attendees", []] } }, "$capacity"] } }
+    ]
+};
+
+// ===============================
+// HELPERS
+// ===============================
+
+const parseBoolean = (value) => value === true || value === "true";
+
+// Tags can come as an array, a JSON string or a comma separated string (multipart)
+const parseTags = (value) => {
+    if (value === undefined) return undefined;
+    if (Array.isArray(value)) return value.map(tag => String(tag).trim()).filter(Boolean);
+    try {
+        const parsed = JSON.parse(value);
+        if (Array.isArray(parsed)) return parsed.map(tag => String(tag).trim()).filter(Boolean);
+    } catch {
+        // Not JSON - fall through to comma separated
+    }
+    return String(value).split(",").map(tag => tag.trim()).filter(Boolean);
+};
+
+const parseDate = (value, fieldName) => {
+    const date = new Date(value);
+    if (!value || isNaN(date.getTime())) {
+        throw new ApiError(400, `Invalid ${fieldName} format`);
+    }
+    return date;
+};
+
+const parseCapacity = (value) => {
+    if (value === undefined) return undefined;
+    if (value === null || value === "") return null;
+    const capacity = Number(value);
+    if (!Number.isInteger(capacity) || capacity < 1) {
+        throw new ApiError(400, "capacity must be a positive whole number");
+    }
+    return capacity;
+};
+
+// Strict lat/lng parse - rejects NaN, partial numbers like "12abc" and out-of-range values
+const parseCoordinates = (latitude, longitude) => {
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        throw new ApiError(400, "Invalid coordinates provided");
+    }
+    return { lat, lng };
+};
+
+const isBlank = (value) => value === undefined || value === null || value === "";
+
+// Use explicit coordinates if given, otherwise geocode the location (best effort)
+const resolveEventCoordinates = async ({ latitude, longitude, location }) => {
+    if (isBlank(latitude) !== isBlank(longitude)) {
+        throw new ApiError(400, "latitude and longitude must be given together");
+    }
+    if (!isBlank(latitude)) {
+        const { lat, lng } = parseCoordinates(latitude, longitude);
+        return { type: "Point", coordinates: [lng, lat] };
+    }
+
+    if (!location) return undefined;
+
+    try {
+        const coords = await getCoordinates(location);
+        if (coords?.latitude && coords?.longitude) {
+            return { type: "Point", coordinates: [coords.longitude, coords.latitude] };
+        }
+        console.warn(`Could not resolve coordinates for event location: ${location}`);
+    } catch (error) {
+        console.error("Error resolving event coordinates:", error.message);
+    }
+    return undefined;
+};
+
+const uploadEventMedia = async (files = []) => {
+    if (files.length > MAX_EVENT_MEDIA) {
+        throw new ApiError(400, `An event can have at most ${MAX_EVENT_MEDIA} media files`);
+    }
+
+    const urls = [];
+    for (const file of files) {
+        try {
+            const result = await uploadBufferToBunny(file.buffer, "events", file.originalname);
+            urls.push(result.secure_url);
+        } catch (error) {
+            console.error("Bunny.net event media upload error:", error);
+            throw new ApiError(500, "Bunny.net upload failed");
+        }
+    }
+    return urls;
+};
+
+const findEvent = async (eventId) => {
+    if (!mongoose.Types.ObjectId.isValid(eventId)) {
+        throw new ApiError(400, "Invalid event ID format");
+    }
+
+    const event = await Event.findById(eventId);
+    if (!event) throw new ApiError(404, "Event not found");
+
+    return event;
+};
+
+const findOwnedEvent = async (eventId, userId) => {
+    const event = await findEvent(eventId);
+    if (event.createdBy.toString() !== userId.toString()) {
+        throw new ApiError(403, "Only the event host can do this");
+    }
+    return event;
+};
+
+// Public view of an event with counts and the viewer's RSVP state
+const formatEvent = (event, viewerId) => {
+    const plain = event.toObject ? event.toObject() : event;
+    const { attendees = [], waitlist = [], ...rest } = plain;
+    const viewer = viewerId?.toString();
+    const isHost = viewer && (plain.createdBy?._id || plain.createdBy)?.toString() === viewer;
+
+    return {
+        ...rest,
+        attendeesCount: attendees.length,
+        waitlistCount: waitlist.length,
+        spotsLeft: plain.capacity ? Math.max(plain.capacity - attendees.length, 0) : null,
+        isAttending: !!viewer && attendees.some(id => (id._id || id).toString() === viewer),
+        isWaitlisted: !!viewer && waitlist.some(id => (id._id || id).toString() === viewer),
+        // Only the host sees who is coming
+        ...(isHost ? { attendees, waitlist } : {})
+    };
+};
+
+// Move people from the waitlist into free seats, oldest first
+const promoteFromWaitlist = async (eventId) => {
+    const promoted = [];
+
+    while (true) {
+        const event = await Event.findById(eventId).select("waitlist title").lean();
+        const nextUserId = event?.waitlist?.[0];
+        if (!nextUserId) break;
+
+        // Only promote if they're still first in line and a seat is free
+        const updated = await Event.findOneAndUpdate(
+            { _id: eventId, "waitlist.0": nextUserId, ...HAS_FREE_SEAT },
+            { $pull: { waitlist: nextUserId }, $addToSet: { attendees: nextUserId } },
+            { new: true }
+        );
+        if (!updated) break;
+
+        promoted.push(nextUserId);
+        sendPushAndFCMNotification([nextUserId], {
+            title: "You're in! 🎉",
+            body: `A spot opened up for "${event.title}"`,
+            url: `/events/${eventId}`,
+            tag: "event-waitlist",
+            data: { type: "event_waitlist_promoted", eventId: eventId.toString() }
+        });
+    }
+
+    return promoted;
+};
+
+// Escape text values for iCalendar (RFC 5545)
+const escapeICSText = (value = "") => String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Parameter values can't hold quotes or newlines, those use RFC 6868 caret encoding instead
+const quoteICSParam = (value = "") => `"${String(value)
+    .replace(/\^/g, "^^")
+    .replace(/\r?\n/g, "^n")
+    .replace(/"/g, "^'")}"`;
+
+const formatICSDate = (date) => new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Lines longer than 75 octets must be folded
+const foldICSLine = (line) => {
+    const chunks = [];
+    let remaining = line;
+    while (Buffer.byteLength(remaining) > 75) {
+        let cut = 75;
+        while (Buffer.byteLength(remaining.slice(0, cut)) > 75) cut--;
+        chunks.push(remaining.slice(0, cut));
+        remaining = " " + remaining.slice(cut);
+    }
+    chunks.push(remaining);
+    return chunks.join("\r\n");
+};
+
+// ===============================
+// EVENT ROUTES
+// ===============================
+
+// POST /api/v1/events
+export const createEvent = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    const { title, description, location, eventUrl, latitude, longitude } = req.body;
+    const isOnline = parseBoolean(req.body.isOnline);
+
+    if (!title?.trim()) throw new ApiError(400, "title is required");
+
+    const date = parseDate(req.body.date, "date");
+    if (date <= new Date()) throw new ApiError(400, "date must be in the future");
+
+    const endDate = req.body.endDate ? parseDate(req.body.endDate, "endDate") : undefined;
+    if (endDate && endDate <= date) throw new ApiError(400, "endDate must be after date");
+
+    if (isOnline && !eventUrl) throw new ApiError(400, "eventUrl is required for online events");
+    if (!isOnline && !location) throw new ApiError(400, "location is required for in-person events");
+
+    const capacity = parseCapacity(req.body.capacity);
+    const coordinates = isOnline ? undefined : await resolveEventCoordinates({ latitude, longitude, location });
+
+    let businessId = null;
+    if (req.user.isBusinessProfile) {
+        const business = await Business.findOne({ userId }).select("_id").lean();
+        businessId = business?._id || null;
+    }
+
+    const media = await uploadEventMedia(req.files || []);
+
+    const event = await Event.create({
+        title,
+        description,
+        date,
+        endDate,
+        location,
+        coordinates,
+        createdBy: userId,
+        businessId,
+        media,
+        tags: parseTags(req.body.tags) || [],
+        isOnline,
+        eventUrl: isOnline ? eventUrl : undefined,
+        capacity: capacity ?? undefined,
+        updatedAt: new Date()
+    });
+
+    return res.status(201).json(new ApiResponse(201, formatEvent(event, userId), "Event created successfully"));
+});
+
+// PATCH /api/v1/events/:eventId
+export const updateEvent = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    const event = await findOwnedEvent(req.params.eventId, userId);
+    const { title, description, location, eventUrl, latitude, longitude } = req.body;
+
+    const previousDate = event.date;
+    const previousLocation = event.location;
+
+    if (title !== undefined) {
+        if (!title.trim()) throw new ApiError(400, "title can't be empty");
+        event.title = title;
+    }
+    if (description !== undefined) event.description = description;
+    if (req.body.date !== undefined) {
+        const date = parseDate(req.body.date, "date");
+        if (date <= new Date()) throw new ApiError(400, "date must be in the future");
+        event.date = date;
+    }
+    if (req.body.endDate !== undefined) {
+        event.endDate = req.body.endDate ? parseDate(req.body.endDate, "endDate") : undefined;
+    }
+    if (event.endDate && event.endDate <= event.date) {
+        throw new ApiError(400, "endDate must be after date");
+    }
+    if (req.body.isOnline !== undefined) event.isOnline = parseBoolean(req.body.isOnline);
+    if (eventUrl !== undefined) event.eventUrl = eventUrl;
+    if (location !== undefined) event.location = location;
+    if (req.body.tags !== undefined) event.tags = parseTags(req.body.tags);
+
+    if (event.isOnline && !event.eventUrl) throw new ApiError(400, "eventUrl is required for online events");
+    if (!event.isOnline && !event.location) throw new ApiError(400, "location is required for in-person events");
+
+    if (event.isOnline) {
+        event.coordinates = undefined;
+    } else if (location !== undefined || latitude !== undefined || longitude !== undefined) {
+        event.coordinates = await resolveEventCoordinates({ latitude, longitude, location: event.location });
+    }
+
+    const capacity = parseCapacity(req.body.capacity);
+    if (capacity !== undefined) {
+        if (capacity !== null && capacity < event.attendees.length) {
+            throw new ApiError(400, `capacity can't be lower than the ${event.attendees.length} people already attending`);
+        }
+        event.capacity = capacity ?? undefined;
+    }
+
+    // Checked before uploading so a rejected update doesn't leave orphaned files on Bunny
+    const files = req.files || [];
+    if (event.media.length + files.length > MAX_EVENT_MEDIA) {
+        throw new ApiError(400, `An event can have at most ${MAX_EVENT_MEDIA} media files`);
+    }
+    event.media.push(...await uploadEventMedia(files));
+
+    const dateChanged = previousDate.getTime() !== event.date.getTime();
+    if (dateChanged) event.reminderSentAt = null;
+
+    event.updatedAt = new Date();
+    await event.save();
+
+    // More seats may have opened up
+    if (capacity !== undefined) {
+        await promoteFromWaitlist(event._id);
+    }
+
+    // Let attendees know when or where changed
+    if ((dateChanged || previousLocation !== event.location) && event.attendees.length > 0) {
+        sendPushAndFCMNotification(event.attendees, {
+            title: "Event updated",
+            body: `"${event.title}" has a new ${dateChanged ? "time" : "location"}`,
+            url: `/events/${event._id}`,
+            tag: "event-update",
+            data: { type: "event_updated", eventId: event._id.toString() }
+        });
+    }
+
+    const updated = await Event.findById(event._id).lean();
+    return res.status(200).json(new ApiResponse(200, formatEvent(updated, userId), "Event updated successfully"));
+});
+
+// DELETE /api/v1/events/:eventId
+export const deleteEvent = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    const event = await findOwnedEvent(req.params.eventId, userId);
+
+    if (event.media.length > 0) {
+        try {
+            await deleteMultipleFromBunny(event.media);
+        } catch (error) {
+            console.error("Bunny.net event media deletion error:", error);
+        }
+    }
+
+    await Event.findByIdAndDelete(event._id);
+
+    if (event.date > new Date()) {
+        const notifyUserIds = [...event.attendees, ...event.waitlist];
+        if (notifyUserIds.length > 0) {
+            sendPushAndFCMNotification(notifyUserIds, {
+                title: "Event cancelled",
+                body: `"${event.title}" has been cancelled by the host`,
+                url: "/events",
+                tag: "event-cancelled",
+                data: { type: "event_cancelled", eventId: event._id.toString() }
+            });
+        }
+    }
+
+    return res.status(200).json(new ApiResponse(200, { eventId: event._id }, "Event deleted successfully"));
+});
+
+// GET /api/v1/events/:eventId
+export const getEventById = asyncHandler(async (req, res) => {
+    const viewerId = req.user?._id;
+    const event = await findEvent(req.params.eventId);
+
+    await event.populate("createdBy", "username fullName profileImageUrl");
+    if (viewerId && event.createdBy._id.toString() === viewerId.toString()) {
+        await event.populate([
+            { path: "attendees", select: "username fullName profileImageUrl" },
+            { path: "waitlist", select: "username fullName profileImageUrl" }
+        ]);
+    }
+
+    return res.status(200).json(new ApiResponse(200, formatEvent(event, viewerId), "Event fetched successfully"));
+});
+
+// GET /api/v1/events - upcoming events
+export const getUpcomingEvents = asyncHandler(async (req, res) => {
+    const viewerId = req.user?._id;
+    const blockedUsers = req.blockedUsers || [];
+    const { tag, hostId, isOnline } = req.query;
+    const page = parseInt(req.query.page) > 0 ? parseInt(req.query.page) : 1;
+    const limit = parseInt(req.query.limit) > 0 ? Math.min(parseInt(req.query.limit), 50) : 20;
+
+    const filter = {
+        date: { $gte: new Date() },
+        createdBy: { $nin: blockedUsers }
+    };
+    if (tag) filter.tags = tag;
+    if (hostId) {
+        if (!mongoose.Types.ObjectId.isValid(hostId)) throw new ApiError(400, "Invalid hostId format");
+        filter.createdBy = { $eq: hostId, $nin: blockedUsers };
+    }
+    if (isOnline !== undefined) filter.isOnline = isOnline === "true";
+
+    const [events, total] = await Promise.all([
+        Event.find(filter)
+            .sort({ date: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate("createdBy", "username fullName profileImageUrl")
+            .lean(),
+        Event.countDocuments(filter)
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            events: events.map(event => formatEvent(event, viewerId)),
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalEvents: total,
+                hasNextPage: page * limit < total,
+                hasPrevPage: page > 1,
+                limit
+            }
+        }, "Events fetched successfully")
+    );
+});
+
+// GET /api/v1/events/me?type=hosting|attending
+export const getMyEvents = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    const { type = "attending", includePast } = req.query;
+    if (!["hosting", "attending", "waitlisted"].includes(type)) {
+        throw new ApiError(400, "type must be one of 'hosting', 'attending', or 'waitlisted'");
+    }
+
+    const filter = {
+        hosting: { createdBy: userId },
+        attending: { attendees: userId },
+        waitlisted: { waitlist: userId }
+    }[type];
+    if (includePast !== "true") filter.date = { $gte: new Date() };
+
+    const events = await Event.find(filter)
+        .sort({ date: 1 })
+        .limit(100)
+        .populate("createdBy", "username fullName profileImageUrl")
+        .lean();
+
+    return res.status(200).json(
+        new ApiResponse(200, events.map(event => formatEvent(event, userId)), "Events fetched successfully")
+    );
+});
+
+// GET /api/v1/events/nearby
+export const getNearbyEvents = asyncHandler(async (req, res) => {
+    const { latitude, longitude, radius = 10000, tag, limit = 20 } = req.query;
+    const blockedUsers = (req.blockedUsers || []).map(id =>
+        typeof id === "string" ? new mongoose.Types.ObjectId(id) : id
+    );
+
+    if (!latitude || !longitude) {
+        throw new ApiError(400, "Latitude and longitude are required");
+    }
+
+    const { lat, lng } = parseCoordinates(latitude, longitude);
+    const radiusInMeters = Number(radius);
+    if (!Number.isFinite(radiusInMeters) || radiusInMeters <= 0) {
+        throw new ApiError(400, "radius must be a positive number of meters");
+    }
+
+    const query = {
+        date: { $gte: new Date() },
+        isOnline: { $ne: true },
+        createdBy: { $nin: blockedUsers }
+    };
+    if (tag) query.tags = tag;
+
+    const events = await Event.aggregate([
+        {
+            $geoNear: {
+                near: { type: "Point", coordinates: [lng, lat] },
+                distanceField: "distanceInMeters",
+                maxDistance: radiusInMeters,
+                query,
+                spherical: true
+            }
+        },
+        { $sort: { distanceInMeters: 1, date: 1 } },
+        { $limit: Math.min(parseInt(limit) || 20, 50) },
+        {
+            $lookup: {
+                from: "users",
+                localField: "createdBy",
+                foreignField: "_id",
+                as: "createdBy",
+                pipeline: [{ $project: { username: 1, fullName: 1, profileImageUrl: 1 } }]
+            }
+        },
+        { $unwind: "$createdBy" }
+    ]);
+
+    const viewerId = req.user?._id;
+    const eventsWithDistance = events.map(({ distanceInMeters, ...event }) => ({
+        ...formatEvent(event, viewerId),
+        distance: Math.round((distanceInMeters / 1000) * 100) / 100 // km, 2 decimal places
+    }));
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            events: eventsWithDistance,
+            count: eventsWithDistance.length,
+            searchCenter: { latitude: lat, longitude: lng },
+            radiusInMeters
+        }, "Nearby events fetched successfully")
+    );
+});
+
+// POST /api/v1/events/:eventId/rsvp
+export const rsvpEvent = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    const event = await findEvent(req.params.eventId);
+    const blockedUsers = req.blockedUsers || [];
+
+    if (blockedUsers.includes(event.createdBy.toString())) {
+        throw new ApiError(403, "Cannot RSVP to this event due to blocking");
+    }
+    if (event.date <= new Date()) {
+        throw new ApiError(400, "This event has already started");
+    }
+    if (event.attendees.some(id => id.toString() === userId.toString())) {
+        throw new ApiError(409, "You are already attending this event");
+    }
+    if (event.waitlist.some(id => id.toString() === userId.toString())) {
+        throw new ApiError(409, "You are already on the waitlist for this event");
+    }
+
+    // Take a seat if one is free - conditional update so capacity holds under concurrent RSVPs
+    let updated = await Event.findOneAndUpdate(
+        { _id: event._id, attendees: { $ne: userId }, waitlist: { $ne: userId }, ...HAS_FREE_SEAT },
+        { $addToSet: { attendees: userId } },
+        { new: true }
+    );
+    let rsvpStatus = "going";
+
+    // Otherwise join the waitlist
+    if (!updated) {
+        updated = await Event.findOneAndUpdate(
+            { _id: event._id, attendees: { $ne: userId } },
+            { $addToSet: { waitlist: userId } },
+            { new: true }
+        );
+        rsvpStatus = "waitlisted";
+    }
+
+    if (!updated) throw new ApiError(409, "You are already attending this event");
+
+    const waitlistPosition = rsvpStatus === "waitlisted"
+        ? updated.waitlist.findIndex(id => id.toString() === userId.toString()) + 1
+        : null;
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            rsvpStatus,
+            waitlistPosition,
+            event: formatEvent(updated, userId)
+        }, rsvpStatus === "going" ? "RSVP confirmed" : "Event is full - you've been added to the waitlist")
+    );
+});
+
+// DELETE /api/v1/events/:eventId/rsvp
+export const cancelRsvp = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    const event = await findEvent(req.params.eventId);
+    const wasAttending = event.attendees.some(id => id.toString() === userId.toString());
+    const wasWaitlisted = event.waitlist.some(id => id.toString() === userId.toString());
+
+    if (!wasAttending && !wasWaitlisted) {
+        throw new ApiError(404, "You have not RSVP'd to this event");
+    }
+
+    await Event.updateOne(
+        { _id: event._id },
+        { $pull: { attendees: userId, waitlist: userId } }
+    );
+
+    // Give the freed seat to the next person in line
+    if (wasAttending && event.date > new Date()) {
+        await promoteFromWaitlist(event._id);
+    }
+
+    const updated = await Event.findById(event._id).lean();
+    return res.status(200).json(new ApiResponse(200, formatEvent(updated, userId), "RSVP cancelled"));
+});
+
+// GET /api/v1/events/:eventId/ics - iCalendar export
+export const exportEventICS = asyncHandler(async (req, res) => {
+    const event = await findEvent(req.params.eventId);
+    await event.populate("createdBy", "username fullName");
+
+    // Events without an end date are shown as one hour long
+    const endDate = event.endDate || new Date(event.date.getTime() + 60 * 60 * 1000);
+    const location = event.isOnline ? event.eventUrl : event.location;
+    const organizer = event.createdBy?.fullName || event.createdBy?.username || "FinderNate";
+
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//FinderNate//Events//EN",
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        "BEGIN:VEVENT",
+        `UID:${event._id}@findernate.com`,
+        `DTSTAMP:${formatICSDate(new Date())}`,
+        `DTSTART:${formatICSDate(event.date)}`,
+        `DTEND:${formatICSDate(endDate)}`,
+        `SUMMARY:${escapeICSText(event.title)}`,
+        ...(event.description ? [`DESCRIPTION:${escapeICSText(event.description)}`] : []),
+        ...(location ? [`LOCATION:${escapeICSText(location)}`] : []),
+        ...(event.isOnline && event.eventUrl ? [`URL:${event.eventUrl}`] : []),
+        ...(event.coordinates?.coordinates?.length === 2
+            ? [`GEO:${event.coordinates.coordinates[1]};${event.coordinates.coordinates[0]}`]
+            : []),
+        `ORGANIZER;CN=${quoteICSParam(organizer)}:mailto:noreply@findernate.com`,
+        `LAST-MODIFIED:${formatICSDate(event.updatedAt || event.createdAt)}`,
+        "END:VEVENT",
+        "END:VCALENDAR"
+    ];
+
+    const fileName = event.title.replace(/[^a-z0-9]+/gi, "-").replace(/^-|-$/g, "").toLowerCase() || "event";
+
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}.ics"`);
+    return res.status(200).send(lines.map(foldICSLine).join("\r\n") + "\r\n");
+});
+
+// Background job: remind attendees shortly before their event starts
+const sendEventReminders = async () => {
+    try {
+        const now = new Date();
+        const reminderWindowEnd = new Date(now.getTime() + EVENT_REMINDER_LEAD_MINUTES * 60 * 1000);
+
+        const dueEvents = await Event.find({
+            date: { $gt: now, $lte: reminderWindowEnd },
+            reminderSentAt: null,
+            "attendees.0": { $exists: true }
+        })
+            .sort({ date: 1 })
+            .limit(EVENT_REMINDER_BATCH_SIZE)
+            .select("_id")
+            .lean();
+
+        let remindedCount = 0;
+
+        for (const { _id } of dueEvents) {
+            // Claim the event atomically so only one PM2 instance sends reminders
+            const event = await Event.findOneAndUpdate(
+                { _id, reminderSentAt: null },
+                { $set: { reminderSentAt: new Date() } },
+                { new: true }
+            ).lean();
+
+            if (!event) continue;
+
+            const minutesUntilStart = Math.max(Math.round((event.date - now) / 60000), 1);
+            await sendPushAndFCMNotification(event.attendees, {
+                title: "Event starting soon ⏰",
+                body: `"${event.title}" starts in ${minutesUntilStart} minute${minutesUntilStart === 1 ? "" : "s"}`,
+                url: `/events/${event._id}`,
+                tag: "event-reminder",
+                data: { type: "event_reminder", eventId: event._id.toString() }
+            });
+            remindedCount++;
+        }
+
+        if (remindedCount > 0) {
+            console.log(`📅 Sent reminders for ${remindedCount} event(s)`);
+        }
+    } catch (error) {
+        console.error("❌ Error sending event reminders:", error);
+    }
+};
+
+// Start event reminder job
+setInterval(sendEventReminders, EVENT_REMINDER_CHECK_INTERVAL_MINUTES * 60 * 1000);
@@ -24,7 +24,8 @@ export const getExploreFeed = asyncHandler(async (req, res) => {
 
     // If contentType=all, fetch all allowed types; otherwise, use the provided contentType
     const allowedTypes = ['normal', 'service', 'product', 'business'];
-    let postMatch = {};
+    // Scheduled and draft posts stay hidden until published
+    let postMatch = { status: { $nin: ['scheduled', 'draft'] } };
 
     if (contentType !== "all") {
         const typeArray = contentType.split(",").map(t => t.trim().toLowerCase());
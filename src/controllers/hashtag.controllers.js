@@ -0,0 +1,262 @@
+import Hashtag from "../models/hashtag.models.js";
+import Post from "../models/userPost.models.js";
+import Follower from "../models/follower.models.js";
+import { asyncHandler } from "../utlis/asyncHandler.js";
+import { ApiError } from "../utlis/ApiError.js";
+import { ApiResponse } from "../utlis/ApiResponse.js";
+import { CacheManager } from "../utlis/cache.utils.js";
+import { filterPostsByPrivacy } from "../utlis/postPrivacy.js";
+import { getViewableUserIds } from "../middlewares/privacy.middleware.js";
+import { RedisKeys, RedisTTL } from "../config/redis.config.js";
+
+const TRENDING_WINDOW_HOURS = 72; // Only recent posts count towards trending
+const TRENDING_HALF_LIFE_HOURS = 12; // A post's weight halves every 12 hours
+const TRENDING_MAX_LIMIT = 50;
+const HASHTAG_PAGE_MAX_LIMIT = 50;
+
+// Same shape the Post pre-save hook extracts: word characters, stored lowercase
+const normalizeTag = (tag = "") => tag.toString().trim().replace(/^#/, "").toLowerCase();
+const isValidTag = (tag) => /^\w+$/.test(tag);
+
+// Scheduled and draft posts don't count until they go live
+const liveHashtags = (post) => (
+    post && !["scheduled", "draft"].includes(post.status) ? post.hashtags || [] : []
+);
+
+/**
+ * Keep Hashtag usage counts in step with a post's hashtags
+ * Pass the post before and after the change - null for a created or deleted post
+ * Never throws so it can't fail the post request
+ */
+export const syncPostHashtags = async (previousPost, nextPost) => {
+    try {
+        const previousTags = new Set(liveHashtags(previousPost));
+        const nextTags = new Set(liveHashtags(nextPost));
+        const now = new Date();
+
+        const operations = [
+            ...[...nextTags].filter(tag => !previousTags.has(tag)).map(tag => ({
+                updateOne: {
+                    filter: { tag },
+                    update: { $inc: { usageCount: 1 }, $set: { lastUsedAt: now } },
+                    upsert: true
+                }
+            })),
+            ...[...previousTags].filter(tag => !nextTags.has(tag)).map(tag => ({
+                updateOne: {
+                    filter: { tag, usageCount: { $gt: 0 } },
+                    update: { $inc: { usageCount: -1 } }
+                }
+            }))
+        ];
+
+        if (operations.length > 0) {
+            await Hashtag.bulkWrite(operations, { ordered: false });
+        }
+    } catch (error) {
+        console.error("Error syncing hashtag counts:", error);
+    }
+};
+
+// Drop all of a user's live posts from hashtag counts (account deletion)
+export const releaseUserHashtags = async (userId) => {
+    try {
+        const tagCounts = await Post.aggregate([
+            { $match: { userId, status: { $nin: ["scheduled", "draft"] } } },
+            { $unwind: "$hashtags" },
+            { $group: { _id: "$hashtags", count: { $sum: 1 } } }
+        ]);
+
+        if (tagCounts.length > 0) {
+            await Hashtag.bulkWrite(tagCounts.map(({ _id: tag, count }) => ({
+                updateOne: {
+                    filter: { tag },
+                    update: [{ $set: { usageCount: { $max: [0, { $subtract: ["$usageCount", count] }] } } }]
+                }
+            })), { ordered: false });
+        }
+    } catch (error) {
+        console.error(`Error releasing hashtags for user ${userId}:`, error);
+    }
+};
+
+// Time-decayed score per hashtag from recent public posts
+const computeTrendingHashtags = async (limit) => {
+    const windowStart = new Date(Date.now() - TRENDING_WINDOW_HOURS * 60 * 60 * 1000);
+    const now = new Date();
+
+    return Post.aggregate([
+        {
+            $match: {
+                "hashtags.0": { $exists: true },
+                status: { $nin: ["scheduled", "draft"] },
+                "settings.privacy": { $ne: "private" },
+                $or: [
+                    { publishedAt: { $gte: windowStart } },
+                    { publishedAt: null, createdAt: { $gte: windowStart } }
+                ]
+            }
+        },
+        {
+            $lookup: {
+                from: "users",
+                localField: "userId",
+                foreignField: "_id",
+                as: "author",
+                pipeline: [{ $project: { privacy: 1, isFullPrivate: 1 } }]
+            }
+        },
+        { $match: { "author.privacy": { $ne: "private" }, "author.isFullPrivate": { $ne: true } } },
+        { $addFields: { postedAt: { $ifNull: ["$publishedAt", "$createdAt"] } } },
+        {
+            $addFields: {
+                // decay * (1 + ln(1 + interactions)) so one viral post can't dominate
+                weight: {
+                    $multiply: [
+                        {
+                            $pow: [0.5, {
+                                $divide: [
+                                    { $subtract: [now, "$postedAt"] },
+                                    TRENDING_HALF_LIFE_HOURS * 60 * 60 * 1000
+                                ]
+                            }]
+                        },
+                        {
+                            $add: [1, {
+                                $ln: {
+                                    $add: [
+                                        1,
+                                        { $ifNull: ["$engagement.likes", 0] },
+                                        { $ifNull: ["$engagement.comments", 0] },
+                                        { $ifNull: ["$engagement.shares", 0] }
+                                    ]
+                                }
+                            }]
+                        }
+                    ]
+                }
+            }
+        },
+        { $unwind: "$hashtags" },
+        {
+            $group: {
+                _id: "$hashtags",
+                score: { $sum: "$weight" },
+                recentPosts: { $sum: 1 },
+                lastUsedAt: { $max: "$postedAt" }
+            }
+        },
+        { $sort: { score: -1 } },
+        { $limit: limit },
+        {
+            $lookup: {
+                from: "hashtags",
+                localField: "_id",
+                foreignField: "tag",
+                as: "hashtag",
+                pipeline: [{ $project: { usageCount: 1 } }]
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                tag: "$_id",
+                score: { $round: ["$score", 4] },
+                recentPosts: 1,
+                usageCount: { $ifNull: [{ $arrayElemAt: ["$hashtag.usageCount", 0] }, 0] },
+                lastUsedAt: 1
+            }
+        }
+    ]);
+};
+
+// GET /api/v1/hashtags/trending?limit=20
+export const getTrendingHashtags = asyncHandler(async (req, res) => {
+    const limit = parseInt(req.query.limit) > 0 ? Math.min(parseInt(req.query.limit), TRENDING_MAX_LIMIT) : 20;
+
+    const { data: hashtags } = await CacheManager.getOrSet(
+        RedisKeys.trendingHashtags(limit),
+        () => computeTrendingHashtags(limit),
+        RedisTTL.TRENDING_HASHTAGS
+    );
+
+    return res.status(200).json(new ApiResponse(200, hashtags, "Trending hashtags fetched successfully"));
+});
+
+// GET /api/v1/hashtags/:tag?page=1&limit=20&sort=recent|top
+export const getHashtagPosts = asyncHandler(async (req, res) => {
+    const tag = normalizeTag(req.params.tag);
+    if (!isValidTag(tag)) throw new ApiError(400, "Invalid hashtag");
+
+    const page = parseInt(req.query.page) > 0 ? parseInt(req.query.page) : 1;
+    const limit = parseInt(req.query.limit) > 0 ? Math.min(parseInt(req.query.limit), HASHTAG_PAGE_MAX_LIMIT) : 20;
+    const sort = req.query.sort === "top"
+        ? { "engagement.likes": -1, "engagement.comments": -1, createdAt: -1 }
+        : { createdAt: -1 };
+
+    const currentUser = req.user;
+    const blockedUsers = req.blockedUsers || [];
+    const viewableUserIds = await getViewableUserIds(currentUser?._id);
+
+    const filter = {
+        hashtags: tag,
+        status: { $nin: ["scheduled", "draft"] },
+        userId: { $in: viewableUserIds, $nin: blockedUsers }
+    };
+
+    const [hashtag, posts, totalPosts] = await Promise.all([
+        Hashtag.findOne({ tag }).select("tag usageCount lastUsedAt").lean(),
+        Post.find(filter)
+            .populate("userId", "username fullName profileImageUrl isVerified privacy isFullPrivate")
+            .select("-analytics -__v -settings.customAudience")
+            .sort(sort)
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        Post.countDocuments(filter)
+    ]);
+
+    // Per-post privacy (private posts on public accounts)
+    let viewerFollowing = [];
+    let viewerFollowers = [];
+
+    if (currentUser) {
+        const [followingRecords, followerRecords] = await Promise.all([
+            Follower.find({ followerId: currentUser._id }).select("userId").lean(),
+            Follower.find({ userId: currentUser._id }).select("followerId").lean()
+        ]);
+
+        viewerFollowing = followingRecords.map(f => f.userId.toString());
+        viewerFollowers = followerRecords.map(f => f.followerId.toString());
+    }
+
+    const visiblePosts = filterPostsByPrivacy(posts, currentUser, viewerFollowing, viewerFollowers);
+    const totalPages = Math.ceil(totalPosts / limit);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            hashtag: hashtag || { tag, usageCount: 0, lastUsedAt: null },
+            posts: visiblePosts,
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalPosts,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1,
+                limit
+            }
+        }, "Hashtag posts fetched successfully")
+    );
+});
+
+// Prefix match for `#` autocomplete, most used first
+export const findHashtagSuggestions = async (prefix, limit = 10) => {
+    const tag = normalizeTag(prefix);
+    if (!isValidTag(tag)) return [];
+
+    return Hashtag.find({ tag: { $regex: `^${tag}` }, usageCount: { $gt: 0 } })
+        .sort({ usageCount: -1, lastUsedAt: -1 })
+        .limit(limit)
+        .select("-_id tag usageCount")
+        .lean();
+};
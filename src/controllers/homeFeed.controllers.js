@@ -10,6 +10,7 @@ import PostInteraction from '../models/postInteraction.models.js';
 import { setCache } from '../middlewares/cache.middleware.js';
 import { redisClient } from '../config/redis.config.js';
 import { getViewableUserIds } from '../middlewares/privacy.middleware.js';
+import { injectAdSlots } from './advertisement.controllers.js';
 import mongoose from 'mongoose';
 
 export const getHomeFeed = asyncHandler(async (req, res) => {
@@ -35,7 +36,12 @@ export const getHomeFeed = asyncHandler(async (req, res) => {
             const cachedData = await redisClient.get(res.locals.cacheKey);
             if (cachedData) {
                 console.log('📦 Returning cached feed');
-                return res.status(200).json(JSON.parse(cachedData));
+                const cachedResponse = JSON.parse(cachedData);
+                // Ads are never cached - pick fresh ones for this viewer
+                if (cachedResponse.data?.feed) {
+                    cachedResponse.data.feed = await injectAdSlots(cachedResponse.data.feed, req.user, blockedUsers);
+                }
+                return res.status(200).json(cachedResponse);
             }
         }
 
@@ -74,6 +80,8 @@ export const getHomeFeed = asyncHandler(async (req, res) => {
         const matchQuery = {
             contentType: { $in: ['normal', 'service', 'product', 'business'] },
             userId: { $in: viewableUserIds, $nin: blockedUsers },
+            // Scheduled and draft posts stay hidden until published
+            status: { $nin: ['scheduled', 'draft'] },
             // For logged-out users, only show posts with public visibility
             ...(userId ? {} : {
                 $or: [
@@ -97,8 +105,8 @@ export const getHomeFeed = asyncHandler(async (req, res) => {
                         $add: [
                             // Followed users get highest priority
                             { $cond: [{ $in: ['$userId', feedUserIds] }, 100, 0] },
-                            // Recent posts get boost
-                            { $cond: [{ $gte: ['$createdAt', yesterday] }, 20, 0] },
+                            // Recent posts get boost (scheduled posts count from when they went live)
+                            { $cond: [{ $gte: [{ $ifNull: ['$publishedAt', '$createdAt'] }, yesterday] }, 20, 0] },
                             // Engagement boost (capped at 30)
                             { $min: [
                                 { $add: [
@@ -262,7 +270,8 @@ export const getHomeFeed = asyncHandler(async (req, res) => {
             try {
                 totalCount = await Post.countDocuments({
                     contentType: { $in: ['normal', 'service', 'product', 'business'] },
-                    userId: { $nin: blockedUsers }
+                    userId: { $nin: blockedUsers },
+                    status: { $nin: ['scheduled', 'draft'] }
                 });
             } catch (error) {
                 totalCount = posts.length; // Fallback
@@ -284,6 +293,9 @@ export const getHomeFeed = asyncHandler(async (req, res) => {
             await setCache(res.locals.cacheKey, response, res.locals.cacheTTL);
         }
 
+        // ✅ 6. Inject targeted ad slots after caching so every request gets its own ads
+        response.data.feed = await injectAdSlots(feedData, req.user, blockedUsers);
+
         return res.status(200).json(response);
 
     } catch (error) {
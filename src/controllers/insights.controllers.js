@@ -0,0 +1,490 @@
+import mongoose from "mongoose";
+import Insight from "../models/insights.models.js";
+import Post from "../models/userPost.models.js";
+import PostInteraction from "../models/postInteraction.models.js";
+import Like from "../models/like.models.js";
+import Comment from "../models/comment.models.js";
+import SavedPost from "../models/savedPost.models.js";
+import { asyncHandler } from "../utlis/asyncHandler.js";
+import { ApiError } from "../utlis/ApiError.js";
+import { ApiResponse } from "../utlis/ApiResponse.js";
+import { redisClient } from "../config/redis.config.js";
+import { runWithJobLock } from "../utlis/jobLock.utils.js";
+
+const INSIGHTS_ROLLUP_INTERVAL_MINUTES = 15;
+const INSIGHTS_WINDOW_DAYS = 90; // PostInteraction documents expire after 90 days
+const INSIGHTS_STALE_AFTER_MINUTES = 15; // Per-post endpoint recomputes older insights on demand
+const ROLLUP_LOCK_KEY = "insights:rollup:lock";
+const ROLLUP_LOCK_TTL_SECONDS = 10 * 60; // Released when the run ends, this only covers a crashed instance
+const LAST_ROLLUP_KEY = "insights:rollup:lastRunAt";
+const SERIES_INTERVALS = ["day", "week", "month"];
+const AGE_GROUP_BOUNDARIES = [13, 18, 25, 35, 45, 55, 65, 200];
+
+// ===============================
+// ROLLUP
+// ===============================
+
+const startOfUTCDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// Count documents per UTC day since windowStart
+const countPerDay = (Model, match, dateField, windowStart) => Model.aggregate([
+    { $match: { ...match, [dateField]: { $gte: windowStart } } },
+    {
+        $group: {
+            _id: { $dateToString: { format: "%Y-%m-%d", date: `$${dateField}` } },
+            count: { $sum: 1 },
+            unique: { $sum: 1 }
+        }
+    }
+]);
+
+/**
+ * Repeat views / shares per UTC day, from the per-day counters on each interaction
+ * Whatever interactionCount isn't covered by the counters (recorded before they existed) counts on createdAt's day
+ */
+const countInteractionsPerDay = (match, windowStart) => PostInteraction.aggregate([
+    { $match: { ...match, lastInteracted: { $gte: windowStart } } },
+    { $project: { createdAt: 1, interactionCount: 1, tracked: { $objectToArray: { $ifNull: ["$dailyCounts", {}] } } } },
+    {
+        $project: {
+            days: {
+                $concatArrays: ["$tracked", [{
+                    k: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+                    v: { $subtract: [{ $ifNull: ["$interactionCount", 1] }, { $sum: "$tracked.v" }] }
+                }]]
+            }
+        }
+    },
+    { $unwind: "$days" },
+    { $match: { "days.v": { $gt: 0 }, "days.k": { $gte: PostInteraction.dayKey(windowStart) } } },
+    { $group: { _id: "$days.k", count: { $sum: "$days.v" } } }
+]);
+
+// Viewer demographics and peak hours for Post.analytics
+const buildAudienceAnalytics = async (postId) => {
+    const [result] = await PostInteraction.aggregate([
+        { $match: { postId, interactionType: "view" } },
+        {
+            $lookup: {
+                from: "users",
+                localField: "userId",
+                foreignField: "_id",
+                as: "viewer",
+                pipeline: [{ $project: { gender: 1, location: 1, dateOfBirth: 1 } }]
+            }
+        },
+        { $unwind: "$viewer" },
+        {
+            $facet: {
+                genders: [{ $group: { _id: "$viewer.gender", count: { $sum: 1 } } }],
+                locations: [
+                    { $match: { "viewer.location": { $nin: [null, ""] } } },
+                    { $group: { _id: "$viewer.location", count: { $sum: 1 } } },
+                    { $sort: { count: -1 } },
+                    { $limit: 50 }
+                ],
+                ageGroups: [
+                    {
+                        $project: {
+                            age: {
+                                $dateDiff: {
+                                    startDate: {
+                                        $dateFromString: { dateString: "$viewer.dateOfBirth", onError: null, onNull: null }
+                                    },
+                                    endDate: "$$NOW",
+                                    unit: "year"
+                                }
+                            }
+                        }
+                    },
+                    { $match: { age: { $ne: null } } },
+                    { $bucket: { groupBy: "$age", boundaries: AGE_GROUP_BOUNDARIES, default: "other", output: { count: { $sum: 1 } } } },
+                    { $sort: { count: -1 } }
+                ],
+                hours: [
+                    { $group: { _id: { $hour: "$lastInteracted" }, count: { $sum: 1 } } },
+                    { $sort: { count: -1 } }
+                ]
+            }
+        }
+    ]);
+
+    const genderDistribution = { male: 0, female: 0, other: 0 };
+    (result?.genders || []).forEach(({ _id, count }) => {
+        if (_id === "male" || _id === "female") genderDistribution[_id] += count;
+        else genderDistribution.other += count;
+    });
+
+    // User.location is free text - treat the last comma separated part as the country
+    const countryCounts = new Map();
+    (result?.locations || []).forEach(({ _id, count }) => {
+        const country = _id.split(",").pop().trim();
+        if (country) countryCounts.set(country, (countryCounts.get(country) || 0) + count);
+    });
+    const topCountries = [...countryCounts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([country]) => country);
+
+    const topAgeGroups = (result?.ageGroups || [])
+        .filter(group => group._id !== "other")
+        .slice(0, 3)
+        .map(group => {
+            const upperIndex = AGE_GROUP_BOUNDARIES.indexOf(group._id) + 1;
+            const upper = AGE_GROUP_BOUNDARIES[upperIndex];
+            return upper >= 200 ? `${group._id}+` : `${group._id}-${upper - 1}`;
+        });
+
+    const peakViewingTimes = (result?.hours || []).map(({ _id, count }) => ({ hour: _id, count }));
+
+    return { genderDistribution, topCountries, topAgeGroups, peakViewingTimes };
+};
+
+/**
+ * Recompute the Insight document and Post.analytics for one post
+ * Daily buckets inside the PostInteraction retention window are rebuilt; older buckets are kept as-is
+ */
+export const rollupPostInsights = async (postId) => {
+    const id = typeof postId === "string" ? new mongoose.Types.ObjectId(postId) : postId;
+
+    const post = await Post.findById(id).select("userId").lean();
+    if (!post) {
+        await Insight.deleteOne({ postId: id });
+        return null;
+    }
+
+    const now = new Date();
+    const windowStart = startOfUTCDay(new Date(now.getTime() - INSIGHTS_WINDOW_DAYS * 24 * 60 * 60 * 1000));
+
+    const [
+        viewBuckets,
+        reachBuckets,
+        shareBuckets,
+        likeBuckets,
+        commentBuckets,
+        saveBuckets,
+        likes,
+        comments,
+        saves,
+        audience,
+        existing
+    ] = await Promise.all([
+        countInteractionsPerDay({ postId: id, interactionType: "view" }, windowStart),
+        countPerDay(PostInteraction, { postId: id, interactionType: "view" }, "createdAt", windowStart),
+        countInteractionsPerDay({ postId: id, interactionType: "share" }, windowStart),
+        countPerDay(Like, { postId: id }, "createdAt", windowStart),
+        countPerDay(Comment, { postId: id, isDeleted: { $ne: true } }, "createdAt", windowStart),
+        countPerDay(SavedPost, { postId: id }, "savedAt", windowStart),
+        Like.countDocuments({ postId: id }),
+        Comment.countDocuments({ postId: id, isDeleted: { $ne: true } }),
+        SavedPost.countDocuments({ postId: id }),
+        buildAudienceAnalytics(id),
+        Insight.findOne({ postId: id }).select("daily").lean()
+    ]);
+
+    // Merge the per-source counts into one bucket per day
+    const buckets = new Map();
+    const bucketFor = (day) => {
+        if (!buckets.has(day)) {
+            buckets.set(day, { date: new Date(`${day}T00:00:00.000Z`), views: 0, reach: 0, likes: 0, comments: 0, shares: 0, saves: 0 });
+        }
+        return buckets.get(day);
+    };
+    // Views count on the day they were recorded; a view interaction is created on a user's
+    // first view, so its createdAt day counts them towards reach
+    viewBuckets.forEach(({ _id, count }) => { bucketFor(_id).views += count; });
+    reachBuckets.forEach(({ _id, unique }) => { bucketFor(_id).reach += unique; });
+    shareBuckets.forEach(({ _id, count }) => { bucketFor(_id).shares += count; });
+    likeBuckets.forEach(({ _id, count }) => { bucketFor(_id).likes += count; });
+    commentBuckets.forEach(({ _id, count }) => { bucketFor(_id).comments += count; });
+    saveBuckets.forEach(({ _id, count }) => { bucketFor(_id).saves += count; });
+
+    const olderBuckets = (existing?.daily || []).filter(bucket => bucket.date < windowStart);
+    const daily = [...olderBuckets, ...[...buckets.values()].sort((a, b) => a.date - b.date)];
+
+    const views = daily.reduce((sum, bucket) => sum + bucket.views, 0);
+    const reach = daily.reduce((sum, bucket) => sum + bucket.reach, 0);
+    const shares = daily.reduce((sum, bucket) => sum + bucket.shares, 0);
+    const engagementRate = reach > 0
+        ? Math.round(((likes + comments + shares + saves) / reach) * 10000) / 100
+        : 0;
+
+    const insight = await Insight.findOneAndUpdate(
+        { postId: id },
+        {
+            $set: {
+                userId: post.userId,
+                views,
+                reach,
+                likes,
+                comments,
+                shares,
+                saves,
+                engagementRate,
+                daily,
+                updatedAt: now
+            }
+        },
+        { upsert: true, new: true }
+    );
+
+    await Post.updateOne(
+        { _id: id },
+        {
+            $set: {
+                "analytics.topCountries": audience.topCountries,
+                "analytics.topAgeGroups": audience.topAgeGroups,
+                "analytics.genderDistribution": audience.genderDistribution,
+                "analytics.peakViewingTimes": audience.peakViewingTimes
+            }
+        }
+    );
+
+    return insight;
+};
+
+// Posts that had any interaction since the given time
+const findPostsWithActivitySince = async (since) => {
+    const [interacted, liked, commented, saved] = await Promise.all([
+        PostInteraction.distinct("postId", { lastInteracted: { $gt: since } }),
+        Like.distinct("postId", { createdAt: { $gt: since }, postId: { $ne: null } }),
+        Comment.distinct("postId", { createdAt: { $gt: since } }),
+        SavedPost.distinct("postId", { savedAt: { $gt: since } })
+    ]);
+
+    const unique = new Map();
+    [...interacted, ...liked, ...commented, ...saved].forEach(postId => {
+        if (postId) unique.set(postId.toString(), postId);
+    });
+    return [...unique.values()];
+};
+
+// Background job: roll up interactions for posts with new activity
+const rollupRecentInsights = async () => {
+    try {
+        // Only one PM2 instance runs the rollup at a time
+        await runWithJobLock(ROLLUP_LOCK_KEY, ROLLUP_LOCK_TTL_SECONDS, async () => {
+            const runStartedAt = new Date();
+            const lastRunAt = await redisClient.get(LAST_ROLLUP_KEY);
+            const since = lastRunAt
+                ? new Date(lastRunAt)
+                : new Date(runStartedAt.getTime() - 24 * 60 * 60 * 1000);
+
+            const postIds = await findPostsWithActivitySince(since);
+
+            for (const postId of postIds) {
+                try {
+                    await rollupPostInsights(postId);
+                } catch (error) {
+                    console.error(`Error rolling up insights for post ${postId}:`, error);
+                }
+            }
+
+            await redisClient.set(LAST_ROLLUP_KEY, runStartedAt.toISOString());
+
+            if (postIds.length > 0) {
+                console.log(`📊 Rolled up insights for ${postIds.length} post(s)`);
+            }
+        });
+    } catch (error) {
+        console.error("❌ Error rolling up post insights:", error);
+    }
+};
+
+// Start insights rollup job
+setInterval(rollupRecentInsights, INSIGHTS_ROLLUP_INTERVAL_MINUTES * 60 * 1000);
+
+// ===============================
+// HELPERS
+// ===============================
+
+// Parse ?from, ?to and ?interval (defaults: last 30 days, daily)
+const parseSeriesQuery = (query) => {
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    const interval = query.interval || "day";
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        throw new ApiError(400, "Invalid from/to date format");
+    }
+    if (from > to) {
+        throw new ApiError(400, "from must be before to");
+    }
+    if (!SERIES_INTERVALS.includes(interval)) {
+        throw new ApiError(400, `interval must be one of: ${SERIES_INTERVALS.join(", ")}`);
+    }
+
+    return { from: startOfUTCDay(from), to, interval };
+};
+
+const withEngagementRate = (totals) => {
+    const interactions = totals.likes + totals.comments + totals.shares + totals.saves;
+    return {
+        ...totals,
+        engagementRate: totals.reach > 0 ? Math.round((interactions / totals.reach) * 10000) / 100 : 0
+    };
+};
+
+// Time-bucketed series from the Insight daily buckets
+const buildSeries = async (match, { from, to, interval }) => {
+    const series = await Insight.aggregate([
+        { $match: match },
+        { $unwind: "$daily" },
+        { $match: { "daily.date": { $gte: from, $lte: to } } },
+        {
+            $group: {
+                _id: { $dateTrunc: { date: "$daily.date", unit: interval, startOfWeek: "monday" } },
+                views: { $sum: "$daily.views" },
+                reach: { $sum: "$daily.reach" },
+                likes: { $sum: "$daily.likes" },
+                comments: { $sum: "$daily.comments" },
+                shares: { $sum: "$daily.shares" },
+                saves: { $sum: "$daily.saves" }
+            }
+        },
+        { $sort: { _id: 1 } }
+    ]);
+
+    return series.map(({ _id, ...totals }) => ({ periodStart: _id, ...withEngagementRate(totals) }));
+};
+
+const sumSeries = (series) => series.reduce((totals, bucket) => {
+    ["views", "reach", "likes", "comments", "shares", "saves"].forEach(key => {
+        totals[key] += bucket[key];
+    });
+    return totals;
+}, { views: 0, reach: 0, likes: 0, comments: 0, shares: 0, saves: 0 });
+
+// ===============================
+// INSIGHTS ROUTES
+// ===============================
+
+// GET /api/v1/insights/posts/:postId
+export const getPostInsights = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    const { postId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(postId)) {
+        throw new ApiError(400, "Invalid post ID format");
+    }
+
+    const post = await Post.findById(postId)
+        .select("userId postType contentType caption createdAt publishedAt analytics")
+        .lean();
+    if (!post) throw new ApiError(404, "Post not found");
+    if (post.userId.toString() !== userId.toString()) {
+        throw new ApiError(403, "You can only view insights for your own posts");
+    }
+
+    const seriesQuery = parseSeriesQuery(req.query);
+
+    // Refresh on demand when the rollup hasn't covered this post recently
+    let insight = await Insight.findOne({ postId }).select("-daily").lean();
+    const staleBefore = new Date(Date.now() - INSIGHTS_STALE_AFTER_MINUTES * 60 * 1000);
+    if (!insight || insight.updatedAt < staleBefore) {
+        await rollupPostInsights(postId);
+        insight = await Insight.findOne({ postId }).select("-daily").lean();
+    }
+
+    const series = await buildSeries({ postId: new mongoose.Types.ObjectId(postId) }, seriesQuery);
+    const refreshedPost = await Post.findById(postId).select("analytics").lean();
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            post: {
+                _id: post._id,
+                postType: post.postType,
+                contentType: post.contentType,
+                caption: post.caption,
+                publishedAt: post.publishedAt || post.createdAt
+            },
+            lifetime: {
+                views: insight?.views || 0,
+                reach: insight?.reach || 0,
+                likes: insight?.likes || 0,
+                comments: insight?.comments || 0,
+                shares: insight?.shares || 0,
+                saves: insight?.saves || 0,
+                engagementRate: insight?.engagementRate || 0
+            },
+            period: {
+                from: seriesQuery.from,
+                to: seriesQuery.to,
+                interval: seriesQuery.interval,
+                totals: withEngagementRate(sumSeries(series)),
+                series
+            },
+            audience: refreshedPost?.analytics || {},
+            updatedAt: insight?.updatedAt || null
+        }, "Post insights fetched successfully")
+    );
+});
+
+// GET /api/v1/insights/account
+export const getAccountInsights = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    const ownerId = new mongoose.Types.ObjectId(userId.toString());
+    const seriesQuery = parseSeriesQuery(req.query);
+
+    const [series, lifetimeTotals, postsCount] = await Promise.all([
+        buildSeries({ userId: ownerId }, seriesQuery),
+        Insight.aggregate([
+            { $match: { userId: ownerId } },
+            {
+                $group: {
+                    _id: null,
+                    views: { $sum: "$views" },
+                    reach: { $sum: "$reach" },
+                    likes: { $sum: "$likes" },
+                    comments: { $sum: "$comments" },
+                    shares: { $sum: "$shares" },
+                    saves: { $sum: "$saves" }
+                }
+            }
+        ]),
+        Post.countDocuments({ userId: ownerId, status: { $nin: ["scheduled", "draft"] } })
+    ]);
+
+    const { _id, ...lifetime } = lifetimeTotals[0] || { views: 0, reach: 0, likes: 0, comments: 0, shares: 0, saves: 0 };
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            postsCount,
+            lifetime: withEngagementRate(lifetime),
+            period: {
+                from: seriesQuery.from,
+                to: seriesQuery.to,
+                interval: seriesQuery.interval,
+                totals: withEngagementRate(sumSeries(series)),
+                series
+            }
+        }, "Account insights fetched successfully")
+    );
+});
+
+// GET /api/v1/insights/account/top-posts
+export const getTopPosts = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    const { sortBy = "engagementRate" } = req.query;
+    const sortFields = ["engagementRate", "views", "reach", "likes", "comments", "shares", "saves"];
+    if (!sortFields.includes(sortBy)) {
+        throw new ApiError(400, `sortBy must be one of: ${sortFields.join(", ")}`);
+    }
+    const limit = parseInt(req.query.limit) > 0 ? Math.min(parseInt(req.query.limit), 50) : 10;
+
+    const insights = await Insight.find({ userId })
+        .select("-daily")
+        .sort({ [sortBy]: -1 })
+        .limit(limit)
+        .populate("postId", "postType contentType caption media createdAt publishedAt")
+        .lean();
+
+    return res.status(200).json(
+        new ApiResponse(200, insights.filter(insight => insight.postId), "Top posts fetched successfully")
+    );
+});
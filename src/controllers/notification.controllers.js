@@ -115,6 +115,102 @@ export const createUnlikeNotification = asyncHandler(async ({ recipientId, sourc
     await notificationCache.invalidateNotificationCache(recipientId);
 });
 
+// 📮 New Post Notification (fan-out to followers, e.g. when a scheduled post goes live)
+export const createNewPostNotifications = async ({ recipientIds, sourceUserId, postId }) => {
+    if (!recipientIds?.length || !sourceUserId || !postId) {
+        return [];
+    }
+
+    const notifications = await Notification.insertMany(recipientIds.map(recipientId => ({
+        receiverId: recipientId,
+        type: "post",
+        senderId: sourceUserId,
+        postId,
+        message: "shared a new post"
+    })));
+
+    notifications.forEach(notification => {
+        sendRealTimeNotification(notification.receiverId, notification);
+    });
+
+    // Invalidate cache and emit real-time count update
+    await Promise.allSettled(recipientIds.map(recipientId =>
+        notificationCache.invalidateNotificationCache(recipientId)
+    ));
+
+    return notifications;
+};
+
+// 🏅 Badge Awarded Notification (system notification, no sender)
+export const createBadgeNotification = async ({ recipientId, badge }) => {
+    if (!recipientId || !badge) return null;
+
+    const notification = await Notification.create({
+        receiverId: recipientId,
+        type: "badge",
+        badgeId: badge._id,
+        message: `You earned the "${badge.name}" badge`
+    });
+
+    sendRealTimeNotification(recipientId, notification);
+
+    // Invalidate cache and emit real-time count update
+    await notificationCache.invalidateNotificationCache(recipientId);
+
+    return notification;
+};
+
+// 📞 Missed Call Notification (callee, or every group member who didn't pick up)
+export const createMissedCallNotifications = async ({ recipientIds, sourceUserId, callId, callType }) => {
+    if (!recipientIds?.length || !sourceUserId || !callId) {
+        return [];
+    }
+
+    const notifications = await Notification.insertMany(recipientIds.map(recipientId => ({
+        receiverId: recipientId,
+        type: "missed_call",
+        senderId: sourceUserId,
+        callId,
+        message: callType === "video" ? "tried to video call you" : "tried to call you"
+    })));
+
+    notifications.forEach(notification => {
+        sendRealTimeNotification(notification.receiverId, notification);
+    });
+
+    // Invalidate cache and emit real-time count update
+    await Promise.allSettled(recipientIds.map(recipientId =>
+        notificationCache.invalidateNotificationCache(recipientId)
+    ));
+
+    return notifications;
+};
+
+export const createStoryMentionNotifications = async ({ recipientIds, sourceUserId, storyId }) => {
+    if (!recipientIds?.length || !sourceUserId || !storyId) {
+        return [];
+    }
+
+    const notifications = await Notification.insertMany(recipientIds.map(recipientId => ({
+        receiverId: recipientId,
+        type: "mention",
+        senderId: sourceUserId,
+        storyId,
+        message: "mentioned you in their story"
+    })));
+
+    notifications.forEach(notification => {
+        sendRealTimeNotification(notification.receiverId, notification);
+    });
+
+    // Invalidate cache and emit real-time count update
+    await Promise.allSettled(recipientIds.map(recipientId =>
+        notificationCache.invalidateNotificationCache(recipientId)
+    ));
+
+    return notifications;
+};
+
 //  Get Logged-in User's Notifications
 export const getNotifications = asyncHandler(async (req, res) => {
     const receiverId = req.user._id;
@@ -2,7 +2,7 @@ import mongoose from 'mongoose';
 import { asyncHandler } from "../utlis/asyncHandler.js";
 import { ApiError } from "../utlis/ApiError.js";
 import { ApiResponse } from "../utlis/ApiResponse.js";
-import Post from "../models/userPost.models.js";
+import Post, { extractHashtags } from "../models/userPost.models.js";
 import Story from "../models/story.models.js";
 import Reel from "../models/reels.models.js";
 import { uploadBufferToBunny, deleteMultipleFromBunny, deleteFromBunny, generateOptimizedImageUrl } from "../utlis/bunny.js";
@@ -12,12 +12,18 @@ import { filterPostsByPrivacy, canViewPost } from "../utlis/postPrivacy.js";
 import { User } from "../models/user.models.js";
 import Follower from "../models/follower.models.js";
 import Like from "../models/like.models.js";
-import { CacheManager } from "../utlis/cache.utils.js";
+import { CacheManager, CacheInvalidator } from "../utlis/cache.utils.js";
 import { redisClient } from "../config/redis.config.js";
 import Comment from "../models/comment.models.js";
 import SavedPost from "../models/savedPost.models.js";
+import { createNewPostNotifications } from "./notification.controllers.js";
+import { syncPostHashtags } from "./hashtag.controllers.js";
 
-const extractMediaFiles = (files) => {
+// Constants for scheduled post publishing
+const SCHEDULED_POST_CHECK_INTERVAL_SECONDS = 60; // Look for due posts every minute
+const SCHEDULED_POST_BATCH_SIZE = 50; // Max posts published per run
+
+export const extractMediaFiles = (files) => {
     const allFiles = [];
     ["image", "video", "reel", "story"].forEach((field) => {
         if (files?.[field]) {
@@ -27,36 +33,52 @@ const extractMediaFiles = (files) => {
     return allFiles;
 };
 
+// Helper to parse and validate a scheduledAt value from the request body
+const parseScheduledAt = (scheduledAt) => {
+    if (!scheduledAt) throw new ApiError(400, "scheduledAt time is required");
 
-export const createNormalPost = asyncHandler(async (req, res) => {
-    const userId = req.user?._id;
-    if (!userId) throw new ApiError(400, "User ID is required");
+    const scheduledDate = new Date(scheduledAt);
+    if (isNaN(scheduledDate.getTime())) {
+        throw new ApiError(400, "scheduledAt must be a valid date");
+    }
+    if (scheduledDate <= new Date()) {
+        throw new ApiError(400, "scheduledAt must be in the future");
+    }
 
-    const {
-        postType,
-        caption,
-        description,
-        mentions,
-        mood,
-        activity,
-        location,
-        tags,
-        settings,
-        scheduledAt,
-        publishedAt,
-        status,
-    } = req.body;
-    if (!postType || !["photo", "reel", "video", "story"].includes(postType)) {
-        throw new ApiError(400, "postType must be one of 'photo', 'reel', 'video', or 'story'");
+    return scheduledDate;
+};
+
+// Work out status/scheduledAt/publishedAt for a new post.
+// A future scheduledAt keeps the post hidden until the scheduled post publisher picks it up.
+export const resolvePublishState = (scheduledAt, status) => {
+    if (status === "draft") {
+        return { status: "draft" };
     }
 
+    if (scheduledAt) {
+        return { status: "scheduled", scheduledAt: parseScheduledAt(scheduledAt) };
+    }
 
-    const parsedMentions = typeof mentions === "string" ? JSON.parse(mentions) : mentions;
-    const parsedTags = typeof tags === "string" ? JSON.parse(tags) : tags;
-    const parsedSettings = typeof settings === "string" ? JSON.parse(settings) : settings;
-    const parsedLocation = typeof location === "string" ? JSON.parse(location) : location;
+    return { status: "published", publishedAt: new Date() };
+};
+
+// Validate product/service/business details (delivery options, location and required link)
+export const validateContentDetails = async (contentType, details) => {
+    const validatedDetails = await validateDeliveryAndLocation(details, contentType);
+
+    if (contentType === "product" && !validatedDetails?.link) {
+        throw new ApiError(400, "Product post must include a product link");
+    }
+    if (contentType === "business" && !validatedDetails?.link) {
+        throw new ApiError(400, "Business post must include a business link");
+    }
+
+    return validatedDetails;
+};
 
-    let resolvedLocation = parsedLocation || {};
+// Resolve coordinates for a post location (best effort - posts can be created without them)
+export const resolveLocationCoordinates = async (location) => {
+    const resolvedLocation = location || {};
     if ((resolvedLocation.name || resolvedLocation.address) && !resolvedLocation.coordinates) {
         try {
             // Pass the full location object to allow multiple fallback strategies
@@ -75,11 +97,12 @@ export const createNormalPost = asyncHandler(async (req, res) => {
             console.error('Error resolving location coordinates:', error.message);
         }
     }
+    return resolvedLocation;
+};
 
-    const files = extractMediaFiles(req.files);
-    if (!files.length) throw new ApiError(400, "Media file is required");
-
-    let uploadedMedia = [];
+// Upload media files to Bunny.net and build Post.media entries
+export const uploadPostMedia = async (files, customThumbnail = null) => {
+    const uploadedMedia = [];
 
     for (const file of files) {
         try {
@@ -100,7 +123,6 @@ export const createNormalPost = asyncHandler(async (req, res) => {
                 });
             } else if (result.resource_type === "video") {
                 let thumbnailUrl;
-                const customThumbnail = req.files?.thumbnail?.[0];
                 if (customThumbnail) {
                     const thumbResult = await uploadBufferToBunny(customThumbnail.buffer, "posts");
                     thumbnailUrl = generateOptimizedImageUrl(thumbResult.secure_url, { width: 300, height: 300, crop: 'fill' });
@@ -121,11 +143,51 @@ export const createNormalPost = asyncHandler(async (req, res) => {
                     },
                 });
             }
-        } catch {
+        } catch (error) {
+            console.error("Upload failed for:", file.originalname, error);
             throw new ApiError(500, "Bunny.net upload failed");
         }
     }
 
+    return uploadedMedia;
+};
+
+
+export const createNormalPost = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(400, "User ID is required");
+
+    const {
+        postType,
+        caption,
+        description,
+        mentions,
+        mood,
+        activity,
+        location,
+        tags,
+        settings,
+        scheduledAt,
+        status,
+    } = req.body;
+    if (!postType || !["photo", "reel", "video", "story"].includes(postType)) {
+        throw new ApiError(400, "postType must be one of 'photo', 'reel', 'video', or 'story'");
+    }
+    const publishState = resolvePublishState(scheduledAt, status);
+
+
+    const parsedMentions = typeof mentions === "string" ? JSON.parse(mentions) : mentions;
+    const parsedTags = typeof tags === "string" ? JSON.parse(tags) : tags;
+    const parsedSettings = typeof settings === "string" ? JSON.parse(settings) : settings;
+    const parsedLocation = typeof location === "string" ? JSON.parse(location) : location;
+
+    const resolvedLocation = await resolveLocationCoordinates(parsedLocation);
+
+    const files = extractMediaFiles(req.files);
+    if (!files.length) throw new ApiError(400, "Media file is required");
+
+    const uploadedMedia = await uploadPostMedia(files, req.files?.thumbnail?.[0]);
+
     const post = await Post.create({
         userId,
         postType,
@@ -147,9 +209,7 @@ export const createNormalPost = asyncHandler(async (req, res) => {
             privacy: parsedSettings?.privacy || req.user?.privacy || 'public',
             isPrivacyTouched: parsedSettings?.privacy ? true : false
         },
-        scheduledAt,
-        publishedAt,
-        status: status || (scheduledAt ? "scheduled" : "published"),
+        ...publishState,
         isPromoted: false,
         isFeatured: false,
         isReported: false,
@@ -164,6 +224,8 @@ export const createNormalPost = asyncHandler(async (req, res) => {
         { $push: { posts: post._id } }
     );
 
+    await syncPostHashtags(null, post);
+
     return res.status(201).json(new ApiResponse(201, post, "Normal post created successfully"));
 });
 
@@ -183,12 +245,12 @@ export const createProductPost = asyncHandler(async (req, res) => {
         product,
         settings,
         scheduledAt,
-        publishedAt,
         status,
     } = req.body;
     if (!postType || !["photo", "reel", "video", "story"].includes(postType)) {
         throw new ApiError(400, "postType must be one of 'photo', 'reel', 'video', or 'story'");
     }
+    const publishState = resolvePublishState(scheduledAt, status);
 
     const parsedMentions = typeof mentions === "string" ? JSON.parse(mentions) : mentions;
     const parsedTags = typeof tags === "string" ? JSON.parse(tags) : tags;
@@ -197,82 +259,15 @@ export const createProductPost = asyncHandler(async (req, res) => {
     const parsedLocation = typeof location === "string" ? JSON.parse(location) : location;
 
     // Validate delivery options and location requirements
-    const validatedProduct = await validateDeliveryAndLocation(parsedProduct, "product");
+    const validatedProduct = await validateContentDetails("product", parsedProduct);
 
-    let resolvedLocation = parsedLocation || {};
-    if ((resolvedLocation.name || resolvedLocation.address) && !resolvedLocation.coordinates) {
-        try {
-            // Pass the full location object to allow multiple fallback strategies
-            const coords = await getCoordinates(resolvedLocation);
-            if (coords?.latitude && coords?.longitude) {
-                resolvedLocation.coordinates = {
-                    type: "Point",
-                    coordinates: [coords.longitude, coords.latitude]
-                };
-            } else {
-                // Log warning but allow post creation without coordinates
-                console.warn(`Could not resolve coordinates for location: ${resolvedLocation.name || resolvedLocation.address || 'unknown'}. Post will be created without coordinates.`);
-            }
-        } catch (error) {
-            // Log error but allow post creation without coordinates
-            console.error('Error resolving location coordinates:', error.message);
-        }
-    }
+    const resolvedLocation = await resolveLocationCoordinates(parsedLocation);
 
     const files = extractMediaFiles(req.files);
 
     if (!files.length) throw new ApiError(400, "Media file is required");
 
-    let uploadedMedia = [];
-    for (const file of files) {
-        try {
-
-            const result = await uploadBufferToBunny(file.buffer, "posts");
-            if (result.resource_type === "image") {
-                const thumbnailUrl = generateOptimizedImageUrl(result.secure_url, { width: 300, height: 300, crop: 'fill' });
-                uploadedMedia.push({
-                    type: result.resource_type,
-                    url: result.secure_url,
-                    thumbnailUrl,
-                    fileSize: result.bytes,
-                    format: result.format,
-                    duration: result.duration || null,
-                    dimensions: {
-                        width: result.width,
-                        height: result.height,
-                    },
-                });
-            } else if (result.resource_type === "video") {
-                let thumbnailUrl;
-                const customThumbnail = req.files?.thumbnail?.[0];
-                if (customThumbnail) {
-                    const thumbResult = await uploadBufferToBunny(customThumbnail.buffer, "posts");
-                    thumbnailUrl = generateOptimizedImageUrl(thumbResult.secure_url, { width: 300, height: 300, crop: 'fill' });
-                } else {
-                    // Generate Bunny.net thumbnail from video URL (first frame, 300x300 crop)
-                    thumbnailUrl = `${result.secure_url}?thumbnail=1&width=300&height=300`;
-                }
-                uploadedMedia.push({
-                    type: result.resource_type,
-                    url: result.secure_url,
-                    thumbnailUrl,
-                    fileSize: result.bytes,
-                    format: result.format,
-                    duration: result.duration || null,
-                    dimensions: {
-                        width: result.width,
-                        height: result.height,
-                    },
-                });
-            }
-        } catch (error) {
-            console.error("Upload failed for:", file.originalname, error);
-            throw new ApiError(500, "Bunny.net upload failed");
-        }
-    }
-    if (!validatedProduct?.link) {
-        throw new ApiError(400, "Product post must include a product link");
-    }
+    const uploadedMedia = await uploadPostMedia(files, req.files?.thumbnail?.[0]);
 
     const post = await Post.create({
         userId,
@@ -292,9 +287,7 @@ export const createProductPost = asyncHandler(async (req, res) => {
             },
         },
         settings: parsedSettings || {},
-        scheduledAt,
-        publishedAt,
-        status: status || (scheduledAt ? "scheduled" : "published"),
+        ...publishState,
         isPromoted: false,
         isFeatured: false,
         isReported: false,
@@ -309,6 +302,8 @@ export const createProductPost = asyncHandler(async (req, res) => {
         { $push: { posts: post._id } }
     );
 
+    await syncPostHashtags(null, post);
+
     return res.status(201).json(new ApiResponse(201, post, "Product post created successfully"));
 });
 
@@ -328,12 +323,12 @@ export const createServicePost = asyncHandler(async (req, res) => {
         service,
         settings,
         scheduledAt,
-        publishedAt,
         status,
     } = req.body;
     if (!postType || !["photo", "reel", "video", "story"].includes(postType)) {
         throw new ApiError(400, "postType must be one of 'photo', 'reel', 'video', or 'story'");
     }
+    const publishState = resolvePublishState(scheduledAt, status);
 
     const parsedMentions = typeof mentions === "string" ? JSON.parse(mentions) : mentions;
     const parsedTags = typeof tags === "string" ? JSON.parse(tags) : tags;
@@ -342,76 +337,14 @@ export const createServicePost = asyncHandler(async (req, res) => {
     const parsedLocation = typeof location === "string" ? JSON.parse(location) : location;
 
     // Validate delivery options and location requirements
-    const validatedService = await validateDeliveryAndLocation(parsedService, "service");
+    const validatedService = await validateContentDetails("service", parsedService);
 
-    let resolvedLocation = parsedLocation || {};
-    if ((resolvedLocation.name || resolvedLocation.address) && !resolvedLocation.coordinates) {
-        try {
-            // Pass the full location object to allow multiple fallback strategies
-            const coords = await getCoordinates(resolvedLocation);
-            if (coords?.latitude && coords?.longitude) {
-                resolvedLocation.coordinates = {
-                    type: "Point",
-                    coordinates: [coords.longitude, coords.latitude]
-                };
-            } else {
-                // Log warning but allow post creation without coordinates
-                console.warn(`Could not resolve coordinates for location: ${resolvedLocation.name || resolvedLocation.address || 'unknown'}. Post will be created without coordinates.`);
-            }
-        } catch (error) {
-            // Log error but allow post creation without coordinates
-            console.error('Error resolving location coordinates:', error.message);
-        }
-    }
+    const resolvedLocation = await resolveLocationCoordinates(parsedLocation);
 
     const files = extractMediaFiles(req.files);
     if (!files.length) throw new ApiError(400, "Media file is required");
 
-    let uploadedMedia = [];
-    for (const file of files) {
-        try {
-            const result = await uploadBufferToBunny(file.buffer, "posts");
-            if (result.resource_type === "image") {
-                const thumbnailUrl = generateOptimizedImageUrl(result.secure_url, { width: 300, height: 300, crop: 'fill' });
-                uploadedMedia.push({
-                    type: result.resource_type,
-                    url: result.secure_url,
-                    thumbnailUrl,
-                    fileSize: result.bytes,
-                    format: result.format,
-                    duration: result.duration || null,
-                    dimensions: {
-                        width: result.width,
-                        height: result.height,
-                    },
-                });
-            } else if (result.resource_type === "video") {
-                let thumbnailUrl;
-                const customThumbnail = req.files?.thumbnail?.[0];
-                if (customThumbnail) {
-                    const thumbResult = await uploadBufferToBunny(customThumbnail.buffer, "posts");
-                    thumbnailUrl = generateOptimizedImageUrl(thumbResult.secure_url, { width: 300, height: 300, crop: 'fill' });
-                } else {
-                    // Generate Bunny.net thumbnail from video URL (first frame, 300x300 crop)
-                    thumbnailUrl = `${result.secure_url}?thumbnail=1&width=300&height=300`;
-                }
-                uploadedMedia.push({
-                    type: result.resource_type,
-                    url: result.secure_url,
-                    thumbnailUrl,
-                    fileSize: result.bytes,
-                    format: result.format,
-                    duration: result.duration || null,
-                    dimensions: {
-                        width: result.width,
-                        height: result.height,
-                    },
-                });
-            }
-        } catch {
-            throw new ApiError(500, "Bunny.net upload failed");
-        }
-    }
+    const uploadedMedia = await uploadPostMedia(files, req.files?.thumbnail?.[0]);
 
     const post = await Post.create({
         userId,
@@ -431,9 +364,7 @@ export const createServicePost = asyncHandler(async (req, res) => {
             },
         },
         settings: parsedSettings || {},
-        scheduledAt,
-        publishedAt,
-        status: status || (scheduledAt ? "scheduled" : "published"),
+        ...publishState,
         isPromoted: false,
         isFeatured: false,
         isReported: false,
@@ -448,6 +379,8 @@ export const createServicePost = asyncHandler(async (req, res) => {
         { $push: { posts: post._id } }
     );
 
+    await syncPostHashtags(null, post);
+
     return res.status(201).json(new ApiResponse(201, post, "Service post created successfully"));
 });
 
@@ -467,12 +400,12 @@ export const createBusinessPost = asyncHandler(async (req, res) => {
         business,
         settings,
         scheduledAt,
-        publishedAt,
         status,
     } = req.body;
     if (!postType || !["photo", "reel", "video", "story"].includes(postType)) {
         throw new ApiError(400, "postType must be one of 'photo', 'reel', 'video', or 'story'");
     }
+    const publishState = resolvePublishState(scheduledAt, status);
 
     const parsedMentions = typeof mentions === "string" ? JSON.parse(mentions) : mentions;
     const parsedTags = typeof tags === "string" ? JSON.parse(tags) : tags;
@@ -481,80 +414,15 @@ export const createBusinessPost = asyncHandler(async (req, res) => {
     const parsedLocation = typeof location === "string" ? JSON.parse(location) : location;
 
     // Validate delivery options and location requirements
-    const validatedBusiness = await validateDeliveryAndLocation(parsedBusiness, "business");
+    const validatedBusiness = await validateContentDetails("business", parsedBusiness);
 
-    let resolvedLocation = parsedLocation || {};
-    if ((resolvedLocation.name || resolvedLocation.address) && !resolvedLocation.coordinates) {
-        try {
-            // Pass the full location object to allow multiple fallback strategies
-            const coords = await getCoordinates(resolvedLocation);
-            if (coords?.latitude && coords?.longitude) {
-                resolvedLocation.coordinates = {
-                    type: "Point",
-                    coordinates: [coords.longitude, coords.latitude]
-                };
-            } else {
-                // Log warning but allow post creation without coordinates
-                console.warn(`Could not resolve coordinates for location: ${resolvedLocation.name || resolvedLocation.address || 'unknown'}. Post will be created without coordinates.`);
-            }
-        } catch (error) {
-            // Log error but allow post creation without coordinates
-            console.error('Error resolving location coordinates:', error.message);
-        }
-    }
+    const resolvedLocation = await resolveLocationCoordinates(parsedLocation);
 
     const files = extractMediaFiles(req.files);
     if (!files.length) throw new ApiError(400, "Media file is required");
 
-    let uploadedMedia = [];
-    for (const file of files) {
-        try {
-            const result = await uploadBufferToBunny(file.buffer, "posts");
-            if (result.resource_type === "image") {
-                const thumbnailUrl = generateOptimizedImageUrl(result.secure_url, { width: 300, height: 300, crop: 'fill' });
-                uploadedMedia.push({
-                    type: result.resource_type,
-                    url: result.secure_url,
-                    thumbnailUrl,
-                    fileSize: result.bytes,
-                    format: result.format,
-                    duration: result.duration || null,
-                    dimensions: {
-                        width: result.width,
-                        height: result.height,
-                    },
-                });
-            } else if (result.resource_type === "video") {
-                let thumbnailUrl;
-                const customThumbnail = req.files?.thumbnail?.[0];
-                if (customThumbnail) {
-                    const thumbResult = await uploadBufferToBunny(customThumbnail.buffer, "posts");
-                    thumbnailUrl = generateOptimizedImageUrl(thumbResult.secure_url, { width: 300, height: 300, crop: 'fill' });
-                } else {
-                    // Generate Bunny.net thumbnail from video URL (first frame, 300x300 crop)
-                    thumbnailUrl = `${result.secure_url}?thumbnail=1&width=300&height=300`;
-                }
-                uploadedMedia.push({
-                    type: result.resource_type,
-                    url: result.secure_url,
-                    thumbnailUrl,
-                    fileSize: result.bytes,
-                    format: result.format,
-                    duration: result.duration || null,
-                    dimensions: {
-                        width: result.width,
-                        height: result.height,
-                    },
-                });
-            }
-        } catch {
-            throw new ApiError(500, "Bunny.net upload failed");
-        }
-    }
+    const uploadedMedia = await uploadPostMedia(files, req.files?.thumbnail?.[0]);
 
-    if (!validatedBusiness?.link) {
-        throw new ApiError(400, "Business post must include a business link");
-    }
 
     const post = await Post.create({
         userId,
@@ -574,9 +442,7 @@ export const createBusinessPost = asyncHandler(async (req, res) => {
             },
         },
         settings: parsedSettings || {},
-        scheduledAt,
-        publishedAt,
-        status: status || (scheduledAt ? "scheduled" : "published"),
+        ...publishState,
         isPromoted: false,
         isFeatured: false,
         isReported: false,
@@ -591,6 +457,8 @@ export const createBusinessPost = asyncHandler(async (req, res) => {
         { $push: { posts: post._id } }
     );
 
+    await syncPostHashtags(null, post);
+
     return res.status(201).json(new ApiResponse(201, post, "Business post created successfully"));
 });
 
@@ -716,6 +584,16 @@ export const editPost = asyncHandler(async (req, res) => {
     if (description !== undefined) updateData.description = description;
     if (parsedMentions) updateData.mentions = parsedMentions;
 
+    // findByIdAndUpdate skips the pre-save hook, so re-extract hashtags here
+    if (caption !== undefined || description !== undefined) {
+        const nextCaption = caption !== undefined ? caption : post.caption;
+        const nextDescription = description !== undefined ? description : post.description;
+        updateData.hashtags = [...new Set([
+            ...extractHashtags(nextCaption || ''),
+            ...extractHashtags(nextDescription || '')
+        ])];
+    }
+
     // Update customization based on content type
     const customization = { ...post.customization };
 
@@ -767,6 +645,8 @@ export const editPost = asyncHandler(async (req, res) => {
         { new: true, runValidators: true }
     ).populate('userId', 'username fullName profileImageUrl');
 
+    await syncPostHashtags(post, updatedPost);
+
     // Invalidate caches if post privacy changed from private to public
     if (isPrivacyChangingToPublic) {
         const { FeedCacheManager } = await import('../utlis/cache.utils.js');
@@ -846,6 +726,7 @@ export const deletePost = asyncHandler(async (req, res) => {
 
     // Delete the post from database
     await Post.findByIdAndDelete(id);
+    await syncPostHashtags(post, null);
 
     // Remove post ID from user's posts array
     await Post.db.model('User').findByIdAndUpdate(
@@ -1101,6 +982,7 @@ export const deleteContent = asyncHandler(async (req, res) => {
 
             // Delete post from database
             await Post.findByIdAndDelete(postId);
+            await syncPostHashtags(content, null);
 
             // Remove post ID from user's posts array
             await Post.db.model('User').findByIdAndUpdate(
@@ -1270,34 +1152,185 @@ export const getTrendingPosts = asyncHandler(async (req, res) => {
     return res.status(200).json(new ApiResponse(200, posts, "Trending posts fetched successfully"));
 });
 
-// Save post as draft
-export const saveDraft = asyncHandler(async (req, res) => {
-    const userId = req.user?._id || req.body.userId;
-    const postData = req.body;
+// Helper to load a post and make sure the current user owns it
+const findOwnedPost = async (postId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(postId)) {
+        throw new ApiError(400, "Invalid post ID format");
+    }
 
-    const post = await Post.create({
-        ...postData,
-        userId,
-        status: "draft"
-    });
+    const post = await Post.findById(postId);
+    if (!post) throw new ApiError(404, "Post not found");
 
-    return res.status(201).json(new ApiResponse(201, post, "Post saved as draft"));
-});
+    if (post.userId.toString() !== userId.toString()) {
+        throw new ApiError(403, "You can only schedule your own posts");
+    }
 
-// Schedule post for future
+    return post;
+};
+
+// Schedule a draft post for future publishing
 export const schedulePost = asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    const { scheduledAt } = req.body;
-    if (!scheduledAt) throw new ApiError(400, "scheduledAt time is required");
+    const { postId } = req.params;
+    const userId = req.user?._id;
 
-    const post = await Post.findByIdAndUpdate(id, {
-        status: "scheduled",
-        scheduledAt
-    }, { new: true });
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    const scheduledDate = parseScheduledAt(req.body.scheduledAt);
+    const post = await findOwnedPost(postId, userId);
+
+    if (post.status !== "draft") {
+        throw new ApiError(400, "Only draft posts can be scheduled");
+    }
+
+    post.status = "scheduled";
+    post.scheduledAt = scheduledDate;
+    post.publishedAt = undefined;
+    post.updatedAt = new Date();
+    await post.save();
 
     return res.status(200).json(new ApiResponse(200, post, "Post scheduled successfully"));
 });
 
+// Get current user's scheduled posts (soonest first)
+export const getScheduledPosts = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    const page = parseInt(req.query.page) > 0 ? parseInt(req.query.page) : 1;
+    const limit = parseInt(req.query.limit) > 0 ? Math.min(parseInt(req.query.limit), 50) : 10;
+
+    const filter = { userId, status: "scheduled" };
+
+    const [posts, total] = await Promise.all([
+        Post.find(filter)
+            .sort({ scheduledAt: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        Post.countDocuments(filter)
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            posts,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalPosts: total,
+                hasNextPage: page * limit < total,
+                hasPrevPage: page > 1,
+                limit
+            }
+        }, "Scheduled posts fetched successfully")
+    );
+});
+
+// Move a scheduled post to a new time
+export const reschedulePost = asyncHandler(async (req, res) => {
+    const { postId } = req.params;
+    const userId = req.user?._id;
+
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    const scheduledDate = parseScheduledAt(req.body.scheduledAt);
+    const post = await findOwnedPost(postId, userId);
+
+    // Conditional update so we never reschedule a post the publisher has already claimed
+    const updatedPost = await Post.findOneAndUpdate(
+        { _id: post._id, status: "scheduled" },
+        { $set: { scheduledAt: scheduledDate, updatedAt: new Date() } },
+        { new: true }
+    );
+
+    if (!updatedPost) {
+        throw new ApiError(409, "Post is no longer scheduled");
+    }
+
+    return res.status(200).json(new ApiResponse(200, updatedPost, "Post rescheduled successfully"));
+});
+
+// Cancel a scheduled post - it goes back to being a draft
+export const cancelScheduledPost = asyncHandler(async (req, res) => {
+    const { postId } = req.params;
+    const userId = req.user?._id;
+
+    if (!userId) throw new ApiError(401, "User authentication required");
+
+    const post = await findOwnedPost(postId, userId);
+
+    const updatedPost = await Post.findOneAndUpdate(
+        { _id: post._id, status: "scheduled" },
+        { $set: { status: "draft", updatedAt: new Date() }, $unset: { scheduledAt: 1 } },
+        { new: true }
+    );
+
+    if (!updatedPost) {
+        throw new ApiError(409, "Post is no longer scheduled");
+    }
+
+    return res.status(200).json(new ApiResponse(200, updatedPost, "Scheduled post cancelled and moved to drafts"));
+});
+
+// Invalidate feeds and notify followers once a scheduled post goes live
+const onScheduledPostPublished = async (post) => {
+    const followers = await Follower.find({ userId: post.userId }).select('followerId').lean();
+    const followerIds = followers.map(f => f.followerId.toString());
+
+    await syncPostHashtags(null, post);
+    await CacheInvalidator.onNewPost(post, post.userId.toString(), followerIds);
+
+    try {
+        await createNewPostNotifications({
+            recipientIds: followerIds,
+            sourceUserId: post.userId,
+            postId: post._id
+        });
+    } catch (error) {
+        // Don't fail publishing if notifications fail
+        console.error(`Error notifying followers about post ${post._id}:`, error);
+    }
+};
+
+// Background job: publish scheduled posts whose time has come
+const publishDueScheduledPosts = async () => {
+    try {
+        const duePosts = await Post.find({
+            status: "scheduled",
+            scheduledAt: { $lte: new Date() }
+        })
+            .sort({ scheduledAt: 1 })
+            .limit(SCHEDULED_POST_BATCH_SIZE)
+            .select('_id')
+            .lean();
+
+        let publishedCount = 0;
+
+        for (const { _id } of duePosts) {
+            // Claim the post atomically so only one PM2 instance publishes it
+            const now = new Date();
+            const post = await Post.findOneAndUpdate(
+                { _id, status: "scheduled" },
+                { $set: { status: "published", publishedAt: now, updatedAt: now } },
+                { new: true }
+            );
+
+            if (!post) continue;
+
+            publishedCount++;
+            await onScheduledPostPublished(post);
+        }
+
+        if (publishedCount > 0) {
+            console.log(`📅 Published ${publishedCount} scheduled post(s)`);
+        }
+    } catch (error) {
+        console.error('❌ Error publishing scheduled posts:', error);
+    }
+};
+
+// Start scheduled post publisher
+setInterval(publishDueScheduledPosts, SCHEDULED_POST_CHECK_INTERVAL_SECONDS * 1000);
+
 export const getMyPosts = asyncHandler(async (req, res) => {
     const userId = req.user?._id;
     if (!userId) throw new ApiError(401, "Unauthorized: User ID missing");
@@ -24,9 +24,13 @@ export const trackPostInteraction = asyncHandler(async (req, res) => {
             interactionType
         });
 
+        const today = PostInteraction.dayKey();
+
         if (existingInteraction) {
             // Update existing interaction
             existingInteraction.interactionCount += 1;
+            existingInteraction.dailyCounts ??= new Map();
+            existingInteraction.dailyCounts.set(today, (existingInteraction.dailyCounts.get(today) || 0) + 1);
             existingInteraction.lastInteracted = new Date();
             if (viewDuration > 0) {
                 existingInteraction.viewDuration = Math.max(existingInteraction.viewDuration, viewDuration);
@@ -40,7 +44,8 @@ export const trackPostInteraction = asyncHandler(async (req, res) => {
                 interactionType,
                 viewDuration,
                 lastInteracted: new Date(),
-                interactionCount: 1
+                interactionCount: 1,
+                dailyCounts: { [today]: 1 }
             });
         }
 
@@ -93,6 +98,7 @@ export const batchTrackInteractions = asyncHandler(async (req, res) => {
 
     try {
         const bulkOps = [];
+        const today = PostInteraction.dayKey();
 
         for (const interaction of interactions) {
             const { postId, interactionType, viewDuration } = interaction;
@@ -118,6 +124,12 @@ export const batchTrackInteractions = asyncHandler(async (req, res) => {
                                     interactionType: interactionType,
                                     lastInteracted: new Date(),
                                     interactionCount: { $add: [{ $ifNull: ["$interactionCount", 0] }, 1] },
+                                    dailyCounts: {
+                                        $mergeObjects: [
+                                            { $ifNull: ["$dailyCounts", {}] },
+                                            { [today]: { $add: [{ $ifNull: [`$dailyCounts.${today}`, 0] }, 1] } }
+                                        ]
+                                    },
                                     viewDuration: { $max: [{ $ifNull: ["$viewDuration", 0] }, viewDuration] }
                                 }
                             }
@@ -134,7 +146,7 @@ export const batchTrackInteractions = asyncHandler(async (req, res) => {
                             $set: {
                                 lastInteracted: new Date()
                             },
-                            $inc: { interactionCount: 1 },
+                            $inc: { interactionCount: 1, [`dailyCounts.${today}`]: 1 },
                             $setOnInsert: {
                                 userId,
                                 postId,
@@ -2,6 +2,8 @@ import { asyncHandler } from "../utlis/asyncHandler.js";
 import { ApiResponse } from "../utlis/ApiResponse.js";
 import { ApiError } from "../utlis/ApiError.js";
 import PushSubscription from "../models/pushSubscription.models.js";
+import { User } from "../models/user.models.js";
+import { sendNotification } from "../config/firebase-admin.config.js";
 import webpush from 'web-push';
 
 // Configure web-push with VAPID keys
@@ -133,6 +135,42 @@ export const sendPushNotification = async (userIds, notificationData) => {
   }
 };
 
+// Send a notification to user(s) through both web push and FCM (mobile)
+// data values are sent to FCM as strings; url/tag are used by the web push service worker
+export const sendPushAndFCMNotification = async (userIds, { title, body, url, tag, data = {} }) => {
+  try {
+    if (!Array.isArray(userIds)) {
+      userIds = [userIds];
+    }
+    if (userIds.length === 0) {
+      return;
+    }
+
+    const webPushPromise = sendPushNotification(userIds, { title, body, url, tag, ...data });
+
+    const users = await User.find({
+      _id: { $in: userIds },
+      fcmToken: { $exists: true, $ne: null }
+    }).select('_id fcmToken').lean();
+
+    const fcmPromises = users.map(async (user) => {
+      const result = await sendNotification(user.fcmToken, { title, body }, data);
+
+      // If token is invalid, remove it from user
+      if (!result.success && result.invalidToken) {
+        await User.findByIdAndUpdate(user._id, {
+          fcmToken: null,
+          fcmTokenUpdatedAt: null
+        }).catch(err => console.error('Error removing FCM token:', err));
+      }
+    });
+
+    await Promise.allSettled([webPushPromise, ...fcmPromises]);
+  } catch (error) {
+    console.error("Error in sendPushAndFCMNotification:", error);
+  }
+};
+
 // Get user's push subscriptions (for debugging)
 export const getUserSubscriptions = asyncHandler(async (req, res) => {
   const userId = req.user._id;
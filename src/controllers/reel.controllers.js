@@ -3,6 +3,7 @@ import Post from "../models/userPost.models.js";
 import { User } from "../models/user.models.js";
 import { ApiResponse } from "../utlis/ApiResponse.js";
 import { getViewableUserIds } from "../middlewares/privacy.middleware.js";
+import { injectAdSlots } from "./advertisement.controllers.js";
 import mongoose from "mongoose";
 
 
@@ -61,7 +62,7 @@ export const getSuggestedReels = asyncHandler(async (req, res) => {
 
         // Build match criteria (excluding blocked users and respecting privacy)
         const matchCriteria = {
-            status: { $in: ["published", "scheduled"] },
+            status: "published",
             userId: { $in: viewableUserIds, $nin: blockedUsers }
         };
 
@@ -124,8 +125,10 @@ export const getSuggestedReels = asyncHandler(async (req, res) => {
             cache.reels.cacheKey === cacheKey &&
             (Date.now() - cache.reels.timestamp < cache.reels.expiry)) {
 
+            // Ads are never cached - pick fresh ones for this viewer
+            const reelsWithAds = await injectAdSlots(cache.reels.data.reels, req.user, blockedUsers);
             return res.status(200).json(
-                new ApiResponse(200, cache.reels.data, "Reels fetched from cache")
+                new ApiResponse(200, { ...cache.reels.data, reels: reelsWithAds }, "Reels fetched from cache")
             );
         }
 
@@ -382,8 +385,11 @@ export const getSuggestedReels = asyncHandler(async (req, res) => {
         cache.reels.timestamp = Date.now();
         cache.reels.cacheKey = cacheKey;
 
+        // Inject targeted ad slots after caching so every request gets its own ads
+        const reelsWithAds = await injectAdSlots(reels, req.user, blockedUsers);
+
         return res.status(200).json(
-            new ApiResponse(200, responseData, "Reels fetched successfully")
+            new ApiResponse(200, { ...responseData, reels: reelsWithAds }, "Reels fetched successfully")
         );
     } catch (error) {
         console.error("Error fetching reels:", error);
@@ -0,0 +1,391 @@
+import mongoose from 'mongoose';
+import ScheduledCall from '../models/scheduledCall.models.js';
+import Chat from '../models/chat.models.js';
+import { User } from '../models/user.models.js';
+import { ApiError } from '../utlis/ApiError.js';
+import { ApiResponse } from '../utlis/ApiResponse.js';
+import { asyncHandler } from '../utlis/asyncHandler.js';
+import socketManager from '../config/socket.js';
+import { sendPushAndFCMNotification } from './pushNotification.controllers.js';
+import { createCall } from './call.controllers.js';
+
+const SCHEDULED_CALL_CHECK_INTERVAL_SECONDS = 60;
+const SCHEDULED_CALL_REMINDER_LEAD_MINUTES = 10; // Remind everyone 10 minutes before the call
+const SCHEDULED_CALL_BATCH_SIZE = 50;
+const MIN_SCHEDULE_LEAD_MINUTES = 2;
+const MAX_SCHEDULE_AHEAD_DAYS = 90;
+const SCHEDULED_CALL_USER_FIELDS = 'username fullName profileImageUrl';
+
+const safeEmitToUsers = (userIds, event, data) => {
+    if (socketManager.isReady()) {
+        socketManager.emitToUsers(userIds.map(id => id.toString()), event, data);
+    }
+};
+
+const displayName = (user) => user?.fullName || user?.username || 'Someone';
+
+const populateScheduledCall = (scheduledCallId) => ScheduledCall.findById(scheduledCallId)
+    .populate('organizer', SCHEDULED_CALL_USER_FIELDS)
+    .populate('invitees.user', SCHEDULED_CALL_USER_FIELDS)
+    .populate('chatId', 'chatType groupName groupImage');
+
+// Everyone on the booking: organizer plus invitees who haven't declined
+const activeAttendees = (scheduledCall) => [
+    scheduledCall.organizer,
+    ...scheduledCall.invitees.filter(i => i.response !== 'declined').map(i => i.user)
+].map(id => (id?._id || id).toString());
+
+const findScheduledCallForUser = async (scheduledCallId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(scheduledCallId)) {
+        throw new ApiError(400, 'Invalid scheduled call ID');
+    }
+
+    const scheduledCall = await ScheduledCall.findOne({
+        _id: scheduledCallId,
+        $or: [{ organizer: userId }, { 'invitees.user': userId }]
+    });
+
+    if (!scheduledCall) {
+        throw new ApiError(404, 'Scheduled call not found');
+    }
+
+    return scheduledCall;
+};
+
+// Book a call in a chat; everyone else in the chat is invited
+export const createScheduledCall = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId, callType, scheduledAt, title, description } = req.body || {};
+
+    if (!chatId || !mongoose.Types.ObjectId.isValid(chatId)) {
+        throw new ApiError(400, 'A valid chat ID is required');
+    }
+    if (!['voice', 'video'].includes(callType)) {
+        throw new ApiError(400, 'Call type must be voice or video');
+    }
+
+    const startTime = new Date(scheduledAt);
+    if (!scheduledAt || isNaN(startTime.getTime())) {
+        throw new ApiError(400, 'scheduledAt must be a valid date');
+    }
+    if (startTime.getTime() < Date.now() + MIN_SCHEDULE_LEAD_MINUTES * 60 * 1000) {
+        throw new ApiError(400, `Calls must be scheduled at least ${MIN_SCHEDULE_LEAD_MINUTES} minutes ahead`);
+    }
+    if (startTime.getTime() > Date.now() + MAX_SCHEDULE_AHEAD_DAYS * 24 * 60 * 60 * 1000) {
+        throw new ApiError(400, `Calls can be scheduled at most ${MAX_SCHEDULE_AHEAD_DAYS} days ahead`);
+    }
+    if (title && String(title).trim().length > 100) {
+        throw new ApiError(400, 'Title cannot exceed 100 characters');
+    }
+    if (description && String(description).trim().length > 500) {
+        throw new ApiError(400, 'Description cannot exceed 500 characters');
+    }
+
+    const chat = await Chat.findOne({ _id: chatId, participants: currentUserId });
+    if (!chat) {
+        throw new ApiError(404, 'Chat not found or access denied');
+    }
+    if (chat.status !== 'active') {
+        throw new ApiError(403, 'Calls can only be scheduled in accepted chats');
+    }
+
+    const inviteeIds = chat.participants
+        .map(p => p.toString())
+        .filter(id => id !== currentUserId.toString());
+
+    if (inviteeIds.length === 0) {
+        throw new ApiError(400, 'There is no one else in this chat to call');
+    }
+
+    const scheduledCall = await ScheduledCall.create({
+        chatId,
+        organizer: currentUserId,
+        invitees: inviteeIds.map(user => ({ user })),
+        callType,
+        title: title ? String(title).trim() : undefined,
+        description: description ? String(description).trim() : undefined,
+        scheduledAt: startTime
+    });
+
+    const populated = await populateScheduledCall(scheduledCall._id);
+
+    safeEmitToUsers(inviteeIds, 'scheduled_call_invite', { scheduledCall: populated });
+    sendPushAndFCMNotification(inviteeIds, {
+        title: `${callType === 'video' ? 'Video' : 'Voice'} call scheduled 📅`,
+        body: `${displayName(req.user)} scheduled a ${callType} call${scheduledCall.title ? `: ${scheduledCall.title}` : ''}`,
+        url: `/chats?chatId=${chatId}`,
+        tag: 'scheduled-call',
+        data: {
+            type: 'scheduled_call_invite',
+            scheduledCallId: scheduledCall._id.toString(),
+            chatId: chatId.toString(),
+            callType,
+            scheduledAt: startTime.toISOString()
+        }
+    });
+
+    return res.status(201).json(
+        new ApiResponse(201, populated, 'Call scheduled successfully')
+    );
+});
+
+// Scheduled calls the user organizes or is invited to (upcoming by default, ?status=past for the rest)
+export const getScheduledCalls = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { status = 'upcoming', page = 1, limit = 20 } = req.query;
+
+    if (!['upcoming', 'past'].includes(status)) {
+        throw new ApiError(400, 'status must be upcoming or past');
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const pageLimit = Math.min(parseInt(limit) || 20, 50);
+
+    const filter = status === 'upcoming'
+        ? ScheduledCall.upcomingFilter(currentUserId)
+        : {
+            $or: [{ organizer: currentUserId }, { 'invitees.user': currentUserId }],
+            $nor: [ScheduledCall.upcomingFilter(currentUserId)]
+        };
+
+    const [scheduledCalls, total] = await Promise.all([
+        ScheduledCall.find(filter)
+            .sort({ scheduledAt: status === 'upcoming' ? 1 : -1 })
+            .skip((pageNum - 1) * pageLimit)
+            .limit(pageLimit)
+            .populate('organizer', SCHEDULED_CALL_USER_FIELDS)
+            .populate('invitees.user', SCHEDULED_CALL_USER_FIELDS)
+            .populate('chatId', 'chatType groupName groupImage')
+            .lean(),
+        ScheduledCall.countDocuments(filter)
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            scheduledCalls,
+            pagination: {
+                currentPage: pageNum,
+                totalPages: Math.ceil(total / pageLimit),
+                total,
+                hasNextPage: pageNum * pageLimit < total,
+                hasPrevPage: pageNum > 1
+            }
+        }, 'Scheduled calls fetched successfully')
+    );
+});
+
+// Accept or decline an invite; when every invitee has declined the booking is called off
+const respondToScheduledCall = async (req, res, response) => {
+    const currentUserId = req.user._id;
+    const scheduledCall = await findScheduledCallForUser(req.params.scheduledCallId, currentUserId);
+
+    if (scheduledCall.organizer.toString() === currentUserId.toString()) {
+        throw new ApiError(400, 'The organizer cannot respond to their own call');
+    }
+    if (scheduledCall.status !== 'scheduled') {
+        throw new ApiError(400, `This call is already ${scheduledCall.status}`);
+    }
+
+    const updated = await ScheduledCall.findOneAndUpdate(
+        { _id: scheduledCall._id, status: 'scheduled', 'invitees.user': currentUserId },
+        { $set: { 'invitees.$.response': response, 'invitees.$.respondedAt': new Date() } },
+        { new: true }
+    );
+
+    if (!updated) {
+        throw new ApiError(409, 'This call was just updated, please try again');
+    }
+
+    if (response === 'declined' && updated.invitees.every(i => i.response === 'declined')) {
+        await ScheduledCall.updateOne({ _id: updated._id, status: 'scheduled' }, { $set: { status: 'declined' } });
+    }
+
+    const populated = await populateScheduledCall(updated._id);
+
+    safeEmitToUsers([updated.organizer], 'scheduled_call_response', {
+        scheduledCallId: updated._id,
+        user: {
+            _id: currentUserId,
+            username: req.user.username,
+            fullName: req.user.fullName,
+            profileImageUrl: req.user.profileImageUrl
+        },
+        response,
+        status: populated.status
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, populated, response === 'accepted' ? 'Scheduled call accepted' : 'Scheduled call declined')
+    );
+};
+
+export const acceptScheduledCall = asyncHandler(async (req, res) => respondToScheduledCall(req, res, 'accepted'));
+
+export const declineScheduledCall = asyncHandler(async (req, res) => respondToScheduledCall(req, res, 'declined'));
+
+// Organizer calls it off
+export const cancelScheduledCall = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const scheduledCall = await findScheduledCallForUser(req.params.scheduledCallId, currentUserId);
+
+    if (scheduledCall.organizer.toString() !== currentUserId.toString()) {
+        throw new ApiError(403, 'Only the organizer can cancel this call');
+    }
+
+    const cancelled = await ScheduledCall.findOneAndUpdate(
+        { _id: scheduledCall._id, status: 'scheduled' },
+        { $set: { status: 'cancelled', cancelledAt: new Date() } },
+        { new: true }
+    );
+
+    if (!cancelled) {
+        throw new ApiError(400, `This call is already ${scheduledCall.status}`);
+    }
+
+    const inviteeIds = cancelled.invitees.map(i => i.user.toString());
+    safeEmitToUsers(inviteeIds, 'scheduled_call_cancelled', { scheduledCallId: cancelled._id });
+    sendPushAndFCMNotification(inviteeIds, {
+        title: 'Scheduled call cancelled',
+        body: `${displayName(req.user)} cancelled the ${cancelled.callType} call${cancelled.title ? `: ${cancelled.title}` : ''}`,
+        url: `/chats?chatId=${cancelled.chatId}`,
+        tag: 'scheduled-call',
+        data: {
+            type: 'scheduled_call_cancelled',
+            scheduledCallId: cancelled._id.toString(),
+            chatId: cancelled.chatId.toString()
+        }
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, await populateScheduledCall(cancelled._id), 'Scheduled call cancelled')
+    );
+});
+
+// Ring a due scheduled call through the normal call flow, with the organizer as caller
+const startScheduledCall = async (scheduledCall) => {
+    const organizer = await User.findById(scheduledCall.organizer).select(SCHEDULED_CALL_USER_FIELDS).lean();
+    const chat = await Chat.findById(scheduledCall.chatId).select('chatType participants status').lean();
+
+    const fail = async (reason) => {
+        await ScheduledCall.updateOne({ _id: scheduledCall._id }, { $set: { status: 'failed', failureReason: reason } });
+        safeEmitToUsers(activeAttendees(scheduledCall), 'scheduled_call_failed', {
+            scheduledCallId: scheduledCall._id,
+            reason
+        });
+    };
+
+    if (!organizer || !chat || !chat.participants.some(p => p.toString() === organizer._id.toString())) {
+        return fail('The organizer is no longer in this chat');
+    }
+
+    // Invitees who declined the booking aren't rung
+    const declinedIds = scheduledCall.invitees.filter(i => i.response === 'declined').map(i => i.user.toString());
+
+    // 1:1 calls ring the invitee; group chats are rung as a whole by createCall
+    const receiverId = chat.chatType === 'group'
+        ? undefined
+        : scheduledCall.invitees
+            .find(i => i.response !== 'declined' && chat.participants.some(p => p.toString() === i.user.toString()))
+            ?.user.toString();
+
+    if (chat.chatType !== 'group' && !receiverId) {
+        return fail('The other participant is no longer in this chat');
+    }
+
+    try {
+        const { call } = await createCall(organizer, {
+            chatId: scheduledCall.chatId.toString(),
+            callType: scheduledCall.callType,
+            receiverId
+        }, { excludeUserIds: declinedIds });
+
+        await ScheduledCall.updateOne({ _id: scheduledCall._id }, { $set: { callId: call._id } });
+
+        // The organizer didn't make the request, so hand their app what it needs to connect
+        safeEmitToUsers([organizer._id], 'scheduled_call_started', {
+            scheduledCallId: scheduledCall._id,
+            call,
+            stream: call.stream
+        });
+    } catch (error) {
+        console.error(`❌ Error starting scheduled call ${scheduledCall._id}:`, error.message);
+        await fail(error.message || 'The call could not be started');
+    }
+};
+
+// Background job: remind attendees shortly before, then ring calls whose time has come
+const processScheduledCalls = async () => {
+    try {
+        const now = new Date();
+        const reminderWindowEnd = new Date(now.getTime() + SCHEDULED_CALL_REMINDER_LEAD_MINUTES * 60 * 1000);
+
+        const dueReminders = await ScheduledCall.find({
+            status: 'scheduled',
+            scheduledAt: { $gt: now, $lte: reminderWindowEnd },
+            reminderSentAt: null
+        })
+            .sort({ scheduledAt: 1 })
+            .limit(SCHEDULED_CALL_BATCH_SIZE)
+            .select('_id')
+            .lean();
+
+        for (const { _id } of dueReminders) {
+            // Claim the reminder atomically so only one PM2 instance sends it
+            const scheduledCall = await ScheduledCall.findOneAndUpdate(
+                { _id, status: 'scheduled', reminderSentAt: null },
+                { $set: { reminderSentAt: new Date() } },
+                { new: true }
+            ).lean();
+
+            if (!scheduledCall) continue;
+
+            const minutesUntilStart = Math.max(Math.round((scheduledCall.scheduledAt - now) / 60000), 1);
+            await sendPushAndFCMNotification(activeAttendees(scheduledCall), {
+                title: 'Call starting soon ⏰',
+                body: `Your ${scheduledCall.callType} call${scheduledCall.title ? ` "${scheduledCall.title}"` : ''} starts in ${minutesUntilStart} minute${minutesUntilStart === 1 ? '' : 's'}`,
+                url: `/chats?chatId=${scheduledCall.chatId}`,
+                tag: 'scheduled-call-reminder',
+                data: {
+                    type: 'scheduled_call_reminder',
+                    scheduledCallId: scheduledCall._id.toString(),
+                    chatId: scheduledCall.chatId.toString(),
+                    scheduledAt: scheduledCall.scheduledAt.toISOString()
+                }
+            });
+        }
+
+        const dueCalls = await ScheduledCall.find({
+            status: 'scheduled',
+            scheduledAt: { $lte: now }
+        })
+            .sort({ scheduledAt: 1 })
+            .limit(SCHEDULED_CALL_BATCH_SIZE)
+            .select('_id')
+            .lean();
+
+        let startedCount = 0;
+
+        for (const { _id } of dueCalls) {
+            // Claim the call atomically so only one PM2 instance rings it
+            const scheduledCall = await ScheduledCall.findOneAndUpdate(
+                { _id, status: 'scheduled' },
+                { $set: { status: 'started', startedAt: new Date() } },
+                { new: true }
+            ).lean();
+
+            if (!scheduledCall) continue;
+
+            await startScheduledCall(scheduledCall);
+            startedCount++;
+        }
+
+        if (startedCount > 0) {
+            console.log(`📅 Started ${startedCount} scheduled call(s)`);
+        }
+    } catch (error) {
+        console.error('❌ Error processing scheduled calls:', error);
+    }
+};
+
+// Start scheduled call job
+setInterval(processScheduledCalls, SCHEDULED_CALL_CHECK_INTERVAL_SECONDS * 1000);
@@ -6,6 +6,7 @@ import Business from '../models/business.models.js';
 import { ApiResponse } from '../utlis/ApiResponse.js';
 import { ApiError } from '../utlis/ApiError.js';
 import { asyncHandler } from '../utlis/asyncHandler.js';
+import { findHashtagSuggestions } from './hashtag.controllers.js';
 
 /**
  * Enhanced search suggestions that always include user profiles with their posts, reels, and business information
@@ -25,6 +26,14 @@ export const getSearchSuggestions = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Search query must be at least 2 characters long");
     }
 
+    // `#` queries autocomplete hashtags instead
+    if (q.trim().startsWith('#')) {
+        const hashtags = await findHashtagSuggestions(q.trim(), Math.min(parseInt(limit) || 10, 50));
+        return res.status(200).json(
+            new ApiResponse(200, { hashtags }, "Hashtag suggestions retrieved successfully")
+        );
+    }
+
     const keyword = q.trim().toLowerCase();
     const searchRegex = new RegExp(keyword, 'i');
 
@@ -1,3 +1,4 @@
+import mongoose from "mongoose";
 import Story from "../models/story.models.js";
 import { ApiResponse } from "../utlis/ApiResponse.js";
 import { ApiError } from "../utlis/ApiError.js";
@@ -5,6 +6,128 @@ import { uploadBufferToBunny } from "../utlis/bunny.js";
 import { asyncHandler } from "../utlis/asyncHandler.js";
 import { User } from "../models/user.models.js";
 import { checkContentVisibility } from "../middlewares/privacy.middleware.js";
+import { sendDirectMessage, normalizeEmoji } from "./chat.controllers.js";
+import { createStoryMentionNotifications } from "./notification.controllers.js";
+import { sendPushAndFCMNotification } from "./pushNotification.controllers.js";
+
+const STORY_DURATION_MS = 24 * 60 * 60 * 1000;
+const MAX_STORY_MENTIONS = 20;
+const MAX_STORY_REPLY_LENGTH = 1000;
+const MENTION_REGEX = /@([a-z0-9._]{1,30})/gi;
+
+// Story privacy rules, shared by the feed and story replies / reactions / mentions
+const canViewStory = (owner, viewer, blockedUsers = []) => {
+    const storyOwnerId = owner._id.toString();
+    const storyOwnerPrivacy = owner.privacy || 'public';
+
+    // Rule 1: Always show own stories
+    if (storyOwnerId === viewer._id.toString()) {
+        return true;
+    }
+
+    // Rule 2: Never show stories from blocked users (mutual blocking)
+    if (blockedUsers.includes(storyOwnerId)) {
+        return false;
+    }
+
+    // Rule 3: If story owner has PUBLIC account → show to everyone
+    if (storyOwnerPrivacy === 'public') {
+        return true;
+    }
+
+    // Rule 4: If story owner has PRIVATE account → only show to followers/following
+    if (storyOwnerPrivacy === 'private') {
+        const isFollowing = (viewer.following || []).some(id => id.toString() === storyOwnerId);
+        const isFollower = (viewer.followers || []).some(id => id.toString() === storyOwnerId);
+
+        return isFollowing || isFollower;
+    }
+
+    return false;
+};
+
+// Map mediaType to postType and drop per-user lists (viewers, reactions) from public responses
+const toStoryResponse = (story) => {
+    const obj = story.toObject ? story.toObject() : story;
+    obj.postType = obj.mediaType;
+    delete obj.mediaType;
+    delete obj.viewers;
+    delete obj.reactions;
+    return obj;
+};
+
+// @usernames in a caption that exist, aren't blocked and are allowed to see the owner's stories
+const resolveStoryMentions = async (caption, owner, blockedUsers) => {
+    const usernames = [...new Set([...caption.matchAll(MENTION_REGEX)].map(match => match[1].toLowerCase()))]
+        .slice(0, MAX_STORY_MENTIONS);
+    if (usernames.length === 0) return [];
+
+    const users = await User.find({
+        username: { $in: usernames },
+        _id: { $ne: owner._id }
+    }).select("_id following followers");
+
+    return users
+        .filter(user => !blockedUsers.includes(user._id.toString()))
+        .filter(user => canViewStory(owner, user))
+        .map(user => user._id);
+};
+
+const notifyStoryMentions = async (story, owner) => {
+    try {
+        await createStoryMentionNotifications({
+            recipientIds: story.mentions,
+            sourceUserId: owner._id,
+            storyId: story._id
+        });
+
+        await sendPushAndFCMNotification(story.mentions.map(id => id.toString()), {
+            title: "New mention",
+            body: `${owner.fullName || owner.username} mentioned you in their story`,
+            url: `/stories/${story._id}`,
+            tag: "story-mention",
+            data: {
+                type: "story_mention",
+                storyId: story._id.toString(),
+                userId: owner._id.toString()
+            }
+        });
+    } catch (error) {
+        console.error("Error sending story mention notifications:", error);
+    }
+};
+
+// Active story the current user is allowed to see, with its owner populated
+const findViewableStory = async (storyId, viewerId, blockedUsers) => {
+    if (!mongoose.Types.ObjectId.isValid(storyId)) {
+        throw new ApiError(400, "Invalid story ID");
+    }
+
+    const [story, viewer] = await Promise.all([
+        Story.findOne({ _id: storyId, isArchived: false, expiresAt: { $gt: new Date() } })
+            .populate("userId", "username fullName profileImageUrl privacy"),
+        User.findById(viewerId).select("following followers")
+    ]);
+
+    if (!story || !story.userId) throw new ApiError(404, "Story not found or expired");
+    if (!canViewStory(story.userId, viewer || { _id: viewerId }, blockedUsers)) {
+        throw new ApiError(403, "Cannot view this story");
+    }
+
+    return story;
+};
+
+// Preview of the story stored on the reply / reaction message
+const buildStoryReference = (story, kind, emoji) => ({
+    storyId: story._id,
+    ownerId: story.userId._id,
+    kind,
+    emoji,
+    caption: story.caption?.slice(0, 200),
+    mediaType: story.mediaType,
+    thumbnailUrl: story.mediaUrl,
+    expiresAt: story.expiresAt
+});
 
 // 1. Upload Story
 export const uploadStory = asyncHandler(async (req, res) => {
@@ -14,19 +137,24 @@ export const uploadStory = asyncHandler(async (req, res) => {
     const result = await uploadBufferToBunny(req.file.buffer, "stories");
     if (!result.secure_url) throw new ApiError(500, "Failed to upload story media");
 
+    const caption = req.body.caption || "";
+    const mentions = await resolveStoryMentions(caption, req.user, req.blockedUsers || []);
+
     const story = await Story.create({
         userId,
         mediaUrl: result.secure_url,
         mediaType: result.resource_type === "video" ? "video" : "image",
-        caption: req.body.caption || "",
-        expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+        caption,
+        mentions,
+        expiresAt: new Date(Date.now() + STORY_DURATION_MS)
     });
 
+    if (mentions.length > 0) {
+        notifyStoryMentions(story, req.user);
+    }
+
     // Map mediaType to postType, remove mediaType and viewers from response
-    const storyObj = story.toObject();
-    storyObj.postType = storyObj.mediaType;
-    delete storyObj.mediaType;
-    delete storyObj.viewers;
+    const storyObj = toStoryResponse(story);
 
     res.status(201).json(new ApiResponse(201, storyObj, "Story uploaded successfully"));
 });
@@ -38,8 +166,6 @@ export const fetchStoriesFeed = asyncHandler(async (req, res) => {
 
     // Get current user's following list
     const currentUser = await User.findById(userId).select("following followers");
-    const following = currentUser?.following || [];
-    const followers = currentUser?.followers || [];
 
     const now = new Date();
 
@@ -52,42 +178,12 @@ export const fetchStoriesFeed = asyncHandler(async (req, res) => {
         .populate("userId", "username profileImageUrl privacy followers following");
 
     // Filter stories based on privacy rules
-    const visibleStories = allStories.filter(story => {
-        const storyOwnerId = story.userId._id.toString();
-        const storyOwnerPrivacy = story.userId.privacy || 'public';
-
-        // Rule 1: Always show own stories
-        if (storyOwnerId === userId.toString()) {
-            return true;
-        }
-
-        // Rule 2: Never show stories from blocked users (mutual blocking)
-        if (blockedUsers.includes(storyOwnerId)) {
-            return false;
-        }
-
-        // Rule 3: If story owner has PUBLIC account → show to everyone
-        if (storyOwnerPrivacy === 'public') {
-            return true;
-        }
-
-        // Rule 4: If story owner has PRIVATE account → only show to followers/following
-        if (storyOwnerPrivacy === 'private') {
-            const isFollowing = following.some(id => id.toString() === storyOwnerId);
-            const isFollower = followers.some(id => id.toString() === storyOwnerId);
-
-            return isFollowing || isFollower;
-        }
-
-        return false;
-    });
+    const viewer = currentUser || { _id: userId };
+    const visibleStories = allStories.filter(story => canViewStory(story.userId, viewer, blockedUsers));
 
     // Map mediaType to postType and remove viewers
     const storiesWithPostType = visibleStories.map(story => {
-        const obj = story.toObject();
-        obj.postType = obj.mediaType;
-        delete obj.mediaType;
-        delete obj.viewers;
+        const obj = toStoryResponse(story);
         // Remove privacy field from user object in response
         if (obj.userId) {
             delete obj.userId.privacy;
@@ -141,13 +237,7 @@ export const fetchStoriesByUser = asyncHandler(async (req, res) => {
     }).sort({ createdAt: -1 });
 
     // Map mediaType to postType and remove viewers
-    const storiesWithPostType = stories.map(story => {
-        const obj = story.toObject();
-        obj.postType = obj.mediaType;
-        delete obj.mediaType;
-        delete obj.viewers;
-        return obj;
-    });
+    const storiesWithPostType = stories.map(toStoryResponse);
 
     res.status(200).json(new ApiResponse(200, storiesWithPostType, "User's stories fetched"));
 });
@@ -182,6 +272,9 @@ export const fetchStoryViewers = asyncHandler(async (req, res) => {
 
     const story = await Story.findById(storyId).populate("viewers", "username profileImageUrl");
     if (!story) throw new ApiError(404, "Story not found");
+    if (story.userId.toString() !== req.user._id.toString()) {
+        throw new ApiError(403, "Only the story owner can see its viewers and reactions");
+    }
 
     // Filter out the story owner from viewers (safety measure)
     const filteredViewers = story.viewers.filter(
@@ -192,10 +285,16 @@ export const fetchStoryViewers = asyncHandler(async (req, res) => {
     const start = (parseInt(page) - 1) * parseInt(limit);
     const end = start + parseInt(limit);
     const totalViewers = filteredViewers.length;
-    const paginatedViewers = filteredViewers.slice(start, end);
+    // Attach each viewer's emoji reaction, if any
+    const reactionByUser = new Map(story.reactions.map(reaction => [reaction.user.toString(), reaction.emoji]));
+    const paginatedViewers = filteredViewers.slice(start, end).map(viewer => ({
+        ...viewer.toObject(),
+        reaction: reactionByUser.get(viewer._id.toString()) || null
+    }));
 
     res.status(200).json(new ApiResponse(200, {
         viewers: paginatedViewers,
+        reactionCount: story.reactions.length,
         pagination: {
             page: parseInt(page),
             limit: parseInt(limit),
@@ -249,7 +348,7 @@ export const fetchArchivedStoriesByUser = asyncHandler(async (req, res) => {
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(parseInt(limit))
-            .select("-viewers -mediaType") // remove viewers and mediaType from response
+            .select("-viewers -reactions -mediaType") // remove viewers, reactions and mediaType from response
             .lean()
             .exec(),
         Story.countDocuments({ userId, isArchived: true })
@@ -291,18 +390,116 @@ export const deleteStory = asyncHandler(async (req, res) => {
         throw new ApiError(403, "You are not authorized to delete this story");
     }
 
-    // Delete media from Bunny CDN
-    try {
-        const { deleteFromBunny } = await import("../utlis/bunny.js");
-        await deleteFromBunny(story.mediaUrl);
-        console.log('✅ Story media deleted from Bunny CDN:', story.mediaUrl);
-    } catch (error) {
-        console.error('⚠️ Failed to delete story media from Bunny CDN:', error.message);
-        // Continue with story deletion even if media deletion fails
+    // Delete media from Bunny CDN - unless a reshare (or the original) still uses the same file
+    const mediaInUse = await Story.exists({ _id: { $ne: story._id }, mediaUrl: story.mediaUrl });
+    if (!mediaInUse) {
+        try {
+            const { deleteFromBunny } = await import("../utlis/bunny.js");
+            await deleteFromBunny(story.mediaUrl);
+            console.log('✅ Story media deleted from Bunny CDN:', story.mediaUrl);
+        } catch (error) {
+            console.error('⚠️ Failed to delete story media from Bunny CDN:', error.message);
+            // Continue with story deletion even if media deletion fails
+        }
     }
 
     // Delete the story from database
     await Story.findByIdAndDelete(storyId);
 
     res.status(200).json(new ApiResponse(200, { storyId }, "Story deleted successfully"));
-});
\ No newline at end of file
+});
+
+// 8. Reply to a Story - lands in the owner's direct chat with a preview of the story
+export const replyToStory = asyncHandler(async (req, res) => {
+    const { storyId } = req.params;
+    const text = typeof req.body.message === "string" ? req.body.message.trim() : "";
+
+    if (!text) throw new ApiError(400, "Reply message is required");
+    if (text.length > MAX_STORY_REPLY_LENGTH) {
+        throw new ApiError(400, `Reply cannot be longer than ${MAX_STORY_REPLY_LENGTH} characters`);
+    }
+
+    const story = await findViewableStory(storyId, req.user._id, req.blockedUsers || []);
+    if (story.userId._id.toString() === req.user._id.toString()) {
+        throw new ApiError(400, "You cannot reply to your own story");
+    }
+
+    const message = await sendDirectMessage(req.user, story.userId._id, {
+        message: text,
+        messageType: "text",
+        storyReference: buildStoryReference(story, "reply")
+    }, `Replied to your story: ${text}`);
+
+    res.status(201).json(new ApiResponse(201, message, "Story reply sent"));
+});
+
+// 9. React to a Story - one emoji per user (reacting again replaces it), also sent to the owner's chat
+export const reactToStory = asyncHandler(async (req, res) => {
+    const { storyId } = req.params;
+    const userId = req.user._id;
+
+    const emoji = normalizeEmoji(req.body.emoji);
+    if (!emoji) throw new ApiError(400, "A valid emoji is required");
+
+    const story = await findViewableStory(storyId, userId, req.blockedUsers || []);
+    if (story.userId._id.toString() === userId.toString()) {
+        throw new ApiError(400, "You cannot react to your own story");
+    }
+
+    // Push only if this user hasn't reacted yet, otherwise swap the emoji in place
+    // (each update is conditional, so concurrent reacts can't leave two reactions)
+    const added = await Story.updateOne(
+        { _id: story._id, 'reactions.user': { $ne: userId } },
+        { $push: { reactions: { user: userId, emoji, reactedAt: new Date() } } }
+    );
+    if (added.modifiedCount === 0) {
+        await Story.updateOne(
+            { _id: story._id, 'reactions.user': userId },
+            { $set: { 'reactions.$.emoji': emoji, 'reactions.$.reactedAt': new Date() } }
+        );
+    }
+
+    // Reacting counts as seeing the story
+    await Story.updateOne({ _id: story._id }, { $addToSet: { viewers: userId } });
+
+    const message = await sendDirectMessage(req.user, story.userId._id, {
+        message: emoji,
+        messageType: "text",
+        storyReference: buildStoryReference(story, "reaction", emoji)
+    }, `Reacted ${emoji} to your story`);
+
+    res.status(200).json(new ApiResponse(200, { storyId: story._id, emoji, message }, "Reaction added to story"));
+});
+
+// 10. Reshare a Story you were mentioned in as your own story
+export const reshareStory = asyncHandler(async (req, res) => {
+    const { storyId } = req.params;
+    const userId = req.user._id;
+
+    const original = await findViewableStory(storyId, userId, req.blockedUsers || []);
+    if (!original.mentions.some(id => id.toString() === userId.toString())) {
+        throw new ApiError(403, "You can only reshare stories you are mentioned in");
+    }
+    // A reshare reaches the resharer's audience, which a private account never agreed to
+    if (original.userId.privacy === "private") {
+        throw new ApiError(403, "Stories from private accounts can't be reshared");
+    }
+
+    let story;
+    try {
+        story = await Story.create({
+            userId,
+            mediaUrl: original.mediaUrl,
+            mediaType: original.mediaType,
+            caption: typeof req.body.caption === "string" ? req.body.caption.trim() : "",
+            resharedFrom: { story: original._id, user: original.userId._id },
+            expiresAt: new Date(Date.now() + STORY_DURATION_MS)
+        });
+    } catch (error) {
+        // Unique index on resharedFrom: each mentioned user can reshare a story once
+        if (error.code === 11000) throw new ApiError(409, "You have already reshared this story");
+        throw error;
+    }
+
+    res.status(201).json(new ApiResponse(201, toStoryResponse(story), "Story reshared successfully"));
+});
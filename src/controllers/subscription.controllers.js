@@ -0,0 +1,681 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Subscription from "../models/subscription.models.js";
+import Invoice from "../models/invoice.models.js";
+import Business from "../models/business.models.js";
+import { asyncHandler } from "../utlis/asyncHandler.js";
+import { ApiError } from "../utlis/ApiError.js";
+import { ApiResponse } from "../utlis/ApiResponse.js";
+import { runWithJobLock } from "../utlis/jobLock.utils.js";
+import { getPaymentProvider } from "../utlis/paymentProvider.js";
+import {
+    PLAN_CATALOG,
+    PLAN_ORDER,
+    PAID_PLANS,
+    PLAN_CURRENCY,
+    BILLING_PERIOD_DAYS,
+    GRACE_PERIOD_DAYS,
+    getEffectivePlan,
+    getPlanLimits,
+    normalizePlan,
+    addDays
+} from "../utlis/subscriptionPlans.js";
+import { countPostsThisMonth } from "../middlewares/planLimits.middleware.js";
+import { sendPushAndFCMNotification } from "./pushNotification.controllers.js";
+
+const BILLING_JOB_INTERVAL_MINUTES = 10;
+const BILLING_JOB_BATCH_SIZE = 100;
+const BILLING_JOB_LOCK_KEY = "subscriptions:billing:lock";
+const BILLING_JOB_LOCK_TTL_SECONDS = 5 * 60; // Released when the run ends, this only covers a crashed instance
+const RENEWAL_RETRY_HOURS = 24; // Retry failed renewals once a day during the grace period
+const CHECKOUT_EXPIRY_HOURS = 24; // Abandoned checkouts are cleared after a day
+
+// ===============================
+// HELPERS
+// ===============================
+
+const generateInvoiceNumber = () => {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+    return `INV-${date}-${crypto.randomBytes(4).toString("hex").toUpperCase()}`;
+};
+
+// Record an invoice; returns null if this payment was already invoiced (replayed webhook)
+const createInvoice = async ({ subscription, plan, reason, status, amount, paymentId, failureReason, periodStart, periodEnd }) => {
+    try {
+        return await Invoice.create({
+            number: generateInvoiceNumber(),
+            userId: subscription.userId,
+            businessId: subscription.businessId,
+            subscriptionId: subscription._id,
+            plan,
+            reason,
+            amount,
+            currency: PLAN_CURRENCY,
+            status,
+            periodStart,
+            periodEnd,
+            provider: subscription.provider,
+            paymentId: paymentId || undefined,
+            failureReason,
+            paidAt: status === "paid" ? new Date() : undefined
+        });
+    } catch (error) {
+        if (error.code === 11000) return null;
+        throw error;
+    }
+};
+
+// Save (not updateOne) so the Business pre-save hook runs on activation
+const activateBusinessPlan = async (businessId, plan) => {
+    const business = await Business.findById(businessId);
+    if (!business) return;
+
+    business.plan = plan;
+    business.subscriptionStatus = "active";
+    await business.save();
+};
+
+// Back to the free plan and switch off paid-only features
+const downgradeBusiness = (businessId) => Business.updateOne(
+    { _id: businessId },
+    {
+        $set: {
+            plan: "plan1",
+            subscriptionStatus: "inactive",
+            "location.isLiveLocationEnabled": false
+        }
+    }
+);
+
+const notifyBilling = (userId, title, body) => {
+    sendPushAndFCMNotification([userId], {
+        title,
+        body,
+        url: "/business/subscription",
+        tag: "subscription",
+        data: { type: "subscription" }
+    });
+};
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Start a checkout for a paid plan
+ * The plan only becomes active once the provider confirms payment through the webhook
+ */
+export const startPlanCheckout = async (user, business, plan) => {
+    if (!PAID_PLANS.includes(plan)) {
+        throw new ApiError(400, `Plan must be one of: ${PAID_PLANS.join(", ")}`);
+    }
+    if (!user.isBusinessProfile) {
+        throw new ApiError(403, "Only business accounts can subscribe to a plan");
+    }
+
+    const currentPlan = getEffectivePlan(business);
+    if (PLAN_ORDER.indexOf(plan) <= PLAN_ORDER.indexOf(currentPlan)) {
+        throw new ApiError(400, `You are already on ${currentPlan}. Only upgrades can be purchased; cancel to downgrade.`);
+    }
+
+    const provider = getPaymentProvider();
+    const now = new Date();
+
+    // One subscription document per user - created on first checkout
+    const subscription = await Subscription.findOneAndUpdate(
+        { userId: user._id },
+        {
+            $setOnInsert: {
+                userId: user._id,
+                businessId: business._id,
+                plan,
+                status: "pending",
+                startDate: now,
+                endDate: now
+            }
+        },
+        { upsert: true, new: true }
+    );
+
+    const amount = PLAN_CATALOG[plan].price;
+    const { checkoutId, checkoutUrl } = await provider.createCheckout({
+        subscriptionId: subscription._id.toString(),
+        userId: user._id.toString(),
+        plan,
+        amount,
+        currency: PLAN_CURRENCY
+    });
+
+    subscription.businessId = business._id;
+    subscription.provider = provider.name;
+    subscription.checkout = { checkoutId, plan, startedAt: now };
+    await subscription.save();
+
+    return {
+        subscriptionId: subscription._id,
+        checkoutId,
+        checkoutUrl,
+        plan,
+        amount,
+        currency: PLAN_CURRENCY
+    };
+};
+
+// ===============================
+// WEBHOOK EVENTS
+// ===============================
+
+// checkout.completed - activate the plan and start a fresh billing period
+// Upgrades also start a fresh period at the new price (no proration)
+const handleCheckoutCompleted = async (data) => {
+    const subscription = await Subscription.findOne({ "checkout.checkoutId": data.checkoutId });
+    if (!subscription) return; // Unknown or already processed
+
+    const plan = subscription.checkout.plan;
+    const expectedAmount = PLAN_CATALOG[plan].price;
+    if (data.amount !== undefined && Number(data.amount) < expectedAmount) {
+        return handleUnderpaidCheckout(subscription, data);
+    }
+
+    const now = new Date();
+    const periodEnd = addDays(now, BILLING_PERIOD_DAYS);
+    const isNewTerm = !["active", "past_due"].includes(subscription.status);
+
+    // Conditional on the checkout ID so a replayed webhook can't activate twice
+    const activated = await Subscription.findOneAndUpdate(
+        { _id: subscription._id, "checkout.checkoutId": data.checkoutId },
+        {
+            $set: {
+                plan,
+                status: "active",
+                ...(isNewTerm ? { startDate: now } : {}),
+                currentPeriodStart: now,
+                endDate: periodEnd,
+                graceEndsAt: null,
+                paymentId: data.paymentId,
+                providerCustomerRef: data.customerRef || subscription.providerCustomerRef,
+                autoRenew: true,
+                renewalAttempts: 0,
+                nextRenewalAttemptAt: null,
+                cancelledAt: null,
+                expiredAt: null,
+                checkout: { checkoutId: null, plan: null, startedAt: null }
+            }
+        },
+        { new: true }
+    );
+
+    if (!activated) return;
+
+    await activateBusinessPlan(activated.businessId, plan);
+    await createInvoice({
+        subscription: activated,
+        plan,
+        reason: "checkout",
+        status: "paid",
+        amount: data.amount !== undefined ? Number(data.amount) : expectedAmount,
+        paymentId: data.paymentId,
+        periodStart: now,
+        periodEnd
+    });
+
+    notifyBilling(activated.userId, "Subscription active 🎉", `Your ${PLAN_CATALOG[plan].name} plan is active until ${formatDate(periodEnd)}`);
+};
+
+// Underpaid checkout - acknowledged like any other event (an error status would make the provider retry it
+// forever), the checkout fails and the payment is recorded as a failed invoice
+const handleUnderpaidCheckout = async (subscription, data) => {
+    const failed = await Subscription.findOneAndUpdate(
+        { _id: subscription._id, "checkout.checkoutId": data.checkoutId },
+        { $set: { checkout: { checkoutId: null, plan: null, startedAt: null } } }
+    );
+    if (!failed) return;
+
+    const now = new Date();
+    await createInvoice({
+        subscription: failed,
+        plan: failed.checkout.plan,
+        reason: "checkout",
+        status: "failed",
+        amount: Number(data.amount),
+        paymentId: data.paymentId,
+        failureReason: "Paid amount does not match the plan price",
+        periodStart: now,
+        periodEnd: addDays(now, BILLING_PERIOD_DAYS)
+    });
+
+    notifyBilling(failed.userId, "Payment failed", "The amount paid didn't match the plan price, so your plan upgrade wasn't activated");
+};
+
+// checkout.failed - drop the open checkout, the current plan stays as it was
+const handleCheckoutFailed = async (data) => {
+    const subscription = await Subscription.findOneAndUpdate(
+        { "checkout.checkoutId": data.checkoutId },
+        { $set: { checkout: { checkoutId: null, plan: null, startedAt: null } } }
+    );
+
+    if (subscription) {
+        notifyBilling(subscription.userId, "Payment failed", data.reason || "Your plan upgrade could not be completed");
+    }
+};
+
+// Move a renewed subscription on by one billing period
+const applyRenewalSuccess = async (subscription, { paymentId, amount }) => {
+    const periodStart = subscription.endDate;
+    const periodEnd = addDays(periodStart, BILLING_PERIOD_DAYS);
+
+    const renewed = await Subscription.findOneAndUpdate(
+        { _id: subscription._id, status: { $in: ["active", "past_due"] }, endDate: subscription.endDate },
+        {
+            $set: {
+                status: "active",
+                currentPeriodStart: periodStart,
+                endDate: periodEnd,
+                graceEndsAt: null,
+                paymentId,
+                renewalAttempts: 0,
+                nextRenewalAttemptAt: null
+            }
+        },
+        { new: true }
+    );
+
+    if (!renewed) return;
+
+    await createInvoice({
+        subscription: renewed,
+        plan: renewed.plan,
+        reason: "renewal",
+        status: "paid",
+        amount: amount ?? PLAN_CATALOG[renewed.plan].price,
+        paymentId,
+        periodStart,
+        periodEnd
+    });
+};
+
+// Failed renewal - the plan stays active until the grace period runs out
+const applyRenewalFailure = async (subscription, { paymentId, failureReason }) => {
+    const graceEndsAt = subscription.graceEndsAt || addDays(subscription.endDate, GRACE_PERIOD_DAYS);
+
+    const updated = await Subscription.findOneAndUpdate(
+        { _id: subscription._id, status: { $in: ["active", "past_due"] }, endDate: subscription.endDate },
+        {
+            $set: {
+                status: "past_due",
+                graceEndsAt,
+                nextRenewalAttemptAt: new Date(Date.now() + RENEWAL_RETRY_HOURS * 60 * 60 * 1000)
+            },
+            $inc: { renewalAttempts: 1 }
+        },
+        { new: true }
+    );
+
+    if (!updated) return;
+
+    await createInvoice({
+        subscription: updated,
+        plan: updated.plan,
+        reason: "renewal",
+        status: "failed",
+        amount: PLAN_CATALOG[updated.plan].price,
+        paymentId,
+        failureReason,
+        periodStart: subscription.endDate,
+        periodEnd: addDays(subscription.endDate, BILLING_PERIOD_DAYS)
+    });
+
+    notifyBilling(
+        updated.userId,
+        "Payment failed ⚠️",
+        `We couldn't renew your ${PLAN_CATALOG[updated.plan].name} plan. Update your payment method before ${formatDate(graceEndsAt)} to keep it.`
+    );
+};
+
+const findSubscriptionForEvent = (data) => (
+    mongoose.Types.ObjectId.isValid(data.subscriptionId) ? Subscription.findById(data.subscriptionId) : null
+);
+
+const WEBHOOK_HANDLERS = {
+    "checkout.completed": handleCheckoutCompleted,
+    "checkout.failed": handleCheckoutFailed,
+    "payment.succeeded": async (data) => {
+        const subscription = await findSubscriptionForEvent(data);
+        if (subscription) await applyRenewalSuccess(subscription, data);
+    },
+    "payment.failed": async (data) => {
+        const subscription = await findSubscriptionForEvent(data);
+        if (subscription) await applyRenewalFailure(subscription, { paymentId: data.paymentId, failureReason: data.reason });
+    }
+};
+
+// POST /api/v1/subscriptions/webhook/:provider
+export const handlePaymentWebhook = asyncHandler(async (req, res) => {
+    const provider = getPaymentProvider(req.params.provider);
+
+    if (!req.rawBody) throw new ApiError(400, "Webhook body is required");
+    const event = provider.parseWebhook(req.rawBody, req.headers);
+
+    const handler = WEBHOOK_HANDLERS[event?.type];
+    if (handler) {
+        await handler(event.data || {});
+    }
+
+    // Unknown event types are acknowledged so the provider stops retrying them
+    return res.status(200).json(new ApiResponse(200, { received: true }, "Webhook processed"));
+});
+
+// ===============================
+// BACKGROUND JOB
+// ===============================
+
+const renewSubscription = async (subscription) => {
+    // Claim this attempt first so a slow provider call can't lead to a double charge
+    const claimed = await Subscription.findOneAndUpdate(
+        {
+            _id: subscription._id,
+            status: subscription.status,
+            endDate: subscription.endDate,
+            nextRenewalAttemptAt: subscription.nextRenewalAttemptAt
+        },
+        { $set: { nextRenewalAttemptAt: new Date(Date.now() + RENEWAL_RETRY_HOURS * 60 * 60 * 1000) } },
+        { new: true }
+    );
+    if (!claimed) return;
+
+    const provider = getPaymentProvider(claimed.provider);
+    const amount = PLAN_CATALOG[claimed.plan].price;
+
+    const result = await provider.chargeRenewal({
+        subscriptionId: claimed._id.toString(),
+        customerRef: claimed.providerCustomerRef,
+        amount,
+        currency: PLAN_CURRENCY
+    });
+
+    if (result.status === "succeeded") {
+        await applyRenewalSuccess(claimed, { paymentId: result.paymentId, amount });
+    } else if (result.status === "failed") {
+        await applyRenewalFailure(claimed, result);
+    }
+    // "pending" results are settled by a payment.* webhook
+};
+
+// End a subscription and drop the business back to the free plan
+const endSubscription = async (filter, status) => {
+    const ended = await Subscription.findOneAndUpdate(
+        filter,
+        { $set: { status, expiredAt: new Date(), nextRenewalAttemptAt: null } },
+        { new: true }
+    );
+    if (!ended) return false;
+
+    await downgradeBusiness(ended.businessId);
+
+    notifyBilling(
+        ended.userId,
+        "Subscription ended",
+        status === "expired"
+            ? "Your plan expired after the grace period. Your business is now on the Free plan."
+            : "Your plan has ended. Your business is now on the Free plan."
+    );
+    return true;
+};
+
+/**
+ * Businesses put on a paid plan before billing existed have no Subscription document, so nothing would ever
+ * end their plan. Give them one that runs for one more billing period without auto-renewal - they keep
+ * the plan if they subscribe before it ends, otherwise the job drops them to Free like any cancelled plan
+ */
+const backfillLegacySubscriptions = async (now) => {
+    const legacyBusinesses = await Business.aggregate([
+        { $match: { plan: { $nin: ["plan1", "Free"] }, subscriptionStatus: "active" } },
+        {
+            $lookup: {
+                from: "subscriptions",
+                let: { userId: "$userId" },
+                pipeline: [
+                    { $match: { $expr: { $eq: ["$userId", "$$userId"] }, status: { $in: ["active", "past_due"] } } },
+                    { $project: { _id: 1 } }
+                ],
+                as: "currentSubscription"
+            }
+        },
+        { $match: { currentSubscription: { $size: 0 } } },
+        { $project: { _id: 1, userId: 1, plan: 1 } },
+        { $limit: BILLING_JOB_BATCH_SIZE }
+    ]);
+
+    let backfilled = 0;
+    for (const business of legacyBusinesses) {
+        const plan = normalizePlan(business.plan);
+        if (!PAID_PLANS.includes(plan)) continue;
+
+        const endDate = addDays(now, BILLING_PERIOD_DAYS);
+        try {
+            // Matches a leftover pending / ended document or inserts one; a subscription that became
+            // active meanwhile makes the insert hit the unique userId index and is left alone
+            await Subscription.findOneAndUpdate(
+                { userId: business.userId, status: { $nin: ["active", "past_due"] } },
+                {
+                    $set: {
+                        businessId: business._id,
+                        plan,
+                        status: "active",
+                        startDate: now,
+                        endDate,
+                        autoRenew: false,
+                        graceEndsAt: null,
+                        nextRenewalAttemptAt: null,
+                        renewalAttempts: 0,
+                        cancelledAt: null,
+                        expiredAt: null
+                    }
+                },
+                { upsert: true }
+            );
+        } catch (error) {
+            if (error.code === 11000) continue;
+            throw error;
+        }
+
+        backfilled++;
+        notifyBilling(
+            business.userId,
+            "Your plan now needs a subscription",
+            `Subscribe before ${formatDate(endDate)} to keep your ${PLAN_CATALOG[plan].name} plan. After that your business moves to the Free plan.`
+        );
+    }
+    return backfilled;
+};
+
+const processSubscriptionBilling = async () => {
+    try {
+        // Only one PM2 instance bills at a time
+        await runWithJobLock(BILLING_JOB_LOCK_KEY, BILLING_JOB_LOCK_TTL_SECONDS, async () => {
+            const now = new Date();
+            let renewed = 0;
+            let ended = 0;
+
+            // 1. Renewals due now, and retries during the grace period
+            const dueRenewals = await Subscription.find({
+                autoRenew: true,
+                $or: [
+                    {
+                        status: "active",
+                        endDate: { $lte: now },
+                        // Skip attempts still waiting on a pending charge
+                        $or: [{ nextRenewalAttemptAt: null }, { nextRenewalAttemptAt: { $lte: now } }]
+                    },
+                    { status: "past_due", graceEndsAt: { $gt: now }, nextRenewalAttemptAt: { $lte: now } }
+                ]
+            }).limit(BILLING_JOB_BATCH_SIZE);
+
+            for (const subscription of dueRenewals) {
+                try {
+                    await renewSubscription(subscription);
+                    renewed++;
+                } catch (error) {
+                    console.error(`Error renewing subscription ${subscription._id}:`, error);
+                }
+            }
+
+            // 2. Cancelled subscriptions that reached the end of their paid period
+            const finished = await Subscription.find({ status: "active", autoRenew: false, endDate: { $lte: now } })
+                .select("_id")
+                .limit(BILLING_JOB_BATCH_SIZE)
+                .lean();
+
+            for (const { _id } of finished) {
+                if (await endSubscription({ _id, status: "active", autoRenew: false, endDate: { $lte: now } }, "cancelled")) ended++;
+            }
+
+            // 3. Grace period over without a successful payment
+            const lapsed = await Subscription.find({ status: "past_due", graceEndsAt: { $lte: now } })
+                .select("_id")
+                .limit(BILLING_JOB_BATCH_SIZE)
+                .lean();
+
+            for (const { _id } of lapsed) {
+                if (await endSubscription({ _id, status: "past_due", graceEndsAt: { $lte: now } }, "expired")) ended++;
+            }
+
+            // 4. Abandoned checkouts
+            await Subscription.updateMany(
+                { "checkout.startedAt": { $lte: new Date(now.getTime() - CHECKOUT_EXPIRY_HOURS * 60 * 60 * 1000) } },
+                { $set: { checkout: { checkoutId: null, plan: null, startedAt: null } } }
+            );
+
+            // 5. Paid plans from before billing existed
+            const backfilled = await backfillLegacySubscriptions(now);
+
+            if (renewed > 0 || ended > 0 || backfilled > 0) {
+                console.log(`💳 Subscription billing: ${renewed} renewal attempt(s), ${ended} ended, ${backfilled} legacy plan(s) backfilled`);
+            }
+        });
+    } catch (error) {
+        console.error("❌ Error processing subscription billing:", error);
+    }
+};
+
+// Start subscription billing job
+setInterval(processSubscriptionBilling, BILLING_JOB_INTERVAL_MINUTES * 60 * 1000);
+
+// ===============================
+// ENDPOINTS
+// ===============================
+
+// GET /api/v1/subscriptions/plans
+export const getPlans = asyncHandler(async (req, res) => {
+    const plans = PLAN_ORDER.map(key => ({
+        key,
+        ...PLAN_CATALOG[key],
+        currency: PLAN_CURRENCY,
+        billingPeriodDays: BILLING_PERIOD_DAYS
+    }));
+
+    return res.status(200).json(new ApiResponse(200, plans, "Plans fetched successfully"));
+});
+
+// GET /api/v1/subscriptions/me
+export const getMySubscription = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+
+    const [subscription, business, postsThisMonth] = await Promise.all([
+        Subscription.findOne({ userId }).lean(),
+        Business.findOne({ userId }).select("plan subscriptionStatus").lean(),
+        countPostsThisMonth(userId)
+    ]);
+
+    const effectivePlan = getEffectivePlan(business);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            subscription,
+            effectivePlan,
+            limits: getPlanLimits(effectivePlan),
+            usage: { postsThisMonth }
+        }, "Subscription fetched successfully")
+    );
+});
+
+// POST /api/v1/subscriptions/checkout { plan }
+export const createCheckout = asyncHandler(async (req, res) => {
+    const business = await Business.findOne({ userId: req.user._id });
+    if (!business) throw new ApiError(404, "Business profile not found");
+
+    const checkout = await startPlanCheckout(req.user, business, req.body.plan);
+
+    return res.status(201).json(new ApiResponse(201, checkout, "Checkout started"));
+});
+
+// POST /api/v1/subscriptions/cancel - stays active until the end of the paid period
+export const cancelSubscription = asyncHandler(async (req, res) => {
+    const subscription = await Subscription.findOneAndUpdate(
+        { userId: req.user._id, status: { $in: ["active", "past_due"] }, autoRenew: true },
+        { $set: { autoRenew: false, cancelledAt: new Date() } },
+        { new: true }
+    );
+
+    if (!subscription) throw new ApiError(404, "No active subscription to cancel");
+
+    return res.status(200).json(
+        new ApiResponse(200, subscription, subscription.status === "past_due"
+            ? "Subscription cancelled. Your plan ends when the grace period runs out"
+            : `Subscription cancelled. Your plan stays active until ${formatDate(subscription.endDate)}`)
+    );
+});
+
+// POST /api/v1/subscriptions/resume - undo a cancellation before the period ends
+export const resumeSubscription = asyncHandler(async (req, res) => {
+    const subscription = await Subscription.findOneAndUpdate(
+        { userId: req.user._id, status: { $in: ["active", "past_due"] }, autoRenew: false },
+        { $set: { autoRenew: true, cancelledAt: null } },
+        { new: true }
+    );
+
+    if (!subscription) throw new ApiError(404, "No cancelled subscription to resume");
+
+    return res.status(200).json(new ApiResponse(200, subscription, "Subscription resumed"));
+});
+
+// GET /api/v1/subscriptions/invoices
+export const getMyInvoices = asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) > 0 ? parseInt(req.query.page) : 1;
+    const limit = parseInt(req.query.limit) > 0 ? Math.min(parseInt(req.query.limit), 50) : 20;
+    const filter = { userId: req.user._id };
+
+    const [invoices, total] = await Promise.all([
+        Invoice.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        Invoice.countDocuments(filter)
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            invoices,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalInvoices: total,
+                hasNextPage: page * limit < total,
+                hasPrevPage: page > 1,
+                limit
+            }
+        }, "Invoices fetched successfully")
+    );
+});
+
+// GET /api/v1/subscriptions/invoices/:invoiceId
+export const getInvoiceById = asyncHandler(async (req, res) => {
+    const { invoiceId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(invoiceId)) {
+        throw new ApiError(400, "Invalid invoice ID");
+    }
+
+    const invoice = await Invoice.findOne({ _id: invoiceId, userId: req.user._id }).lean();
+    if (!invoice) throw new ApiError(404, "Invoice not found");
+
+    return res.status(200).json(new ApiResponse(200, invoice, "Invoice fetched successfully"));
+});
@@ -35,23 +35,23 @@ import Report from "../models/report.models.js";
 import Following from "../models/following.models.js";
 import FollowRequest from "../models/followRequest.models.js";
 import ContactRequest from "../models/contactRequest.models.js";
+import UserBadge from "../models/userBadge.models.js";
 import {
     generateRealtimeUsernameSuggestions,
     isUsernameAvailable,
     validateUsername
 } from "../utlis/usernameSuggestions.js";
 import { invalidateBlockedUsersCache } from "../middlewares/blocking.middleware.js";
+import { getUserBadges } from "./badge.controllers.js";
+import { releaseUserHashtags } from "./hashtag.controllers.js";
+import { createDeviceSession, rotateDeviceSession, revokeSessions } from "../utlis/session.utils.js";
+import { SessionCacheManager } from "../utlis/cache.utils.js";
 
 
-const generateAcessAndRefreshToken = async (userId) => {
+// Each login gets its own device session and refresh token
+const generateAcessAndRefreshToken = async (user, req) => {
     try {
-        const user = await User.findById(userId);
-        const accessToken = user.generateAccessToken();
-        const refreshToken = user.generateRefreshToken();
-        user.refreshToken = refreshToken;
-        await user.save({ validateBeforeSave: false });
-
-        return { accessToken, refreshToken };
+        return await createDeviceSession(user, req);
     } catch (error) {
         throw new ApiError(500, "something went wrong while generating tokens");
     }
@@ -98,8 +98,7 @@ const registerUser = asyncHandler(async (req, res) => {
         isEmailVerified: true,
     });
 
-    const { accessToken, refreshToken } = await generateAcessAndRefreshToken(user._id);
-    await user.save({ validateBeforeSave: false });
+    const { accessToken, refreshToken, deviceId } = await generateAcessAndRefreshToken(user, req);
 
     const options = {
         httpOnly: true,
@@ -115,7 +114,8 @@ const registerUser = asyncHandler(async (req, res) => {
                 {
                     user,
                     accessToken,
-                    refreshToken
+                    refreshToken,
+                    deviceId
                 }, "User registered successfully.")
         );
 });
@@ -157,7 +157,7 @@ const loginUser = asyncHandler(async (req, res) => {
         throw new ApiError(403, "Email is not verified. Please verify your email to login");
     }
 
-    const { accessToken, refreshToken } = await generateAcessAndRefreshToken(user._id);
+    const { accessToken, refreshToken, deviceId } = await generateAcessAndRefreshToken(user, req);
     const loggedUser = await User.findById(user._id).select("-password -refreshToken");
 
     const options = {
@@ -171,12 +171,56 @@ const loginUser = asyncHandler(async (req, res) => {
         .json(new ApiResponse(200, {
             user: loggedUser,
             accessToken,
-            refreshToken
+            refreshToken,
+            deviceId
         }, "Login successful"));
 });
 
+// Exchange a refresh token for a new access/refresh pair on the same device
+const refreshAccessToken = asyncHandler(async (req, res) => {
+    const incomingRefreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+    if (!incomingRefreshToken) {
+        throw new ApiError(401, "Refresh token is required");
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = jwt.verify(incomingRefreshToken, process.env.REFRESH_TOKEN_SECRET);
+    } catch (error) {
+        throw new ApiError(401, "Invalid or expired refresh token");
+    }
+
+    // Tokens issued before device sessions existed can't be refreshed
+    if (!decodedToken?.sid) {
+        throw new ApiError(401, "Session expired, please log in again");
+    }
+
+    const user = await User.findById(decodedToken._id);
+    if (!user) throw new ApiError(401, "Invalid refresh token");
+
+    const tokens = await rotateDeviceSession(user, decodedToken, incomingRefreshToken);
+    if (!tokens) {
+        throw new ApiError(401, "Session has been revoked, please log in again");
+    }
+
+    const options = {
+        httpOnly: true,
+        secure: true
+    };
+
+    return res.status(200)
+        .cookie("accessToken", tokens.accessToken, options)
+        .cookie("refreshToken", tokens.refreshToken, options)
+        .json(new ApiResponse(200, tokens, "Access token refreshed"));
+});
+
 
 const logOutUser = asyncHandler(async (req, res) => {
+    // Only this device is logged out
+    if (req.sessionId) {
+        await revokeSessions(req.user._id, { sessionId: req.sessionId });
+    }
+
     await User.findByIdAndUpdate(
         req.user._id,
         {
@@ -203,6 +247,47 @@ const logOutUser = asyncHandler(async (req, res) => {
         )
 });
 
+// GET /api/v1/users/devices - devices currently logged in to this account
+const getLoggedInDevices = asyncHandler(async (req, res) => {
+    const devices = await Device.find({ userId: req.user._id, isLoggedIn: true })
+        .select("deviceId deviceType deviceName browser os ipAddress sessionId lastLoginAt lastUsedAt createdAt")
+        .sort({ lastUsedAt: -1 })
+        .lean();
+
+    const result = devices.map(({ sessionId, ...device }) => ({
+        ...device,
+        isCurrent: !!req.sessionId && sessionId === req.sessionId
+    }));
+
+    return res.status(200).json(new ApiResponse(200, result, "Logged-in devices fetched successfully"));
+});
+
+// DELETE /api/v1/users/devices/:deviceId - log out one device (Device _id)
+const revokeDevice = asyncHandler(async (req, res) => {
+    const { deviceId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(deviceId)) {
+        throw new ApiError(400, "Invalid device ID");
+    }
+
+    const revoked = await revokeSessions(req.user._id, { _id: new mongoose.Types.ObjectId(deviceId) });
+    if (revoked === 0) {
+        throw new ApiError(404, "Device not found or already logged out");
+    }
+
+    return res.status(200).json(new ApiResponse(200, { deviceId }, "Device logged out successfully"));
+});
+
+// POST /api/v1/users/devices/revoke-others - log out everywhere except this device
+const revokeOtherDevices = asyncHandler(async (req, res) => {
+    if (!req.sessionId) {
+        throw new ApiError(400, "Please log in again to manage your devices");
+    }
+
+    const revokedCount = await revokeSessions(req.user._id, { sessionId: { $ne: req.sessionId } });
+
+    return res.status(200).json(new ApiResponse(200, { revokedCount }, "Logged out of all other devices"));
+});
+
 const getUserProfile = asyncHandler(async (req, res) => {
     const userId = req.user?._id;
 
@@ -218,6 +303,7 @@ const getUserProfile = asyncHandler(async (req, res) => {
     const followersCount = await Follower.countDocuments({ userId });
     const followingCount = await Follower.countDocuments({ followerId: userId });
     const postsCount = await Post.countDocuments({ userId });
+    const badges = await getUserBadges(userId);
 
     // Get business profile information if user is a business profile
     let businessInfo = null;
@@ -254,7 +340,8 @@ const getUserProfile = asyncHandler(async (req, res) => {
         profileImageUrl: user.profileImageUrl,
         followersCount,
         followingCount,
-        postsCount
+        postsCount,
+        badges
     };
 
     // Cache the response if caching is available
@@ -348,6 +435,9 @@ const changePassword = asyncHandler(async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device with the old password
+    await revokeSessions(user._id, req.sessionId ? { sessionId: { $ne: req.sessionId } } : {});
+
     return res
         .status(200)
         .json(
@@ -402,6 +492,12 @@ const deleteAccount = asyncHandler(async (req, res) => {
     }
     // --- End media cleanup ---
 
+    // Posts are about to go, so take them out of hashtag counts first
+    await releaseUserHashtags(userId);
+
+    // Blacklist live sessions before their Device records are deleted
+    await revokeSessions(userId);
+
     // Clean up all user-related data
     const cleanupResults = await Promise.allSettled([
         // Delete all posts by the user
@@ -456,6 +552,8 @@ const deleteAccount = asyncHandler(async (req, res) => {
         // Delete blocking records
         Block.deleteMany({ blockerId: userId }),
         Block.deleteMany({ blockedUserId: userId }),
+        // Delete badges held by the user
+        UserBadge.deleteMany({ userId }),
         // Remove user from followers/following lists
         User.updateMany(
             { followers: userId },
@@ -856,6 +954,9 @@ const resetPasswordWithOTP = asyncHandler(async (req, res) => {
 
     await user.save({ validateBeforeSave: false });
 
+    // Password was reset, so end all existing sessions
+    await revokeSessions(user._id);
+
     return res
         .status(200)
         .json(new ApiResponse(200, {}, "Password reset successfully"));
@@ -909,6 +1010,7 @@ const getOtherUserProfile = asyncHandler(async (req, res) => {
     const followingCount = await Follower.countDocuments({ followerId: targetUser._id });
     // Count posts directly from Post collection
     const postsCount = await Post.countDocuments({ userId: targetUser._id });
+    const badges = await getUserBadges(targetUser._id);
 
     // Get business ID if user has a business profile
     let businessId = null;
@@ -942,6 +1044,7 @@ const getOtherUserProfile = asyncHandler(async (req, res) => {
         followersCount,
         followingCount,
         postsCount,
+        badges,
         createdAt: targetUser.createdAt
     };
 
@@ -984,6 +1087,17 @@ const checkTokenExpiry = asyncHandler(async (req, res) => {
             // Verify token with JWT
             const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
 
+            // Logged out from another device
+            if (decodedToken?.sid && await SessionCacheManager.isTokenBlacklisted(decodedToken.sid)) {
+                return res.status(200).json(
+                    new ApiResponse(200, {
+                        isValid: false,
+                        isExpired: false,
+                        message: "Session has been revoked"
+                    }, "Token status checked")
+                );
+            }
+
             // Check if user still exists
             const user = await User.findById(decodedToken?._id).select("-password -refreshToken");
 
@@ -1729,6 +1843,10 @@ export {
     registerUser,
     loginUser,
     logOutUser,
+    refreshAccessToken,
+    getLoggedInDevices,
+    revokeDevice,
+    revokeOtherDevices,
     getUserProfile,
     updateUserProfile,
     changePassword,
@@ -3,6 +3,10 @@ import { ApiError } from "../utlis/ApiError.js";
 import jwt from "jsonwebtoken";
 import { User } from "../models/user.models.js";
 import { redisClient } from "../config/redis.config.js";
+import { SessionCacheManager } from "../utlis/cache.utils.js";
+import ApiKey from "../models/apikey.models.js";
+import { hashApiKey, hasApiKeyScope } from "../utlis/apiKey.utils.js";
+import { apiKeyRateLimit } from "./rateLimiter.middleware.js";
 
 /**
  * Verify JWT and authenticate user
@@ -27,6 +31,11 @@ export const verifyJWT = asyncHandler(async (req, _, next) => {
         const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
         const userId = decodedToken?._id;
 
+        // Checked before the user cache so a revoked device can't ride on a cached user
+        if (decodedToken?.sid && await SessionCacheManager.isTokenBlacklisted(decodedToken.sid)) {
+            throw new ApiError(401, "Session has been revoked");
+        }
+
         // Try to get user from cache first
         const cacheKey = `auth:user:${userId}`;
         let user;
@@ -59,6 +68,7 @@ export const verifyJWT = asyncHandler(async (req, _, next) => {
         }
 
         req.user = user;
+        req.sessionId = decodedToken.sid || null;
 
         next();
     } catch (error) {
@@ -90,6 +100,11 @@ export const optionalVerifyJWT = asyncHandler(async (req, _, next) => {
         const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
         const userId = decodedToken?._id;
 
+        // Revoked sessions are treated as anonymous
+        if (decodedToken?.sid && await SessionCacheManager.isTokenBlacklisted(decodedToken.sid)) {
+            return next();
+        }
+
         // Try to get user from cache first
         const cacheKey = `auth:user:${userId}`;
         let user;
@@ -120,6 +135,7 @@ export const optionalVerifyJWT = asyncHandler(async (req, _, next) => {
         // If user is found, set req.user
         if (user) {
             req.user = user;
+            req.sessionId = decodedToken.sid || null;
         }
 
         next();
@@ -142,3 +158,89 @@ export const invalidateAuthCache = async (userId) => {
     }
 };
 
+/**
+ * Authenticate a request with an X-API-Key header
+ * Sets req.user to the key owner and req.apiKey to the key's id/permissions/rateLimit
+ */
+const authenticateApiKey = async (req, rawKey, scope) => {
+    const apiKey = await ApiKey.findOne({ key: hashApiKey(rawKey) })
+        .select("userId permissions rateLimit expiresAt isActive")
+        .lean();
+
+    if (!apiKey || !apiKey.isActive) {
+        throw new ApiError(401, "Invalid API key");
+    }
+
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+        throw new ApiError(401, "API key has expired");
+    }
+
+    if (!hasApiKeyScope(apiKey.permissions, scope)) {
+        throw new ApiError(403, `API key is missing the '${scope}' permission`);
+    }
+
+    // Same cached user lookup as verifyJWT
+    const cacheKey = `auth:user:${apiKey.userId}`;
+    let user;
+
+    try {
+        const cachedUser = await redisClient.get(cacheKey);
+        if (cachedUser) {
+            user = JSON.parse(cachedUser);
+        }
+    } catch (cacheError) {
+        console.error('Auth cache read error:', cacheError);
+    }
+
+    if (!user) {
+        user = await User.findById(apiKey.userId).select("-password -refreshToken").lean();
+
+        if (!user) {
+            throw new ApiError(401, "Invalid API key");
+        }
+
+        try {
+            await redisClient.setex(cacheKey, 600, JSON.stringify(user));
+        } catch (cacheError) {
+            console.error('Auth cache write error:', cacheError);
+        }
+    }
+
+    req.user = user;
+    req.apiKey = {
+        id: apiKey._id.toString(),
+        permissions: apiKey.permissions,
+        rateLimit: apiKey.rateLimit
+    };
+};
+
+// Update usage counters once the request has passed the rate limiter
+const trackApiKeyUsage = (req, _, next) => {
+    if (req.apiKey) {
+        ApiKey.updateOne(
+            { _id: req.apiKey.id },
+            { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } }
+        ).catch(error => console.error('API key usage update error:', error));
+    }
+    next();
+};
+
+/**
+ * Accept either a user JWT or a partner API key (X-API-Key header)
+ * API keys must grant the given scope (e.g. 'read:posts') and are rate limited per key
+ * Usage: router.route("/myPosts").get(verifyJWTOrApiKey('read:posts'), getMyPosts)
+ */
+export const verifyJWTOrApiKey = (scope) => [
+    asyncHandler(async (req, res, next) => {
+        const rawKey = req.headers?.["x-api-key"];
+
+        if (!rawKey) {
+            return verifyJWT(req, res, next);
+        }
+
+        await authenticateApiKey(req, rawKey, scope);
+        next();
+    }),
+    apiKeyRateLimit,
+    trackApiKeyUsage
+];
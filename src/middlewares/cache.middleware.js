@@ -4,7 +4,8 @@ import { redisClient, RedisKeys, RedisTTL } from '../config/redis.config.js';
 export { redisClient };
 
 // Generic Redis caching middleware
-export const cacheMiddleware = (keyGenerator, ttl = RedisTTL.USER_FEED) => {
+// serveCached: false only sets res.locals so the controller can read and post-process the cached response
+export const cacheMiddleware = (keyGenerator, ttl = RedisTTL.USER_FEED, { serveCached = true } = {}) => {
     return async (req, res, next) => {
         try {
             const cacheKey = typeof keyGenerator === 'function' 
@@ -12,7 +13,7 @@ export const cacheMiddleware = (keyGenerator, ttl = RedisTTL.USER_FEED) => {
                 : keyGenerator;
             
             // Try to get data from cache
-            const cachedData = await redisClient.get(cacheKey);
+            const cachedData = serveCached ? await redisClient.get(cacheKey) : null;
             
             if (cachedData) {
                 // Cache hit - return cached data
@@ -56,9 +57,11 @@ export const invalidateCache = async (pattern) => {
 
 
 
+// Home feed reads the cache itself so ad slots are injected on every request
 export const cacheUserFeed = cacheMiddleware(
     (req) => RedisKeys.userFeed(req.user?.id, req.query.page || 1),
-    RedisTTL.USER_FEED
+    RedisTTL.USER_FEED,
+    { serveCached: false }
 );
 
 export const cacheTrendingPosts = cacheMiddleware(
@@ -11,11 +11,16 @@ export const upload = multer({
             'image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp',
             'video/mp4', 'video/avi', 'video/mov', 'video/wmv', 'video/webm',
             'audio/mp3', 'audio/wav', 'audio/ogg', 'audio/m4a',
+            'audio/mpeg', 'audio/x-wav', 'audio/wave', 'audio/webm', 'audio/opus', 'audio/mp4',
+            'audio/x-m4a', 'audio/aac', 'audio/flac', 'audio/amr',
             'application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
             'text/plain'
         ];
 
-        if (allowedTypes.includes(file.mimetype)) {
+        // Recorders send e.g. "audio/webm;codecs=opus"
+        const mimeType = file.mimetype.split(';')[0].trim().toLowerCase();
+
+        if (allowedTypes.includes(mimeType)) {
             cb(null, true);
         } else {
             cb(new Error(`File type ${file.mimetype} not allowed`), false);
@@ -0,0 +1,50 @@
+import Business from "../models/business.models.js";
+import Post from "../models/userPost.models.js";
+import { asyncHandler } from "../utlis/asyncHandler.js";
+import { ApiError } from "../utlis/ApiError.js";
+import { getEffectivePlan, getPlanLimits } from "../utlis/subscriptionPlans.js";
+
+const startOfUTCMonth = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+// Posts (published or scheduled) created this calendar month
+export const countPostsThisMonth = (userId) => Post.countDocuments({
+    userId,
+    status: { $ne: "draft" },
+    createdAt: { $gte: startOfUTCMonth() }
+});
+
+/**
+ * Business accounts can only create as many posts per month as their plan allows
+ * Personal accounts are not limited
+ */
+export const enforcePostQuota = asyncHandler(async (req, res, next) => {
+    if (!req.user?.isBusinessProfile) return next();
+
+    const business = await Business.findOne({ userId: req.user._id }).select("plan subscriptionStatus").lean();
+    if (!business) return next();
+
+    const limits = getPlanLimits(getEffectivePlan(business));
+    if (limits.postsPerMonth === null) return next();
+
+    const postsThisMonth = await countPostsThisMonth(req.user._id);
+    if (postsThisMonth >= limits.postsPerMonth) {
+        throw new ApiError(403, `Your ${limits.name} plan allows ${limits.postsPerMonth} posts per month. Upgrade your plan to post more.`);
+    }
+
+    next();
+});
+
+/**
+ * Require a plan feature (e.g. liveLocation) for the current user's business
+ */
+export const requirePlanFeature = (feature) => asyncHandler(async (req, res, next) => {
+    const business = await Business.findOne({ userId: req.user?._id }).select("plan subscriptionStatus").lean();
+    if (!business) throw new ApiError(404, "Business profile not found");
+
+    const limits = getPlanLimits(getEffectivePlan(business));
+    if (!limits[feature]) {
+        throw new ApiError(403, `This feature is not included in your ${limits.name} plan. Upgrade your plan to use it.`);
+    }
+
+    next();
+});
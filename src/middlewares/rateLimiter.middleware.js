@@ -139,4 +139,19 @@ export const healthCheckRateLimit = rateLimit({
     skip: (req) => req.method === 'OPTIONS',
     trustProxy: process.env.NODE_ENV === 'production',
     store: new RedisStore({ prefix: 'rl:health:' })
-});
\ No newline at end of file
+});
+// Per-key rate limiter for partner API keys (limit comes from the key itself)
+export const apiKeyRateLimit = rateLimit({
+    windowMs: 1 * 60 * 1000, // 1 minute
+    limit: (req) => req.apiKey?.rateLimit || 60,
+    message: {
+        error: 'API key rate limit exceeded, please try again later.',
+        retryAfter: 60
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    // Only requests authenticated with an API key are limited here
+    skip: (req) => !req.apiKey,
+    keyGenerator: (req) => req.apiKey.id,
+    store: new RedisStore({ prefix: 'rl:apikey:' })
+});
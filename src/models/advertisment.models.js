@@ -11,6 +11,12 @@ const AdvertisementSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    mediaType: {
+        type: String,
+        enum: ['image', 'video'],
+        default: 'image'
+    },
+    thumbnailUrl: String,
     caption: {
         type: String,
         trim: true
@@ -39,6 +45,11 @@ const AdvertisementSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Total debited from budget by impressions and clicks
+    spent: {
+        type: Number,
+        default: 0
+    },
     targetAudience: {
         gender: { type: String, enum: ['male', 'female', 'any'], default: 'any' },
         ageRange: { type: [Number], default: [18, 65] },
@@ -59,7 +70,17 @@ const AdvertisementSchema = new mongoose.Schema({
         type: String,
         enum: ['pending', 'approved', 'rejected', 'running', 'paused', 'completed'],
         default: 'pending'
-    }
+    },
+    // Admin review
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    reviewedAt: Date,
+    rejectionReason: String,
+    completedAt: Date
 }, { timestamps: true });
 
+AdvertisementSchema.index({ status: 1, startDate: 1, endDate: 1 });
+
 export default mongoose.model('Advertisement', AdvertisementSchema);
@@ -1,11 +1,27 @@
 import mongoose from 'mongoose';
 
+// Scopes a key can be granted; 'read:*' / 'write:*' cover every resource
+export const API_KEY_SCOPES = [
+    'read:*',
+    'write:*',
+    'read:posts',
+    'write:posts',
+    'read:comments',
+    'write:comments'
+];
+
 const ApiKeySchema = new mongoose.Schema({
+    // SHA-256 hash of the key - the raw key is only shown once when it is created
     key: {
         type: String,
         required: true,
         unique: true
     },
+    // First characters of the raw key so users can tell their keys apart
+    prefix: {
+        type: String,
+        required: true
+    },
     userId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -18,14 +34,22 @@ const ApiKeySchema = new mongoose.Schema({
     },
     permissions: {
         type: [String], // e.g., ['read:posts', 'write:comments']
+        enum: API_KEY_SCOPES,
         default: ['read:*']
     },
+    // Requests allowed per minute for this key
+    rateLimit: {
+        type: Number,
+        default: 60
+    },
     createdAt: {
         type: Date,
         default: Date.now
     },
     expiresAt: Date,
     lastUsedAt: Date,
+    rotatedAt: Date,
+    revokedAt: Date,
     isActive: {
         type: Boolean,
         default: true
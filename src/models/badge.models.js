@@ -16,6 +16,17 @@ const BadgeSchema = new mongoose.Schema({
         type: String, // e.g. "1000 followers", "verified", "top creator"
         default: ""
     },
+    // Machine-evaluable rule used by the badge evaluator (custom badges are granted manually)
+    rule: {
+        metric: {
+            type: String,
+            enum: ['followersCount', 'postsCount', 'verifiedBusiness', 'accountAgeDays']
+        },
+        threshold: {
+            type: Number,
+            min: 0
+        }
+    },
     type: {
         type: String,
         enum: ['system', 'earned', 'custom'],
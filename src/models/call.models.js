@@ -8,6 +8,30 @@ const CallSchema = new mongoose.Schema({
         required: true
     }],
 
+    // 👥 Group call started from a group chat
+    isGroupCall: {
+        type: Boolean,
+        default: false
+    },
+
+    // 🙋 Per-participant state for group calls (everyone in `participants` who was invited or joined)
+    participantStates: [{
+        _id: false,
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        state: {
+            type: String,
+            enum: ['ringing', 'joined', 'declined', 'left', 'missed'],
+            default: 'ringing'
+        },
+        joinedAt: Date, // Latest join, set once the user has joined at least once
+        leftAt: Date,
+        respondedAt: Date // Declined / missed
+    }],
+
     // 👤 Who initiated the call
     initiator: {
         type: mongoose.Schema.Types.ObjectId,
@@ -63,7 +87,7 @@ const CallSchema = new mongoose.Schema({
     // 🔌 End reason
     endReason: {
         type: String,
-        enum: ['normal', 'declined', 'missed', 'failed', 'network_error', 'cancelled', 'timeout'],
+        enum: ['normal', 'declined', 'missed', 'failed', 'network_error', 'cancelled', 'timeout', 'force_cleanup'],
         default: 'normal'
     },
 
@@ -87,6 +111,38 @@ const CallSchema = new mongoose.Schema({
             enum: ['wifi', 'cellular', 'unknown'],
             default: 'unknown'
         }
+    },
+
+    // 📶 Computed from participants' quality samples when the call ends
+    qualitySummary: {
+        rating: {
+            type: String,
+            enum: ['excellent', 'good', 'poor', 'failed']
+        },
+        failed: Boolean,
+        sampleCount: Number,
+        avgBitrate: Number, // kbps
+        avgPacketLoss: Number, // %
+        avgJitter: Number, // ms
+        avgRtt: Number, // ms
+        participants: [{
+            _id: false,
+            user: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            sampleCount: Number,
+            avgBitrate: Number,
+            avgPacketLoss: Number,
+            maxPacketLoss: Number,
+            avgJitter: Number,
+            avgRtt: Number,
+            maxRtt: Number,
+            deviceType: String,
+            connectionType: String,
+            rating: String
+        }],
+        computedAt: Date
     }
 }, {
     timestamps: true,
@@ -99,6 +155,7 @@ CallSchema.index({ initiator: 1, initiatedAt: -1 });
 CallSchema.index({ participants: 1, initiatedAt: -1 });
 CallSchema.index({ chatId: 1, initiatedAt: -1 });
 CallSchema.index({ status: 1, initiatedAt: -1 });
+CallSchema.index({ chatId: 1, isGroupCall: 1, status: 1 });
 
 // Virtual for call duration in readable format
 CallSchema.virtual('formattedDuration').get(function () {
@@ -114,6 +171,13 @@ CallSchema.virtual('wasAnswered').get(function () {
     return this.status === 'active' || this.status === 'ended';
 });
 
+// Virtual listing group call participants who actually joined
+CallSchema.virtual('joinedParticipants').get(function () {
+    return (this.participantStates || [])
+        .filter(p => p.joinedAt)
+        .map(p => p.user);
+});
+
 // Virtual to check if call is ongoing
 CallSchema.virtual('isOngoing').get(function () {
     return ['initiated', 'ringing', 'connecting', 'active'].includes(this.status);
@@ -128,26 +192,47 @@ CallSchema.pre('save', function (next) {
 });
 
 // Static methods
-CallSchema.statics.getCallHistory = function (userId, limit = 20, page = 1) {
+// Finished calls of a user, optionally narrowed by direction (incoming/outgoing), call type and status
+CallSchema.statics.historyFilter = function (userId, { direction, callType, status } = {}) {
+    const filter = {
+        participants: userId,
+        status: status ? status : { $in: ['ended', 'declined', 'missed', 'failed'] }
+    };
+
+    if (direction === 'outgoing') filter.initiator = userId;
+    if (direction === 'incoming') filter.initiator = { $ne: userId };
+    if (callType) filter.callType = callType;
+
+    return filter;
+};
+
+CallSchema.statics.getCallHistory = function (userId, limit = 20, page = 1, filters = {}) {
     const skip = (page - 1) * limit;
 
-    return this.find({
-        participants: userId,
-        status: { $in: ['ended', 'declined', 'missed'] }
-    })
+    return this.find(this.historyFilter(userId, filters))
         .populate('participants', 'username fullName profileImageUrl')
+        .populate('participantStates.user', 'username fullName profileImageUrl')
         .populate('initiator', 'username fullName profileImageUrl')
         .sort({ initiatedAt: -1 })
         .skip(skip)
         .limit(limit);
 };
 
+// A user is in a 1:1 call while it's ongoing, but only in a group call while they've joined it
+CallSchema.statics.activeCallFilter = function (userId) {
+    return {
+        status: { $in: ['initiated', 'ringing', 'connecting', 'active'] },
+        $or: [
+            { isGroupCall: { $ne: true }, participants: userId },
+            { isGroupCall: true, participantStates: { $elemMatch: { user: userId, state: 'joined' } } }
+        ]
+    };
+};
+
 CallSchema.statics.getActiveCall = function (userId) {
-    return this.findOne({
-        participants: userId,
-        status: { $in: ['initiated', 'ringing', 'connecting', 'active'] }
-    })
+    return this.findOne(this.activeCallFilter(userId))
         .populate('participants', 'username fullName profileImageUrl')
+        .populate('participantStates.user', 'username fullName profileImageUrl')
         .populate('initiator', 'username fullName profileImageUrl');
 };
 
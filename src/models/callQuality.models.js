@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+
+// Ratings from a participant's average packet loss (%), jitter (ms) and RTT (ms)
+const QUALITY_THRESHOLDS = {
+    excellent: { packetLoss: 1, jitter: 20, rtt: 150 },
+    good: { packetLoss: 3, jitter: 50, rtt: 300 }
+};
+
+const QUALITY_RANK = ['failed', 'poor', 'good', 'excellent'];
+
+const CallQualitySampleSchema = new mongoose.Schema({
+    callId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Call',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    bitrate: Number, // kbps
+    packetLoss: Number, // %
+    jitter: Number, // ms
+    rtt: Number, // ms
+    deviceType: {
+        type: String,
+        enum: ['web', 'android', 'ios', 'other'],
+        default: 'other'
+    },
+    connectionType: {
+        type: String,
+        enum: ['wifi', 'cellular', 'unknown'],
+        default: 'unknown'
+    },
+    sampledAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { timestamps: true });
+
+CallQualitySampleSchema.index({ callId: 1, userId: 1, sampledAt: 1 });
+// Raw samples are only needed until the call's summary is computed and for a while after
+CallQualitySampleSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const rateQuality = ({ avgPacketLoss, avgJitter, avgRtt }) => {
+    const within = ({ packetLoss, jitter, rtt }) =>
+        (avgPacketLoss ?? 0) <= packetLoss && (avgJitter ?? 0) <= jitter && (avgRtt ?? 0) <= rtt;
+
+    if (within(QUALITY_THRESHOLDS.excellent)) return 'excellent';
+    if (within(QUALITY_THRESHOLDS.good)) return 'good';
+    return 'poor';
+};
+
+const round = (value, digits = 1) => value == null ? null : Number(value.toFixed(digits));
+
+/**
+ * Per-participant averages for a call, plus call-wide averages
+ * The call's rating is its worst participant's rating
+ */
+CallQualitySampleSchema.statics.summarize = async function (callId) {
+    const perUser = await this.aggregate([
+        { $match: { callId: new mongoose.Types.ObjectId(callId) } },
+        { $sort: { sampledAt: 1 } },
+        {
+            $group: {
+                _id: '$userId',
+                sampleCount: { $sum: 1 },
+                avgBitrate: { $avg: '$bitrate' },
+                avgPacketLoss: { $avg: '$packetLoss' },
+                maxPacketLoss: { $max: '$packetLoss' },
+                avgJitter: { $avg: '$jitter' },
+                avgRtt: { $avg: '$rtt' },
+                maxRtt: { $max: '$rtt' },
+                deviceType: { $last: '$deviceType' },
+                connectionType: { $last: '$connectionType' }
+            }
+        }
+    ]);
+
+    const participants = perUser.map(stats => ({
+        user: stats._id,
+        sampleCount: stats.sampleCount,
+        avgBitrate: round(stats.avgBitrate),
+        avgPacketLoss: round(stats.avgPacketLoss, 2),
+        maxPacketLoss: round(stats.maxPacketLoss, 2),
+        avgJitter: round(stats.avgJitter),
+        avgRtt: round(stats.avgRtt),
+        maxRtt: round(stats.maxRtt),
+        deviceType: stats.deviceType,
+        connectionType: stats.connectionType,
+        rating: rateQuality(stats)
+    }));
+
+    const sampleCount = participants.reduce((sum, p) => sum + p.sampleCount, 0);
+    // Sample-weighted so a participant who was on for longer counts for more
+    const weighted = (field) => {
+        const rows = participants.filter(p => p[field] != null);
+        const samples = rows.reduce((sum, p) => sum + p.sampleCount, 0);
+        return samples ? rows.reduce((sum, p) => sum + p[field] * p.sampleCount, 0) / samples : null;
+    };
+
+    return {
+        sampleCount,
+        avgBitrate: round(weighted('avgBitrate')),
+        avgPacketLoss: round(weighted('avgPacketLoss'), 2),
+        avgJitter: round(weighted('avgJitter')),
+        avgRtt: round(weighted('avgRtt')),
+        rating: participants.length
+            ? participants.map(p => p.rating).sort((a, b) => QUALITY_RANK.indexOf(a) - QUALITY_RANK.indexOf(b))[0]
+            : null,
+        participants
+    };
+};
+
+export default mongoose.model('CallQualitySample', CallQualitySampleSchema);
@@ -57,15 +57,46 @@ const ChatSchema = new mongoose.Schema({
         default: Date.now
     },
 
-    // 🔕 Mute settings
+    // 🔕 Mute settings - muted users get no push notifications, mutedUntil null = muted forever
     mutedBy: [{
+        _id: false,
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        mutedUntil: {
+            type: Date,
+            default: null
+        },
+        mutedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+
+    // ⏳ Disappearing messages - duration in seconds, 0 = off. Applies to messages sent after it was set
+    disappearingMessages: {
+        duration: {
+            type: Number,
+            default: 0
+        },
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        updatedAt: Date
+    },
+
+    // 🗄 Users who archived this chat (hidden from their main chat list)
+    archivedBy: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     }],
 
-    // 📍 Pinned messages
+    // 📍 Pinned messages (in pin order, oldest first)
     pinnedMessages: [{
-        type: mongoose.Schema.Types.ObjectId
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
     }],
 
     // 🚫 Blocked users (for group chats)
@@ -97,6 +128,7 @@ ChatSchema.index({ participants: 1 });
 ChatSchema.index({ chatType: 1 });
 ChatSchema.index({ status: 1 });
 ChatSchema.index({ lastMessageAt: -1 });
+ChatSchema.index({ archivedBy: 1 });
 ChatSchema.index({ 'messages.timestamp': -1 });
 
 // 🔄 Virtual for unread count
@@ -17,9 +17,24 @@ const DeviceSchema = new mongoose.Schema({
         enum: ['web', 'android', 'ios', 'other'],
         default: 'other'
     },
+    deviceName: String,
     browser: String,
     os: String,
     ipAddress: String,
+    userAgent: String,
+    // Session ID carried as `sid` in this device's access and refresh tokens
+    sessionId: {
+        type: String,
+        index: true
+    },
+    // SHA-256 of the current refresh token - rotated on every refresh
+    refreshTokenHash: {
+        type: String,
+        select: false
+    },
+    accessTokenExpiresAt: Date,
+    refreshTokenExpiresAt: Date,
+    lastLoginAt: Date,
     lastUsedAt: {
         type: Date,
         default: Date.now
@@ -27,7 +42,14 @@ const DeviceSchema = new mongoose.Schema({
     isLoggedIn: {
         type: Boolean,
         default: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
     }
-});
+}, { timestamps: true });
+
+// One record per device per user
+DeviceSchema.index({ userId: 1, deviceId: 1 }, { unique: true });
 
 export default mongoose.model('Device', DeviceSchema);
@@ -1,5 +1,18 @@
 import mongoose from 'mongoose';
 
+const DraftMediaSchema = new mongoose.Schema({
+    url: String,
+    thumbnailUrl: String,
+    type: { type: String, enum: ['image', 'video'] },
+    duration: Number,
+    fileSize: Number,
+    format: String,
+    dimensions: {
+        width: Number,
+        height: Number
+    }
+}, { _id: false });
+
 const DraftSchema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -12,17 +25,33 @@ const DraftSchema = new mongoose.Schema({
         enum: ['Post', 'Reel', 'Story'],
         required: true
     },
+    // Post fields used when the draft is published
+    postType: {
+        type: String,
+        enum: ['photo', 'reel', 'video', 'story']
+    },
+    contentType: {
+        type: String,
+        enum: ['normal', 'product', 'service', 'business'],
+        default: 'normal'
+    },
     content: {
         type: String,
         trim: true
     },
-    media: [{
-        url: String,
-        type: { type: String, enum: ['image', 'video'] }
-    }],
+    description: String,
+    media: [DraftMediaSchema],
     taggedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-    location: String,
+    location: {
+        name: String,
+        address: String
+    },
     tags: [String],
+    mood: String,
+    activity: String,
+    // product / service / business details, validated on publish
+    details: mongoose.Schema.Types.Mixed,
+    settings: mongoose.Schema.Types.Mixed,
     createdAt: {
         type: Date,
         default: Date.now
@@ -34,4 +63,8 @@ const DraftSchema = new mongoose.Schema({
     }
 });
 
+DraftSchema.index({ userId: 1, updatedAt: -1 });
+// One autosave slot per user and type; the autosave upsert relies on it
+DraftSchema.index({ userId: 1, type: 1 }, { name: 'idx_user_autosave_draft', unique: true, partialFilterExpression: { isAutoSaved: true } });
+
 export default mongoose.model('Draft', DraftSchema);
@@ -1,5 +1,17 @@
 import mongoose from 'mongoose';
 
+// GeoJSON Point for nearby-event search
+const EventPointSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point'
+    },
+    coordinates: {
+        type: [Number] // [longitude, latitude]
+    }
+}, { _id: false });
+
 const EventSchema = new mongoose.Schema({
     title: {
         type: String,
@@ -11,23 +23,41 @@ const EventSchema = new mongoose.Schema({
         type: Date,
         required: true
     },
+    endDate: Date,
     location: String,
+    coordinates: EventPointSchema,
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: true,
         index: true
     },
+    // Set when the event is hosted by a business account
+    businessId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Business',
+        default: null
+    },
     media: [String], // Optional: image or flyer
     attendees: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    // People who RSVP'd after the event was full, in order
+    waitlist: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
     tags: [String],
     isOnline: { type: Boolean, default: false },
     eventUrl: String, // if online
     capacity: Number,
+    reminderSentAt: {
+        type: Date,
+        default: null
+    },
     createdAt: {
         type: Date,
         default: Date.now
-    }
+    },
+    updatedAt: Date
 });
 
+EventSchema.index({ coordinates: '2dsphere' });
+EventSchema.index({ date: 1 });
+
 export default mongoose.model('Event', EventSchema);
@@ -1,5 +1,16 @@
 import mongoose from 'mongoose';
 
+// One bucket per UTC day
+const InsightBucketSchema = new mongoose.Schema({
+    date: { type: Date, required: true },
+    views: { type: Number, default: 0 },
+    reach: { type: Number, default: 0 }, // new unique viewers that day
+    likes: { type: Number, default: 0 },
+    comments: { type: Number, default: 0 },
+    shares: { type: Number, default: 0 },
+    saves: { type: Number, default: 0 }
+}, { _id: false });
+
 const InsightSchema = new mongoose.Schema({
     postId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -8,6 +19,12 @@ const InsightSchema = new mongoose.Schema({
         unique: true,
         index: true
     },
+    // Post owner, for account-level insights
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
     views: {
         type: Number,
         default: 0
@@ -36,10 +53,11 @@ const InsightSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    daily: [InsightBucketSchema],
     updatedAt: {
         type: Date,
         default: Date.now
     }
 }, { timestamps: true });
 
-export default mongoose.model('Insight', InsightSchema);
\ No newline at end of file
+export default mongoose.model('Insight', InsightSchema);
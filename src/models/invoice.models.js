@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+const InvoiceSchema = new mongoose.Schema({
+    number: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    businessId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Business'
+    },
+    subscriptionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Subscription',
+        required: true
+    },
+    plan: {
+        type: String,
+        enum: ['plan2', 'plan3', 'plan4'],
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: ['checkout', 'renewal'],
+        required: true
+    },
+    amount: {
+        type: Number, // Smallest currency unit (paise)
+        required: true
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    status: {
+        type: String,
+        enum: ['paid', 'failed'],
+        required: true
+    },
+    periodStart: Date,
+    periodEnd: Date,
+    provider: String,
+    // Provider payment ID - unique so a replayed webhook can't bill twice
+    paymentId: {
+        type: String,
+        default: undefined
+    },
+    failureReason: String,
+    paidAt: Date
+}, { timestamps: true });
+
+InvoiceSchema.index({ paymentId: 1 }, { unique: true, sparse: true });
+InvoiceSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model('Invoice', InvoiceSchema);
@@ -19,18 +19,112 @@ const MessageSchema = new mongoose.Schema({
     },
     messageType: {
         type: String,
-        enum: ['text', 'image', 'video', 'file', 'audio', 'location'],
+        enum: ['text', 'image', 'video', 'file', 'audio', 'voice', 'location', 'system', 'share', 'call'],
         default: 'text'
     },
+    // Group events (member added, renamed, ...) posted as system messages; sender is the acting user
+    systemEvent: {
+        action: String,
+        targets: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }]
+    },
+    // Call summaries posted when a call finishes; sender is the caller
+    callEvent: {
+        callId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Call'
+        },
+        callType: {
+            type: String,
+            enum: ['voice', 'video']
+        },
+        outcome: {
+            type: String,
+            enum: ['ended', 'missed', 'declined', 'failed']
+        },
+        duration: Number, // seconds, for ended calls
+        isGroupCall: Boolean
+    },
     mediaUrl: String,
     fileName: String,
     fileSize: Number,
-    duration: Number, // for audio/video
+    duration: Number, // for audio/video, in seconds
+    // Voice notes / audio: peak levels (0-100) for drawing the waveform
+    waveform: {
+        type: [Number],
+        default: undefined
+    },
+    // Recipients who played a voice note
+    listenedBy: [{
+        _id: false,
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        listenedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     location: {
         latitude: Number,
         longitude: Number,
         address: String
     },
+    // Shared post / reel / story / business profile with a preview taken at share time
+    sharedContent: {
+        contentType: {
+            type: String,
+            enum: ['post', 'story', 'business']
+        },
+        contentId: mongoose.Schema.Types.ObjectId,
+        snapshot: {
+            ownerId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            username: String,
+            fullName: String,
+            profileImageUrl: String,
+            title: String,
+            caption: String,
+            postType: String,
+            mediaType: String,
+            thumbnailUrl: String,
+            expiresAt: Date // stories only
+        }
+    },
+    // Reply / emoji reaction to a story, with a preview of the story taken when it was sent
+    storyReference: {
+        storyId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Story'
+        },
+        ownerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        kind: {
+            type: String,
+            enum: ['reply', 'reaction']
+        },
+        emoji: String,
+        caption: String,
+        mediaType: String,
+        thumbnailUrl: String,
+        expiresAt: Date
+    },
+    // Forwarded copies point at the message they were forwarded from
+    isForwarded: {
+        type: Boolean,
+        default: false
+    },
+    forwardedFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+    },
     replyTo: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Message'
@@ -50,7 +144,17 @@ const MessageSchema = new mongoose.Schema({
         index: true
     },
     deletedAt: Date,
+    // Set when the chat had disappearing messages on; the message (and its media) is purged after this
+    expiresAt: Date,
     editedAt: Date,
+    // Previous versions of the text, oldest first; editedAt is when that version was replaced
+    editHistory: {
+        type: [{
+            message: String,
+            editedAt: Date
+        }],
+        select: false
+    },
     originalMessage: String, // Store original message for potential restoration
     reactions: [{
         user: {
@@ -70,10 +174,12 @@ const MessageSchema = new mongoose.Schema({
 });
 
 // Compound indexes for optimal query performance
-MessageSchema.index({ chatId: 1, timestamp: -1 }); // For message fetching
+MessageSchema.index({ chatId: 1, timestamp: -1, _id: -1 }, { name: 'idx_chat_messages_keyset' }); // Message fetching, pages sorted by timestamp with _id tiebreak
 MessageSchema.index({ chatId: 1, isDeleted: 1, timestamp: -1 }); // For non-deleted messages
 MessageSchema.index({ chatId: 1, isDeleted: 1, readBy: 1 }); // For unread count queries
 MessageSchema.index({ sender: 1, timestamp: -1 }); // For user's sent messages
+MessageSchema.index({ expiresAt: 1 }, { partialFilterExpression: { expiresAt: { $type: 'date' } } }); // Disappearing messages purge
+MessageSchema.index({ message: 'text' }, { name: 'idx_message_text', default_language: 'none' }); // Global chat search
 
 // Virtual for unread status (per user)
 MessageSchema.virtual('isUnread').get(function () {
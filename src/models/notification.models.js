@@ -10,11 +10,12 @@ const NotificationSchema = new mongoose.Schema({
     senderId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true
+        // Badge notifications come from the system, not from another user
+        required: function () { return this.type !== 'badge'; }
     },
     type: {
         type: String,
-        enum: ['like', 'unlike', 'comment', 'follow', 'mention', 'message', 'tag', 'storyView', 'others'],
+        enum: ['like', 'unlike', 'comment', 'follow', 'mention', 'message', 'tag', 'storyView', 'post', 'badge', 'missed_call', 'others'],
         required: true
     },
     message: {
@@ -31,6 +32,21 @@ const NotificationSchema = new mongoose.Schema({
         ref: 'Comment',
         default: null
     },
+    storyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Story',
+        default: null
+    },
+    callId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Call',
+        default: null
+    },
+    badgeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Badge',
+        default: null
+    },
     isRead: {
         type: Boolean,
         default: false
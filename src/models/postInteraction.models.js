@@ -30,6 +30,12 @@ const PostInteractionSchema = new mongoose.Schema({
         type: Number,
         default: 1
     },
+    // interactionCount split per UTC day ("YYYY-MM-DD" -> count), so repeat views land on the right day
+    dailyCounts: {
+        type: Map,
+        of: Number,
+        default: undefined
+    },
     isHidden: {
         type: Boolean,
         default: false
@@ -43,6 +49,9 @@ PostInteractionSchema.index({ userId: 1, postId: 1, interactionType: 1 });
 PostInteractionSchema.index({ userId: 1, lastInteracted: -1 });
 PostInteractionSchema.index({ postId: 1, interactionType: 1 });
 
+// Key for dailyCounts, e.g. $inc: { [`dailyCounts.${PostInteraction.dayKey()}`]: 1 }
+PostInteractionSchema.statics.dayKey = (date = new Date()) => date.toISOString().slice(0, 10);
+
 // TTL index to automatically remove old interactions after 90 days
 PostInteractionSchema.index({ lastInteracted: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
 
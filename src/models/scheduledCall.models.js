@@ -0,0 +1,105 @@
+import mongoose from 'mongoose';
+
+const ScheduledCallSchema = new mongoose.Schema({
+    // 💬 Chat the call is booked in - 1:1 calls ring the other person, group calls ring the group
+    chatId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Chat',
+        required: true,
+        index: true
+    },
+
+    // 👤 Who booked the call (becomes the caller at the scheduled time)
+    organizer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // 🙋 Everyone else in the chat when it was booked, with their RSVP
+    invitees: [{
+        _id: false,
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        response: {
+            type: String,
+            enum: ['pending', 'accepted', 'declined'],
+            default: 'pending'
+        },
+        respondedAt: Date
+    }],
+
+    callType: {
+        type: String,
+        enum: ['voice', 'video'],
+        required: true
+    },
+
+    title: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+
+    scheduledAt: {
+        type: Date,
+        required: true
+    },
+
+    // scheduled → started (ringing via the normal call flow) | declined (every invitee said no) | cancelled | failed
+    status: {
+        type: String,
+        enum: ['scheduled', 'started', 'declined', 'cancelled', 'failed'],
+        default: 'scheduled'
+    },
+
+    reminderSentAt: {
+        type: Date,
+        default: null
+    },
+
+    // The live call created at the scheduled time
+    callId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Call',
+        default: null
+    },
+
+    startedAt: Date,
+    cancelledAt: Date,
+    failureReason: String
+}, { timestamps: true });
+
+ScheduledCallSchema.index({ status: 1, scheduledAt: 1 });
+ScheduledCallSchema.index({ organizer: 1, scheduledAt: 1 });
+ScheduledCallSchema.index({ 'invitees.user': 1, scheduledAt: 1 });
+
+// Upcoming scheduled calls a user organizes or is invited to
+ScheduledCallSchema.statics.upcomingFilter = function (userId, { direction, callType } = {}) {
+    const filter = {
+        status: 'scheduled',
+        scheduledAt: { $gt: new Date() }
+    };
+
+    if (direction === 'outgoing') {
+        filter.organizer = userId;
+    } else if (direction === 'incoming') {
+        filter['invitees.user'] = userId;
+    } else {
+        filter.$or = [{ organizer: userId }, { 'invitees.user': userId }];
+    }
+    if (callType) filter.callType = callType;
+
+    return filter;
+};
+
+export default mongoose.model('ScheduledCall', ScheduledCallSchema);
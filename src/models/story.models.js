@@ -24,6 +24,39 @@ const StorySchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     }],
+    // Users @mentioned in the caption (only those who can see the story)
+    mentions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // Quick emoji reactions, one per user
+    reactions: [{
+        _id: false,
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        emoji: {
+            type: String,
+            required: true
+        },
+        reactedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Set when a mentioned user reshares the story to their own
+    resharedFrom: {
+        story: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Story'
+        },
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
     isArchived: {
         type: Boolean,
         default: false
@@ -34,6 +67,12 @@ const StorySchema = new mongoose.Schema({
     }
 }, { timestamps: true });
 
+// A mentioned user can reshare a story only once
+StorySchema.index(
+    { 'resharedFrom.story': 1, userId: 1 },
+    { unique: true, partialFilterExpression: { 'resharedFrom.story': { $exists: true } } }
+);
+
 // Auto-expire stories after 24 hours (in code logic, not schema itself)
 
 export default mongoose.model('Story', StorySchema);
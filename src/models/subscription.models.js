@@ -6,25 +6,36 @@ const SubscriptionSchema = new mongoose.Schema({
         ref: 'User',
         required: true,
         index: true,
-        unique: true // One active subscription per user (unless you support multiple)
+        unique: true // One subscription document per user, reused across checkouts
+    },
+    businessId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Business',
+        required: true
     },
     plan: {
         type: String,
         required: true,
-        enum: ['free', 'basic', 'pro', 'premium', 'business'] // define your tiers
+        enum: ['plan1', 'plan2', 'plan3', 'plan4'] // Same tiers as Business.plan
     },
     startDate: {
         type: Date,
         default: Date.now
     },
+    currentPeriodStart: Date,
     endDate: {
         type: Date,
         required: true
     },
+    // pending: waiting for first payment, past_due: renewal failed and in grace period
     status: {
         type: String,
-        enum: ['active', 'expired', 'cancelled'],
-        default: 'active'
+        enum: ['pending', 'active', 'past_due', 'cancelled', 'expired'],
+        default: 'pending'
+    },
+    graceEndsAt: {
+        type: Date,
+        default: null
     },
     paymentId: {
         type: String,
@@ -33,7 +44,41 @@ const SubscriptionSchema = new mongoose.Schema({
     autoRenew: {
         type: Boolean,
         default: true
+    },
+    // Payment provider details
+    provider: {
+        type: String,
+        default: null
+    },
+    providerCustomerRef: {
+        type: String,
+        default: null // Saved payment method / customer at the provider, used for renewals
+    },
+    // Open checkout, cleared once the provider confirms or fails it
+    checkout: {
+        checkoutId: { type: String, default: null },
+        plan: { type: String, enum: ['plan2', 'plan3', 'plan4'], default: null },
+        startedAt: { type: Date, default: null }
+    },
+    renewalAttempts: {
+        type: Number,
+        default: 0
+    },
+    nextRenewalAttemptAt: {
+        type: Date,
+        default: null
+    },
+    cancelledAt: {
+        type: Date,
+        default: null
+    },
+    expiredAt: {
+        type: Date,
+        default: null
     }
 }, { timestamps: true });
 
+SubscriptionSchema.index({ status: 1, endDate: 1 });
+SubscriptionSchema.index({ 'checkout.checkoutId': 1 }, { sparse: true });
+
 export default mongoose.model('Subscription', SubscriptionSchema);
@@ -1,6 +1,7 @@
 import mongoose from "mongoose";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
+import crypto from "crypto";
 
 const UserSchema = new mongoose.Schema({
     uid: { type: String, required: true, unique: true },
@@ -83,13 +84,15 @@ UserSchema.methods.isPasswordCorrect = async function (password) {
 };
 
 // 🔐 Access Token
-UserSchema.methods.generateAccessToken = function () {
+// sessionId ties the token to a Device session so it can be revoked
+UserSchema.methods.generateAccessToken = function (sessionId) {
     return jwt.sign(
         {
             _id: this._id,
             email: this.email,
             username: this.username,
-            fullName: this.fullName
+            fullName: this.fullName,
+            ...(sessionId ? { sid: sessionId } : {})
         },
         process.env.ACCESS_TOKEN_SECRET,
         {
@@ -99,10 +102,11 @@ UserSchema.methods.generateAccessToken = function () {
 };
 
 // 🔐 Refresh Token
-UserSchema.methods.generateRefreshToken = function () {
+UserSchema.methods.generateRefreshToken = function (sessionId) {
     return jwt.sign(
         {
-            _id: this._id
+            _id: this._id,
+            ...(sessionId ? { sid: sessionId, jti: crypto.randomUUID() } : {})
         },
         process.env.REFRESH_TOKEN_SECRET,
         {
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+const UserBadgeSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    badgeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Badge',
+        required: true
+    },
+    source: {
+        type: String,
+        enum: ['automatic', 'manual'],
+        default: 'automatic'
+    },
+    awardedAt: {
+        type: Date,
+        default: Date.now
+    },
+    awardedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null // null when awarded by the evaluator
+    },
+    // Revoked badges are kept so the evaluator doesn't award them again
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    }
+});
+
+UserBadgeSchema.index({ userId: 1, badgeId: 1 }, { unique: true });
+UserBadgeSchema.index({ badgeId: 1, revokedAt: 1 });
+
+export default mongoose.model('UserBadge', UserBadgeSchema);
@@ -299,7 +299,7 @@ const PostSchema = new mongoose.Schema({
 });
 
 // 🏷 Auto-extract hashtags
-function extractHashtags(text) {
+export function extractHashtags(text) {
     const regex = /#(\w+)/g;
     const tags = new Set();
     let match;
@@ -27,9 +27,21 @@ import {
     getBusinessVerificationHistory,
     verifyBusinessDocument,
 
+    // Ad Campaign Management
+    getAdCampaigns,
+    reviewAdCampaign,
+
+    // Badge Management
+    getAllBadges,
+    createBadge,
+    updateBadge,
+    grantBadge,
+    revokeBadge,
+
     // Analytics & Dashboard
     getDashboardStats,
     getAdminActivityLog,
+    getCallQualityReport,
 
     // Super Admin Functions
     createAdmin,
@@ -60,6 +72,7 @@ router.route("/logout").post(adminLogout);
 // Dashboard & Analytics
 router.route("/dashboard/stats").get(requirePermission('viewAnalytics'), getDashboardStats);
 router.route("/activity-log").get(getAdminActivityLog);
+router.route("/calls/quality-report").get(requirePermission('viewAnalytics'), getCallQualityReport);
 
 // ===============================
 // AADHAAR VERIFICATION ROUTES
@@ -148,6 +161,35 @@ router.route("/businesses/:businessId/documents/:documentId/verify").post(
     verifyBusinessDocument
 );
 
+// ===============================
+// AD CAMPAIGN MANAGEMENT ROUTES
+// ===============================
+router.route("/ads").get(
+    requirePermission('manageBusiness'),
+    getAdCampaigns
+);
+
+router.route("/ads/:adId/review").post(
+    requirePermission('manageBusiness'),
+    reviewAdCampaign
+);
+
+// ===============================
+// BADGE MANAGEMENT ROUTES
+// ===============================
+router.route("/badges")
+    .get(requirePermission('manageUsers'), getAllBadges)
+    .post(requirePermission('manageUsers'), createBadge);
+
+router.route("/badges/:badgeId").put(
+    requirePermission('manageUsers'),
+    updateBadge
+);
+
+router.route("/users/:userId/badges/:badgeId")
+    .post(requirePermission('manageUsers'), grantBadge)
+    .delete(requirePermission('manageUsers'), revokeBadge);
+
 // ===============================
 // ADMIN MANAGEMENT ROUTES
 // ===============================
@@ -0,0 +1,27 @@
+import { Router } from "express";
+import { upload } from "../middlewares/multerConfig.js";
+import { verifyJWT, optionalVerifyJWT } from "../middlewares/auth.middleware.js";
+import {
+    createCampaign,
+    getMyCampaigns,
+    getCampaignById,
+    pauseCampaign,
+    resumeCampaign,
+    trackAdClick
+} from "../controllers/advertisement.controllers.js";
+
+const router = Router();
+
+// Business campaign management
+router.route("/")
+    .post(upload.single("media"), verifyJWT, createCampaign)
+    .get(verifyJWT, getMyCampaigns);
+
+router.route("/:adId").get(verifyJWT, getCampaignById);
+router.route("/:adId/pause").patch(verifyJWT, pauseCampaign);
+router.route("/:adId/resume").patch(verifyJWT, resumeCampaign);
+
+// Click tracking for ad slots served in feeds (logged-out viewers too)
+router.route("/:adId/click").post(optionalVerifyJWT, trackAdClick);
+
+export default router;
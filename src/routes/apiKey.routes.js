@@ -0,0 +1,19 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import {
+    createApiKey,
+    getApiKeys,
+    rotateApiKey,
+    revokeApiKey
+} from "../controllers/apiKey.controllers.js";
+
+const router = Router();
+
+// Keys are managed with a user session only - an API key can't create or revoke keys
+router.use(verifyJWT);
+
+router.route("/").post(createApiKey).get(getApiKeys);
+router.route("/:keyId/rotate").post(rotateApiKey);
+router.route("/:keyId").delete(revokeApiKey);
+
+export default router;
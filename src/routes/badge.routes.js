@@ -0,0 +1,10 @@
+import { Router } from "express";
+import { optionalVerifyJWT } from "../middlewares/auth.middleware.js";
+import { getBadges } from "../controllers/badge.controllers.js";
+
+const router = Router();
+
+// Catalog of active badges (awarded automatically or granted by admins)
+router.route("/").get(optionalVerifyJWT, getBadges);
+
+export default router;
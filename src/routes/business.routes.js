@@ -1,6 +1,7 @@
 import { Router } from "express";
 import { verifyJWT, optionalVerifyJWT } from "../middlewares/auth.middleware.js";
 import { upload } from "../middlewares/multerConfig.js";
+import { requirePlanFeature } from "../middlewares/planLimits.middleware.js";
 import {
     switchTobusinessprofile,
     switchToPersonalAccount,
@@ -38,7 +39,7 @@ router.route("/create").post(optionalVerifyJWT, createBusinessProfile);
 // Delete business profile
 router.route("/delete").delete(optionalVerifyJWT, deleteBusinessProfile);
 
-// Select business plan
+// Select business plan (starts a checkout - see /api/v1/subscriptions)
 router.route("/select-plan").post(optionalVerifyJWT, selectBusinessPlan);
 
 // Get authenticated user's business profile
@@ -57,7 +58,7 @@ router.route("/categories").get(getBusinessCategories);
 router.route("/my-category").get(optionalVerifyJWT, getMyBusinessCategory);
 
 // 📍 Live location endpoints
-router.route("/live-location").patch(verifyJWT, updateLiveLocation);
+router.route("/live-location").patch(verifyJWT, requirePlanFeature("liveLocation"), updateLiveLocation);
 router.route("/toggle-live-location").post(verifyJWT, toggleLiveLocation);
 router.route("/nearby").get(getNearbyBusinesses);
 
@@ -8,8 +8,19 @@ import {
     getCallHistory,
     getActiveCall,
     getCallStats,
-    forceEndActiveCalls
+    forceEndActiveCalls,
+    joinCall,
+    leaveCall,
+    callBack,
+    recordCallQuality
 } from '../controllers/call.controllers.js';
+import {
+    createScheduledCall,
+    getScheduledCalls,
+    acceptScheduledCall,
+    declineScheduledCall,
+    cancelScheduledCall
+} from '../controllers/scheduledCall.controllers.js';
 import { verifyJWT } from '../middlewares/auth.middleware.js';
 
 const router = Router();
@@ -23,8 +34,19 @@ router.patch('/:callId/accept', acceptCall); // PATCH /api/v1/calls/:callId/acce
 router.patch('/:callId/decline', declineCall); // PATCH /api/v1/calls/:callId/decline
 router.patch('/:callId/end', endCall);     // PATCH /api/v1/calls/:callId/end
 router.patch('/:callId/status', updateCallStatus); // PATCH /api/v1/calls/:callId/status
+router.patch('/:callId/join', joinCall);   // PATCH /api/v1/calls/:callId/join (group calls, late joiners)
+router.patch('/:callId/leave', leaveCall); // PATCH /api/v1/calls/:callId/leave (group calls)
+router.post('/:callId/call-back', callBack); // POST /api/v1/calls/:callId/call-back (redial from call history)
+router.post('/:callId/quality', recordCallQuality); // POST /api/v1/calls/:callId/quality (quality samples during a call)
 router.post('/force-end-active', forceEndActiveCalls); // POST /api/v1/calls/force-end-active (cleanup stuck calls)
 
+// Scheduled call routes
+router.post('/scheduled', createScheduledCall);                              // POST /api/v1/calls/scheduled
+router.get('/scheduled', getScheduledCalls);                                 // GET /api/v1/calls/scheduled?status=upcoming|past
+router.patch('/scheduled/:scheduledCallId/accept', acceptScheduledCall);     // PATCH /api/v1/calls/scheduled/:scheduledCallId/accept
+router.patch('/scheduled/:scheduledCallId/decline', declineScheduledCall);   // PATCH /api/v1/calls/scheduled/:scheduledCallId/decline
+router.patch('/scheduled/:scheduledCallId/cancel', cancelScheduledCall);     // PATCH /api/v1/calls/scheduled/:scheduledCallId/cancel
+
 // Call data routes
 router.get('/history', getCallHistory);                    // GET /api/v1/calls/history
 router.get('/active', getActiveCall);                      // GET /api/v1/calls/active
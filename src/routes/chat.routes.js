@@ -16,7 +16,30 @@ import {
     getOnlineStatus,
     searchMessages,
     acceptChatRequest,
-    declineChatRequest
+    declineChatRequest,
+    addGroupParticipants,
+    removeGroupParticipant,
+    leaveGroup,
+    promoteGroupAdmin,
+    demoteGroupAdmin,
+    renameGroup,
+    updateGroupDescription,
+    updateGroupImage,
+    addReaction,
+    changeReaction,
+    removeReaction,
+    editMessage,
+    pinMessage,
+    unpinMessage,
+    getPinnedMessages,
+    muteChat,
+    unmuteChat,
+    archiveChat,
+    unarchiveChat,
+    shareContent,
+    forwardMessage,
+    setDisappearingMessages,
+    searchAllMessages
 } from '../controllers/chat.controllers.js';
 
 const router = express.Router();
@@ -30,13 +53,38 @@ router.use(chatRateLimit);
 // Create a new chat (1-on-1 or group)
 router.post('/', createChat);
 
-// Get all chats for a user
+// Search messages across all chats (registered before the /:chatId routes)
+router.get('/messages/search', searchAllMessages);
+
+// Share a post, reel, story or business profile into chats
+router.post('/share', shareContent);
+
+// Get all chats for a user (?archived=true for archived chats)
 router.get('/', getUserChats);
 
 // Chat request management
 router.patch('/:chatId/accept', acceptChatRequest);
 router.patch('/:chatId/decline', declineChatRequest);
 
+// Per-user mute and archive
+router.patch('/:chatId/mute', muteChat);
+router.patch('/:chatId/unmute', unmuteChat);
+router.patch('/:chatId/archive', archiveChat);
+router.patch('/:chatId/unarchive', unarchiveChat);
+
+// Disappearing messages timer (off, 24h, 7d, 90d)
+router.patch('/:chatId/disappearing', setDisappearingMessages);
+
+// Group administration (admin only, except leaving)
+router.post('/:chatId/participants', addGroupParticipants);
+router.delete('/:chatId/participants/:userId', removeGroupParticipant);
+router.post('/:chatId/leave', leaveGroup);
+router.post('/:chatId/admins/:userId', promoteGroupAdmin);
+router.delete('/:chatId/admins/:userId', demoteGroupAdmin);
+router.patch('/:chatId/name', renameGroup);
+router.patch('/:chatId/description', updateGroupDescription);
+router.patch('/:chatId/image', upload.single('groupImage'), updateGroupImage);
+
 // Get messages for a chat
 router.get('/:chatId/messages', getChatMessages);
 
@@ -52,12 +100,28 @@ router.patch('/:chatId/read', markMessagesRead);
 // Mark all messages in a chat as read
 router.patch('/:chatId/read-all', markChatAsRead);
 
+// Forward a message to other chats
+router.post('/:chatId/messages/:messageId/forward', forwardMessage);
+
+// Edit a text message (sender only, within the edit window)
+router.patch('/:chatId/messages/:messageId', editMessage);
+
 // Delete a message
 router.delete('/:chatId/messages/:messageId', deleteMessage);
 
 // Restore a deleted message
 router.patch('/:chatId/messages/:messageId/restore', restoreMessage);
 
+// Message reactions
+router.post('/:chatId/messages/:messageId/reactions', addReaction);
+router.patch('/:chatId/messages/:messageId/reactions', changeReaction);
+router.delete('/:chatId/messages/:messageId/reactions', removeReaction);
+
+// Pinned messages
+router.get('/:chatId/pinned', getPinnedMessages);
+router.post('/:chatId/messages/:messageId/pin', pinMessage);
+router.delete('/:chatId/messages/:messageId/pin', unpinMessage);
+
 // Typing indicators
 router.post('/:chatId/typing/start', startTyping);
 router.post('/:chatId/typing/stop', stopTyping);
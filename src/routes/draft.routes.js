@@ -0,0 +1,39 @@
+import { Router } from "express";
+import { upload } from "../middlewares/multerConfig.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { enforcePostQuota } from "../middlewares/planLimits.middleware.js";
+import {
+    createDraft,
+    autosaveDraft,
+    getDrafts,
+    getDraftById,
+    updateDraft,
+    deleteDraft,
+    publishDraft
+} from "../controllers/draft.controllers.js";
+
+const router = Router();
+
+// Same media fields as the /posts/create/* routes
+const mediaUpload = upload.fields([
+    { name: "image", maxCount: 10 },
+    { name: "video", maxCount: 10 },
+    { name: "reel", maxCount: 10 },
+    { name: "story", maxCount: 10 },
+    { name: "thumbnail", maxCount: 1 },
+]);
+
+router.route("/").post(mediaUpload, verifyJWT, createDraft).get(verifyJWT, getDrafts);
+
+// Autosave (upserts the user's autosave draft when no draftId is given)
+router.route("/autosave").put(mediaUpload, verifyJWT, autosaveDraft);
+
+router.route("/:draftId")
+    .get(verifyJWT, getDraftById)
+    .patch(mediaUpload, verifyJWT, updateDraft)
+    .delete(verifyJWT, deleteDraft);
+
+// Publish a draft as a normal, product, service or business post
+router.route("/:draftId/publish").post(verifyJWT, enforcePostQuota, publishDraft);
+
+export default router;
@@ -0,0 +1,40 @@
+import { Router } from "express";
+import { upload } from "../middlewares/multerConfig.js";
+import { verifyJWT, optionalVerifyJWT } from "../middlewares/auth.middleware.js";
+import { getBlockedUsers as getBlockedUsersMiddleware } from "../middlewares/blocking.middleware.js";
+import {
+    createEvent,
+    updateEvent,
+    deleteEvent,
+    getEventById,
+    getUpcomingEvents,
+    getMyEvents,
+    getNearbyEvents,
+    rsvpEvent,
+    cancelRsvp,
+    exportEventICS
+} from "../controllers/event.controllers.js";
+
+const router = Router();
+
+router.route("/")
+    .post(upload.array("media", 5), verifyJWT, createEvent)
+    .get(optionalVerifyJWT, getBlockedUsersMiddleware, getUpcomingEvents);
+
+router.route("/nearby").get(optionalVerifyJWT, getBlockedUsersMiddleware, getNearbyEvents);
+router.route("/me").get(verifyJWT, getMyEvents);
+
+router.route("/:eventId")
+    .get(optionalVerifyJWT, getEventById)
+    .patch(upload.array("media", 5), verifyJWT, updateEvent)
+    .delete(verifyJWT, deleteEvent);
+
+// RSVP (joins the waitlist when the event is full)
+router.route("/:eventId/rsvp")
+    .post(verifyJWT, getBlockedUsersMiddleware, rsvpEvent)
+    .delete(verifyJWT, cancelRsvp);
+
+// iCalendar export
+router.route("/:eventId/ics").get(exportEventICS);
+
+export default router;
@@ -0,0 +1,14 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { getBlockedUsers as getBlockedUsersMiddleware } from "../middlewares/blocking.middleware.js";
+import { getTrendingHashtags, getHashtagPosts } from "../controllers/hashtag.controllers.js";
+
+const router = Router();
+
+router.use(verifyJWT);
+
+// Trending must come before /:tag
+router.route("/trending").get(getTrendingHashtags);
+router.route("/:tag").get(getBlockedUsersMiddleware, getHashtagPosts);
+
+export default router;
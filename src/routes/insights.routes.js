@@ -0,0 +1,18 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import {
+    getPostInsights,
+    getAccountInsights,
+    getTopPosts
+} from "../controllers/insights.controllers.js";
+
+const router = Router();
+
+router.use(verifyJWT);
+
+// Creator analytics (?from, ?to, ?interval=day|week|month)
+router.route("/posts/:postId").get(getPostInsights);
+router.route("/account").get(getAccountInsights);
+router.route("/account/top-posts").get(getTopPosts);
+
+export default router;
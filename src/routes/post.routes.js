@@ -1,9 +1,10 @@
 // routes/post.routes.js
 import { Router } from "express";
 import { upload } from "../middlewares/multerConfig.js";
-import { verifyJWT, optionalVerifyJWT } from "../middlewares/auth.middleware.js";
+import { verifyJWT, optionalVerifyJWT, verifyJWTOrApiKey } from "../middlewares/auth.middleware.js";
 import { getBlockedUsers as getBlockedUsersMiddleware } from "../middlewares/blocking.middleware.js";
 import { cacheUserFeed } from "../middlewares/cache.middleware.js";
+import { enforcePostQuota } from "../middlewares/planLimits.middleware.js";
 import {
     createNormalPost,
     createProductPost,
@@ -14,6 +15,10 @@ import {
     getPostById,
     deleteContent,
     editPost,
+    schedulePost,
+    getScheduledPosts,
+    reschedulePost,
+    cancelScheduledPost,
 } from "../controllers/post.controllers.js";
 import { getHomeFeed } from "../controllers/homeFeed.controllers.js";
 import { likePost, unlikePost, likeComment, unlikeComment } from "../controllers/like.controllers.js";
@@ -36,14 +41,14 @@ const mediaUpload = upload.fields([
     { name: "thumbnail", maxCount: 1 },
 ]);
 
-router.route("/create/normal").post(mediaUpload, verifyJWT, createNormalPost);
-router.route("/create/service").post(mediaUpload, verifyJWT, createServicePost);
-router.route("/create/product").post(mediaUpload, verifyJWT, createProductPost);
-router.route("/create/business").post(mediaUpload, verifyJWT, createBusinessPost);
-router.route("/user/:userId/profile").get(verifyJWT, getUserProfilePosts);
+router.route("/create/normal").post(mediaUpload, verifyJWTOrApiKey('write:posts'), enforcePostQuota, createNormalPost);
+router.route("/create/service").post(mediaUpload, verifyJWT, enforcePostQuota, createServicePost);
+router.route("/create/product").post(mediaUpload, verifyJWT, enforcePostQuota, createProductPost);
+router.route("/create/business").post(mediaUpload, verifyJWT, enforcePostQuota, createBusinessPost);
+router.route("/user/:userId/profile").get(verifyJWTOrApiKey('read:posts'), getUserProfilePosts);
 router.route("/switch/profile/:userId").get(verifyJWT, getProfileTabContent);
 router.route("/home-feed").get(optionalVerifyJWT, getBlockedUsersMiddleware, cacheUserFeed, getHomeFeed);
-router.route("/myPosts").get(verifyJWT, getMyPosts);
+router.route("/myPosts").get(verifyJWTOrApiKey('read:posts'), getMyPosts);
 router.route("/notifications").get(verifyJWT, getNotifications);
 
 
@@ -56,8 +61,8 @@ router.route("/like-comment").post(verifyJWT, likeComment);
 router.route("/unlike-comment").post(verifyJWT, unlikeComment);
 
 // Comment routes
-router.route("/comment").post(verifyJWT, createComment);
-router.route("/comments").get(verifyJWT, getCommentsByPost);
+router.route("/comment").post(verifyJWTOrApiKey('write:comments'), createComment);
+router.route("/comments").get(verifyJWTOrApiKey('read:comments'), getCommentsByPost);
 router.route("/comment/:commentId").get(verifyJWT, getCommentById);
 router.route("/comment/:commentId").put(verifyJWT, updateComment);
 router.route("/comment/:commentId").delete(verifyJWT, deleteComment);
@@ -82,8 +87,15 @@ router.route("/interaction/history").get(verifyJWT, getUserInteractionHistory);
 // Edit post route
 router.route("/edit/:postId").put(verifyJWT, editPost);
 
+// Scheduled post routes (posts are published by a background job at scheduledAt)
+router.route("/scheduled").get(verifyJWT, getScheduledPosts);
+router.route("/schedule/:postId")
+    .post(verifyJWT, schedulePost)
+    .patch(verifyJWT, reschedulePost)
+    .delete(verifyJWT, cancelScheduledPost);
+
 // Common API - handles get and delete for posts, stories, and reels
-router.route("/:postId").get(verifyJWT, getPostById).delete(verifyJWT, deleteContent);
+router.route("/:postId").get(verifyJWTOrApiKey('read:posts'), getPostById).delete(verifyJWT, deleteContent);
 
 // Notification routes
 router.route("/notification").get(optionalVerifyJWT, getNotifications);
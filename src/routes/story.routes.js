@@ -1,5 +1,5 @@
 import express from "express";
-import { uploadStory, fetchStoriesFeed, fetchStoriesByUser, markStorySeen, fetchStoryViewers, fetchArchivedStoriesByUser, deleteStory } from "../controllers/story.controllers.js";
+import { uploadStory, fetchStoriesFeed, fetchStoriesByUser, markStorySeen, fetchStoryViewers, fetchArchivedStoriesByUser, deleteStory, replyToStory, reactToStory, reshareStory } from "../controllers/story.controllers.js";
 import { verifyJWT, optionalVerifyJWT } from "../middlewares/auth.middleware.js";
 import { upload } from "../middlewares/multerConfig.js";
 import { getBlockedUsers as getBlockedUsersMiddleware } from "../middlewares/blocking.middleware.js";
@@ -7,7 +7,7 @@ import { getBlockedUsers as getBlockedUsersMiddleware } from "../middlewares/blo
 const router = express.Router();
 
 // Upload a story (single image/video)
-router.post("/upload", verifyJWT, upload.single("media"), uploadStory);
+router.post("/upload", verifyJWT, getBlockedUsersMiddleware, upload.single("media"), uploadStory);
 
 // Fetch stories feed (from followed + self)
 router.get("/feed", verifyJWT, getBlockedUsersMiddleware, fetchStoriesFeed);
@@ -24,6 +24,15 @@ router.get("/archived/:userId", optionalVerifyJWT, getBlockedUsersMiddleware, fe
 // Fetch viewers of a story
 router.get("/:storyId/viewers", verifyJWT, fetchStoryViewers);
 
+// Reply to a story (sent to the owner's direct chat)
+router.post("/:storyId/reply", verifyJWT, getBlockedUsersMiddleware, replyToStory);
+
+// React to a story with an emoji
+router.post("/:storyId/react", verifyJWT, getBlockedUsersMiddleware, reactToStory);
+
+// Reshare a story you were mentioned in
+router.post("/:storyId/reshare", verifyJWT, getBlockedUsersMiddleware, reshareStory);
+
 // Delete a story
 router.delete("/:storyId", verifyJWT, deleteStory);
 
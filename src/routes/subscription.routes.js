@@ -0,0 +1,30 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import {
+    getPlans,
+    getMySubscription,
+    createCheckout,
+    cancelSubscription,
+    resumeSubscription,
+    getMyInvoices,
+    getInvoiceById,
+    handlePaymentWebhook
+} from "../controllers/subscription.controllers.js";
+
+const router = Router();
+
+// Public
+router.route("/plans").get(getPlans);
+
+// Payment provider callbacks (authenticated by signature, not JWT)
+router.route("/webhook/:provider").post(handlePaymentWebhook);
+
+// Business subscription billing
+router.route("/me").get(verifyJWT, getMySubscription);
+router.route("/checkout").post(verifyJWT, createCheckout);
+router.route("/cancel").post(verifyJWT, cancelSubscription);
+router.route("/resume").post(verifyJWT, resumeSubscription);
+router.route("/invoices").get(verifyJWT, getMyInvoices);
+router.route("/invoices/:invoiceId").get(verifyJWT, getInvoiceById);
+
+export default router;
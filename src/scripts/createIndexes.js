@@ -42,6 +42,18 @@ const safeCreateIndex = async (collection, indexSpec, options = {}) => {
     }
 };
 
+// Helper function to drop an index that a newer one replaces
+const safeDropIndex = async (collection, name) => {
+    try {
+        await collection.dropIndex(name);
+        console.log(`  🗑️  Dropped: ${name}`);
+    } catch (error) {
+        if (error.code === 27 || error.codeName === 'IndexNotFound') return;
+        console.log(`  ❌ Failed to drop: ${name} - ${error.message}`);
+        throw error;
+    }
+};
+
 const createIndexes = async () => {
     try {
         const db = mongoose.connection.db;
@@ -81,6 +93,7 @@ const createIndexes = async () => {
             [{ postType: 1, createdAt: -1 }, { name: 'idx_type_time' }],
             [{ contentType: 1, createdAt: -1 }, { name: 'idx_content_time' }],
             [{ hashtags: 1 }, { name: 'idx_hashtags' }],
+            [{ hashtags: 1, createdAt: -1 }, { name: 'idx_hashtag_posts_time' }],
             [{ mentions: 1 }, { name: 'idx_mentions' }],
             [{ 'engagement.likes': -1 }, { name: 'idx_likes_desc' }],
             [{ 'engagement.views': -1 }, { name: 'idx_views_desc' }],
@@ -122,8 +135,12 @@ const createIndexes = async () => {
         
         const messageIndexes = [
             [{ chatId: 1, createdAt: -1 }, { name: 'idx_chat_messages_time' }],
+            // Message pages and cursors sort by timestamp with _id as tiebreak
+            [{ chatId: 1, timestamp: -1, _id: -1 }, { name: 'idx_chat_messages_keyset' }],
             [{ senderId: 1, createdAt: -1 }, { name: 'idx_sender_messages' }],
             [{ messageStatus: 1 }, { name: 'idx_message_status' }],
+            // Global chat search - 'none' keeps stop words and skips stemming, chats aren't all English
+            [{ message: 'text' }, { name: 'idx_message_text', default_language: 'none' }],
         ];
 
         for (const [indexSpec, options] of messageIndexes) {
@@ -132,6 +149,9 @@ const createIndexes = async () => {
             totalSkipped += result.skipped ? 1 : 0;
         }
 
+        // The keyset index starts with the same keys, so it serves everything this one did
+        await safeDropIndex(messageCollection, 'chatId_1_timestamp_-1');
+
         // =============================================================================
         // ENGAGEMENT INDEXES
         // =============================================================================
@@ -210,6 +230,7 @@ const createIndexes = async () => {
             [{ createdAt: 1 }, { name: 'idx_story_expire', expireAfterSeconds: 86400 }], // 24 hours
             [{ userId: 1, createdAt: -1 }, { name: 'idx_user_stories' }],
             [{ isHighlight: 1 }, { name: 'idx_story_highlights' }],
+            [{ 'resharedFrom.story': 1, userId: 1 }, { name: 'idx_story_reshares', unique: true, partialFilterExpression: { 'resharedFrom.story': { $exists: true } } }],
         ];
 
         for (const [indexSpec, options] of storyIndexes) {
@@ -255,6 +276,23 @@ const createIndexes = async () => {
             totalSkipped += result.skipped ? 1 : 0;
         }
 
+        // =============================================================================
+        // DRAFT COLLECTION INDEXES
+        // =============================================================================
+        console.log('\n📝 Draft Collection Indexes:');
+        const draftCollection = db.collection('drafts');
+
+        const draftIndexes = [
+            // One autosave slot per user and type
+            [{ userId: 1, type: 1 }, { name: 'idx_user_autosave_draft', unique: true, partialFilterExpression: { isAutoSaved: true } }],
+        ];
+
+        for (const [indexSpec, options] of draftIndexes) {
+            const result = await safeCreateIndex(draftCollection, indexSpec, options);
+            totalCreated += result.created ? 1 : 0;
+            totalSkipped += result.skipped ? 1 : 0;
+        }
+
         // =============================================================================
         // SUMMARY
         // =============================================================================
@@ -279,7 +317,7 @@ const listExistingIndexes = async () => {
         console.log('\n📋 Current Database Indexes:\n');
         
         const collections = await mongoose.connection.db.listCollections().toArray();
-        const importantCollections = ['users', 'posts', 'chats', 'messages', 'likes', 'comments', 'notifications', 'businesses', 'stories', 'blocks', 'followers'];
+        const importantCollections = ['users', 'posts', 'chats', 'messages', 'likes', 'comments', 'notifications', 'businesses', 'stories', 'blocks', 'followers', 'drafts'];
         
         for (const collection of collections) {
             if (importantCollections.includes(collection.name)) {
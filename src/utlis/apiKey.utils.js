@@ -0,0 +1,39 @@
+import crypto from 'crypto';
+
+const API_KEY_PREFIX = 'fnd_';
+const DISPLAY_PREFIX_LENGTH = 12;
+
+/**
+ * Hash a raw API key for storage/lookup
+ * @param {string} rawKey - Key as sent in the X-API-Key header
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+export const hashApiKey = (rawKey) => {
+    return crypto.createHash('sha256').update(rawKey).digest('hex');
+};
+
+/**
+ * Generate a new API key
+ * @returns {{ rawKey: string, hashedKey: string, prefix: string }} rawKey must only be shown to the user once
+ */
+export const generateApiKey = () => {
+    const rawKey = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+    return {
+        rawKey,
+        hashedKey: hashApiKey(rawKey),
+        prefix: rawKey.slice(0, DISPLAY_PREFIX_LENGTH)
+    };
+};
+
+/**
+ * Check whether a key's permissions grant a scope
+ * 'read:*' grants every 'read:<resource>' scope, 'write:*' every 'write:<resource>' scope
+ * @param {string[]} permissions - Scopes granted to the key
+ * @param {string} scope - Scope required by the route, e.g. 'read:posts'
+ * @returns {boolean}
+ */
+export const hasApiKeyScope = (permissions = [], scope) => {
+    if (!scope) return true;
+    const [action] = scope.split(':');
+    return permissions.includes(scope) || permissions.includes(`${action}:*`);
+};
@@ -0,0 +1,396 @@
+/**
+ * Voice note analysis - container parsing only, no native decoder needed
+ * Duration comes from the container headers. The waveform uses real sample peaks for WAV (PCM);
+ * for compressed formats it uses the size of each encoded frame/packet, which with VBR codecs
+ * (Opus, AAC, VBR MP3) follows loudness closely enough for a voice note preview.
+ */
+
+export const WAVEFORM_BARS = 64;
+
+const matches = (buffer, bytes, offset = 0) =>
+    buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+
+// Container of an audio buffer, or null if not recognised
+const detectContainer = (buffer) => {
+    if (matches(buffer, ascii('RIFF')) && matches(buffer, ascii('WAVE'), 8)) return 'wav';
+    if (matches(buffer, ascii('OggS'))) return 'ogg';
+    if (matches(buffer, ascii('ftyp'), 4)) return 'mp4';
+    if (matches(buffer, [0x1A, 0x45, 0xDF, 0xA3])) return 'webm';
+    if (matches(buffer, ascii('ID3'))) return 'mp3';
+    if (buffer.length > 1 && buffer[0] === 0xFF && (buffer[1] & 0xF6) === 0xF0) return 'aac';
+    if (buffer.length > 1 && buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0) return 'mp3';
+    return null;
+};
+
+// Bucket a series of values into `bars` averages scaled to 0-100
+const toWaveform = (values, bars = WAVEFORM_BARS, { relativeToMin = true } = {}) => {
+    if (!values || values.length === 0) return null;
+
+    const buckets = [];
+    for (let bar = 0; bar < bars; bar++) {
+        const start = Math.floor((bar * values.length) / bars);
+        const end = Math.max(start + 1, Math.floor(((bar + 1) * values.length) / bars));
+        let sum = 0;
+        let count = 0;
+        for (let i = start; i < end && i < values.length; i++) {
+            sum += values[i];
+            count++;
+        }
+        buckets.push(count ? sum / count : 0);
+    }
+
+    const max = Math.max(...buckets);
+    const min = relativeToMin ? Math.min(...buckets) : 0;
+    if (max <= min) return buckets.map(() => (max > 0 ? 50 : 0));
+
+    return buckets.map(value => Math.round(((value - min) / (max - min)) * 100));
+};
+
+// ---------- WAV (PCM) ----------
+const analyzeWav = (buffer) => {
+    let offset = 12;
+    let format = null;
+    let data = null;
+
+    while (offset + 8 <= buffer.length) {
+        const id = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const body = offset + 8;
+
+        if (id === 'fmt ') {
+            format = {
+                audioFormat: buffer.readUInt16LE(body),
+                channels: buffer.readUInt16LE(body + 2),
+                byteRate: buffer.readUInt32LE(body + 8),
+                blockAlign: buffer.readUInt16LE(body + 12),
+                bitsPerSample: buffer.readUInt16LE(body + 14)
+            };
+        } else if (id === 'data') {
+            data = { start: body, size: Math.min(size, buffer.length - body) };
+            break;
+        }
+
+        offset = body + size + (size % 2); // chunks are word aligned
+    }
+
+    if (!format || !data || !format.byteRate || !format.blockAlign) return {};
+
+    const duration = data.size / format.byteRate;
+    const frameCount = Math.floor(data.size / format.blockAlign);
+    const bytesPerSample = format.bitsPerSample / 8;
+
+    // Absolute level of the first channel of a frame, 0-1
+    const readLevel = (frame) => {
+        const position = data.start + frame * format.blockAlign;
+        if (format.audioFormat === 3 && bytesPerSample === 4) return Math.abs(buffer.readFloatLE(position));
+        if (bytesPerSample === 1) return Math.abs(buffer[position] - 128) / 128;
+        if (bytesPerSample === 2) return Math.abs(buffer.readInt16LE(position)) / 32768;
+        if (bytesPerSample === 3) return Math.abs(buffer.readIntLE(position, 3)) / 8388608;
+        if (bytesPerSample === 4) return Math.abs(buffer.readInt32LE(position)) / 2147483648;
+        return 0;
+    };
+
+    // Peak per bar, sampling at most ~2000 frames per bar to keep long notes cheap
+    const peaks = [];
+    for (let bar = 0; bar < WAVEFORM_BARS; bar++) {
+        const start = Math.floor((bar * frameCount) / WAVEFORM_BARS);
+        const end = Math.floor(((bar + 1) * frameCount) / WAVEFORM_BARS);
+        const step = Math.max(1, Math.floor((end - start) / 2000));
+        let peak = 0;
+        for (let frame = start; frame < end; frame += step) {
+            peak = Math.max(peak, readLevel(frame));
+        }
+        peaks.push(peak);
+    }
+
+    return { mimeType: 'audio/wav', duration, waveform: toWaveform(peaks, WAVEFORM_BARS, { relativeToMin: false }) };
+};
+
+// ---------- Ogg (Opus / Vorbis) ----------
+const analyzeOgg = (buffer) => {
+    const packets = [];
+    let currentPacket = 0;
+    let lastGranule = 0;
+    let offset = 0;
+
+    while (offset + 27 <= buffer.length && matches(buffer, ascii('OggS'), offset)) {
+        const granule = buffer.readBigInt64LE(offset + 6);
+        const segmentCount = buffer[offset + 26];
+        const tableStart = offset + 27;
+        let bodyOffset = tableStart + segmentCount;
+
+        if (granule > 0n) lastGranule = Number(granule);
+
+        for (let i = 0; i < segmentCount; i++) {
+            const lacing = buffer[tableStart + i];
+            currentPacket += lacing;
+            if (lacing < 255) {
+                packets.push({ start: bodyOffset - (currentPacket - lacing), size: currentPacket });
+                currentPacket = 0;
+            }
+            bodyOffset += lacing;
+        }
+
+        offset = bodyOffset;
+    }
+
+    if (packets.length < 3) return {};
+
+    const head = packets[0];
+    let sampleRate = null;
+    let preSkip = 0;
+    let mimeType = 'audio/ogg';
+
+    if (matches(buffer, ascii('OpusHead'), head.start)) {
+        sampleRate = 48000; // Opus granule positions are always 48kHz
+        preSkip = buffer.readUInt16LE(head.start + 10);
+        mimeType = 'audio/opus';
+    } else if (matches(buffer, [0x01, ...ascii('vorbis')], head.start)) {
+        sampleRate = buffer.readUInt32LE(head.start + 12);
+    }
+
+    // First two packets are codec headers (Vorbis has a third setup header, close enough for a preview)
+    const audioPackets = packets.slice(2).map(packet => packet.size);
+
+    return {
+        mimeType,
+        duration: sampleRate ? Math.max(0, lastGranule - preSkip) / sampleRate : null,
+        waveform: toWaveform(audioPackets)
+    };
+};
+
+// ---------- MP4 / M4A ----------
+const MP4_CONTAINERS = new Set(['moov', 'trak', 'mdia', 'minf', 'stbl']);
+
+const analyzeMp4 = (buffer) => {
+    let duration = null;
+    let sampleSizes = null;
+
+    const walk = (start, end) => {
+        let offset = start;
+        while (offset + 8 <= end) {
+            let size = buffer.readUInt32BE(offset);
+            const type = buffer.toString('ascii', offset + 4, offset + 8);
+            let header = 8;
+
+            if (size === 1) {
+                size = Number(buffer.readBigUInt64BE(offset + 8));
+                header = 16;
+            } else if (size === 0) {
+                size = end - offset;
+            }
+            if (size < header) return;
+
+            const body = offset + header;
+            const boxEnd = Math.min(offset + size, end);
+
+            if (MP4_CONTAINERS.has(type)) {
+                walk(body, boxEnd);
+            } else if (type === 'mvhd') {
+                const version = buffer[body];
+                const timescale = version === 1 ? buffer.readUInt32BE(body + 20) : buffer.readUInt32BE(body + 12);
+                const units = version === 1 ? Number(buffer.readBigUInt64BE(body + 24)) : buffer.readUInt32BE(body + 16);
+                if (timescale) duration = units / timescale;
+            } else if (type === 'stsz' && !sampleSizes) {
+                const uniformSize = buffer.readUInt32BE(body + 4);
+                const count = buffer.readUInt32BE(body + 8);
+                if (uniformSize === 0) {
+                    sampleSizes = [];
+                    for (let i = 0; i < count && body + 12 + i * 4 + 4 <= boxEnd; i++) {
+                        sampleSizes.push(buffer.readUInt32BE(body + 12 + i * 4));
+                    }
+                }
+            }
+
+            offset = boxEnd;
+        }
+    };
+
+    walk(0, buffer.length);
+    return { mimeType: 'audio/mp4', duration, waveform: toWaveform(sampleSizes) };
+};
+
+// ---------- WebM / Matroska (MediaRecorder) ----------
+const EBML_MASTERS = new Set([0x18538067, 0x1549A966, 0x1F43B675, 0xA0]); // Segment, Info, Cluster, BlockGroup
+
+const readVint = (buffer, offset, keepMarker) => {
+    const first = buffer[offset];
+    if (first === undefined || first === 0) return null;
+
+    const length = Math.clz32(first) - 23; // leading zeros within the byte, plus one
+    if (offset + length > buffer.length) return null;
+
+    let value = keepMarker ? first : first & (0xFF >> length);
+    let allOnes = value === (0xFF >> length);
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + buffer[offset + i];
+        if (buffer[offset + i] !== 0xFF) allOnes = false;
+    }
+
+    return { value, length, unknown: !keepMarker && allOnes };
+};
+
+const analyzeWebm = (buffer) => {
+    let timecodeScale = 1000000; // ns per timecode unit
+    let declaredDuration = null;
+    let clusterTimecode = 0;
+    let lastTimecode = 0;
+    const blockSizes = [];
+
+    const walk = (start, end) => {
+        let offset = start;
+        while (offset < end) {
+            const id = readVint(buffer, offset, true);
+            if (!id) return;
+            const size = readVint(buffer, offset + id.length, false);
+            if (!size) return;
+
+            const body = offset + id.length + size.length;
+            const elementEnd = size.unknown ? end : Math.min(body + size.value, end);
+
+            if (EBML_MASTERS.has(id.value)) {
+                walk(body, elementEnd);
+            } else if (id.value === 0x2AD7B1) {
+                timecodeScale = buffer.readUIntBE(body, Math.min(size.value, 6));
+            } else if (id.value === 0x4489) {
+                declaredDuration = size.value === 4 ? buffer.readFloatBE(body) : buffer.readDoubleBE(body);
+            } else if (id.value === 0xE7) {
+                clusterTimecode = buffer.readUIntBE(body, Math.min(size.value, 6));
+            } else if (id.value === 0xA3 || id.value === 0xA1) {
+                // SimpleBlock / Block: track number vint, then int16 timecode relative to the cluster
+                const track = readVint(buffer, body, false);
+                if (track && body + track.length + 2 <= buffer.length) {
+                    lastTimecode = clusterTimecode + buffer.readInt16BE(body + track.length);
+                }
+                blockSizes.push(size.value);
+            }
+
+            offset = elementEnd;
+        }
+    };
+
+    walk(0, buffer.length);
+
+    const units = declaredDuration ?? (blockSizes.length ? lastTimecode : null);
+    return {
+        mimeType: 'audio/webm',
+        duration: units === null ? null : (units * timecodeScale) / 1e9,
+        waveform: toWaveform(blockSizes)
+    };
+};
+
+// ---------- MP3 ----------
+const MP3_BITRATES = {
+    1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320], // MPEG-1 Layer III
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160] // MPEG-2/2.5 Layer III
+};
+const MP3_SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+const analyzeMp3 = (buffer) => {
+    let offset = 0;
+
+    // Skip ID3v2 tag (syncsafe size)
+    if (matches(buffer, ascii('ID3'))) {
+        const tagSize = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+        offset = 10 + tagSize + ((buffer[5] & 0x10) ? 10 : 0);
+    }
+
+    const frameSizes = [];
+    let totalSamples = 0;
+    let sampleRate = null;
+    let misses = 0;
+
+    while (offset + 4 <= buffer.length && misses < 4096) {
+        const header = buffer.readUInt32BE(offset);
+        const versionBits = (header >>> 19) & 0x3;
+        const layerBits = (header >>> 17) & 0x3;
+        const bitrateIndex = (header >>> 12) & 0xF;
+        const rateIndex = (header >>> 10) & 0x3;
+
+        const valid = (header >>> 21) === 0x7FF && versionBits !== 1 && layerBits === 1 &&
+            bitrateIndex > 0 && bitrateIndex < 15 && rateIndex < 3;
+
+        if (!valid) {
+            offset++;
+            misses++;
+            continue;
+        }
+
+        const isMpeg1 = versionBits === 3;
+        const bitrate = MP3_BITRATES[isMpeg1 ? 1 : 2][bitrateIndex] * 1000;
+        const rate = MP3_SAMPLE_RATES[versionBits][rateIndex];
+        const padding = (header >>> 9) & 0x1;
+        const samplesPerFrame = isMpeg1 ? 1152 : 576;
+        const frameLength = Math.floor((samplesPerFrame / 8) * bitrate / rate) + padding;
+
+        frameSizes.push(frameLength);
+        totalSamples += samplesPerFrame;
+        sampleRate = rate;
+        misses = 0;
+        offset += frameLength;
+    }
+
+    return {
+        mimeType: 'audio/mpeg',
+        duration: sampleRate ? totalSamples / sampleRate : null,
+        waveform: toWaveform(frameSizes)
+    };
+};
+
+// ---------- AAC (ADTS) ----------
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+const analyzeAac = (buffer) => {
+    const frameSizes = [];
+    let sampleRate = null;
+    let offset = 0;
+
+    while (offset + 7 <= buffer.length && buffer[offset] === 0xFF && (buffer[offset + 1] & 0xF6) === 0xF0) {
+        sampleRate = AAC_SAMPLE_RATES[(buffer[offset + 2] >> 2) & 0xF] || sampleRate;
+        const frameLength = ((buffer[offset + 3] & 0x3) << 11) | (buffer[offset + 4] << 3) | (buffer[offset + 5] >> 5);
+        if (frameLength < 7) break;
+        frameSizes.push(frameLength);
+        offset += frameLength;
+    }
+
+    return {
+        mimeType: 'audio/aac',
+        duration: sampleRate ? (frameSizes.length * 1024) / sampleRate : null,
+        waveform: toWaveform(frameSizes)
+    };
+};
+
+const ANALYZERS = {
+    wav: analyzeWav,
+    ogg: analyzeOgg,
+    mp4: analyzeMp4,
+    webm: analyzeWebm,
+    mp3: analyzeMp3,
+    aac: analyzeAac
+};
+
+/**
+ * Duration (seconds) and waveform peaks (WAVEFORM_BARS values, 0-100) of an audio buffer
+ * Never throws - unknown or malformed files give null fields
+ * @returns {{ mimeType: string|null, duration: number|null, waveform: number[]|null }}
+ */
+export const analyzeAudio = (buffer) => {
+    const container = buffer ? detectContainer(buffer) : null;
+    if (!container) return { mimeType: null, duration: null, waveform: null };
+
+    try {
+        const result = ANALYZERS[container](buffer);
+        return {
+            mimeType: result.mimeType || null,
+            duration: Number.isFinite(result.duration) && result.duration > 0
+                ? Math.round(result.duration * 10) / 10
+                : null,
+            waveform: result.waveform || null
+        };
+    } catch (error) {
+        console.error('Error analyzing audio:', error.message);
+        return { mimeType: null, duration: null, waveform: null };
+    }
+};
@@ -43,7 +43,15 @@ const generateFilePath = (folder = "posts", originalName = null, fileType = null
             'video/avi': 'avi',
             'video/quicktime': 'mov',
             'video/x-ms-wmv': 'wmv',
-            'video/x-flv': 'flv'
+            'video/x-flv': 'flv',
+            'audio/mpeg': 'mp3',
+            'audio/wav': 'wav',
+            'audio/ogg': 'ogg',
+            'audio/mp4': 'm4a',
+            'audio/aac': 'aac',
+            'audio/flac': 'flac',
+            'audio/amr': 'amr',
+            'audio/webm': 'weba'
         };
         extension = mimeToExtension[fileType.mimeType] || 'bin';
     }
@@ -51,32 +59,68 @@ const generateFilePath = (folder = "posts", originalName = null, fileType = null
     return `${folder}/${timestamp}-${uuid}.${extension}`;
 };
 
+// WebM/Matroska track kinds from the CodecID elements (0x86) in the header, e.g. V_VP8 / A_OPUS
+const getWebmTrackKinds = (buffer) => {
+    const header = buffer.subarray(0, 64 * 1024).toString('latin1');
+    const codecIds = [...header.matchAll(/\x86[\x81-\xA0]([VA])_/g)].map(match => match[1]);
+    return { hasVideo: codecIds.includes('V'), hasAudio: codecIds.includes('A') };
+};
+
+// Browser voice notes are audio-only WebM (audio/webm, usually named .webm) - same EBML signature as video
+// The tracks decide when the header lists them, otherwise the declared mimetype / .weba extension
+const isAudioOnlyWebm = (buffer, extension, declaredMimeType) => {
+    const { hasVideo, hasAudio } = getWebmTrackKinds(buffer);
+    if (hasVideo || hasAudio) return !hasVideo;
+    return !!declaredMimeType?.startsWith('audio/') || extension === 'weba';
+};
+
 // Helper function to determine file type
-const getFileType = (buffer, originalName = null) => {
-    const signatures = {
-        'image/jpeg': [0xFF, 0xD8, 0xFF],
-        'image/png': [0x89, 0x50, 0x4E, 0x47],
-        'image/gif': [0x47, 0x49, 0x46],
-        'image/webp': [0x52, 0x49, 0x46, 0x46],
-        'video/mp4': [0x00, 0x00, 0x00, null, 0x66, 0x74, 0x79, 0x70],
-        'video/webm': [0x1A, 0x45, 0xDF, 0xA3],
-        'video/avi': [0x52, 0x49, 0x46, 0x46]
-    };
+// declaredMimeType is the upload's mimetype, used to tell audio-only WebM apart from video
+const getFileType = (buffer, originalName = null, declaredMimeType = null) => {
+    // Checked in order - null matches any byte. RIFF files are told apart by their form type at byte 8
+    const signatures = [
+        ['image/jpeg', [0xFF, 0xD8, 0xFF]],
+        ['image/png', [0x89, 0x50, 0x4E, 0x47]],
+        ['image/gif', [0x47, 0x49, 0x46]],
+        ['image/webp', [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50]],
+        ['audio/wav', [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x41, 0x56, 0x45]],
+        ['video/avi', [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x41, 0x56, 0x49, 0x20]],
+        ['audio/mp4', [null, null, null, null, 0x66, 0x74, 0x79, 0x70, 0x4D, 0x34, 0x41]], // ftyp M4A
+        ['video/mp4', [0x00, 0x00, 0x00, null, 0x66, 0x74, 0x79, 0x70]],
+        ['video/webm', [0x1A, 0x45, 0xDF, 0xA3]],
+        ['audio/ogg', [0x4F, 0x67, 0x67, 0x53]],
+        ['audio/flac', [0x66, 0x4C, 0x61, 0x43]],
+        ['audio/amr', [0x23, 0x21, 0x41, 0x4D, 0x52]],
+        ['audio/mpeg', [0x49, 0x44, 0x33]], // ID3 tag
+        ['audio/mpeg', [0xFF, 0xFB]],
+        ['audio/mpeg', [0xFF, 0xF3]],
+        ['audio/mpeg', [0xFF, 0xF2]],
+        ['audio/aac', [0xFF, 0xF1]],
+        ['audio/aac', [0xFF, 0xF9]]
+    ];
+
+    const describe = (mimeType) => ({
+        mimeType,
+        isVideo: mimeType.startsWith('video/'),
+        isImage: mimeType.startsWith('image/'),
+        isAudio: mimeType.startsWith('audio/')
+    });
+
+    const extension = originalName ? originalName.toLowerCase().split('.').pop() : null;
 
     // First try to detect by file signature
-    for (const [mimeType, signature] of Object.entries(signatures)) {
-        if (signature.every((byte, index) => byte === null || buffer[index] === byte)) {
-            return {
-                mimeType,
-                isVideo: mimeType.startsWith('video/'),
-                isImage: mimeType.startsWith('image/')
-            };
+    for (const [mimeType, signature] of signatures) {
+        if (buffer.length >= signature.length &&
+            signature.every((byte, index) => byte === null || buffer[index] === byte)) {
+            if (mimeType === 'video/webm') {
+                return describe(isAudioOnlyWebm(buffer, extension, declaredMimeType) ? 'audio/webm' : 'video/webm');
+            }
+            return describe(mimeType);
         }
     }
 
     // Fallback to file extension if signature detection fails
-    if (originalName) {
-        const extension = originalName.toLowerCase().split('.').pop();
+    if (extension) {
         const extensionMimeTypes = {
             'jpg': 'image/jpeg',
             'jpeg': 'image/jpeg',
@@ -84,36 +128,44 @@ const getFileType = (buffer, originalName = null) => {
             'gif': 'image/gif',
             'webp': 'image/webp',
             'mp4': 'video/mp4',
-            'webm': 'video/webm',
+            'webm': declaredMimeType?.startsWith('audio/') ? 'audio/webm' : 'video/webm',
+            'weba': 'audio/webm',
             'avi': 'video/avi',
             'mov': 'video/quicktime',
             'wmv': 'video/x-ms-wmv',
-            'flv': 'video/x-flv'
+            'flv': 'video/x-flv',
+            'mp3': 'audio/mpeg',
+            'wav': 'audio/wav',
+            'ogg': 'audio/ogg',
+            'oga': 'audio/ogg',
+            'opus': 'audio/ogg',
+            'm4a': 'audio/mp4',
+            'aac': 'audio/aac',
+            'flac': 'audio/flac',
+            'amr': 'audio/amr'
         };
 
         const mimeType = extensionMimeTypes[extension];
         if (mimeType) {
-            return {
-                mimeType,
-                isVideo: mimeType.startsWith('video/'),
-                isImage: mimeType.startsWith('image/')
-            };
+            return describe(mimeType);
         }
     }
 
     return {
         mimeType: 'application/octet-stream',
         isVideo: false,
-        isImage: false
+        isImage: false,
+        isAudio: false
     };
 };
 
 // Upload buffer to Bunny.net
-export const uploadBufferToBunny = async (fileBuffer, folder = "posts", originalName = null) => {
+// mimeType (the upload's declared type) is optional and only breaks ties the file signature can't
+export const uploadBufferToBunny = async (fileBuffer, folder = "posts", originalName = null, mimeType = null) => {
     try {
         validateConfig();
 
-        const fileType = getFileType(fileBuffer, originalName);
+        const fileType = getFileType(fileBuffer, originalName, mimeType);
         const filePath = generateFilePath(folder, originalName, fileType);
 
         console.log('Upload Debug Info:');
@@ -156,7 +208,7 @@ export const uploadBufferToBunny = async (fileBuffer, folder = "posts", original
             success: true,
             secure_url: cdnUrl,
             public_id: filePath,
-            resource_type: fileType.isVideo ? 'video' : 'image',
+            resource_type: fileType.isVideo ? 'video' : fileType.isAudio ? 'audio' : 'image',
             thumbnailUrl,
             format: originalName ? originalName.split('.').pop() : 'unknown',
             bytes: fileBuffer.length,
@@ -0,0 +1,34 @@
+/**
+ * Opaque pagination cursors
+ * A cursor is the sort key of the last item returned, base64url-encoded JSON, so clients can't depend on its shape.
+ */
+
+export const encodeCursor = (payload) =>
+    Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+// Returns the decoded object, or null if the cursor is missing or malformed
+export const decodeCursor = (cursor) => {
+    if (!cursor || typeof cursor !== 'string') return null;
+    try {
+        const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return payload && typeof payload === 'object' ? payload : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Keyset bounds for lists ordered by timestamp with _id as tiebreak (chat messages)
+ * Pair with NEWEST_FIRST / OLDEST_FIRST so the { chatId, timestamp, _id } index serves both filter and sort.
+ */
+export const NEWEST_FIRST = { timestamp: -1, _id: -1 };
+export const OLDEST_FIRST = { timestamp: 1, _id: 1 };
+
+// Items strictly older / newer than a position; _id breaks ties between equal timestamps
+export const olderThan = ({ timestamp, _id }) => _id
+    ? { $or: [{ timestamp: { $lt: timestamp } }, { timestamp, _id: { $lt: _id } }] }
+    : { timestamp: { $lt: timestamp } };
+
+export const newerThan = ({ timestamp, _id }) => _id
+    ? { $or: [{ timestamp: { $gt: timestamp } }, { timestamp, _id: { $gt: _id } }] }
+    : { timestamp: { $gt: timestamp } };
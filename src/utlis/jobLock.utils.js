@@ -0,0 +1,25 @@
+import crypto from 'crypto';
+import { redisClient } from '../config/redis.config.js';
+
+// Only delete the lock if we still hold it - after a long run it may have expired and been taken by another instance
+const RELEASE_LOCK_SCRIPT = 'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end';
+
+/**
+ * Run a background job on one app instance at a time (PM2 runs several)
+ * The TTL only covers a holder that crashes mid-run; the lock is released as soon as the job finishes,
+ * so it should be longer than a run takes, not tied to the job interval
+ * @returns {Promise<boolean>} false if another instance holds the lock and the job was skipped
+ */
+export const runWithJobLock = async (key, ttlSeconds, job) => {
+    const token = `${process.pid}:${crypto.randomUUID()}`;
+    const lock = await redisClient.set(key, token, 'EX', ttlSeconds, 'NX');
+    if (lock !== 'OK') return false;
+
+    try {
+        await job();
+    } finally {
+        await redisClient.eval(RELEASE_LOCK_SCRIPT, 1, key, token)
+            .catch(error => console.error(`Error releasing job lock ${key}:`, error));
+    }
+    return true;
+};
@@ -211,7 +211,8 @@ class NotificationCacheManager {
                 chatId: { $in: chatIds },
                 sender: { $ne: userId },
                 readBy: { $ne: userId },
-                isDeleted: false
+                isDeleted: false,
+                expiresAt: { $not: { $lte: new Date() } } // Disappearing messages past their expiry
             };
             if (blockedUsers.length > 0) {
                 messageQuery.sender = { $nin: [...blockedUsers, userId] };
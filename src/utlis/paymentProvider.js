@@ -0,0 +1,85 @@
+import crypto from 'crypto';
+import { ApiError } from './ApiError.js';
+
+/**
+ * Payment provider interface for subscription billing
+ *
+ * A provider is an object with:
+ * - name: string stored on subscriptions and invoices
+ * - createCheckout({ subscriptionId, userId, plan, amount, currency }) => { checkoutId, checkoutUrl }
+ * - chargeRenewal({ subscriptionId, customerRef, amount, currency }) => { status: 'succeeded'|'failed'|'pending', paymentId, failureReason }
+ * - parseWebhook(rawBody, headers) => { id, type, data } - must verify the signature and throw ApiError(400) if it's invalid
+ *
+ * Webhook event types the subscription controller understands:
+ * - checkout.completed { checkoutId, paymentId, amount, customerRef }
+ * - checkout.failed    { checkoutId, reason }
+ * - payment.succeeded  { subscriptionId, paymentId, amount } (async renewal result)
+ * - payment.failed     { subscriptionId, paymentId, reason }
+ */
+
+const safeEqual = (a, b) => {
+    const bufferA = Buffer.from(a || '');
+    const bufferB = Buffer.from(b || '');
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// Local fake for development and tests - no money moves
+const getFakeWebhookSecret = () => process.env.FAKE_PAYMENT_WEBHOOK_SECRET || 'fake-payment-secret';
+
+export const fakePaymentProvider = {
+    name: 'fake',
+
+    async createCheckout({ subscriptionId }) {
+        const checkoutId = `fake_chk_${crypto.randomBytes(8).toString('hex')}`;
+        const baseUrl = process.env.FAKE_PAYMENT_CHECKOUT_URL || 'http://localhost:4000/fake-checkout';
+        return {
+            checkoutId,
+            checkoutUrl: `${baseUrl}/${checkoutId}?subscriptionId=${subscriptionId}`
+        };
+    },
+
+    // Set FAKE_PAYMENT_FAIL_RENEWALS=true to exercise the grace-period path
+    async chargeRenewal() {
+        const paymentId = `fake_pay_${crypto.randomBytes(8).toString('hex')}`;
+        if (process.env.FAKE_PAYMENT_FAIL_RENEWALS === 'true') {
+            return { status: 'failed', paymentId, failureReason: 'Card declined (fake provider)' };
+        }
+        return { status: 'succeeded', paymentId };
+    },
+
+    parseWebhook(rawBody, headers = {}) {
+        if (!safeEqual(headers['x-fake-signature'], this.sign(rawBody))) {
+            throw new ApiError(400, 'Invalid webhook signature');
+        }
+        return JSON.parse(rawBody.toString());
+    },
+
+    // HMAC-SHA256 of the raw body, sent as X-Fake-Signature
+    sign(rawBody) {
+        return crypto.createHmac('sha256', getFakeWebhookSecret()).update(rawBody).digest('hex');
+    }
+};
+
+const providers = {
+    fake: fakePaymentProvider
+};
+
+// Plug in a real gateway at startup, e.g. registerPaymentProvider('razorpay', razorpayProvider)
+export const registerPaymentProvider = (name, provider) => {
+    providers[name] = provider;
+};
+
+/**
+ * Get a payment provider by name (defaults to PAYMENT_PROVIDER)
+ * The fake provider is refused in production unless ALLOW_FAKE_PAYMENTS=true
+ */
+export const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'fake') => {
+    const provider = providers[name];
+    if (!provider) {
+        throw new ApiError(503, `Payment provider "${name}" is not configured`);
+    }
+    if (name === 'fake' && process.env.NODE_ENV === 'production' && process.env.ALLOW_FAKE_PAYMENTS !== 'true') {
+        throw new ApiError(503, 'Payments are not configured');
+    }
+    return provider;
+};
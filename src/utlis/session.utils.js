@@ -0,0 +1,192 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Device from '../models/device.models.js';
+import { RedisTTL } from '../config/redis.config.js';
+import { SessionCacheManager } from './cache.utils.js';
+import { invalidateAuthCache } from '../middlewares/auth.middleware.js';
+
+/**
+ * Per-device login sessions
+ * Every login gets a session ID (`sid` claim) and its own refresh token stored hashed on the Device.
+ * Revoking a session clears the refresh token and blacklists the sid until its last access token expires.
+ */
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const tokenExpiresAt = (token) => new Date(jwt.decode(token).exp * 1000);
+
+const detectDeviceType = (userAgent = '') => {
+    if (/android/i.test(userAgent)) return 'android';
+    if (/iphone|ipad|ipod|ios|cfnetwork/i.test(userAgent)) return 'ios';
+    if (/mozilla|chrome|safari|firefox|edg/i.test(userAgent)) return 'web';
+    return 'other';
+};
+
+const detectBrowser = (userAgent = '') => {
+    if (/edg\//i.test(userAgent)) return 'Edge';
+    if (/opr\/|opera/i.test(userAgent)) return 'Opera';
+    if (/chrome\//i.test(userAgent)) return 'Chrome';
+    if (/firefox\//i.test(userAgent)) return 'Firefox';
+    if (/safari\//i.test(userAgent)) return 'Safari';
+    return undefined;
+};
+
+const detectOS = (userAgent = '') => {
+    if (/windows/i.test(userAgent)) return 'Windows';
+    if (/android/i.test(userAgent)) return 'Android';
+    if (/iphone|ipad|ipod|ios/i.test(userAgent)) return 'iOS';
+    if (/mac os x|macintosh/i.test(userAgent)) return 'macOS';
+    if (/linux/i.test(userAgent)) return 'Linux';
+    return undefined;
+};
+
+// Device details from the request; apps can send X-Device-Id / X-Device-Type / X-Device-Name
+export const getDeviceInfo = (req) => {
+    const userAgent = req.headers['user-agent'] || '';
+    const requestedType = req.headers['x-device-type'] || req.body?.deviceType;
+
+    return {
+        deviceId: req.headers['x-device-id'] || req.body?.deviceId || null,
+        deviceType: ['web', 'android', 'ios', 'other'].includes(requestedType) ? requestedType : detectDeviceType(userAgent),
+        deviceName: req.headers['x-device-name'] || req.body?.deviceName,
+        browser: detectBrowser(userAgent),
+        os: detectOS(userAgent),
+        ipAddress: req.ip,
+        userAgent
+    };
+};
+
+// Blacklist a session's sid for as long as its latest access token is valid
+const blacklistSession = async (device) => {
+    if (!device?.sessionId) return;
+
+    const ttl = device.accessTokenExpiresAt
+        ? Math.ceil((new Date(device.accessTokenExpiresAt).getTime() - Date.now()) / 1000)
+        : RedisTTL.TOKEN_BLACKLIST;
+
+    if (ttl > 0) {
+        await SessionCacheManager.blacklistToken(device.sessionId, ttl);
+    }
+};
+
+// Drop live sockets that were opened with a revoked session
+const disconnectSessionSockets = async (userId, sessionIds) => {
+    try {
+        if (!global.io || sessionIds.length === 0) return;
+        const sockets = await global.io.in(`user_${userId}`).fetchSockets();
+        sockets
+            .filter(socket => sessionIds.includes(socket.data?.sessionId))
+            .forEach(socket => socket.disconnect(true));
+    } catch (error) {
+        console.error('Error disconnecting revoked sockets:', error);
+    }
+};
+
+/**
+ * Issue an access/refresh token pair for a login and record the device
+ * Logging in again on the same device replaces (and revokes) its previous session
+ * @returns {Promise<{accessToken, refreshToken, deviceId, sessionId}>}
+ */
+export const createDeviceSession = async (user, req) => {
+    const info = getDeviceInfo(req);
+    const deviceId = info.deviceId || crypto.randomUUID();
+    const sessionId = crypto.randomUUID();
+
+    const accessToken = user.generateAccessToken(sessionId);
+    const refreshToken = user.generateRefreshToken(sessionId);
+    const now = new Date();
+
+    const previous = await Device.findOneAndUpdate(
+        { userId: user._id, deviceId },
+        {
+            $set: {
+                deviceType: info.deviceType,
+                deviceName: info.deviceName,
+                browser: info.browser,
+                os: info.os,
+                ipAddress: info.ipAddress,
+                userAgent: info.userAgent,
+                sessionId,
+                refreshTokenHash: hashToken(refreshToken),
+                accessTokenExpiresAt: tokenExpiresAt(accessToken),
+                refreshTokenExpiresAt: tokenExpiresAt(refreshToken),
+                lastLoginAt: now,
+                lastUsedAt: now,
+                isLoggedIn: true,
+                revokedAt: null
+            }
+        },
+        { upsert: true, new: false }
+    );
+
+    if (previous?.isLoggedIn && previous.sessionId) {
+        await blacklistSession(previous);
+    }
+
+    return { accessToken, refreshToken, deviceId, sessionId };
+};
+
+/**
+ * Exchange a refresh token for a new token pair (rotation)
+ * Presenting an already-rotated refresh token revokes the session, since it may have been stolen
+ * @returns {Promise<{accessToken, refreshToken}|null>} null if the token is no longer valid
+ */
+export const rotateDeviceSession = async (user, decodedRefreshToken, refreshToken) => {
+    const device = await Device.findOne({
+        userId: user._id,
+        sessionId: decodedRefreshToken.sid,
+        isLoggedIn: true
+    }).select('+refreshTokenHash');
+
+    if (!device) return null;
+
+    if (device.refreshTokenHash !== hashToken(refreshToken)) {
+        await revokeSessions(user._id, { _id: device._id });
+        return null;
+    }
+
+    const accessToken = user.generateAccessToken(device.sessionId);
+    const nextRefreshToken = user.generateRefreshToken(device.sessionId);
+
+    // Conditional on the old hash so two concurrent refreshes can't both succeed
+    const rotated = await Device.updateOne(
+        { _id: device._id, refreshTokenHash: device.refreshTokenHash, isLoggedIn: true },
+        {
+            $set: {
+                refreshTokenHash: hashToken(nextRefreshToken),
+                accessTokenExpiresAt: tokenExpiresAt(accessToken),
+                refreshTokenExpiresAt: tokenExpiresAt(nextRefreshToken),
+                lastUsedAt: new Date()
+            }
+        }
+    );
+
+    if (rotated.modifiedCount === 0) return null;
+
+    return { accessToken, refreshToken: nextRefreshToken };
+};
+
+/**
+ * Log out matching sessions of a user
+ * @param {string} userId
+ * @param {Object} filter - extra Device filter, e.g. { _id } for one device or { sessionId: { $ne: current } }
+ * @returns {Promise<number>} number of sessions revoked
+ */
+export const revokeSessions = async (userId, filter = {}) => {
+    const devices = await Device.find({ userId, isLoggedIn: true, ...filter })
+        .select('_id sessionId accessTokenExpiresAt')
+        .lean();
+
+    if (devices.length === 0) return 0;
+
+    await Device.updateMany(
+        { _id: { $in: devices.map(device => device._id) } },
+        { $set: { isLoggedIn: false, revokedAt: new Date() }, $unset: { refreshTokenHash: 1 } }
+    );
+
+    await Promise.all(devices.map(blacklistSession));
+    await invalidateAuthCache(userId);
+    await disconnectSessionSockets(userId.toString(), devices.map(device => device.sessionId).filter(Boolean));
+
+    return devices.length;
+};
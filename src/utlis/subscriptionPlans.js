@@ -0,0 +1,43 @@
+/**
+ * Business subscription plans
+ * Prices are monthly, in paise. postsPerMonth: null means unlimited.
+ */
+export const PLAN_CATALOG = {
+    plan1: { name: 'Free', price: 0, postsPerMonth: 30, liveLocation: false },
+    plan2: { name: 'Small Business', price: 49900, postsPerMonth: 100, liveLocation: true },
+    plan3: { name: 'Corporate', price: 149900, postsPerMonth: 500, liveLocation: true },
+    plan4: { name: 'Enterprise', price: 499900, postsPerMonth: null, liveLocation: true }
+};
+
+export const PLAN_ORDER = ['plan1', 'plan2', 'plan3', 'plan4'];
+export const PAID_PLANS = ['plan2', 'plan3', 'plan4'];
+export const PLAN_CURRENCY = 'INR';
+export const BILLING_PERIOD_DAYS = 30;
+export const GRACE_PERIOD_DAYS = 7;
+
+// Legacy plan names still stored on some businesses
+const LEGACY_PLAN_NAMES = {
+    'Free': 'plan1',
+    'Small Business': 'plan2',
+    'Corporate': 'plan3',
+    'Enterprise': 'plan4'
+};
+
+export const normalizePlan = (plan) => LEGACY_PLAN_NAMES[plan] || (PLAN_CATALOG[plan] ? plan : 'plan1');
+
+/**
+ * Plan a business is entitled to right now
+ * Paid plans only count while the subscription is active (including its grace period)
+ * @param {Object|null} business - Business document with plan and subscriptionStatus
+ * @returns {string} plan key
+ */
+export const getEffectivePlan = (business) => {
+    if (!business) return 'plan1';
+    const plan = normalizePlan(business.plan);
+    return plan !== 'plan1' && business.subscriptionStatus !== 'active' ? 'plan1' : plan;
+};
+
+export const getPlanLimits = (plan) => PLAN_CATALOG[normalizePlan(plan)];
+
+// Add whole days to a date
+export const addDays = (date, days) => new Date(new Date(date).getTime() + days * 24 * 60 * 60 * 1000);